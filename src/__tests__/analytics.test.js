@@ -0,0 +1,252 @@
+jest.mock('../api/zabbix-client', () => ({
+    getClient: jest.fn(),
+    request: jest.fn()
+}));
+
+const { z } = require('zod');
+const { request } = require('../api/zabbix-client');
+const { getProblemAnalytics, detectFlappingTriggers, parseSimpleExpression, durationStats, formatDuration } = require('../api/analytics');
+const { getOutputSchema } = require('../tools/schemas/output');
+
+const FROM = 1700000000;
+const TILL = FROM + 30 * 86400;
+const WEB = { hostid: '10', name: 'web01' };
+const DB = { hostid: '20', name: 'db01' };
+
+function problemEvent(eventid, triggerId, clock, fields = {}) {
+    return { eventid, objectid: triggerId, name: `Trigger ${triggerId}`, severity: '3', clock: String(clock), r_eventid: '0', hosts: [WEB], acknowledges: [], ...fields };
+}
+
+function schemaError(toolName, result) {
+    return z.object(getOutputSchema(toolName)).safeParse(result).error;
+}
+
+function mockHistory(events, recoveries) {
+    request.mockImplementation(async (method, params) => {
+        if (method === 'event.get' && params.eventids) {
+            return recoveries.filter(recovery => params.eventids.includes(recovery.eventid));
+        }
+        if (method === 'event.get') {
+            const till = params.eventid_till ? BigInt(params.eventid_till) : null;
+            return events.filter(event => till === null || BigInt(event.eventid) <= till)
+                .sort((a, b) => Number(b.eventid) - Number(a.eventid))
+                .slice(0, params.limit);
+        }
+        if (method === 'host.get') {
+            return [
+                { hostid: '10', hostgroups: [{ groupid: '1', name: 'Web servers' }] },
+                { hostid: '20', hostgroups: [{ groupid: '2', name: 'Databases' }] }
+            ].filter(host => params.hostids.includes(host.hostid));
+        }
+        throw new Error(`Unexpected method ${method}`);
+    });
+}
+
+describe('Duration statistics', () => {
+    test('should compute the mean and nearest-rank percentiles', () => {
+        const stats = durationStats([60, 120, 180, 240, 300, 360, 420, 480, 540, 6000]);
+
+        expect(stats).toMatchObject({ count: 10, mean: 870, median: 300, p90: 540, p95: 6000, max: 6000 });
+        expect(stats.readable).toBe('mean 14m, median 5m, p90 9m, max 1h 40m');
+        expect(durationStats([])).toEqual({ count: 0 });
+    });
+
+    test('should format short durations', () => {
+        expect(formatDuration(45)).toBe('45s');
+        expect(formatDuration(3600)).toBe('1h');
+        expect(formatDuration(93600)).toBe('1d 2h');
+    });
+});
+
+describe('Problem analytics', () => {
+    beforeEach(() => {
+        request.mockReset();
+    });
+
+    test('should pair problems with their acknowledgement and recovery', async () => {
+        mockHistory([
+            problemEvent('1', 't1', FROM + 100, {
+                severity: '4',
+                r_eventid: '2',
+                // A comment alone does not acknowledge; the acknowledgement 10 minutes in does
+                acknowledges: [{ clock: String(FROM + 700), action: '2' }, { clock: String(FROM + 200), action: '4' }]
+            }),
+            problemEvent('3', 't2', FROM + 1000, { hosts: [DB], r_eventid: '4' }),
+            problemEvent('5', 't2', FROM + 5000, { hosts: [DB] })
+        ], [
+            { eventid: '2', clock: String(FROM + 3700) },
+            { eventid: '4', clock: String(FROM + 1060) }
+        ]);
+
+        const result = await getProblemAnalytics({ timeFrom: FROM, timeTill: TILL });
+
+        expect(result.totals).toEqual({ problems: 3, acknowledged: 1, resolved: 2, open: 1 });
+        expect(result.mtta).toMatchObject({ count: 1, mean: 600 });
+        expect(result.mttr).toMatchObject({ count: 2, mean: 1830, max: 3600 });
+        expect(result.bySeverity.map(entry => [entry.severity, entry.problems])).toEqual([['High', 1], ['Average', 2]]);
+        expect(result.byHostGroup[0]).toMatchObject({ groupid: '2', name: 'Databases', problems: 2, resolved: 1 });
+        expect(result.byTrigger[0]).toMatchObject({ triggerid: 't2', hosts: ['db01'], problems: 2 });
+        expect(result.summary).toContain('3 problem(s)');
+        expect(result.summary).toContain('33% acknowledged, 67% resolved. MTTA 10m, MTTR 30m.');
+        expect(schemaError('zabbix_get_problem_analytics', result)).toBeUndefined();
+    });
+
+    test('should rank flapping, short-lived and never acknowledged triggers', async () => {
+        const events = [];
+        const recoveries = [];
+        // t-flap: 4 problems of 2 minutes, each 5 minutes after the last recovery
+        for (let index = 0; index < 4; index++) {
+            const clock = FROM + index * 420;
+            events.push(problemEvent(String(100 + index * 2), 't-flap', clock, { r_eventid: String(101 + index * 2) }));
+            recoveries.push({ eventid: String(101 + index * 2), clock: String(clock + 120) });
+        }
+        // t-slow: acknowledged problems a day apart that take hours to resolve
+        for (let index = 0; index < 2; index++) {
+            const clock = FROM + (index + 1) * 86400;
+            events.push(problemEvent(String(200 + index * 2), 't-slow', clock, {
+                r_eventid: String(201 + index * 2),
+                acknowledges: [{ clock: String(clock + 60), action: '6' }]
+            }));
+            recoveries.push({ eventid: String(201 + index * 2), clock: String(clock + 7200) });
+        }
+        mockHistory(events, recoveries);
+
+        const result = await getProblemAnalytics({ timeFrom: FROM, timeTill: TILL, flapWindow: 600 });
+        const { noise } = result;
+
+        expect(noise.mostFlapping).toEqual([{ triggerid: 't-flap', name: 'Trigger t-flap', hosts: ['web01'], problems: 4, reopened: 3 }]);
+        expect(noise.shortestLived.map(trigger => [trigger.triggerid, trigger.readable])).toEqual([['t-flap', '2m'], ['t-slow', '2h']]);
+        expect(noise.neverAcknowledged.map(trigger => trigger.triggerid)).toEqual(['t-flap']);
+        expect(schemaError('zabbix_get_problem_analytics', result)).toBeUndefined();
+    });
+
+    test('should read events in batches and stop at maxEvents', async () => {
+        const events = Array.from({ length: 1500 }, (_, index) => problemEvent(String(index + 1), 't1', FROM + index));
+        mockHistory(events, []);
+
+        const result = await getProblemAnalytics({ timeFrom: FROM, timeTill: TILL, maxEvents: 1200 });
+
+        const reads = request.mock.calls.filter(([method, params]) => method === 'event.get' && !params.eventids);
+        expect(reads.map(([, params]) => [params.limit, params.eventid_till])).toEqual([[1000, undefined], [200, '500']]);
+        expect(result.totals.problems).toBe(1200);
+        expect(result.truncated).toBe(true);
+    });
+
+    test('should report a period without problems', async () => {
+        mockHistory([], []);
+
+        const result = await getProblemAnalytics({ days: 7 });
+
+        expect(result.totals.problems).toBe(0);
+        expect(result.summary).toMatch(/^No problems from /);
+        expect(schemaError('zabbix_get_problem_analytics', result)).toBeUndefined();
+    });
+});
+
+describe('Trigger expressions', () => {
+    test('should parse one function compared with a constant', () => {
+        expect(parseSimpleExpression('last(/web01/system.cpu.util[,idle])<10')).toEqual({
+            func: 'last', reference: '/web01/system.cpu.util[,idle]', params: '', operator: '<', right: '10', threshold: 10
+        });
+        expect(parseSimpleExpression('avg(/web01/vfs.fs.size["/var,x",pused],5m) >= 95.5')).toMatchObject({
+            func: 'avg', reference: '/web01/vfs.fs.size["/var,x",pused]', params: '5m', operator: '>=', threshold: 95.5
+        });
+        expect(parseSimpleExpression('last(/web01/vm.memory.size[available])<1G')).toMatchObject({ right: '1G', threshold: null });
+    });
+
+    test('should not parse other expressions', () => {
+        expect(parseSimpleExpression('last(/web01/a)>1 and last(/web01/b)>1')).toBeNull();
+        expect(parseSimpleExpression('{13528}>90')).toBeNull();
+        expect(parseSimpleExpression('')).toBeNull();
+    });
+});
+
+describe('Flapping triggers', () => {
+    const HOUR_AGO = FROM + 86400 - 3600;
+    const cpuTrigger = {
+        triggerid: 't1',
+        description: 'High CPU utilization',
+        expression: 'last(/web01/system.cpu.util)>90',
+        recovery_mode: '0',
+        recovery_expression: '',
+        priority: '3',
+        hosts: [WEB],
+        items: [{ itemid: '100', name: 'CPU utilization', key_: 'system.cpu.util', value_type: '0', units: '%' }]
+    };
+
+    function mockTriggerHistory({ events, triggers, values = [] }) {
+        request.mockImplementation(async (method, params) => {
+            if (method === 'event.get') {
+                return events.slice(0, params.limit);
+            }
+            if (method === 'trigger.get') {
+                return triggers.filter(trigger => params.triggerids.includes(trigger.triggerid));
+            }
+            if (method === 'history.get') {
+                return values.map((value, index) => ({ clock: String(HOUR_AGO + index), value: String(value) }));
+            }
+            throw new Error(`Unexpected method ${method}`);
+        });
+    }
+
+    // Problem and OK every 10 minutes: 6 transitions within the hour
+    const flappingEvents = Array.from({ length: 6 }, (_, index) => ({
+        eventid: String(10 + index), objectid: 't1', clock: String(HOUR_AGO + index * 600), value: index % 2 === 0 ? '1' : '0'
+    }));
+
+    beforeEach(() => {
+        request.mockReset();
+    });
+
+    test('should flag triggers by their busiest hour and propose dry-run updates', async () => {
+        mockTriggerHistory({
+            events: [...flappingEvents, { eventid: '30', objectid: 't2', clock: String(HOUR_AGO), value: '1' }],
+            triggers: [cpuTrigger],
+            values: Array.from({ length: 100 }, (_, index) => 50 + index * 0.5)
+        });
+
+        const result = await detectFlappingTriggers({ timeFrom: FROM, timeTill: FROM + 86400 });
+
+        expect(result.triggersWithEvents).toBe(2);
+        expect(result.flapping).toHaveLength(1);
+        const [trigger] = result.flapping;
+        expect(trigger).toMatchObject({ triggerid: 't1', transitions: 6, problems: 3, peakPerHour: 6, medianProblemDuration: '10m' });
+        expect(trigger.values).toMatchObject({ count: 100, p25: 62, median: 74.5, p75: 87, p95: 97 });
+        expect(trigger.proposals.map(proposal => [proposal.kind, proposal.update])).toEqual([
+            ['sustained', { triggerid: 't1', expression: 'min(/web01/system.cpu.util,20m)>90' }],
+            ['average', { triggerid: 't1', expression: 'avg(/web01/system.cpu.util,20m)>90' }],
+            ['hysteresis', { triggerid: 't1', recovery_mode: 1, recovery_expression: 'last(/web01/system.cpu.util)<=77.5' }],
+            ['threshold', { triggerid: 't1', expression: 'last(/web01/system.cpu.util)>97' }]
+        ]);
+        expect(trigger.proposals[0].plan.objects[0].changes).toEqual([
+            { field: 'expression', before: 'last(/web01/system.cpu.util)>90', after: 'min(/web01/system.cpu.util,20m)>90' }
+        ]);
+        expect(request.mock.calls.filter(([method]) => method === 'trigger.get').every(([, params]) => params.expandExpression)).toBe(true);
+        expect(request.mock.calls.some(([method]) => method.endsWith('.update'))).toBe(false);
+        expect(schemaError('zabbix_detect_flapping_triggers', result)).toBeUndefined();
+    });
+
+    test('should explain when no change can be proposed', async () => {
+        mockTriggerHistory({
+            events: flappingEvents,
+            triggers: [{ ...cpuTrigger, expression: 'last(/web01/a)>1 or nodata(/web01/b,5m)=1' }]
+        });
+
+        const result = await detectFlappingTriggers({ timeFrom: FROM, timeTill: FROM + 86400 });
+
+        expect(result.flapping[0].proposals).toEqual([]);
+        expect(result.flapping[0].notes).toEqual(['The expression is not one function compared with a constant; no change is proposed.']);
+        expect(schemaError('zabbix_detect_flapping_triggers', result)).toBeUndefined();
+        expect(request.mock.calls.some(([method]) => method === 'history.get')).toBe(false);
+    });
+
+    test('should report when nothing flapped', async () => {
+        mockTriggerHistory({ events: flappingEvents.slice(0, 2), triggers: [] });
+
+        const result = await detectFlappingTriggers({ minTransitionsPerHour: 4 });
+
+        expect(result.flapping).toEqual([]);
+        expect(result.summary).toMatch(/^No trigger had 4 or more transitions in an hour/);
+        expect(schemaError('zabbix_detect_flapping_triggers', result)).toBeUndefined();
+    });
+});
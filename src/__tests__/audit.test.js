@@ -0,0 +1,122 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditLog, redact, identifyCaller } = require('../security/audit');
+
+describe('Audit trail', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zabbix-mcp-audit-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should redact sensitive argument values', () => {
+        expect(redact({
+            hostids: ['10084'],
+            passwd: 'secret',
+            confirmationToken: 'abc',
+            params: [{ apiToken: 'xyz', name: 'web' }]
+        })).toEqual({
+            hostids: ['10084'],
+            passwd: '[REDACTED]',
+            confirmationToken: '[REDACTED]',
+            params: [{ apiToken: '[REDACTED]', name: 'web' }]
+        });
+    });
+
+    test('should identify HTTP sessions and stdio callers', () => {
+        expect(identifyCaller({ sessionId: 'abc' })).toEqual({ sessionId: 'abc', client: 'http' });
+        expect(identifyCaller({ sessionId: 'abc', authInfo: { clientId: 'ops-bot' } })).toEqual({ sessionId: 'abc', client: 'ops-bot' });
+        expect(identifyCaller(undefined)).toEqual({ sessionId: null, client: 'stdio' });
+    });
+
+    test('should record tool calls with the Zabbix methods they triggered', async () => {
+        const audit = new AuditLog({ file: path.join(dir, 'audit.jsonl') });
+        const handler = audit.wrapHandler('zabbix_host_delete', async () => {
+            audit.recordApiCall('host.get', false);
+            audit.recordApiCall('host.delete', true);
+            return { content: [{ type: 'text', text: 'ok' }] };
+        });
+
+        await handler({ hostids: ['10084'] }, { sessionId: 'abc' });
+        const [record] = await audit.query();
+
+        expect(record).toMatchObject({
+            type: 'tool',
+            tool: 'zabbix_host_delete',
+            sessionId: 'abc',
+            client: 'http',
+            arguments: { hostids: ['10084'] },
+            zabbixMethods: ['host.get', 'host.delete'],
+            status: 'success'
+        });
+        expect(typeof record.durationMs).toBe('number');
+    });
+
+    test('should record failures and rethrow them', async () => {
+        const audit = new AuditLog({ file: path.join(dir, 'audit.jsonl') });
+        const handler = audit.wrapHandler('zabbix_execute_script', async () => {
+            throw new Error('No permissions');
+        });
+
+        await expect(handler({ scriptid: '1' })).rejects.toThrow('No permissions');
+        const [record] = await audit.query({ status: 'error' });
+
+        expect(record.error).toBe('No permissions');
+        expect(record.client).toBe('stdio');
+    });
+
+    test('should record writes made outside tool calls', async () => {
+        const audit = new AuditLog({ file: path.join(dir, 'audit.jsonl') });
+
+        audit.recordApiCall('host.get', false);
+        audit.recordApiCall('maintenance.create', true);
+        const records = await audit.query();
+
+        expect(records).toHaveLength(1);
+        expect(records[0]).toMatchObject({ type: 'api', zabbixMethods: ['maintenance.create'] });
+    });
+
+    test('should filter records by tool, session, method and argument text', async () => {
+        const audit = new AuditLog({ file: path.join(dir, 'audit.jsonl') });
+        await audit.write({ type: 'tool', tool: 'zabbix_get_hosts', sessionId: 'a', arguments: {}, zabbixMethods: ['host.get'] });
+        await audit.write({ type: 'tool', tool: 'zabbix_host_delete', sessionId: 'b', arguments: { hostids: ['10084'] }, zabbixMethods: ['host.delete'] });
+
+        expect((await audit.query({ tool: 'zabbix_host_delete' }))[0].sessionId).toBe('b');
+        expect(await audit.query({ sessionId: 'a' })).toHaveLength(1);
+        expect((await audit.query({ method: 'host.delete', search: '10084' }))[0].tool).toBe('zabbix_host_delete');
+        expect(await audit.query({ from: new Date(Date.now() + 60000).toISOString() })).toHaveLength(0);
+        expect((await audit.query({ limit: 1 }))[0].tool).toBe('zabbix_host_delete');
+    });
+
+    test('should rotate files and keep querying across them', async () => {
+        const file = path.join(dir, 'audit.jsonl');
+        const audit = new AuditLog({ file, maxSize: 200, maxFiles: 2 });
+
+        for (let index = 0; index < 6; index++) {
+            await audit.write({ type: 'tool', tool: `tool_${index}`, arguments: { padding: 'x'.repeat(80) } });
+        }
+
+        expect(fs.existsSync(`${file}.1`)).toBe(true);
+        expect(fs.existsSync(`${file}.2`)).toBe(true);
+        expect(fs.existsSync(`${file}.3`)).toBe(false);
+
+        const records = await audit.query();
+        expect(records[0].tool).toBe('tool_5');
+        expect(records.length).toBeLessThan(6);
+    });
+
+    test('should not write when disabled', async () => {
+        const file = path.join(dir, 'audit.jsonl');
+        const audit = new AuditLog({ file, enabled: false });
+
+        await audit.write({ type: 'tool', tool: 'zabbix_get_hosts' });
+
+        expect(fs.existsSync(file)).toBe(false);
+    });
+});
@@ -208,6 +208,27 @@ describe('APICache', () => {
             const key = apiCache.generateKey('/api/status');
             expect(key).toBe('/api/status:{}');
         });
+
+        test('should normalize nested parameters but keep array order', () => {
+            const key1 = apiCache.generateKey('host.get', { filter: { host: 'web', status: 0 }, sortfield: ['name', 'hostid'] });
+            const key2 = apiCache.generateKey('host.get', { sortfield: ['name', 'hostid'], filter: { status: 0, host: 'web' } });
+            const key3 = apiCache.generateKey('host.get', { sortfield: ['hostid', 'name'], filter: { status: 0, host: 'web' } });
+
+            expect(key1).toBe(key2);
+            expect(key1).not.toBe(key3);
+        });
+    });
+
+    describe('Invalidation', () => {
+        test('should delete entries by key prefix', () => {
+            apiCache.set('host.get:{}', [1]);
+            apiCache.set('hostgroup.get:{}', [2]);
+            apiCache.set('problem.get:{}', [3]);
+
+            expect(apiCache.deleteByPrefix('host.', 'problem.')).toBe(2);
+            expect(apiCache.has('hostgroup.get:{}')).toBe(true);
+            expect(apiCache.has('host.get:{}')).toBe(false);
+        });
     });
 
     describe('Cached API calls', () => {
@@ -0,0 +1,99 @@
+jest.mock('../api/zabbix-client', () => ({
+    getClient: jest.fn(),
+    request: jest.fn()
+}));
+
+const { request } = require('../api/zabbix-client');
+const { diffFields, planUpdate, planDelete, planCreate } = require('../api/changes');
+const { parseToolName } = require('../tools/dry-run');
+
+describe('Change planning', () => {
+    beforeEach(() => {
+        request.mockReset();
+    });
+
+    describe('diffFields', () => {
+        test('should treat numeric strings from Zabbix as equal to numbers', () => {
+            const result = diffFields({ status: '0', name: 'web01' }, { status: 0, name: 'web-01' });
+
+            expect(result.unchanged).toEqual(['status']);
+            expect(result.changes).toEqual([{ field: 'name', before: 'web01', after: 'web-01' }]);
+        });
+
+        test('should compare related arrays on the requested keys only', () => {
+            const current = { groups: [{ groupid: '2', name: 'Linux servers' }, { groupid: '4', name: 'Zabbix servers' }] };
+            const result = diffFields(current, { groups: [{ groupid: '2' }, { groupid: '7' }] });
+
+            expect(result.changes[0].added).toEqual([{ groupid: '7' }]);
+            expect(result.changes[0].removed).toEqual([{ groupid: '4' }]);
+        });
+
+        test('should map renamed related properties', () => {
+            const current = { parentTemplates: [{ templateid: '10001', name: 'Linux by Zabbix agent' }] };
+            const related = { templates: { select: 'selectParentTemplates', property: 'parentTemplates' } };
+
+            expect(diffFields(current, { templates: [{ templateid: '10001' }] }, related).unchanged).toEqual(['templates']);
+        });
+    });
+
+    test('should plan an update with selected related fields', async () => {
+        request.mockResolvedValueOnce([{ hostid: '10084', host: 'web01', status: '0', groups: [{ groupid: '2' }] }]);
+
+        const plan = await planUpdate('host', { hostid: '10084', status: 1, groups: [{ groupid: '2' }] });
+
+        expect(request).toHaveBeenCalledWith('host.get', expect.objectContaining({ hostids: ['10084'], selectGroups: 'extend' }));
+        expect(plan.objects[0]).toMatchObject({ id: '10084', name: 'web01', found: true, unchanged: ['groups'] });
+        expect(plan.objects[0].changes).toEqual([{ field: 'status', before: '0', after: 1 }]);
+        expect(plan.summary).toEqual({ objects: 1, notFound: 0, fieldsChanged: 1 });
+    });
+
+    test('should report objects that do not exist', async () => {
+        request.mockResolvedValueOnce([]);
+
+        const plan = await planUpdate('template', { templateid: '999', name: 'x' });
+
+        expect(plan.objects[0]).toMatchObject({ id: '999', found: false });
+        expect(plan.summary.notFound).toBe(1);
+    });
+
+    test('should list cascaded objects for a delete', async () => {
+        request.mockImplementation(async method => {
+            switch (method) {
+                case 'host.get': return [{ hostid: '10084', host: 'web01' }];
+                case 'item.get': return [{ itemid: '1', name: 'CPU load' }, { itemid: '2', name: 'Free memory' }];
+                case 'trigger.get': return [];
+                default: return [];
+            }
+        });
+
+        const plan = await planDelete('host', ['10084', '10085']);
+
+        expect(plan.objects).toEqual([{ id: '10084', name: 'web01' }]);
+        expect(plan.notFound).toEqual(['10085']);
+        expect(plan.dependents).toEqual([
+            { type: 'item', count: 2, sample: [{ id: '1', name: 'CPU load' }, { id: '2', name: 'Free memory' }] }
+        ]);
+        expect(request).not.toHaveBeenCalledWith('host.delete', expect.anything());
+    });
+
+    test('should report name conflicts for a create', async () => {
+        request.mockResolvedValueOnce([{ groupid: '2', name: 'Linux servers' }]);
+
+        const plan = await planCreate('hostgroup', { name: 'Linux servers' });
+
+        expect(plan.conflicts).toEqual([{ id: '2', name: 'Linux servers' }]);
+    });
+
+    test('should reject unsupported object types', async () => {
+        await expect(planDelete('unknown', ['1'])).rejects.toThrow("not supported for object type 'unknown'");
+    });
+
+    test('should derive operation and object type from tool names', () => {
+        expect(parseToolName('zabbix_host_update')).toEqual({ verb: 'update', type: 'host' });
+        expect(parseToolName('zabbix_delete_items')).toEqual({ verb: 'delete', type: 'item' });
+        expect(parseToolName('zabbix_delete_proxies')).toEqual({ verb: 'delete', type: 'proxy' });
+        expect(parseToolName('zabbix_delete_discovery_rules')).toEqual({ verb: 'delete', type: 'drule' });
+        expect(parseToolName('zabbix_update_maintenance')).toEqual({ verb: 'update', type: 'maintenance' });
+        expect(parseToolName('zabbix_import_configuration')).toEqual({ verb: 'import', type: 'configuration' });
+    });
+});
@@ -41,6 +41,16 @@ describe('Zabbix MCP Configuration', () => {
     test('should have logging configuration', () => {
       expect(config.logging.prefix).toBe('[Zabbix API Client]');
     });
+
+    test('should have read-only mode disabled by default', () => {
+      expect(config.security.readOnly).toBe(false);
+      expect(config.security.readOnlyBehavior).toBe('hide');
+    });
+
+    test('should expose all tools by default', () => {
+      expect(config.tools.include).toEqual([]);
+      expect(config.tools.exclude).toEqual([]);
+    });
   });
 
   describe('Environment Variable Override', () => {
@@ -97,6 +107,30 @@ describe('Zabbix MCP Configuration', () => {
       expect(customConfig.transport.http.sessionManagement).toBe(true);
     });
 
+    test('should read session limits, keeping 0 as no limit', () => {
+      process.env.MCP_SESSION_IDLE_TIMEOUT = '0';
+      process.env.MCP_MAX_SESSIONS = '25';
+      process.env.MCP_SESSION_RESUMABILITY = 'true';
+
+      jest.resetModules();
+      const customConfig = require('../config');
+
+      expect(customConfig.transport.http.sessionIdleTimeout).toBe(0);
+      expect(customConfig.transport.http.maxSessions).toBe(25);
+      expect(customConfig.transport.http.resumability).toBe(true);
+      expect(config.transport.http.sessionIdleTimeout).toBe(1800);
+    });
+
+    test('should accept the sse transport mode and reject unknown ones', () => {
+      process.env.MCP_TRANSPORT_MODE = 'sse';
+      jest.resetModules();
+      expect(require('../config').transport.mode).toBe('sse');
+
+      process.env.MCP_TRANSPORT_MODE = 'websocket';
+      jest.resetModules();
+      expect(() => require('../config')).toThrow("Invalid transport mode: websocket. Must be 'stdio', 'http' or 'sse'.");
+    });
+
     test('should respect SSL and cache environment variables', () => {
       process.env.ZABBIX_IGNORE_SELFSIGNED_CERT = 'true';
       process.env.CACHE_ENABLED = 'true';
@@ -108,6 +142,115 @@ describe('Zabbix MCP Configuration', () => {
       expect(customConfig.cache.enabled).toBe(true);
     });
 
+    test('should enable read-only mode from environment', () => {
+      process.env.MCP_READ_ONLY = 'true';
+      process.env.MCP_READ_ONLY_BEHAVIOR = 'refuse';
+
+      delete require.cache[require.resolve('../config')];
+      const customConfig = require('../config');
+
+      expect(customConfig.security.readOnly).toBe(true);
+      expect(customConfig.security.readOnlyBehavior).toBe('refuse');
+    });
+
+    test('should parse tool filter lists from environment', () => {
+      process.env.MCP_TOOLS_INCLUDE = 'hosts, problems,history';
+      process.env.MCP_TOOLS_EXCLUDE = 'zabbix_delete_*';
+
+      delete require.cache[require.resolve('../config')];
+      const customConfig = require('../config');
+
+      expect(customConfig.tools.include).toEqual(['hosts', 'problems', 'history']);
+      expect(customConfig.tools.exclude).toEqual(['zabbix_delete_*']);
+    });
+
+    test('should merge per-method cache TTL overrides with the defaults', () => {
+      process.env.CACHE_METHOD_TTLS = 'problem.get=5, Host.get=600,invalid';
+
+      delete require.cache[require.resolve('../config')];
+      const customConfig = require('../config');
+
+      expect(customConfig.cache.methodTtls['problem.get']).toBe(5);
+      expect(customConfig.cache.methodTtls['host.get']).toBe(600);
+      expect(customConfig.cache.methodTtls['template.get']).toBe(3600);
+      expect(customConfig.cache.methodTtls).not.toHaveProperty('invalid');
+    });
+
+    test('should build named Zabbix instances from environment', () => {
+      process.env.ZABBIX_INSTANCES = 'prod,dc-1';
+      process.env.ZABBIX_DEFAULT_INSTANCE = 'dc-1';
+      process.env.ZABBIX_PROD_API_URL = 'https://prod.example.com/api_jsonrpc.php';
+      process.env.ZABBIX_PROD_API_TOKEN = 'prod-token';
+      process.env.ZABBIX_DC_1_API_URL = 'https://dc1.example.com/api_jsonrpc.php';
+      process.env.ZABBIX_DC_1_PASSWORD = 'secret';
+
+      delete require.cache[require.resolve('../config')];
+      const customConfig = require('../config');
+
+      expect(Object.keys(customConfig.instances)).toEqual(['prod', 'dc-1']);
+      expect(customConfig.instances.prod).toMatchObject({ authMethod: 'token', apiToken: 'prod-token' });
+      expect(customConfig.instances['dc-1']).toMatchObject({ authMethod: 'password', username: 'Admin' });
+      expect(customConfig.defaultInstance).toBe('dc-1');
+      expect(customConfig.api.url).toBe('https://dc1.example.com/api_jsonrpc.php');
+    });
+
+    test('should use a single default instance without ZABBIX_INSTANCES', () => {
+      delete require.cache[require.resolve('../config')];
+      const customConfig = require('../config');
+
+      expect(Object.keys(customConfig.instances)).toEqual(['default']);
+      expect(customConfig.defaultInstance).toBe('default');
+      expect(customConfig.instances.default.url).toBe(customConfig.api.url);
+    });
+
+    test('should reject an unknown default instance', () => {
+      process.env.ZABBIX_INSTANCES = 'prod';
+      process.env.ZABBIX_PROD_API_URL = 'https://prod.example.com/api_jsonrpc.php';
+      process.env.ZABBIX_DEFAULT_INSTANCE = 'staging';
+
+      delete require.cache[require.resolve('../config')];
+      expect(() => require('../config')).toThrow('Invalid default Zabbix instance: staging');
+    });
+
+    test('should require per-user Zabbix credentials only when enabled', () => {
+      delete require.cache[require.resolve('../config')];
+      expect(require('../config').security.requireUserCredentials).toBe(false);
+
+      process.env.MCP_REQUIRE_USER_CREDENTIALS = 'true';
+      jest.resetModules();
+      expect(require('../config').security.requireUserCredentials).toBe(true);
+    });
+
+    test('should parse HTTP API keys and role categories', () => {
+      process.env.MCP_API_KEYS = 'grafana:read-only:abc,bot:operator:de:f';
+      process.env.MCP_ROLE_OPERATOR_CATEGORIES = 'hosts,problems';
+
+      delete require.cache[require.resolve('../config')];
+      const customConfig = require('../config');
+
+      expect(customConfig.auth.enabled).toBe(true);
+      expect(customConfig.auth.apiKeys).toEqual([
+        { name: 'grafana', role: 'read-only', key: 'abc' },
+        { name: 'bot', role: 'operator', key: 'de:f' }
+      ]);
+      expect(customConfig.auth.roles.operator).toEqual({ include: ['hosts', 'problems'], exclude: [], readOnly: false });
+      expect(customConfig.auth.roles['read-only'].readOnly).toBe(true);
+    });
+
+    test('should reject API keys with an unknown role', () => {
+      process.env.MCP_API_KEYS = 'grafana:viewer:abc';
+
+      delete require.cache[require.resolve('../config')];
+      expect(() => require('../config')).toThrow("Invalid role 'viewer' for API key 'grafana'");
+    });
+
+    test('should reject invalid read-only behavior', () => {
+      process.env.MCP_READ_ONLY_BEHAVIOR = 'ignore';
+
+      delete require.cache[require.resolve('../config')];
+      expect(() => require('../config')).toThrow('Invalid read-only behavior');
+    });
+
     test('should handle invalid timeout gracefully', () => {
       process.env.ZABBIX_REQUEST_TIMEOUT = 'invalid';
 
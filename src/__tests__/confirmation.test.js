@@ -0,0 +1,45 @@
+const { ConfirmationStore, fingerprint } = require('../security/confirmation');
+
+describe('Confirmation tokens', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should fingerprint arguments independently of key order', () => {
+        expect(fingerprint('zabbix_host_delete', { a: 1, b: [{ x: 1, y: 2 }] }))
+            .toBe(fingerprint('zabbix_host_delete', { b: [{ y: 2, x: 1 }], a: 1 }));
+        expect(fingerprint('zabbix_host_delete', { a: 1 }))
+            .not.toBe(fingerprint('zabbix_delete_templates', { a: 1 }));
+        expect(fingerprint('zabbix_host_delete', { a: 1 }, 'session-1'))
+            .not.toBe(fingerprint('zabbix_host_delete', { a: 1 }, 'session-2'));
+    });
+
+    test('should accept a token once for the same call', () => {
+        const store = new ConfirmationStore();
+        const { token } = store.issue('zabbix_execute_script', { scriptid: '1', hostid: '10084' });
+
+        expect(store.consume(token, 'zabbix_execute_script', { hostid: '10084', scriptid: '1' })).toEqual({ valid: true });
+        expect(store.consume(token, 'zabbix_execute_script', { hostid: '10084', scriptid: '1' }).valid).toBe(false);
+    });
+
+    test('should reject tokens for a different tool or session', () => {
+        const store = new ConfirmationStore();
+        const first = store.issue('zabbix_host_delete', { hostids: ['1'] }, 'session-1');
+        const second = store.issue('zabbix_host_delete', { hostids: ['1'] }, 'session-1');
+
+        expect(store.consume(first.token, 'zabbix_delete_templates', { hostids: ['1'] }, 'session-1').valid).toBe(false);
+        expect(store.consume(second.token, 'zabbix_host_delete', { hostids: ['1'] }, 'session-2').valid).toBe(false);
+    });
+
+    test('should expire tokens after the ttl', () => {
+        jest.useFakeTimers();
+        const store = new ConfirmationStore({ ttl: 1000 });
+        const { token } = store.issue('zabbix_host_delete', { hostids: ['1'] });
+
+        jest.advanceTimersByTime(1001);
+        const result = store.consume(token, 'zabbix_host_delete', { hostids: ['1'] });
+
+        expect(result.valid).toBe(false);
+        expect(result.reason).toContain('expired');
+    });
+});
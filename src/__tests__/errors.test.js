@@ -0,0 +1,70 @@
+const {
+    ZabbixMcpError,
+    ZabbixAuthError,
+    ZabbixNotFoundError,
+    ZabbixUnavailableError,
+    classifyError,
+    toToolErrorResult
+} = require('../utils/errors');
+
+function jsonRpcError(code, message, data) {
+    return Object.assign(new Error(message), { code, data });
+}
+
+describe('Error taxonomy', () => {
+    test.each([
+        [jsonRpcError(-32602, 'Invalid params.', 'Session terminated, re-login, please.'), 'AUTH_EXPIRED', false],
+        [jsonRpcError(-32500, 'Application error.', 'No permissions to call "host.create".'), 'PERMISSION_DENIED', false],
+        [jsonRpcError(-32500, 'Application error.', 'No permissions to referred object or it does not exist!'), 'NOT_FOUND', false],
+        [jsonRpcError(-32602, 'Invalid params.', 'Invalid parameter "/1/interfaces/1": the parameter "port" is missing.'), 'VALIDATION_ERROR', false],
+        [jsonRpcError(-32601, 'Method not found.'), 'VALIDATION_ERROR', false],
+        [Object.assign(new Error('Request failed with status code 429'), { response: { status: 429 } }), 'RATE_LIMITED', true],
+        [Object.assign(new Error('connect ECONNREFUSED 10.0.0.1:443'), { code: 'ECONNREFUSED' }), 'ZABBIX_UNAVAILABLE', true],
+        [Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' }), 'TIMEOUT', true],
+        [new Error('Something unexpected'), 'INTERNAL_ERROR', false]
+    ])('should classify %s', (error, code, retryable) => {
+        const classified = classifyError(error);
+
+        expect(classified).toBeInstanceOf(ZabbixMcpError);
+        expect(classified).toMatchObject({ code, retryable });
+        expect(classified.cause).toBe(error);
+    });
+
+    test('should keep the classification of a wrapped cause', () => {
+        const cause = new ZabbixUnavailableError('Zabbix unavailable, retry after 30 s', { retryAfter: 30 });
+        const wrapped = new Error(`Failed to retrieve hosts: ${cause.message}`, { cause });
+
+        const classified = classifyError(wrapped);
+
+        expect(classified).toBeInstanceOf(ZabbixUnavailableError);
+        expect(classified).toMatchObject({
+            code: 'ZABBIX_UNAVAILABLE',
+            message: 'Failed to retrieve hosts: Zabbix unavailable, retry after 30 s',
+            retryable: true,
+            retryAfter: 30
+        });
+        expect(classified.cause).toBe(wrapped);
+    });
+
+    test('should build an isError tool result with code, hint and retryable flag', () => {
+        const result = toToolErrorResult(new ZabbixAuthError('API token expired.', { zabbixCode: -32602 }));
+
+        expect(result.isError).toBe(true);
+        expect(result.structuredContent).toEqual({
+            error: {
+                code: 'AUTH_EXPIRED',
+                message: 'API token expired.',
+                hint: expect.stringContaining('Log in again'),
+                retryable: false,
+                zabbixCode: -32602
+            }
+        });
+        expect(JSON.parse(result.content[0].text)).toEqual(result.structuredContent);
+    });
+
+    test('should return classified errors unchanged', () => {
+        const error = new ZabbixNotFoundError('Host 10084 not found');
+
+        expect(classifyError(error)).toBe(error);
+    });
+});
@@ -0,0 +1,30 @@
+const { matchesGlob, matchesAny, parseList } = require('../utils/glob');
+
+describe('Glob utilities', () => {
+    test('should match exact values', () => {
+        expect(matchesGlob('maps', 'maps')).toBe(true);
+        expect(matchesGlob('maps', 'maps2')).toBe(false);
+    });
+
+    test('should match wildcards', () => {
+        expect(matchesGlob('zabbix_delete_*', 'zabbix_delete_templates')).toBe(true);
+        expect(matchesGlob('zabbix_delete_*', 'zabbix_get_templates')).toBe(false);
+        expect(matchesGlob('*_get_*', 'zabbix_get_items')).toBe(true);
+        expect(matchesGlob('zabbix_host_???', 'zabbix_host_get')).toBe(true);
+        expect(matchesGlob('*', 'anything')).toBe(true);
+        expect(matchesGlob('a*b*c', 'aXXbYYc')).toBe(true);
+        expect(matchesGlob('a*b*c', 'aXXbYY')).toBe(false);
+    });
+
+    test('should match any pattern against any value', () => {
+        expect(matchesAny(['hosts', 'problems'], 'zabbix_host_get', 'hosts')).toBe(true);
+        expect(matchesAny(['zabbix_get_*'], 'zabbix_host_get', 'hosts')).toBe(false);
+        expect(matchesAny([], 'zabbix_host_get')).toBe(false);
+    });
+
+    test('should parse comma separated lists', () => {
+        expect(parseList(' hosts, problems ,,zabbix_get_* ')).toEqual(['hosts', 'problems', 'zabbix_get_*']);
+        expect(parseList(undefined)).toEqual([]);
+        expect(parseList('')).toEqual([]);
+    });
+});
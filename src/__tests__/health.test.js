@@ -146,6 +146,42 @@ describe('HealthMonitor', () => {
         });
     });
 
+    describe('Liveness and readiness', () => {
+        test('should report liveness without running checks', () => {
+            const monitor = new healthMonitor.constructor();
+            const check = jest.fn();
+            monitor.registerHealthCheck('zabbixApi', check);
+
+            expect(monitor.getLiveness().status).toBe('ok');
+            expect(check).not.toHaveBeenCalled();
+        });
+
+        test('should fail checks that exceed the timeout', async () => {
+            const monitor = new healthMonitor.constructor({ checkTimeout: 20 });
+            monitor.registerHealthCheck('zabbixApi', () => new Promise(resolve => setTimeout(() => resolve({ status: 'ok' }), 200)));
+
+            const health = await monitor.getHealth();
+
+            expect(health.status).toBe('degraded');
+            expect(health.checks.zabbixApi).toEqual({ status: 'error', error: 'Health check zabbixApi timed out after 20 ms' });
+        });
+
+        test('should report degraded checks with their detail', async () => {
+            const monitor = new healthMonitor.constructor();
+            monitor.registerHealthCheck('zabbixApi', async () => ({
+                status: 'degraded',
+                instances: { prod: { status: 'error', authenticated: false } }
+            }));
+            monitor.registerHealthCheck('cache', async () => ({ status: 'ok', size: 3 }));
+
+            const health = await monitor.getHealth();
+
+            expect(health.status).toBe('degraded');
+            expect(health.checks.zabbixApi.instances.prod.authenticated).toBe(false);
+            expect(health.checks.cache.size).toBe(3);
+        });
+    });
+
     describe('Built-in health checks', () => {
         test('should include memory health check', async () => {
             const health = await healthMonitor.getHealth();
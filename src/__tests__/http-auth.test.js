@@ -0,0 +1,119 @@
+const { SecurityManager } = require('../security');
+const {
+    extractApiKey,
+    authenticate,
+    isCategoryAllowed,
+    createHttpAuthMiddleware,
+    getRequestRole
+} = require('../security/http-auth');
+
+const apiKeys = [
+    { name: 'grafana', role: 'read-only', key: 'read-key' },
+    { name: 'oncall-bot', role: 'operator', key: 'op-key' }
+];
+const roles = {
+    'read-only': { include: ['*'], exclude: ['users', 'audit'], readOnly: true },
+    operator: { include: ['*'], exclude: ['users'], readOnly: false }
+};
+
+function createRequest(headers = {}, ip = '10.0.0.1') {
+    return { headers: { 'user-agent': 'jest', ...headers }, ip, path: '/mcp' };
+}
+
+function createResponse() {
+    const res = { statusCode: 200, headers: {}, body: null };
+    res.status = jest.fn(code => {
+        res.statusCode = code;
+        return res;
+    });
+    res.set = jest.fn((name, value) => {
+        res.headers[name] = value;
+        return res;
+    });
+    res.json = jest.fn(body => {
+        res.body = body;
+        return res;
+    });
+    return res;
+}
+
+describe('HTTP authentication', () => {
+    let securityManager;
+
+    beforeEach(() => {
+        securityManager = new SecurityManager({ auditLog: false });
+    });
+
+    afterEach(() => {
+        securityManager.destroy();
+    });
+
+    test('should read API keys from X-API-Key and bearer tokens', () => {
+        expect(extractApiKey({ 'x-api-key': ' abc ' })).toBe('abc');
+        expect(extractApiKey({ authorization: 'Bearer abc' })).toBe('abc');
+        expect(extractApiKey({ authorization: 'Basic abc' })).toBeNull();
+    });
+
+    test('should match configured keys', () => {
+        expect(authenticate({ authorization: 'Bearer op-key' }, apiKeys)).toEqual({ name: 'oncall-bot', role: 'operator' });
+        expect(authenticate({ authorization: 'Bearer wrong' }, apiKeys)).toBeNull();
+        expect(authenticate({}, apiKeys)).toBeNull();
+    });
+
+    test('should limit tool categories by role', () => {
+        expect(isCategoryAllowed('hosts', roles['read-only'])).toBe(true);
+        expect(isCategoryAllowed('audit', roles['read-only'])).toBe(false);
+        expect(isCategoryAllowed('audit', roles.operator)).toBe(true);
+        expect(isCategoryAllowed('users')).toBe(true);
+    });
+
+    test('should reject requests without a valid key', () => {
+        const middleware = createHttpAuthMiddleware(securityManager, { apiKeys, roles, rateLimit: { windowMs: 60000, maxRequests: 10 } });
+        const res = createResponse();
+        const next = jest.fn();
+
+        middleware(createRequest({ authorization: 'Bearer wrong' }), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(401);
+        expect(res.headers['WWW-Authenticate']).toContain('Bearer');
+    });
+
+    test('should attach the client identity and role to authenticated requests', () => {
+        const middleware = createHttpAuthMiddleware(securityManager, { apiKeys, roles, rateLimit: { windowMs: 60000, maxRequests: 10 } });
+        const req = createRequest({ 'x-api-key': 'read-key' });
+        const next = jest.fn();
+
+        middleware(req, createResponse(), next);
+
+        expect(next).toHaveBeenCalled();
+        expect(req.auth.clientId).toBe('grafana');
+        expect(getRequestRole(req)).toEqual(roles['read-only']);
+    });
+
+    test('should throttle per API key across IP addresses', () => {
+        const middleware = createHttpAuthMiddleware(securityManager, { apiKeys, roles, rateLimit: { windowMs: 60000, maxRequests: 2 } });
+        const next = jest.fn();
+
+        middleware(createRequest({ 'x-api-key': 'op-key' }, '10.0.0.1'), createResponse(), next);
+        middleware(createRequest({ 'x-api-key': 'op-key' }, '10.0.0.2'), createResponse(), next);
+        const res = createResponse();
+        middleware(createRequest({ 'x-api-key': 'op-key' }, '10.0.0.3'), res, next);
+
+        expect(next).toHaveBeenCalledTimes(2);
+        expect(res.statusCode).toBe(429);
+        expect(Number(res.headers['Retry-After'])).toBeGreaterThan(0);
+    });
+
+    test('should throttle per IP even without authentication', () => {
+        const middleware = createHttpAuthMiddleware(securityManager, { apiKeys: [], roles, rateLimit: { windowMs: 60000, maxRequests: 1 } });
+        const next = jest.fn();
+        const res = createResponse();
+
+        middleware(createRequest(), createResponse(), next);
+        middleware(createRequest(), res, next);
+
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(res.statusCode).toBe(429);
+    });
+});
@@ -0,0 +1,152 @@
+jest.mock('../config', () => ({
+    security: { readOnly: false, readOnlyBehavior: 'hide', confirmTools: [], confirmTokenTtl: 120 },
+    tools: { include: [], exclude: [] },
+    audit: { enabled: false },
+    output: { maxTokens: 25000, maxBytes: 0, defaultPageSize: 100, maxPageSize: 1000 },
+    instances: {
+        prod: { name: 'prod', url: 'https://prod.example.com/api_jsonrpc.php' },
+        staging: { name: 'staging', url: 'https://staging.example.com/api_jsonrpc.php' },
+        dc1: { name: 'dc1', url: 'https://dc1.example.com/api_jsonrpc.php' }
+    },
+    defaultInstance: 'staging',
+    logging: { prefix: '[Zabbix API Client]' }
+}));
+jest.mock('../tools/dry-run', () => ({
+    planToolCall: jest.fn(async () => ({}))
+}));
+jest.mock('../api', () => ({
+    getInfrastructureHealth: jest.fn()
+}));
+
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const api = require('../api');
+const intelligenceTools = require('../tools/intelligence');
+const { getInstanceNames, resolveInstance, runWithInstance, currentInstance, currentSession } = require('../api/instances');
+const { createToolRegistrar } = require('../tools/registry');
+
+function createFakeServer() {
+    const tools = new Map();
+    return {
+        tools,
+        tool: jest.fn((name, description, schema, handler) => {
+            tools.set(name, handler);
+            return { name };
+        })
+    };
+}
+
+describe('Instance context', () => {
+    test('should list the default instance first', () => {
+        expect(getInstanceNames()).toEqual(['staging', 'prod', 'dc1']);
+    });
+
+    test('should resolve names and reject unknown instances', () => {
+        expect(resolveInstance()).toBe('staging');
+        expect(resolveInstance('dc1')).toBe('dc1');
+        expect(() => resolveInstance('qa')).toThrow("Unknown Zabbix instance 'qa'. Configured instances: staging, prod, dc1");
+    });
+
+    test('should expose the instance to the whole async call chain', async () => {
+        expect(currentInstance()).toBe('staging');
+
+        const seen = await runWithInstance('prod', async () => {
+            await Promise.resolve();
+            return currentInstance();
+        });
+
+        expect(seen).toBe('prod');
+        expect(currentInstance()).toBe('staging');
+    });
+});
+
+describe('Instance routing in the tool registrar', () => {
+    test('should add an instance argument and run the handler on that instance', async () => {
+        const server = createFakeServer();
+        const handler = jest.fn(async () => ({ content: [{ type: 'text', text: currentInstance() }] }));
+
+        createToolRegistrar(server, { category: 'hosts' }).tool('zabbix_get_hosts', 'Get hosts', { limit: {} }, handler);
+        const schema = server.tool.mock.calls[0][2];
+        const result = await server.tools.get('zabbix_get_hosts')({ instance: 'prod', limit: 5 });
+
+        expect(schema.instance.safeParse('all').success).toBe(false);
+        expect(handler).toHaveBeenCalledWith({ limit: 5 });
+        expect(result.content[0].text).toBe('prod');
+    });
+
+    test('should fan intelligence tools out across all instances', async () => {
+        const server = createFakeServer();
+        const handler = jest.fn(async () => {
+            if (currentInstance() === 'dc1') {
+                throw new Error('Zabbix unavailable, retry after 30 s');
+            }
+            return { content: [{ type: 'text', text: `health of ${currentInstance()}` }] };
+        });
+
+        createToolRegistrar(server, { category: 'intelligence' })
+            .tool('zabbix_get_infrastructure_health', 'Health', {}, handler);
+        const result = await server.tools.get('zabbix_get_infrastructure_health')({ instance: 'all' });
+
+        expect(result.isError).toBeUndefined();
+        expect(result.content.map(block => block.text)).toEqual([
+            '[instance: staging]\nhealth of staging',
+            '[instance: prod]\nhealth of prod',
+            '[instance: dc1] Error (ZABBIX_UNAVAILABLE): Zabbix unavailable, retry after 30 s'
+        ]);
+    });
+
+    test('should merge structured reports of all instances that pass the output schema', async () => {
+        api.getInfrastructureHealth.mockImplementation(async () => {
+            if (currentInstance() === 'dc1') {
+                throw new Error('Zabbix unavailable, retry after 30 s');
+            }
+            return {
+                summary: `Infrastructure health score: 100/100 on ${currentInstance()}.`,
+                healthScore: 100,
+                status: 'Excellent',
+                hosts: { total: 2, available: 2, unavailable: 0, unknown: 0 },
+                problems: { total: 0, bySeverity: { critical: 0, high: 0, average: 0, warning: 0, information: 0 } },
+                actionItems: [],
+                timestamp: '2026-10-18T10:00:00.000Z'
+            };
+        });
+        const server = new McpServer({ name: 'test', version: '1.0.0' });
+        intelligenceTools.registerTools(createToolRegistrar(server, { category: 'intelligence' }));
+        const client = new Client({ name: 'test-client', version: '1.0.0' });
+        const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+        await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+        const result = await client.callTool({ name: 'zabbix_get_infrastructure_health', arguments: { instance: 'all' } });
+
+        expect(result.isError).toBeUndefined();
+        expect(Object.keys(result.structuredContent.instances)).toEqual(['staging', 'prod', 'dc1']);
+        expect(result.structuredContent.instances.prod).toMatchObject({ healthScore: 100, status: 'Excellent' });
+        expect(result.structuredContent.instances.dc1.error).toMatchObject({ code: 'ZABBIX_UNAVAILABLE' });
+        expect(result.content[0].text).toBe('[instance: staging]\nInfrastructure health score: 100/100 on staging.');
+
+        const single = await client.callTool({ name: 'zabbix_get_infrastructure_health', arguments: { instance: 'prod' } });
+        expect(single.structuredContent).toMatchObject({ healthScore: 100 });
+
+        await client.close();
+    });
+
+    test('should run handlers on behalf of the calling MCP session', async () => {
+        const server = createFakeServer();
+        const handler = jest.fn(async () => ({ content: [{ type: 'text', text: `${currentSession()}@${currentInstance()}` }] }));
+
+        createToolRegistrar(server, { category: 'hosts' }).tool('zabbix_get_hosts', 'Get hosts', { limit: {} }, handler);
+        const result = await server.tools.get('zabbix_get_hosts')({ instance: 'dc1' }, { sessionId: 'abc' });
+
+        expect(result.content[0].text).toBe('abc@dc1');
+        expect(currentSession()).toBeNull();
+    });
+
+    test('should leave tools unchanged when only one instance is configured', () => {
+        const server = createFakeServer();
+
+        createToolRegistrar(server, { instances: ['prod'] }).tool('zabbix_get_hosts', 'Get hosts', { limit: {} }, jest.fn());
+
+        expect(Object.keys(server.tool.mock.calls[0][2])).toEqual(['limit']);
+    });
+});
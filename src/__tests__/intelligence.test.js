@@ -0,0 +1,280 @@
+jest.mock('../api/zabbix-client', () => ({
+    getClient: jest.fn(),
+    request: jest.fn()
+}));
+
+const { z } = require('zod');
+const { request } = require('../api/zabbix-client');
+const intelligence = require('../api/intelligence');
+const { getOutputSchema } = require('../tools/schemas/output');
+
+const { correlateProblems, getTimeline, formatTimeline } = intelligence;
+
+const NOW = 1700000000;
+
+function problem(eventid, objectid, minutesAfter, fields = {}) {
+    return { eventid, objectid, name: `Problem ${eventid}`, severity: '3', clock: String(NOW + minutesAfter * 60), acknowledged: '0', tags: [], ...fields };
+}
+
+function trigger(triggerid, hostid, dependsOn = []) {
+    return { triggerid, hosts: [{ hostid }], dependencies: dependsOn.map(id => ({ triggerid: id })) };
+}
+
+function schemaError(toolName, result) {
+    return z.object(getOutputSchema(toolName)).safeParse(result).error;
+}
+
+function mockZabbix({ problems, triggers, hosts }) {
+    request.mockImplementation(async (method, params) => {
+        if (method === 'problem.get') {
+            return problems;
+        }
+        if (method === 'trigger.get') {
+            return triggers.filter(item => params.triggerids.includes(item.triggerid));
+        }
+        if (method === 'host.get') {
+            return hosts.filter(host => params.hostids.includes(host.hostid));
+        }
+        throw new Error(`Unexpected method ${method}`);
+    });
+}
+
+describe('Problem correlation', () => {
+    beforeEach(() => {
+        request.mockReset();
+    });
+
+    test('should join problems through the trigger dependency chain and name the upstream root', async () => {
+        mockZabbix({
+            problems: [
+                problem('1', 't-switch', 0, { name: 'core-switch-1 down', severity: '5' }),
+                problem('2', 't-web', 3),
+                problem('3', 't-db', 240)
+            ],
+            // t-db depends on the switch through t-link, which has no open problem
+            triggers: [
+                trigger('t-switch', 'h-switch'),
+                trigger('t-web', 'h-web', ['t-switch']),
+                trigger('t-db', 'h-db', ['t-link']),
+                trigger('t-link', 'h-link', ['t-switch'])
+            ],
+            hosts: [
+                { hostid: 'h-switch', name: 'core-switch-1', hostgroups: [] },
+                { hostid: 'h-web', name: 'web01', hostgroups: [] },
+                { hostid: 'h-db', name: 'db01', hostgroups: [] }
+            ]
+        });
+
+        const result = await correlateProblems();
+
+        expect(result.incidents).toBe(1);
+        expect(result.clusters[0]).toMatchObject({
+            size: 3,
+            root: { eventid: '1', host: 'core-switch-1' },
+            rootReason: '2 other problem(s) depend on its trigger',
+            signals: ['trigger dependency']
+        });
+        expect(result.summary).toBe('3 problem(s), 1 incident(s), likely root: core-switch-1: core-switch-1 down.');
+        expect(schemaError('zabbix_correlate_problems', result)).toBeUndefined();
+    });
+
+    test('should join problems that started together on related hosts only', async () => {
+        mockZabbix({
+            problems: [
+                problem('10', 't-a', 0),
+                problem('11', 't-b', 2),
+                problem('12', 't-c', 4, { tags: [{ tag: 'service', value: 'mail' }] }),
+                problem('13', 't-d', 5, { tags: [{ tag: 'service', value: 'mail' }] }),
+                problem('14', 't-e', 1)
+            ],
+            triggers: [trigger('t-a', 'h-a'), trigger('t-b', 'h-b'), trigger('t-c', 'h-c'), trigger('t-d', 'h-d'), trigger('t-e', 'h-e')],
+            hosts: [
+                { hostid: 'h-a', name: 'vm-host', proxyid: '0', hostgroups: [] },
+                { hostid: 'h-b', name: 'vm-1', hostDiscovery: { parent_hostid: 'h-a' }, hostgroups: [] },
+                { hostid: 'h-c', name: 'mx1', hostgroups: [] },
+                { hostid: 'h-d', name: 'mx2', hostgroups: [] },
+                { hostid: 'h-e', name: 'printer', hostgroups: [] }
+            ]
+        });
+
+        const result = await correlateProblems({ timeWindow: 600 });
+
+        expect(result.incidents).toBe(3);
+        const [first, second, third] = result.clusters;
+        expect(first.root.host).toBe('vm-host');
+        expect(first.rootReason).toBe('it is on the parent host of other affected hosts');
+        expect(first.signals).toContain('parent host');
+        expect(second.hosts).toEqual(['mx1', 'mx2']);
+        expect(second.signals).toContain('tag service=mail');
+        expect(third).toMatchObject({ size: 1, hosts: ['printer'], rootReason: 'it is the only problem of the incident' });
+    });
+
+    test('should not join problems on the same host that started far apart', async () => {
+        mockZabbix({
+            problems: [problem('20', 't-disk', 0), problem('21', 't-cpu', 120)],
+            triggers: [trigger('t-disk', 'h-1'), trigger('t-cpu', 'h-1')],
+            hosts: [{ hostid: 'h-1', name: 'app01', hostgroups: [{ groupid: '2', name: 'Linux servers' }] }]
+        });
+
+        const result = await correlateProblems({ timeWindow: 600 });
+
+        expect(result.incidents).toBe(2);
+    });
+
+    test('should report when there are no open problems', async () => {
+        request.mockResolvedValueOnce([]);
+
+        const result = await correlateProblems();
+
+        expect(result).toMatchObject({ summary: 'No open problems.', totalProblems: 0, clusters: [] });
+        expect(schemaError('zabbix_correlate_problems', result)).toBeUndefined();
+    });
+});
+
+describe('Timeline', () => {
+    const FROM = NOW;
+    const TILL = NOW + 3600;
+
+    beforeEach(() => {
+        request.mockReset();
+    });
+
+    function mockSources(sources) {
+        request.mockImplementation(async (method, params) => {
+            const source = sources[method];
+            if (source === undefined) {
+                throw new Error(`Unexpected method ${method}`);
+            }
+            return typeof source === 'function' ? source(params) : source;
+        });
+    }
+
+    const problemEvent = {
+        eventid: '100',
+        objectid: '500',
+        clock: String(NOW + 60),
+        name: 'High CPU',
+        severity: '4',
+        r_eventid: '101',
+        hosts: [{ hostid: '10', name: 'web01' }],
+        acknowledges: [
+            { clock: String(NOW + 120), username: 'alice', message: 'Looking', action: '6' },
+            { clock: String(NOW - 7200), username: 'bob', message: '', action: '2' }
+        ]
+    };
+
+    test('should merge all sources into one chronological timeline', async () => {
+        mockSources({
+            'event.get': params => params.eventids ? [{ eventid: '101', clock: String(NOW + 900), userid: '0' }] : [problemEvent],
+            'alert.get': [
+                { eventid: '100', clock: String(NOW + 70), alerttype: '0', status: '1', sendto: 'ops@example.com', subject: 'Problem: High CPU', mediatypes: [{ name: 'Email' }], hosts: problemEvent.hosts },
+                { eventid: '100', clock: String(NOW + 75), alerttype: '0', status: '2', sendto: '+100', subject: 'Problem: High CPU', error: 'Gateway timeout', mediatypes: [{ name: 'SMS' }], hosts: problemEvent.hosts }
+            ],
+            'host.get': [{ hostid: '10', hostgroups: [] }],
+            'maintenance.get': [{ maintenanceid: '1', name: 'Patching', active_since: String(NOW), active_till: String(NOW + 86400), timeperiods: [{ timeperiod_type: '0', start_date: String(NOW + 1200), period: '600' }] }],
+            'auditlog.get': params => params.filter.resourcetype.includes(4) ? [
+                { clock: String(NOW + 30), username: 'carol', action: '1', resourcetype: '4', resourcename: 'web01', details: '{"host.status":["update","1","0"]}' },
+                { clock: String(NOW + 600), username: 'alice', action: '7', resourcetype: '25', resourcename: 'web01' }
+            ] : []
+        });
+
+        const timeline = await getTimeline({ hostIds: ['10'], timeFrom: FROM, timeTill: TILL });
+
+        expect(timeline.entries.map(entry => entry.type)).toEqual([
+            'config_change', 'problem', 'notification', 'notification_failed', 'acknowledgement',
+            'script', 'recovery', 'maintenance_start', 'maintenance_end'
+        ]);
+        expect(timeline.entries[0]).toMatchObject({ host: 'web01', summary: 'carol updated host web01', fields: ['host.status'] });
+        expect(timeline.entries[3].summary).toBe('SMS to +100 failed: Gateway timeout: Problem: High CPU');
+        expect(timeline.entries[4].summary).toBe('alice acknowledged, commented High CPU: "Looking"');
+        expect(timeline.hosts).toEqual(['web01']);
+        expect(timeline.counts.problem).toBe(1);
+
+        const narrative = formatTimeline(timeline);
+        expect(narrative.split('\n')).toHaveLength(timeline.entries.length + 1);
+        expect(narrative).toContain('PROBLEM        web01: High CPU (High)');
+        expect(schemaError('zabbix_get_timeline', timeline)).toBeUndefined();
+    });
+
+    test('should narrow other sources to the hosts of problems matched by tags', async () => {
+        mockSources({
+            'event.get': params => params.eventids ? [] : [{ ...problemEvent, r_eventid: '0', acknowledges: [] }],
+            'alert.get': [],
+            'host.get': [],
+            'maintenance.get': [],
+            'auditlog.get': []
+        });
+
+        await getTimeline({ tags: [{ tag: 'service', value: 'shop' }], timeFrom: FROM, timeTill: TILL });
+
+        const calls = request.mock.calls;
+        expect(calls[0][1]).toMatchObject({ tags: [{ tag: 'service', value: 'shop' }], problem_time_from: FROM, problem_time_till: TILL });
+        expect(calls[0][1]).not.toHaveProperty('hostids');
+        expect(calls.find(([method]) => method === 'alert.get')[1]).toMatchObject({ eventids: ['100'] });
+        expect(calls.find(([method]) => method === 'maintenance.get')[1]).toMatchObject({ hostids: ['10'] });
+        expect(calls.filter(([method]) => method === 'auditlog.get').map(([, params]) => params.filter)).toEqual([
+            { resourcetype: [4, 25], resourceid: ['10'] },
+            { resourcetype: [13], resourceid: ['500'] }
+        ]);
+    });
+
+    test('should cover an incident window and report sources it could not read', async () => {
+        mockSources({
+            'event.get': params => {
+                if (params.eventids?.[0] === '100') {
+                    return [{ eventid: '100', clock: String(NOW + 60), r_eventid: '101', hosts: [{ hostid: '10' }] }];
+                }
+                return params.eventids ? [{ eventid: '101', clock: String(NOW + 900) }] : [];
+            },
+            'host.get': [{ hostid: '10', name: 'web01', hostgroups: [] }],
+            'alert.get': [],
+            'maintenance.get': [],
+            'auditlog.get': () => {
+                throw new Error('No permissions to call "auditlog.get".');
+            }
+        });
+
+        const timeline = await getTimeline({ eventId: '100' });
+
+        expect(timeline.window).toEqual({
+            from: new Date((NOW + 60 - 1800) * 1000).toISOString(),
+            till: new Date((NOW + 900 + 1800) * 1000).toISOString()
+        });
+        expect(timeline.unavailable).toEqual(['config changes: No permissions to call "auditlog.get".']);
+        expect(formatTimeline(timeline)).toContain('Not included: config changes');
+        expect(schemaError('zabbix_get_timeline', timeline)).toBeUndefined();
+    });
+
+    test('should require something to cover', async () => {
+        await expect(getTimeline({ hoursBack: 2 })).rejects.toThrow('must be given');
+    });
+});
+
+describe('Reports', () => {
+    beforeEach(() => {
+        request.mockReset();
+        request.mockImplementation(async (method, params) => {
+            const rows = {
+                'host.get': [{ hostid: '1', name: 'web01', status: '0', available: '2', groups: [{ name: 'Linux servers' }] }],
+                'problem.get': [problem('11', '101', -90, { problemid: '11', severity: '5', hosts: [{ name: 'web01' }], tags: [{ tag: 'service', value: 'web' }] })],
+                'trigger.get': [{ triggerid: '101', description: 'High CPU load', priority: '4', lastchange: String(NOW), hosts: [{ name: 'web01' }], items: [{ name: 'CPU load', key_: 'system.cpu.load' }] }],
+                'maintenance.get': [{ maintenanceid: '5', name: 'Patching', active_since: '0', active_till: '0', hosts: [{ name: 'web01' }] }]
+            }[method];
+            return params.countOutput ? String(rows.length) : rows;
+        });
+    });
+
+    test.each([
+        ['zabbix_get_infrastructure_health', 'getInfrastructureHealth'],
+        ['zabbix_get_critical_issues', 'getCriticalIssues'],
+        ['zabbix_get_system_overview', 'getSystemOverview'],
+        ['zabbix_get_last_24_hours_summary', 'getLast24HoursSummary'],
+        ['zabbix_get_actionable_items', 'getActionableItems'],
+        ['zabbix_get_performance_alerts', 'getPerformanceAlerts']
+    ])('%s should match its declared output schema', async (toolName, functionName) => {
+        const result = await intelligence[functionName]();
+
+        expect(schemaError(toolName, result)).toBeUndefined();
+        expect(result.summary).toEqual(expect.any(String));
+    });
+});
@@ -0,0 +1,220 @@
+jest.mock('../config', () => ({
+    instances: { default: { name: 'default', url: 'https://zabbix.example.com/api_jsonrpc.php' } },
+    defaultInstance: 'default',
+    output: { maxTokens: 0, maxBytes: 0, defaultPageSize: 2, maxPageSize: 1000 },
+    logging: { prefix: '[Zabbix API Client]' }
+}));
+
+const config = require('../config');
+const { runWithPage, runUnpaged, claimPage, fetchPage, slicePage, positionAfter } = require('../api/pagination');
+const { withPagination, fitToBudget, getPagedTool } = require('../tools/pagination');
+const { createListResponse, createStructuredResponse } = require('../tools/utils');
+
+// In-memory stand-in for the Zabbix API, with ZabbixClient.request()'s page hook
+function createApi(rows) {
+    const calls = [];
+    const call = async (method, params) => {
+        calls.push({ method, params });
+        let matching = rows.filter(row => !params.hostids || params.hostids.includes(row.hostid));
+        if (params.countOutput) {
+            return String(matching.length);
+        }
+        if (params.time_till !== undefined) {
+            matching = matching.filter(row => Number(row.clock) <= params.time_till);
+        }
+        if (params.eventid_till !== undefined) {
+            matching = matching.filter(row => BigInt(row.eventid) <= BigInt(params.eventid_till));
+        }
+        if (params.sortorder === 'DESC') {
+            const field = params.sortfield[0];
+            matching = [...matching].sort((a, b) => Number(b[field]) - Number(a[field]));
+        }
+        return params.limit ? matching.slice(0, params.limit) : matching;
+    };
+    const request = async (method, params) => {
+        const page = claimPage(method);
+        return page ? await fetchPage(page, params, call) : await call(method, params);
+    };
+    return { calls, request };
+}
+
+describe('Keyset pages', () => {
+    test('should page by ascending ID and report the total', async () => {
+        const api = createApi(['10105', '10084', '9999', '10200'].map(hostid => ({ hostid })));
+        const page = { method: 'host.get', strategy: 'id', idField: 'hostid', idsParam: 'hostids', pageSize: 2 };
+
+        const rows = await runWithPage(page, () => api.request('host.get', { output: ['name'], limit: 50 }));
+
+        expect(rows.map(row => row.hostid)).toEqual(['9999', '10084']);
+        expect(page).toMatchObject({ total: 4, hasMore: true });
+        expect(api.calls[2].params).toEqual({ output: ['name', 'hostid'], hostids: ['9999', '10084'] });
+    });
+
+    test('should continue after the last ID of the previous page', async () => {
+        const api = createApi(['10105', '10084', '9999', '10200'].map(hostid => ({ hostid })));
+        const page = { method: 'host.get', strategy: 'id', idField: 'hostid', idsParam: 'hostids', pageSize: 2, after: '10084' };
+
+        const rows = await runWithPage(page, () => api.request('host.get', {}));
+
+        expect(rows.map(row => row.hostid)).toEqual(['10105', '10200']);
+        expect(page.hasMore).toBe(false);
+    });
+
+    test('should page events newest first with eventid_till', async () => {
+        const api = createApi(['5', '6', '7', '8', '9'].map(eventid => ({ eventid })));
+        const page = { method: 'event.get', strategy: 'eventid', pageSize: 2, after: '8' };
+
+        const rows = await runWithPage(page, () => api.request('event.get', { sortfield: ['clock'], sortorder: 'ASC' }));
+
+        expect(rows.map(row => row.eventid)).toEqual(['7', '6']);
+        expect(api.calls[1].params).toMatchObject({ sortfield: ['eventid'], sortorder: 'DESC', eventid_till: '7', limit: 3 });
+        expect(page.hasMore).toBe(true);
+    });
+
+    test('should not repeat values sharing the boundary clock', async () => {
+        const api = createApi([
+            { clock: '300', value: 'a' },
+            { clock: '200', value: 'b' },
+            { clock: '200', value: 'c' },
+            { clock: '100', value: 'd' }
+        ]);
+        const page = { method: 'history.get', strategy: 'clock', pageSize: 2, after: '200', skip: 1 };
+
+        const rows = await runWithPage(page, () => api.request('history.get', { itemids: ['1'] }));
+
+        expect(rows.map(row => row.value)).toEqual(['c', 'd']);
+        expect(page.hasMore).toBe(false);
+    });
+
+    test('should page local records by timestamp without repeating the boundary', () => {
+        const records = ['03', '02', '02', '01'].map((second, index) => ({ timestamp: `2026-10-18T10:00:${second}.000Z`, index }));
+        const first = { method: 'audit.query', strategy: 'timestamp', pageSize: 2 };
+
+        const firstRows = runWithPage(first, () => slicePage(claimPage('audit.query'), records));
+        const next = { ...first, ...positionAfter(first, firstRows) };
+        const nextRows = slicePage(next, records);
+
+        expect(firstRows.map(row => row.index)).toEqual([0, 1]);
+        expect(first).toMatchObject({ total: 4, hasMore: true });
+        expect(nextRows.map(row => row.index)).toEqual([2, 3]);
+        expect(next.hasMore).toBe(false);
+    });
+
+    test('should page latest data and the audit trail but not trends', () => {
+        expect(getPagedTool('zabbix_get_latest_data')).toMatchObject({ method: 'history.get', strategy: 'clock', listKey: 'items' });
+        expect(getPagedTool('zabbix_query_audit_trail')).toMatchObject({ strategy: 'timestamp', listKey: 'records' });
+        // trend.get rejects sortfield, which clock paging needs
+        expect(getPagedTool('zabbix_get_trends')).toBeUndefined();
+    });
+
+    test('should leave other methods and unpaged lookups alone', async () => {
+        const api = createApi([{ hostid: '1' }, { hostid: '2' }, { hostid: '3' }]);
+        const page = { method: 'host.get', strategy: 'id', idField: 'hostid', idsParam: 'hostids', pageSize: 1 };
+
+        await runWithPage(page, async () => {
+            await api.request('item.get', {});
+            expect(await runUnpaged(() => api.request('host.get', {}))).toHaveLength(3);
+            expect(await api.request('host.get', {})).toHaveLength(1);
+            expect(await api.request('host.get', {})).toHaveLength(3);
+        });
+    });
+});
+
+describe('Paged list tools', () => {
+    const spec = { method: 'host.get', idField: 'hostid', idsParam: 'hostids', listKey: 'hosts' };
+
+    function createTool(api) {
+        const handler = async args => createListResponse('hosts', 'hosts', await api.request('host.get', { search: args.search }));
+        const [, schema, pagedHandler] = withPagination('zabbix_host_get', ['Get hosts', { search: {} }, handler], spec);
+        return { schema, call: args => pagedHandler(args) };
+    }
+
+    test('should walk all pages with nextCursor', async () => {
+        const api = createApi(['1', '2', '3', '4', '5'].map(hostid => ({ hostid })));
+        const tool = createTool(api);
+        expect(tool.schema).toHaveProperty('cursor');
+        expect(tool.schema).toHaveProperty('pageSize');
+
+        const seen = [];
+        let cursor;
+        do {
+            const result = await tool.call({ search: { name: 'web' }, cursor });
+            expect(result.structuredContent.total).toBe(5);
+            seen.push(...result.structuredContent.hosts.map(host => host.hostid));
+            cursor = result.structuredContent.nextCursor;
+        } while (cursor);
+
+        expect(seen).toEqual(['1', '2', '3', '4', '5']);
+    });
+
+    test('should reject a cursor issued for other arguments', async () => {
+        const api = createApi(['1', '2', '3'].map(hostid => ({ hostid })));
+        const tool = createTool(api);
+        const first = await tool.call({ search: { name: 'web' } });
+
+        await expect(tool.call({ search: { name: 'db' }, cursor: first.structuredContent.nextCursor }))
+            .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+        await expect(tool.call({ search: { name: 'web' }, cursor: 'not-a-cursor' }))
+            .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+
+    test('should cut a page to the output budget and continue after the kept objects', async () => {
+        const api = createApi(['1', '2', '3', '4'].map(hostid => ({ hostid, description: 'x'.repeat(1000) })));
+        const tool = createTool(api);
+        config.output.maxBytes = 3000;
+        try {
+            const first = await tool.call({ search: {}, pageSize: 4 });
+            expect(first.structuredContent).toMatchObject({ truncated: true, total: 4 });
+            const kept = first.structuredContent.hosts.map(host => host.hostid);
+            expect(kept.length).toBeLessThan(4);
+
+            const second = await tool.call({ search: {}, cursor: first.structuredContent.nextCursor });
+            expect(second.structuredContent.hosts[0].hostid).toBe(String(kept.length + 1));
+        } finally {
+            config.output.maxBytes = 0;
+        }
+    });
+});
+
+describe('Output budget', () => {
+    test('should cut the text of results without a list', () => {
+        const result = { content: [{ type: 'text', text: 'y'.repeat(5000) }] };
+
+        const fitted = fitToBudget(result, { budget: 1000 });
+
+        expect(Buffer.byteLength(fitted.content[0].text)).toBeLessThanOrEqual(1000);
+        expect(fitted.content[0].text).toContain('(truncated');
+    });
+
+    test('should drop list objects from unpaged structured results', () => {
+        const records = Array.from({ length: 50 }, (_, index) => ({ index, detail: 'z'.repeat(100) }));
+        const result = createStructuredResponse('Found 50 records.', { count: 50, records });
+
+        const fitted = fitToBudget(result, { budget: 2000 });
+
+        expect(fitted.structuredContent.truncated).toBe(true);
+        expect(fitted.structuredContent.count).toBe(fitted.structuredContent.records.length);
+        expect(fitted.structuredContent.nextCursor).toBeUndefined();
+        expect(fitted.content.reduce((size, block) => size + Buffer.byteLength(block.text), 0)).toBeLessThanOrEqual(2000);
+    });
+
+    test('should shorten the arrays of structured results that are not a list', () => {
+        const hosts = Array.from({ length: 40 }, (_, index) => ({ hostid: String(index), name: 'h'.repeat(100) }));
+        const result = createStructuredResponse('SLA report.', { period: 'week', sla: { hosts, total: 40 } });
+
+        const fitted = fitToBudget(result, { budget: 2000 });
+
+        expect(fitted.structuredContent).toMatchObject({ period: 'week', truncated: true, sla: { total: 40 } });
+        expect(fitted.structuredContent.sla.hosts.length).toBeLessThan(40);
+        expect(JSON.parse(fitted.content[1].text)).toEqual(fitted.structuredContent);
+        expect(fitted.content.reduce((size, block) => size + Buffer.byteLength(block.text), 0)).toBeLessThanOrEqual(2000);
+    });
+
+    test('should leave results within budget and errors untouched', () => {
+        const small = createListResponse('hosts', 'hosts', [{ hostid: '1' }]);
+        const error = { content: [{ type: 'text', text: 'e'.repeat(5000) }], isError: true };
+
+        expect(fitToBudget(small, { budget: 1000 })).toBe(small);
+        expect(fitToBudget(error, { budget: 1000 })).toBe(error);
+    });
+});
@@ -0,0 +1,111 @@
+jest.mock('../api/zabbix-client', () => ({
+    getClient: jest.fn(),
+    request: jest.fn()
+}));
+
+const { request } = require('../api/zabbix-client');
+const { ACKNOWLEDGE_ACTIONS, buildAcknowledgeParams, checkManualClose, closeProblems } = require('../api/problems');
+const { planAcknowledge } = require('../api/changes');
+
+function problemEvent(eventid, fields = {}) {
+    return {
+        eventid,
+        source: '0',
+        object: '0',
+        value: '1',
+        r_eventid: '0',
+        name: `Problem ${eventid}`,
+        relatedObject: { triggerid: `t${eventid}`, description: `Trigger ${eventid}`, manual_close: '1' },
+        ...fields
+    };
+}
+
+describe('Problem lifecycle', () => {
+    beforeEach(() => {
+        request.mockReset();
+    });
+
+    describe('buildAcknowledgeParams', () => {
+        test('should combine named operations into the action bitmask', () => {
+            expect(buildAcknowledgeParams({ close: true, message: 'fixed' })).toEqual({
+                action: ACKNOWLEDGE_ACTIONS.CLOSE | ACKNOWLEDGE_ACTIONS.ADD_MESSAGE,
+                message: 'fixed'
+            });
+            expect(buildAcknowledgeParams({ severity: 0 })).toEqual({ action: ACKNOWLEDGE_ACTIONS.CHANGE_SEVERITY, severity: 0 });
+            expect(buildAcknowledgeParams({ suppressUntil: 0 })).toEqual({ action: ACKNOWLEDGE_ACTIONS.SUPPRESS, suppress_until: 0 });
+            expect(buildAcknowledgeParams({ rank: 'symptom', causeEventId: '42' })).toEqual({
+                action: ACKNOWLEDGE_ACTIONS.CHANGE_TO_SYMPTOM,
+                cause_eventid: '42'
+            });
+        });
+
+        test.each([
+            [{}, /At least one/],
+            [{ acknowledge: true, unacknowledge: true }, /must not be combined/],
+            [{ suppressUntil: 1000 }, /must be in the future/],
+            [{ severity: 7 }, /severity must be/],
+            [{ rank: 'symptom' }, /causeEventId must be given/]
+        ])('should reject %j', (operations, message) => {
+            expect(() => buildAcknowledgeParams(operations)).toThrow(message);
+        });
+    });
+
+    test('should explain why events cannot be closed', async () => {
+        request.mockResolvedValueOnce([
+            problemEvent('1'),
+            problemEvent('2', { relatedObject: { description: 'CPU load is high', manual_close: '0' } }),
+            problemEvent('3', { r_eventid: '31' }),
+            problemEvent('4', { source: '3' })
+        ]);
+
+        const { closable, rejected } = await checkManualClose(['1', '2', '3', '4', '5']);
+
+        expect(request).toHaveBeenCalledWith('event.get', expect.objectContaining({
+            selectRelatedObject: expect.arrayContaining(['manual_close'])
+        }));
+        expect(closable).toEqual(['1']);
+        expect(rejected).toEqual([
+            { eventid: '2', reason: expect.stringContaining('"CPU load is high" does not allow manual close') },
+            { eventid: '3', reason: 'problem is already resolved' },
+            { eventid: '4', reason: 'not a trigger event' },
+            { eventid: '5', reason: 'event not found or not visible to this user' }
+        ]);
+    });
+
+    test('should close only the closable problems', async () => {
+        request.mockImplementation(async method => (method === 'event.get'
+            ? [problemEvent('1'), problemEvent('2', { relatedObject: { manual_close: '0' } })]
+            : { eventids: ['1'] }));
+
+        const result = await closeProblems(['1', '2'], 'Handled');
+
+        expect(request).toHaveBeenLastCalledWith('event.acknowledge', {
+            eventids: ['1'],
+            action: ACKNOWLEDGE_ACTIONS.CLOSE | ACKNOWLEDGE_ACTIONS.ADD_MESSAGE,
+            message: 'Handled'
+        });
+        expect(result.closed).toEqual(['1']);
+        expect(result.rejected).toHaveLength(1);
+    });
+
+    test('should not call event.acknowledge when nothing can be closed', async () => {
+        request.mockResolvedValueOnce([problemEvent('2', { relatedObject: { manual_close: '0' } })]);
+
+        const result = await closeProblems(['2']);
+
+        expect(request).toHaveBeenCalledTimes(1);
+        expect(result).toEqual({ closed: [], rejected: [expect.objectContaining({ eventid: '2' })] });
+    });
+
+    test('should list problems that cannot be closed in a close plan', async () => {
+        request.mockImplementation(async (method, params) => (params.selectRelatedObject
+            ? [problemEvent('1', { relatedObject: { manual_close: '0' } })]
+            : [{ eventid: '1', name: 'Problem 1' }]));
+
+        const plan = await planAcknowledge(['1'], { eventids: ['1'] }, 'close');
+
+        expect(plan.operation).toBe('close');
+        expect(plan.cannotClose).toEqual([expect.objectContaining({ eventid: '1' })]);
+        expect(plan.summary).toEqual({ objects: 1, closable: 0 });
+    });
+});
@@ -0,0 +1,172 @@
+jest.mock('../api', () => ({
+    getHosts: jest.fn(),
+    getTemplates: jest.fn(),
+    getProblems: jest.fn(),
+    getEvents: jest.fn(),
+    getDashboards: jest.fn(),
+    exportConfiguration: jest.fn(),
+    runWithSession: jest.fn((sessionId, fn) => fn())
+}));
+jest.mock('../tools/dry-run', () => ({
+    planToolCall: jest.fn(async () => ({}))
+}));
+
+const api = require('../api');
+const { claimPage, fetchPage } = require('../api/pagination');
+const { registerAllResources, listResourcePage, decodeCursor, RESOURCE_TEMPLATES } = require('../resources');
+
+function createFakeServer() {
+    const resources = new Map();
+    const handlers = new Map();
+    return {
+        resources,
+        handlers,
+        resource: jest.fn((name, template, metadata, read) => {
+            resources.set(name, { template, metadata, read });
+        }),
+        server: {
+            registerCapabilities: jest.fn(),
+            sendResourceUpdated: jest.fn(async () => {}),
+            setRequestHandler: jest.fn((schema, handler) => {
+                handlers.set(schema.shape.method.value, handler);
+            })
+        }
+    };
+}
+
+// In-memory stand-in for a Zabbix getter, with ZabbixClient.request()'s page hook
+function pagedGetter(method, idField, objects) {
+    const calls = [];
+    const call = async (calledMethod, params) => {
+        calls.push(params);
+        if (params.countOutput) {
+            return String(objects.length);
+        }
+        const ids = params[`${idField}s`];
+        return ids ? objects.filter(object => ids.includes(object[idField])) : objects;
+    };
+    const get = jest.fn(async params => {
+        const page = claimPage(method);
+        return page ? await fetchPage(page, params, call) : await call(method, params);
+    });
+    return { get, calls };
+}
+
+function listDefinition(type, count) {
+    const objects = Array.from({ length: count }, (value, index) => ({ id: String(index + 1) }));
+    const { get } = pagedGetter(`${type}.get`, 'id', objects);
+    return {
+        type,
+        page: { method: `${type}.get`, idField: 'id', idsParam: 'ids' },
+        list: () => get({}),
+        toResource: object => ({ uri: `zabbix://${type}/${object.id}`, name: `${type} ${object.id}` })
+    };
+}
+
+describe('Zabbix resources', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should register the resource templates and a paginated list handler', () => {
+        const server = createFakeServer();
+
+        const types = registerAllResources(server);
+
+        expect(types).toEqual(['host', 'template', 'problem', 'active-problems', 'host-problems', 'dashboard', 'config-export']);
+        expect(server.resources.get('zabbix_host').template.uriTemplate.toString()).toBe('zabbix://host/{hostid}');
+        expect(server.resources.get('zabbix_config_export').template.uriTemplate.toString()).toBe('zabbix://config-export/{type}/{id}');
+        expect(server.handlers.has('resources/list')).toBe(true);
+        expect(server.handlers.has('resources/subscribe')).toBe(true);
+        expect(server.server.registerCapabilities).toHaveBeenCalledWith({ resources: { subscribe: true } });
+    });
+
+    test('should skip templates of categories the role may not use', () => {
+        const server = createFakeServer();
+
+        const types = registerAllResources(server, { role: { include: ['*'], exclude: ['configuration', 'dashboards'] } });
+
+        expect(types).toEqual(['host', 'template', 'problem', 'active-problems', 'host-problems']);
+    });
+
+    test('should page across resource types with a cursor', async () => {
+        const definitions = [listDefinition('host', 3), listDefinition('template', 2)];
+
+        const first = await listResourcePage(definitions, undefined, 2);
+        const second = await listResourcePage(definitions, first.nextCursor, 2);
+        const third = await listResourcePage(definitions, second.nextCursor, 2);
+
+        expect(first.resources.map(resource => resource.uri)).toEqual(['zabbix://host/1', 'zabbix://host/2']);
+        expect(second.resources.map(resource => resource.uri)).toEqual(['zabbix://host/3', 'zabbix://template/1']);
+        expect(decodeCursor(second.nextCursor)).toEqual({ type: 'template', after: '1' });
+        expect(third.resources.map(resource => resource.uri)).toEqual(['zabbix://template/2']);
+        expect(third.nextCursor).toBeUndefined();
+    });
+
+    test('should read only the hosts of the page from Zabbix and continue after the last ID', async () => {
+        const hosts = ['10084', '10105', '10200'].map(hostid => ({ hostid, host: `host-${hostid}` }));
+        const { get, calls } = pagedGetter('host.get', 'hostid', hosts);
+        api.getHosts.mockImplementation(get);
+        const definitions = RESOURCE_TEMPLATES.filter(definition => definition.type === 'host');
+
+        const first = await listResourcePage(definitions, undefined, 2);
+        const second = await listResourcePage(definitions, first.nextCursor, 2);
+
+        expect(first.resources.map(resource => resource.uri)).toEqual(['zabbix://host/10084', 'zabbix://host/10105']);
+        expect(calls.filter(params => params.hostids).map(params => params.hostids)).toEqual([['10084', '10105'], ['10200']]);
+        expect(decodeCursor(first.nextCursor)).toEqual({ type: 'host', after: '10105' });
+        expect(second).toEqual({ resources: [expect.objectContaining({ uri: 'zabbix://host/10200', name: 'host-10200' })] });
+    });
+
+    test('should list fixed entries whole', async () => {
+        const definitions = RESOURCE_TEMPLATES.filter(definition => definition.type === 'active-problems');
+
+        const result = await listResourcePage(definitions, undefined, 10);
+
+        expect(result.resources).toEqual([expect.objectContaining({ uri: 'zabbix://problems/active', mimeType: 'application/json' })]);
+    });
+
+    test('should reject malformed cursors', async () => {
+        await expect(listResourcePage([listDefinition('host', 1)], 'not-a-cursor', 10)).rejects.toThrow('Invalid resources/list cursor');
+    });
+
+    test('should read a host through the API getters in the caller session', async () => {
+        const server = createFakeServer();
+        registerAllResources(server);
+        api.getHosts.mockResolvedValue([{ hostid: '10084', host: 'web01' }]);
+
+        const { read } = server.resources.get('zabbix_host');
+        const result = await read(new URL('zabbix://host/10084'), { hostid: '10084' }, { sessionId: 'abc' });
+
+        expect(api.runWithSession).toHaveBeenCalledWith('abc', expect.any(Function));
+        expect(api.getHosts).toHaveBeenCalledWith(expect.objectContaining({ hostids: ['10084'] }));
+        expect(JSON.parse(result.contents[0].text)).toEqual({ hostid: '10084', host: 'web01' });
+    });
+
+    test('should return YAML exports and report missing objects', async () => {
+        const server = createFakeServer();
+        registerAllResources(server);
+        api.exportConfiguration.mockResolvedValue({ configuration: 'zabbix_export:\n  version: "7.0"\n' });
+        api.getTemplates.mockResolvedValue([]);
+
+        const exported = await server.resources.get('zabbix_config_export').read(
+            new URL('zabbix://config-export/templates/10001'), { type: 'templates', id: '10001' });
+        const missing = server.resources.get('zabbix_template').read(
+            new URL('zabbix://template/Linux%20by%20Zabbix%20agent'), { name: 'Linux%20by%20Zabbix%20agent' });
+
+        expect(api.exportConfiguration).toHaveBeenCalledWith(expect.objectContaining({ format: 'yaml', options: { templates: ['10001'] } }));
+        expect(exported.contents[0]).toMatchObject({ mimeType: 'application/yaml', text: 'zabbix_export:\n  version: "7.0"\n' });
+        await expect(missing).rejects.toThrow('Template Linux by Zabbix agent not found');
+    });
+
+    test('should complete template names by search', async () => {
+        const server = createFakeServer();
+        registerAllResources(server);
+        api.getTemplates.mockResolvedValue([{ host: 'Linux by Zabbix agent' }]);
+
+        const complete = server.resources.get('zabbix_template').template.completeCallback('name');
+
+        await expect(complete('Linux')).resolves.toEqual(['Linux by Zabbix agent']);
+        expect(api.getTemplates).toHaveBeenCalledWith(expect.objectContaining({ search: { host: 'Linux' } }));
+    });
+});
@@ -171,6 +171,14 @@ describe('CircuitBreaker', () => {
                 .rejects.toThrow('Circuit breaker test is OPEN');
         });
 
+        test('should report when the next call will be let through', async () => {
+            const error = await circuitBreaker.execute(mockFn, 'test').catch(err => err);
+
+            expect(error.code).toBe('CIRCUIT_OPEN');
+            expect(error.retryAfter).toBeGreaterThan(0);
+            expect(circuitBreaker.getState().retryAfter).toBe(error.retryAfter);
+        });
+
         test('should transition to HALF_OPEN after recovery timeout', async () => {
             // Wait for recovery timeout
             await new Promise(resolve => setTimeout(resolve, 1100));
@@ -324,3 +332,66 @@ describe('Integration scenarios', () => {
         expect(mockFn).toHaveBeenCalledTimes(3);
     });
 }); 
+
+describe('Transient error classification', () => {
+    test('should treat gateway errors and socket failures as retryable', () => {
+        const policy = new RetryPolicy();
+        const badGateway = new Error('Request failed');
+        badGateway.status = 502;
+
+        expect(policy.isRetryable(badGateway)).toBe(true);
+        expect(policy.isRetryable(new Error('502 Bad Gateway'))).toBe(true);
+        expect(policy.isRetryable(new Error('socket hang up'))).toBe(true);
+        expect(policy.isRetryable(new Error('No permissions to referred object or it does not exist!'))).toBe(false);
+    });
+
+    test('should only count failures selected by isFailure', async () => {
+        const policy = new RetryPolicy();
+        const breaker = new CircuitBreaker({
+            failureThreshold: 2,
+            isFailure: error => policy.isRetryable(error)
+        });
+        const rejected = jest.fn().mockRejectedValue(new Error('Invalid params.'));
+
+        for (let i = 0; i < 3; i++) {
+            await expect(breaker.execute(rejected, 'zabbix')).rejects.toThrow('Invalid params.');
+        }
+        expect(breaker.getState().state).toBe('CLOSED');
+
+        const unavailable = jest.fn().mockRejectedValue(new Error('503 Service Unavailable'));
+        for (let i = 0; i < 2; i++) {
+            await expect(breaker.execute(unavailable, 'zabbix')).rejects.toThrow('Service Unavailable');
+        }
+        expect(breaker.getState().state).toBe('OPEN');
+    });
+});
+
+describe('Connection refused', () => {
+    function refusedConnection() {
+        const refused = new Error('connect ECONNREFUSED 127.0.0.1:443');
+        refused.code = 'ECONNREFUSED';
+        return new Error(`Zabbix API initialization failed: ${refused.message}`, { cause: refused });
+    }
+
+    test('should retry reads whose wrapped cause is a refused connection', async () => {
+        const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 1 });
+        const fn = jest.fn().mockRejectedValue(refusedConnection());
+
+        await expect(policy.execute(fn, 'host.get')).rejects.toThrow('ECONNREFUSED');
+        expect(fn).toHaveBeenCalledTimes(3);
+    });
+
+    test('should count refused connections against the circuit breaker', async () => {
+        const policy = new RetryPolicy();
+        const breaker = new CircuitBreaker({
+            failureThreshold: 2,
+            isFailure: error => policy.isRetryable(error)
+        });
+        const fn = jest.fn().mockRejectedValue(refusedConnection());
+
+        for (let i = 0; i < 2; i++) {
+            await expect(breaker.execute(fn, 'zabbix')).rejects.toThrow('initialization failed');
+        }
+        expect(breaker.getState()).toMatchObject({ state: 'OPEN', failureCount: 2 });
+    });
+});
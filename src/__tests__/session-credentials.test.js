@@ -0,0 +1,55 @@
+const {
+    LOCAL_SESSION,
+    extractZabbixToken,
+    setSessionCredentials,
+    getSessionCredentials,
+    getSessionUser,
+    clearSessionCredentials
+} = require('../api/session-credentials');
+
+describe('Session credentials', () => {
+    afterEach(() => {
+        clearSessionCredentials('abc');
+        clearSessionCredentials(LOCAL_SESSION);
+    });
+
+    test('should read the Zabbix token from X-Zabbix-Token before Authorization', () => {
+        expect(extractZabbixToken({ 'x-zabbix-token': ' t1 ', authorization: 'Bearer t2' })).toBe('t1');
+        expect(extractZabbixToken({ authorization: 'Bearer t2' })).toBe('t2');
+        expect(extractZabbixToken({ authorization: 'Basic dXNlcg==' })).toBeNull();
+        expect(extractZabbixToken({})).toBeNull();
+    });
+
+    test('should leave Authorization alone when the server uses it for its own auth', () => {
+        expect(extractZabbixToken({ authorization: 'Bearer t2' }, { useAuthorizationHeader: false })).toBeNull();
+        expect(extractZabbixToken({ 'x-zabbix-token': 't1' }, { useAuthorizationHeader: false })).toBe('t1');
+    });
+
+    test('should keep credentials per session and instance', () => {
+        setSessionCredentials('abc', 'prod', { apiToken: 'tok' }, 'alice');
+        setSessionCredentials('abc', 'staging', { username: 'bob', password: 'pw' });
+
+        expect(getSessionCredentials('abc', 'prod').credentials).toEqual({ apiToken: 'tok' });
+        expect(getSessionUser('abc', 'prod')).toBe('alice');
+        expect(getSessionUser('abc', 'staging')).toBe('bob');
+        expect(getSessionUser('other', 'prod')).toBeNull();
+    });
+
+    test('should use the local session when there is no session id', () => {
+        setSessionCredentials(null, 'prod', { username: 'carol', password: 'pw' });
+
+        expect(getSessionUser(LOCAL_SESSION, 'prod')).toBe('carol');
+    });
+
+    test('should clear one instance or the whole session', () => {
+        setSessionCredentials('abc', 'prod', { apiToken: 'tok' });
+        setSessionCredentials('abc', 'staging', { apiToken: 'tok' });
+
+        expect(clearSessionCredentials('abc', 'prod')).toBe(true);
+        expect(getSessionCredentials('abc', 'prod')).toBeNull();
+        expect(getSessionCredentials('abc', 'staging')).not.toBeNull();
+
+        expect(clearSessionCredentials('abc')).toBe(true);
+        expect(getSessionCredentials('abc', 'staging')).toBeNull();
+    });
+});
@@ -0,0 +1,76 @@
+const { EventEmitter } = require('events');
+const { SessionRegistry, MemoryEventStore } = require('../utils/sessions');
+
+function createTransport() {
+    return { close: jest.fn(async () => {}) };
+}
+
+describe('HTTP session lifecycle', () => {
+    test('should enforce the session cap', () => {
+        const sessions = new SessionRegistry({ idleTimeout: 0, maxSessions: 2 });
+
+        sessions.add('a', { transport: createTransport() });
+        expect(sessions.isFull()).toBe(false);
+        sessions.add('b', { transport: createTransport() });
+        expect(sessions.isFull()).toBe(true);
+        sessions.delete('a');
+        expect(sessions.isFull()).toBe(false);
+        expect(new SessionRegistry({ idleTimeout: 0, maxSessions: 0 }).isFull()).toBe(false);
+    });
+
+    test('should close idle sessions but keep ones with open streams', () => {
+        const sessions = new SessionRegistry({ idleTimeout: 60000, maxSessions: 0 });
+        const idle = sessions.add('idle', { transport: createTransport() });
+        const streaming = sessions.add('streaming', { transport: createTransport() });
+        const stream = new EventEmitter();
+        sessions.track('streaming', stream);
+
+        const later = Date.now() + 120000;
+        expect(sessions.sweep(later)).toEqual(['idle']);
+        expect(idle.transport.close).toHaveBeenCalled();
+        expect(streaming.transport.close).not.toHaveBeenCalled();
+        // Already closing; not closed twice
+        expect(sessions.sweep(later)).toEqual([]);
+
+        stream.emit('close');
+        expect(sessions.findIdle(Date.now() + 120000).map(record => record.id)).toEqual(['streaming']);
+    });
+
+    test('should list sessions without exposing full session IDs', () => {
+        const sessions = new SessionRegistry({ idleTimeout: 0, maxSessions: 0 });
+        sessions.add('3f2c9a1e-0000-4000-8000-000000000000', {
+            transport: createTransport(),
+            type: 'sse',
+            owner: 'grafana',
+            eventStore: new MemoryEventStore({ maxEvents: 10 })
+        });
+        sessions.track('3f2c9a1e-0000-4000-8000-000000000000', new EventEmitter());
+
+        const [summary] = sessions.list();
+
+        expect(summary).toMatchObject({
+            session: '3f2c9a1e…',
+            type: 'sse',
+            owner: 'grafana',
+            requests: 1,
+            openRequests: 1,
+            idleSeconds: 0,
+            bufferedEvents: 0
+        });
+    });
+
+    test('should replay missed events of the same stream', async () => {
+        const store = new MemoryEventStore({ maxEvents: 3 });
+        const first = await store.storeEvent('stream-a', { id: 1 });
+        await store.storeEvent('stream-b', { id: 2 });
+        const third = await store.storeEvent('stream-a', { id: 3 });
+        await store.storeEvent('stream-a', { id: 4 });
+        const send = jest.fn(async () => {});
+
+        await expect(store.getStreamIdForEventId(first)).resolves.toBeUndefined();
+        await expect(store.replayEventsAfter(third, { send })).resolves.toBe('stream-a');
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(send).toHaveBeenCalledWith('4', { id: 4 });
+        await expect(store.replayEventsAfter(first, { send })).rejects.toThrow('no longer available');
+    });
+});
@@ -3,6 +3,8 @@
 // Mock environment variables for testing
 process.env.UPGUARD_API_KEY = process.env.UPGUARD_API_KEY || 'test-api-key-for-testing';
 process.env.UPGUARD_API_URL = process.env.UPGUARD_API_URL || 'https://cyber-risk.upguard.com/api/public';
+process.env.ZABBIX_API_URL = process.env.ZABBIX_API_URL || 'https://monitoring.sipef.com/api_jsonrpc.php';
+process.env.MCP_AUDIT_ENABLED = process.env.MCP_AUDIT_ENABLED || 'false';
 process.env.NODE_ENV = 'test';
 process.env.LOG_LEVEL = 'error';
 
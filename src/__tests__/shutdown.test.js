@@ -0,0 +1,64 @@
+const { InFlightTracker, ShuttingDownError, drainAndClose } = require('../utils/shutdown');
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(done => {
+        resolve = done;
+    });
+    return { promise, resolve };
+}
+
+describe('Graceful shutdown', () => {
+    test('should refuse new calls with a retryable error once draining', async () => {
+        const tracker = new InFlightTracker();
+        tracker.startDrain();
+
+        const call = tracker.run(async () => 'result');
+
+        await expect(call).rejects.toBeInstanceOf(ShuttingDownError);
+        await expect(call).rejects.toMatchObject({ code: 'SERVER_SHUTTING_DOWN', retryable: true });
+    });
+
+    test('should let running calls finish before the cleanup steps', async () => {
+        const tracker = new InFlightTracker();
+        const call = deferred();
+        const order = [];
+        const running = tracker.run(async () => {
+            await call.promise;
+            order.push('call finished');
+        });
+
+        const shutdown = drainAndClose({
+            tracker,
+            timeout: 5000,
+            steps: [
+                { name: 'close transports', run: async () => order.push('transports closed') },
+                { name: 'log out of Zabbix', run: async () => order.push('logged out') }
+            ]
+        });
+        expect(tracker.count).toBe(1);
+        call.resolve();
+
+        await expect(shutdown).resolves.toEqual({ drained: true, abandoned: 0, failed: [] });
+        await running;
+        expect(order).toEqual(['call finished', 'transports closed', 'logged out']);
+    });
+
+    test('should give up on calls at the deadline and keep running the remaining steps', async () => {
+        const tracker = new InFlightTracker();
+        tracker.run(() => new Promise(() => {}));
+        const flush = jest.fn(async () => {});
+
+        const result = await drainAndClose({
+            tracker,
+            timeout: 50,
+            steps: [
+                { name: 'close transports', run: async () => { throw new Error('socket gone'); } },
+                { name: 'flush audit log', run: flush }
+            ]
+        });
+
+        expect(result).toEqual({ drained: false, abandoned: 1, failed: ['close transports'] });
+        expect(flush).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,92 @@
+jest.mock('../api', () => ({
+    getProblems: jest.fn(),
+    getEvents: jest.fn()
+}));
+
+const api = require('../api');
+const { ProblemWatcher, isAffected, diffProblems } = require('../resources/subscriptions');
+
+function problem(eventid, fields = {}) {
+    return { eventid, clock: '1700000000', r_eventid: '0', acknowledges: [], ...fields };
+}
+
+describe('Problem subscriptions', () => {
+    let watcher;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        watcher = new ProblemWatcher({ interval: 60000 });
+        watcher.start = jest.fn();
+        api.getEvents.mockImplementation(async ({ eventids }) =>
+            eventids.map(eventid => ({ eventid, hosts: [{ hostid: `host-${eventid}` }] })));
+    });
+
+    afterEach(() => {
+        watcher.stop();
+    });
+
+    test('should report opened, resolved and acknowledged problems', () => {
+        const previous = new Map([
+            ['1', { resolved: false, acknowledgedAt: 0, hostids: ['10'] }],
+            ['2', { resolved: false, acknowledgedAt: 0, hostids: ['20'] }],
+            ['3', { resolved: false, acknowledgedAt: 0, hostids: ['30'] }]
+        ]);
+        const current = new Map([
+            ['2', { resolved: true, acknowledgedAt: 0, hostids: ['20'] }],
+            ['3', { resolved: false, acknowledgedAt: 1700000100, hostids: ['30'] }],
+            ['4', { resolved: false, acknowledgedAt: 0, hostids: ['40'] }]
+        ]);
+
+        expect(diffProblems(previous, current)).toEqual([
+            { eventid: '2', change: 'resolved', hostids: ['20'] },
+            { eventid: '3', change: 'acknowledged', hostids: ['30'] },
+            { eventid: '4', change: 'opened', hostids: ['40'] },
+            { eventid: '1', change: 'resolved', hostids: ['10'] }
+        ]);
+    });
+
+    test('should match changes to subscribed resources', () => {
+        const changes = [{ eventid: '42', change: 'opened', hostids: ['10084'] }];
+
+        expect(isAffected('zabbix://problems/active', changes)).toBe(true);
+        expect(isAffected('zabbix://problems/active', [])).toBe(false);
+        expect(isAffected('zabbix://host/10084/problems', changes)).toBe(true);
+        expect(isAffected('zabbix://host/10085/problems', changes)).toBe(false);
+        expect(isAffected('zabbix://problem/42', changes)).toBe(true);
+    });
+
+    test('should notify only the sessions whose resources changed', async () => {
+        const notifyA = jest.fn();
+        const notifyB = jest.fn();
+        watcher.subscribe('session-a', 'zabbix://problems/active', notifyA);
+        watcher.subscribe('session-b', 'zabbix://host/host-2/problems', notifyB);
+        api.getProblems.mockResolvedValueOnce([problem('1')]);
+        api.getProblems.mockResolvedValueOnce([problem('1', { acknowledges: [{ clock: '1700000050' }] })]);
+        api.getProblems.mockResolvedValueOnce([problem('1', { r_eventid: '9' }), problem('2')]);
+
+        await expect(watcher.poll()).resolves.toEqual([]);
+        const acknowledged = await watcher.poll();
+        const opened = await watcher.poll();
+
+        expect(acknowledged).toEqual([{ eventid: '1', change: 'acknowledged', hostids: ['host-1'] }]);
+        expect(opened.map(change => change.change)).toEqual(['resolved', 'opened']);
+        expect(notifyA).toHaveBeenCalledTimes(2);
+        expect(notifyB).toHaveBeenCalledTimes(1);
+        expect(notifyB).toHaveBeenCalledWith('zabbix://host/host-2/problems');
+        expect(api.getEvents).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject unsupported URIs and stop polling once sessions are gone', () => {
+        const stop = jest.spyOn(watcher, 'stop');
+
+        expect(() => watcher.subscribe('session-a', 'zabbix://dashboard/1', jest.fn())).toThrow('does not support subscriptions');
+        watcher.subscribe('session-a', 'zabbix://problem/42', jest.fn());
+        watcher.subscribe('session-a', 'zabbix://problems/active', jest.fn());
+        watcher.unsubscribe('session-a', 'zabbix://problem/42');
+
+        expect(watcher.subscribers.get('session-a').uris).toEqual(new Set(['zabbix://problems/active']));
+        watcher.removeSession('session-a');
+        expect(watcher.subscribers.size).toBe(0);
+        expect(stop).toHaveBeenCalled();
+    });
+});
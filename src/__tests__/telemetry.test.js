@@ -0,0 +1,71 @@
+const { TelemetryCollector, errorClass } = require('../utils/telemetry');
+
+describe('Telemetry', () => {
+    let telemetry;
+
+    beforeEach(() => {
+        telemetry = new TelemetryCollector();
+    });
+
+    afterEach(() => {
+        telemetry.destroy();
+    });
+
+    test('should export one counter series per label set', () => {
+        telemetry.incrementCounter('tools_executed_total', 1, { tool: 'zabbix_get_hosts' });
+        telemetry.incrementCounter('tools_executed_total', 1, { tool: 'zabbix_get_hosts' });
+        telemetry.incrementCounter('tools_executed_total', 1, { tool: 'zabbix_get_problems' });
+
+        const output = telemetry.exportPrometheusMetrics();
+
+        expect(output).toContain('# TYPE tools_executed_total counter');
+        expect(output).toContain('tools_executed_total{tool="zabbix_get_hosts"} 2');
+        expect(output).toContain('tools_executed_total{tool="zabbix_get_problems"} 1');
+        expect(telemetry.counters.get('tools_executed_total').value).toBe(3);
+    });
+
+    test('should export cumulative histogram buckets per label set', () => {
+        const tracker = telemetry.trackApiRequest('host.get', { zabbix_instance: 'prod' });
+        tracker.finish(true);
+        telemetry.recordHistogram('api_request_duration', 300, { method: 'host.get', zabbix_instance: 'prod', success: 'true' });
+
+        const output = telemetry.exportPrometheusMetrics();
+
+        expect(output).toContain('api_request_duration_bucket{method="host.get",zabbix_instance="prod",success="true",le="250"} 1');
+        expect(output).toContain('api_request_duration_bucket{method="host.get",zabbix_instance="prod",success="true",le="+Inf"} 2');
+        expect(output).toContain('api_request_duration_count{method="host.get",zabbix_instance="prod",success="true"} 2');
+        expect(output).toContain('api_requests_total{method="host.get",zabbix_instance="prod"} 1');
+    });
+
+    test('should count failures by error class', () => {
+        const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+        telemetry.trackApiRequest('problem.get').finish(false, refused);
+        telemetry.trackToolExecution('zabbix_get_problems').finish(false, new TypeError('bad'));
+        telemetry.trackToolExecution('zabbix_host_delete').finish(false);
+
+        const output = telemetry.exportPrometheusMetrics();
+
+        expect(output).toContain('api_requests_errors{method="problem.get",error="ECONNREFUSED"} 1');
+        expect(output).toContain('tools_failed_total{tool="zabbix_get_problems",error="TypeError"} 1');
+        expect(output).toContain('tools_failed_total{tool="zabbix_host_delete",error="tool_error"} 1');
+    });
+
+    test('should track gauges and escape label values', () => {
+        telemetry.incrementGauge('http_sessions_active');
+        telemetry.incrementGauge('http_sessions_active');
+        telemetry.decrementGauge('http_sessions_active');
+        telemetry.createCounter('security_events_total', 'Total security events');
+        telemetry.incrementCounter('security_events_total', 1, { event_type: 'say "hi"\n' });
+
+        const output = telemetry.exportPrometheusMetrics();
+
+        expect(output).toContain('http_sessions_active 1');
+        expect(output).toContain('security_events_total{event_type="say \\"hi\\"\\n"} 1');
+    });
+
+    test('should classify errors', () => {
+        expect(errorClass(Object.assign(new Error('open'), { code: 'CIRCUIT_OPEN' }))).toBe('CIRCUIT_OPEN');
+        expect(errorClass(new RangeError('x'))).toBe('RangeError');
+        expect(errorClass(null)).toBe('unknown');
+    });
+});
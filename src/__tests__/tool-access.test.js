@@ -0,0 +1,298 @@
+jest.mock('../config', () => ({
+    security: { readOnly: false, readOnlyBehavior: 'hide', confirmTools: [], confirmTokenTtl: 120 },
+    tools: { include: [], exclude: [] },
+    audit: { enabled: false },
+    output: { maxTokens: 25000, maxBytes: 0, defaultPageSize: 100, maxPageSize: 1000 },
+    instances: { default: { name: 'default', url: 'https://zabbix.example.com/api_jsonrpc.php' } },
+    defaultInstance: 'default',
+    logging: { prefix: '[Zabbix API Client]' }
+}));
+jest.mock('../tools/dry-run', () => ({
+    planToolCall: jest.fn(async (toolName, args) => ({ operation: 'delete', toolName, args }))
+}));
+
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { getToolAccess, isWriteTool, isWriteMethod, ACCESS } = require('../security/tool-access');
+const { createToolRegistrar, isToolAllowed, isCategoryExcluded } = require('../tools/registry');
+const { createListResponse } = require('../tools/utils');
+
+function createFakeServer() {
+    const tools = new Map();
+    return {
+        tools,
+        tool: jest.fn((name, description, schema, handler) => {
+            tools.set(name, handler);
+            return { name };
+        }),
+        prompt: jest.fn()
+    };
+}
+
+describe('Tool access classification', () => {
+    test('should classify read tools', () => {
+        expect(getToolAccess('zabbix_host_get')).toBe(ACCESS.READ);
+        expect(getToolAccess('zabbix_get_problems')).toBe(ACCESS.READ);
+        expect(getToolAccess('zabbix_export_configuration')).toBe(ACCESS.READ);
+        expect(getToolAccess('zabbix_login')).toBe(ACCESS.READ);
+    });
+
+    test('should classify write tools', () => {
+        expect(isWriteTool('zabbix_host_delete')).toBe(true);
+        expect(isWriteTool('zabbix_delete_templates')).toBe(true);
+        expect(isWriteTool('zabbix_execute_script')).toBe(true);
+        expect(isWriteTool('zabbix_update_maintenance')).toBe(true);
+        expect(isWriteTool('zabbix_import_configuration')).toBe(true);
+        expect(isWriteTool('zabbix_acknowledge_event')).toBe(true);
+        expect(isWriteTool('zabbix_link_templates_to_host')).toBe(true);
+        expect(isWriteTool('zabbix_test_media_type')).toBe(true);
+        expect(isWriteTool('zabbix_close_problems')).toBe(true);
+        expect(isWriteTool('zabbix_change_problem_severity')).toBe(true);
+        expect(isWriteTool('zabbix_unsuppress_problems')).toBe(true);
+    });
+
+    test('should honour read overrides for tools with write verbs', () => {
+        expect(isWriteTool('zabbix_import_compare_configuration')).toBe(false);
+    });
+
+    test('should classify Zabbix API methods', () => {
+        expect(isWriteMethod('host.get')).toBe(false);
+        expect(isWriteMethod('configuration.export')).toBe(false);
+        expect(isWriteMethod('configuration.importcompare')).toBe(false);
+        expect(isWriteMethod('host.create')).toBe(true);
+        expect(isWriteMethod('host.massUpdate')).toBe(true);
+        expect(isWriteMethod('script.execute')).toBe(true);
+        expect(isWriteMethod('configuration.import')).toBe(true);
+        expect(isWriteMethod('event.acknowledge')).toBe(true);
+        expect(isWriteMethod('history.clear')).toBe(true);
+        expect(isWriteMethod('invalid')).toBe(false);
+    });
+});
+
+describe('Tool registrar', () => {
+    const noop = async () => ({ content: [] });
+
+    test('should pass every tool through when read-only mode is off', () => {
+        const server = createFakeServer();
+        const registrar = createToolRegistrar(server, { readOnly: false });
+
+        registrar.tool('zabbix_host_get', 'Get hosts', {}, noop);
+        registrar.tool('zabbix_host_delete', 'Delete hosts', {}, noop);
+
+        expect(server.tool).toHaveBeenCalledTimes(2);
+    });
+
+    test('should hide write tools in read-only mode', () => {
+        const server = createFakeServer();
+        const registered = [];
+        const registrar = createToolRegistrar(server, { category: 'hosts', readOnly: true, readOnlyBehavior: 'hide', registered });
+
+        registrar.tool('zabbix_host_get', 'Get hosts', {}, noop);
+        registrar.tool('zabbix_host_delete', 'Delete hosts', {}, noop);
+
+        expect([...server.tools.keys()]).toEqual(['zabbix_host_get']);
+        expect(registered).toEqual([
+            { name: 'zabbix_host_get', category: 'hosts', access: 'read', status: 'registered' },
+            { name: 'zabbix_host_delete', category: 'hosts', access: 'write', status: 'hidden' }
+        ]);
+    });
+
+    test('should refuse write tool calls in refuse mode', async () => {
+        const server = createFakeServer();
+        const handler = jest.fn(noop);
+        const registrar = createToolRegistrar(server, { readOnly: true, readOnlyBehavior: 'refuse' });
+
+        registrar.tool('zabbix_execute_script', 'Run script', {}, handler);
+        const result = await server.tools.get('zabbix_execute_script')({ scriptid: '1' });
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(result.isError).toBe(true);
+        expect(result.content[0].text).toContain('read-only mode');
+    });
+
+    test('should expose only included tools and categories', () => {
+        const server = createFakeServer();
+        const filters = { include: ['hosts', 'zabbix_get_problems'], exclude: [] };
+
+        createToolRegistrar(server, { category: 'hosts', filters }).tool('zabbix_host_get', 'Get hosts', {}, noop);
+        const problems = createToolRegistrar(server, { category: 'problems', filters });
+        problems.tool('zabbix_get_problems', 'Get problems', {}, noop);
+        problems.tool('zabbix_get_events', 'Get events', {}, noop);
+
+        expect([...server.tools.keys()]).toEqual(['zabbix_host_get', 'zabbix_get_problems']);
+    });
+
+    test('should drop excluded tools by glob pattern', () => {
+        const server = createFakeServer();
+        const registered = [];
+        const registrar = createToolRegistrar(server, {
+            category: 'templates',
+            filters: { include: [], exclude: ['zabbix_delete_*'] },
+            registered
+        });
+
+        registrar.tool('zabbix_get_templates', 'Get templates', {}, noop);
+        registrar.tool('zabbix_delete_templates', 'Delete templates', {}, noop);
+
+        expect([...server.tools.keys()]).toEqual(['zabbix_get_templates']);
+        expect(registered[1].status).toBe('filtered');
+    });
+
+    test('should evaluate include and exclude patterns together', () => {
+        const filters = { include: ['items', 'history'], exclude: ['zabbix_get_trends'] };
+
+        expect(isToolAllowed('zabbix_get_items', 'items', filters)).toBe(true);
+        expect(isToolAllowed('zabbix_get_history', 'history', filters)).toBe(true);
+        expect(isToolAllowed('zabbix_get_trends', 'history', filters)).toBe(false);
+        expect(isToolAllowed('zabbix_get_maps', 'maps', filters)).toBe(false);
+    });
+
+    test('should exclude whole categories by name', () => {
+        expect(isCategoryExcluded('maps', { exclude: ['maps', 'zabbix_delete_*'] })).toBe(true);
+        expect(isCategoryExcluded('hosts', { exclude: ['maps', 'zabbix_delete_*'] })).toBe(false);
+    });
+
+    test('should add a dryRun flag to write tools only', () => {
+        const server = createFakeServer();
+        const registrar = createToolRegistrar(server, { readOnly: false });
+
+        registrar.tool('zabbix_host_get', 'Get hosts', { hostids: {} }, noop);
+        registrar.tool('zabbix_host_delete', 'Delete hosts', { hostids: {} }, noop);
+
+        expect(server.tool.mock.calls[0][2]).not.toHaveProperty('dryRun');
+        expect(Object.keys(server.tool.mock.calls[1][2])).toEqual(['hostids', 'dryRun']);
+    });
+
+    test('should return a plan instead of running a write tool on dryRun', async () => {
+        const server = createFakeServer();
+        const handler = jest.fn(noop);
+        const planner = jest.fn(async () => ({ operation: 'delete', objects: [{ id: '10084' }] }));
+        const registrar = createToolRegistrar(server, { readOnly: false, planner });
+
+        registrar.tool('zabbix_host_delete', 'Delete hosts', { hostids: {} }, handler);
+        const result = await server.tools.get('zabbix_host_delete')({ hostids: ['10084'], dryRun: true });
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(planner).toHaveBeenCalledWith('zabbix_host_delete', { hostids: ['10084'] });
+        expect(result.content[0].text).toContain('no changes were made');
+    });
+
+    test('should strip dryRun and run the write tool when it is not set', async () => {
+        const server = createFakeServer();
+        const handler = jest.fn(noop);
+        const registrar = createToolRegistrar(server, { readOnly: false });
+
+        registrar.tool('zabbix_host_delete', 'Delete hosts', { hostids: {} }, handler);
+        await server.tools.get('zabbix_host_delete')({ hostids: ['10084'], dryRun: false }, { sessionId: 'abc' });
+
+        expect(handler).toHaveBeenCalledWith({ hostids: ['10084'] }, { sessionId: 'abc' });
+    });
+
+    test('should return a summary and token before running a confirmed tool', async () => {
+        const server = createFakeServer();
+        const handler = jest.fn(noop);
+        const planner = jest.fn(async () => ({ operation: 'delete', objects: [{ id: '10084' }] }));
+        const registrar = createToolRegistrar(server, { planner, confirmTools: ['zabbix_host_delete'] });
+
+        registrar.tool('zabbix_host_delete', 'Delete hosts', { hostids: {} }, handler);
+        expect(Object.keys(server.tool.mock.calls[0][2])).toEqual(['hostids', 'confirmationToken', 'dryRun']);
+
+        const tool = server.tools.get('zabbix_host_delete');
+        const first = await tool({ hostids: ['10084'] }, { sessionId: 'abc' });
+        const token = first.content[0].text.match(/confirmationToken: "([0-9a-f]+)"/)[1];
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(first.content[0].text).toContain('"10084"');
+
+        await tool({ hostids: ['10084'], confirmationToken: token }, { sessionId: 'abc' });
+        expect(handler).toHaveBeenCalledWith({ hostids: ['10084'] }, { sessionId: 'abc' });
+
+        const replay = await tool({ hostids: ['10084'], confirmationToken: token }, { sessionId: 'abc' });
+        expect(replay.isError).toBe(true);
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject a confirmation token issued for other arguments', async () => {
+        const server = createFakeServer();
+        const handler = jest.fn(noop);
+        const registrar = createToolRegistrar(server, { confirmTools: ['zabbix_*delete*'] });
+
+        registrar.tool('zabbix_host_delete', 'Delete hosts', { hostids: {} }, handler);
+        const tool = server.tools.get('zabbix_host_delete');
+        const first = await tool({ hostids: ['10084'] });
+        const token = first.content[0].text.match(/confirmationToken: "([0-9a-f]+)"/)[1];
+        const result = await tool({ hostids: ['10085'], confirmationToken: token });
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(result.isError).toBe(true);
+        expect(result.content[0].text).toContain('different arguments');
+    });
+
+    test('should not require confirmation for unlisted tools', async () => {
+        const server = createFakeServer();
+        const handler = jest.fn(noop);
+        const registrar = createToolRegistrar(server, { confirmTools: ['zabbix_execute_script'] });
+
+        registrar.tool('zabbix_host_update', 'Update host', { hostid: {} }, handler);
+        await server.tools.get('zabbix_host_update')({ hostid: '10084' });
+
+        expect(handler).toHaveBeenCalledWith({ hostid: '10084' });
+    });
+
+    test('should return thrown errors as classified tool errors', async () => {
+        const server = createFakeServer();
+        const registrar = createToolRegistrar(server, { readOnly: false });
+        const zabbixError = Object.assign(new Error('Invalid params.'), {
+            code: -32602,
+            data: 'No permissions to referred object or it does not exist!'
+        });
+
+        registrar.tool('zabbix_host_get', 'Get hosts', { hostids: {} }, async () => {
+            throw new Error(`Failed to retrieve hosts: ${zabbixError.message}`, { cause: zabbixError });
+        });
+        const result = await server.tools.get('zabbix_host_get')({ hostids: ['1'] });
+
+        expect(result.isError).toBe(true);
+        expect(result.structuredContent.error).toMatchObject({
+            code: 'NOT_FOUND',
+            message: 'Failed to retrieve hosts: Invalid params. No permissions to referred object or it does not exist!',
+            retryable: false,
+            zabbixCode: -32602
+        });
+        expect(JSON.parse(result.content[0].text).error.hint).toContain('does not exist');
+    });
+
+    test('should advertise output schemas and return structured content', async () => {
+        const server = new McpServer({ name: 'test', version: '1.0.0' });
+        const registrar = createToolRegistrar(server, { readOnly: false });
+        const problems = [{ eventid: '42', name: 'High CPU', severity: '4', clock: '1700000000' }];
+
+        registrar.tool('zabbix_get_problems', 'Get problems', {}, async () => createListResponse('problems', 'problems', problems));
+        registrar.tool('zabbix_get_api_version', 'Get version', {}, async () => ({ content: [{ type: 'text', text: '7.0.0' }] }));
+
+        const client = new Client({ name: 'test-client', version: '1.0.0' });
+        const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+        await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+        const { tools } = await client.listTools();
+        const problemsTool = tools.find(tool => tool.name === 'zabbix_get_problems');
+        expect(Object.keys(problemsTool.outputSchema.properties)).toEqual(['count', 'problems', 'total', 'nextCursor', 'truncated']);
+        expect(problemsTool.inputSchema.properties).toHaveProperty('cursor');
+        expect(tools.find(tool => tool.name === 'zabbix_get_api_version').outputSchema).toBeUndefined();
+
+        const result = await client.callTool({ name: 'zabbix_get_problems', arguments: {} });
+        expect(result.structuredContent).toEqual({ count: 1, problems });
+        expect(result.content[0].text).toBe('Found 1 problems.');
+
+        await client.close();
+    });
+
+    test('should delegate other server members', () => {
+        const server = createFakeServer();
+        const registrar = createToolRegistrar(server, { readOnly: true });
+
+        registrar.prompt('example', {}, noop);
+        expect(server.prompt).toHaveBeenCalledWith('example', {}, noop);
+    });
+});
@@ -0,0 +1,42 @@
+jest.mock('zabbix-utils', () => ({
+    AsyncZabbixAPI: jest.fn()
+}));
+
+const { AsyncZabbixAPI } = require('zabbix-utils');
+const { logger } = require('../utils/logger');
+const { loginSession, logoutSession } = require('../api/zabbix-client');
+
+const USER_TOKEN = 'c0ffee0123456789abcdef0123456789abcdef0123456789abcdef0123456789';
+
+describe('Session login', () => {
+    let logged;
+
+    beforeEach(() => {
+        logged = [];
+        for (const level of ['debug', 'info', 'warn', 'error']) {
+            jest.spyOn(logger, level).mockImplementation((...args) => {
+                logged.push(args);
+            });
+        }
+        AsyncZabbixAPI.mockImplementation(() => ({
+            apiVersion: jest.fn().mockResolvedValue('7.0.0'),
+            logout: jest.fn().mockResolvedValue(true),
+            user: { checkAuthentication: jest.fn().mockResolvedValue({ username: 'alice' }) }
+        }));
+    });
+
+    afterEach(async () => {
+        await logoutSession();
+        jest.restoreAllMocks();
+    });
+
+    test('should verify the user token without writing it to the log', async () => {
+        const result = await loginSession({ apiToken: USER_TOKEN });
+
+        expect(result.user).toBe('alice');
+        const api = AsyncZabbixAPI.mock.results[0].value;
+        expect(api.user.checkAuthentication).toHaveBeenCalledWith({ token: USER_TOKEN });
+        expect(logged.length).toBeGreaterThan(0);
+        expect(JSON.stringify(logged)).not.toContain(USER_TOKEN);
+    });
+});
@@ -21,7 +21,7 @@ async function getActions(options = {}) {
         return await request('action.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get actions:`, error.message);
-        throw new Error(`Failed to retrieve actions: ${error.message}`);
+        throw new Error(`Failed to retrieve actions: ${error.message}`, { cause: error });
     }
 }
 
@@ -44,7 +44,7 @@ async function createAction(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to create action ${params.name}:`, error.message);
-        throw new Error(`Failed to create action: ${error.message}`);
+        throw new Error(`Failed to create action: ${error.message}`, { cause: error });
     }
 }
 */
@@ -67,7 +67,7 @@ async function updateAction(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to update action ${params.actionid}:`, error.message);
-        throw new Error(`Failed to update action: ${error.message}`);
+        throw new Error(`Failed to update action: ${error.message}`, { cause: error });
     }
 }
 */
@@ -90,7 +90,7 @@ async function deleteActions(actionIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to delete actions:`, error.message);
-        throw new Error(`Failed to delete actions: ${error.message}`);
+        throw new Error(`Failed to delete actions: ${error.message}`, { cause: error });
     }
 }
 */
@@ -122,7 +122,7 @@ async function getActionsByName(namePatterns, additionalOptions = {}) {
         return await request('action.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get actions by name:`, error.message);
-        throw new Error(`Failed to retrieve actions by name: ${error.message}`);
+        throw new Error(`Failed to retrieve actions by name: ${error.message}`, { cause: error });
     }
 }
 
@@ -197,7 +197,7 @@ async function getActionsByEvent(eventCriteria, additionalOptions = {}) {
         
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get actions by event:`, error.message);
-        throw new Error(`Failed to retrieve actions by event: ${error.message}`);
+        throw new Error(`Failed to retrieve actions by event: ${error.message}`, { cause: error });
     }
 }
 
@@ -227,7 +227,7 @@ async function getActionsByEventSource(eventSources, additionalOptions = {}) {
         return await request('action.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get actions by event source:`, error.message);
-        throw new Error(`Failed to retrieve actions by event source: ${error.message}`);
+        throw new Error(`Failed to retrieve actions by event source: ${error.message}`, { cause: error });
     }
 }
 
@@ -254,7 +254,7 @@ async function getEnabledActions(additionalOptions = {}) {
         return await request('action.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get enabled actions:`, error.message);
-        throw new Error(`Failed to retrieve enabled actions: ${error.message}`);
+        throw new Error(`Failed to retrieve enabled actions: ${error.message}`, { cause: error });
     }
 }
 
@@ -280,7 +280,7 @@ async function getDisabledActions(additionalOptions = {}) {
         return await request('action.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get disabled actions:`, error.message);
-        throw new Error(`Failed to retrieve disabled actions: ${error.message}`);
+        throw new Error(`Failed to retrieve disabled actions: ${error.message}`, { cause: error });
     }
 }
 
@@ -308,7 +308,7 @@ async function enableActions(actionIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to enable actions:`, error.message);
-        throw new Error(`Failed to enable actions: ${error.message}`);
+        throw new Error(`Failed to enable actions: ${error.message}`, { cause: error });
     }
 }
 */
@@ -337,7 +337,7 @@ async function disableActions(actionIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to disable actions:`, error.message);
-        throw new Error(`Failed to disable actions: ${error.message}`);
+        throw new Error(`Failed to disable actions: ${error.message}`, { cause: error });
     }
 }
 */
@@ -370,7 +370,7 @@ async function getActionsWithEscalations(additionalOptions = {}) {
         return actionsWithEscalations;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get actions with escalations:`, error.message);
-        throw new Error(`Failed to retrieve actions with escalations: ${error.message}`);
+        throw new Error(`Failed to retrieve actions with escalations: ${error.message}`, { cause: error });
     }
 }
 
@@ -401,7 +401,7 @@ async function getActionOperations(actionIds, additionalOptions = {}) {
         return await request('action.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get action operations:`, error.message);
-        throw new Error(`Failed to retrieve action operations: ${error.message}`);
+        throw new Error(`Failed to retrieve action operations: ${error.message}`, { cause: error });
     }
 }
 
@@ -435,7 +435,7 @@ async function getActionsByOperationType(operationTypes, additionalOptions = {})
         return filteredActions;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get actions by operation type:`, error.message);
-        throw new Error(`Failed to retrieve actions by operation type: ${error.message}`);
+        throw new Error(`Failed to retrieve actions by operation type: ${error.message}`, { cause: error });
     }
 }
 
@@ -505,7 +505,7 @@ async function getActionStatistics(actionIds = null) {
         return stats;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get action statistics:`, error.message);
-        throw new Error(`Failed to retrieve action statistics: ${error.message}`);
+        throw new Error(`Failed to retrieve action statistics: ${error.message}`, { cause: error });
     }
 }
 
@@ -578,7 +578,7 @@ async function searchActions(criteria = {}, additionalOptions = {}) {
         return filteredActions;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to search actions:`, error.message);
-        throw new Error(`Failed to search actions: ${error.message}`);
+        throw new Error(`Failed to search actions: ${error.message}`, { cause: error });
     }
 }
 
@@ -0,0 +1,661 @@
+/* eslint-disable security/detect-object-injection */
+/**
+ * Analytics API Module
+ *
+ * Response times and alert noise over event history, for ops reviews and trigger tuning.
+ * Problem events are paired with their recovery event (r_eventid) and their first
+ * acknowledgement to give time to acknowledge (TTA) and time to resolve (TTR).
+ * Flapping triggers are found from their problem and OK transitions and get tuning
+ * proposals built from their item's history.
+ */
+
+const { request } = require('./zabbix-client');
+const { ACKNOWLEDGE_ACTIONS } = require('./problems');
+const { getTriggers } = require('./triggers');
+const { getHistory } = require('./history');
+const { planUpdate } = require('./changes');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+const SEVERITY_NAMES = ['Not classified', 'Information', 'Warning', 'Average', 'High', 'Disaster'];
+
+// Problem events read per event.get call
+const EVENT_BATCH_SIZE = 1000;
+
+/**
+ * Format a number of seconds, e.g. 45s, 12m, 3h 5m, 2d 4h
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Short duration
+ */
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    if (total < 60) {
+        return `${total}s`;
+    }
+    const minutes = Math.floor(total / 60);
+    if (minutes < 60) {
+        return `${minutes}m`;
+    }
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) {
+        return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+    }
+    return hours % 24 ? `${Math.floor(hours / 24)}d ${hours % 24}h` : `${Math.floor(hours / 24)}d`;
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} percent - Percentile, 0-100
+ * @returns {number} Percentile value
+ */
+function percentile(sorted, percent) {
+    const rank = Math.ceil((percent / 100) * sorted.length);
+    return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/**
+ * Mean, percentiles and maximum of durations
+ * @param {Array<number>} durations - Durations in seconds
+ * @returns {Object} { count, mean, median, p90, p95, max, readable } in seconds; { count: 0 } without durations
+ */
+function durationStats(durations) {
+    if (durations.length === 0) {
+        return { count: 0 };
+    }
+    const sorted = [...durations].sort((a, b) => a - b);
+    const stats = {
+        count: sorted.length,
+        mean: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        median: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p95: percentile(sorted, 95),
+        max: sorted[sorted.length - 1]
+    };
+    stats.readable = `mean ${formatDuration(stats.mean)}, median ${formatDuration(stats.median)}, ` +
+        `p90 ${formatDuration(stats.p90)}, max ${formatDuration(stats.max)}`;
+    return stats;
+}
+
+/**
+ * Problem counts and response times of a set of problems
+ * @param {Array<Object>} problems - Paired problems from pairProblems()
+ * @returns {Object} { problems, acknowledged, resolved, mtta, mttr }
+ */
+function responseStats(problems) {
+    const acknowledged = problems.filter(problem => problem.tta !== null);
+    const resolved = problems.filter(problem => problem.ttr !== null);
+    return {
+        problems: problems.length,
+        acknowledged: acknowledged.length,
+        resolved: resolved.length,
+        mtta: durationStats(acknowledged.map(problem => problem.tta)),
+        mttr: durationStats(resolved.map(problem => problem.ttr))
+    };
+}
+
+/**
+ * Read events newest first, in batches continued with eventid_till
+ * @param {Object} params - event.get filter parameters
+ * @param {number} maxEvents - Maximum events to read
+ * @returns {Promise<Object>} { events, truncated }
+ */
+async function readEvents(params, maxEvents) {
+    const events = [];
+    let eventIdTill;
+    while (events.length < maxEvents) {
+        const limit = Math.min(EVENT_BATCH_SIZE, maxEvents - events.length);
+        const batch = await request('event.get', {
+            ...params,
+            ...(eventIdTill && { eventid_till: eventIdTill }),
+            sortfield: ['eventid'],
+            sortorder: 'DESC',
+            limit
+        });
+        events.push(...batch);
+        if (batch.length < limit) {
+            return { events, truncated: false };
+        }
+        eventIdTill = (BigInt(batch[batch.length - 1].eventid) - 1n).toString();
+    }
+    return { events, truncated: true };
+}
+
+/**
+ * Pair problem events with their recovery and first acknowledgement
+ * @param {Array<Object>} events - Problem events with acknowledges and hosts
+ * @param {Map<string, number>} recoveryClocks - Recovery clock by recovery event ID
+ * @returns {Array<Object>} { eventid, triggerId, name, severity, hosts, clock, recoveryClock, tta, ttr }
+ */
+function pairProblems(events, recoveryClocks) {
+    return events.map(event => {
+        const clock = parseInt(event.clock, 10);
+        const acknowledgedAt = (event.acknowledges || [])
+            .filter(acknowledge => (parseInt(acknowledge.action, 10) || 0) & ACKNOWLEDGE_ACTIONS.ACKNOWLEDGE)
+            .map(acknowledge => parseInt(acknowledge.clock, 10));
+        const recoveryClock = recoveryClocks.get(String(event.r_eventid)) ?? null;
+        return {
+            eventid: event.eventid,
+            triggerId: String(event.objectid),
+            name: event.name,
+            severity: parseInt(event.severity, 10) || 0,
+            hosts: event.hosts || [],
+            clock,
+            recoveryClock,
+            tta: acknowledgedAt.length > 0 ? Math.max(Math.min(...acknowledgedAt) - clock, 0) : null,
+            ttr: recoveryClock !== null ? Math.max(recoveryClock - clock, 0) : null
+        };
+    });
+}
+
+/**
+ * Group items by one or more keys each
+ * @param {Array<Object>} items - Items to group
+ * @param {Function} keysOf - item => Array of keys
+ * @returns {Map<string, Array<Object>>} Items by key
+ */
+function groupBy(items, keysOf) {
+    const groups = new Map();
+    for (const item of items) {
+        for (const key of keysOf(item)) {
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(item);
+        }
+    }
+    return groups;
+}
+
+/**
+ * Analyze problem history: time to acknowledge, time to resolve and the noisiest triggers.
+ *
+ * Reads problem events that started in the period, with their first acknowledgement
+ * and recovery. Response times are broken down by severity, host group and trigger.
+ * The noise rankings list triggers that:
+ *   - flap: their problem came back within flapWindow of the previous recovery
+ *   - are short-lived: their problems resolve on their own quickly (lowest median TTR)
+ *   - are never acknowledged: none of their problems was acknowledged
+ * @param {Object} [options] - Optional filtering parameters
+ * @param {number} [options.timeFrom] - Period start, Unix time (default days before timeTill)
+ * @param {number} [options.timeTill] - Period end, Unix time (default now)
+ * @param {number} [options.days] - Period length when timeFrom is not given (default 30)
+ * @param {Array<string>} [options.hostGroupIds] - Only problems on hosts in these groups
+ * @param {Array<string>} [options.hostIds] - Only problems on these hosts
+ * @param {number} [options.severityThreshold] - Minimum severity (0-5)
+ * @param {number} [options.flapWindow] - Seconds after a recovery within which a new problem counts as flapping (default 1800)
+ * @param {number} [options.top] - Entries per breakdown and ranking (default 10)
+ * @param {number} [options.maxEvents] - Maximum problem events to read (default 10000)
+ * @returns {Promise<Object>} Response time statistics and noise rankings
+ */
+async function getProblemAnalytics(options = {}) {
+    const timeTill = options.timeTill ?? Math.floor(Date.now() / 1000);
+    const timeFrom = options.timeFrom ?? timeTill - (options.days || 30) * 86400;
+    const flapWindow = options.flapWindow || 1800;
+    const top = options.top || 10;
+
+    try {
+        logger.debug(`${config.logging.prefix} Analyzing problem history`);
+
+        if (timeFrom >= timeTill) {
+            throw new Error('timeFrom must be before timeTill');
+        }
+
+        const { events, truncated } = await readEvents({
+            source: 0,
+            object: 0,
+            value: 1,
+            time_from: timeFrom,
+            time_till: timeTill,
+            ...(options.hostIds && { hostids: options.hostIds }),
+            ...(options.hostGroupIds && { groupids: options.hostGroupIds }),
+            ...(options.severityThreshold !== undefined && {
+                severities: SEVERITY_NAMES.map((_, severity) => severity).filter(severity => severity >= options.severityThreshold)
+            }),
+            output: ['eventid', 'objectid', 'clock', 'name', 'severity', 'r_eventid'],
+            selectAcknowledges: ['clock', 'action'],
+            selectHosts: ['hostid', 'name']
+        }, options.maxEvents || 10000);
+
+        const period = { from: new Date(timeFrom * 1000).toISOString(), till: new Date(timeTill * 1000).toISOString() };
+        if (events.length === 0) {
+            return {
+                summary: `No problems from ${period.from} to ${period.till}.`,
+                period,
+                totals: { problems: 0, acknowledged: 0, resolved: 0, open: 0 },
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        const recoveryIds = events.map(event => event.r_eventid).filter(id => id && id !== '0');
+        const recoveries = recoveryIds.length === 0 ? [] : await request('event.get', {
+            eventids: recoveryIds,
+            output: ['eventid', 'clock']
+        });
+        const problems = pairProblems(events, new Map(recoveries.map(recovery => [String(recovery.eventid), parseInt(recovery.clock, 10)])));
+
+        const hostIds = [...new Set(problems.flatMap(problem => problem.hosts.map(host => String(host.hostid))))];
+        const hosts = hostIds.length === 0 ? [] : await request('host.get', {
+            hostids: hostIds,
+            output: ['hostid'],
+            selectHostGroups: ['groupid', 'name']
+        });
+        const groupsByHost = new Map(hosts.map(host => [String(host.hostid), host.hostgroups || host.groups || []]));
+        const groupNames = new Map(hosts.flatMap(host => (host.hostgroups || host.groups || []).map(group => [String(group.groupid), group.name])));
+
+        const overall = responseStats(problems);
+
+        const bySeverity = [...groupBy(problems, problem => [problem.severity])]
+            .sort(([a], [b]) => b - a)
+            .map(([severity, group]) => ({ severity: SEVERITY_NAMES[severity] || String(severity), ...responseStats(group) }));
+
+        const byHostGroup = [...groupBy(problems, problem => [...new Set(problem.hosts.flatMap(host =>
+            (groupsByHost.get(String(host.hostid)) || []).map(group => String(group.groupid))))])]
+            .sort(([, a], [, b]) => b.length - a.length)
+            .slice(0, top)
+            .map(([groupId, group]) => ({ groupid: groupId, name: groupNames.get(groupId), ...responseStats(group) }));
+
+        const triggers = [...groupBy(problems, problem => [problem.triggerId])].map(([triggerId, group]) => {
+            const ordered = [...group].sort((a, b) => a.clock - b.clock);
+            // A problem that came back soon after the previous one recovered
+            const reopened = ordered.filter((problem, index) => index > 0 &&
+                ordered[index - 1].recoveryClock !== null &&
+                problem.clock - ordered[index - 1].recoveryClock <= flapWindow).length;
+            const latest = ordered[ordered.length - 1];
+            return {
+                triggerid: triggerId,
+                name: latest.name,
+                hosts: [...new Set(group.flatMap(problem => problem.hosts.map(host => host.name)))],
+                reopened,
+                ...responseStats(group)
+            };
+        });
+        const summarizeTrigger = trigger => ({ triggerid: trigger.triggerid, name: trigger.name, hosts: trigger.hosts, problems: trigger.problems });
+
+        const byTrigger = [...triggers]
+            .sort((a, b) => b.problems - a.problems)
+            .slice(0, top);
+
+        const noise = {
+            mostFlapping: triggers.filter(trigger => trigger.reopened > 0)
+                .sort((a, b) => (b.reopened - a.reopened) || (b.problems - a.problems))
+                .slice(0, top)
+                .map(trigger => ({ ...summarizeTrigger(trigger), reopened: trigger.reopened })),
+            shortestLived: triggers.filter(trigger => trigger.resolved >= 2)
+                .sort((a, b) => (a.mttr.median - b.mttr.median) || (b.problems - a.problems))
+                .slice(0, top)
+                .map(trigger => ({ ...summarizeTrigger(trigger), medianDuration: trigger.mttr.median, readable: formatDuration(trigger.mttr.median) })),
+            neverAcknowledged: triggers.filter(trigger => trigger.acknowledged === 0)
+                .sort((a, b) => b.problems - a.problems)
+                .slice(0, top)
+                .map(summarizeTrigger)
+        };
+
+        const percent = count => `${Math.round((count / overall.problems) * 100)}%`;
+        return {
+            summary: `${overall.problems} problem(s) from ${period.from} to ${period.till}: ` +
+                `${percent(overall.acknowledged)} acknowledged, ${percent(overall.resolved)} resolved. ` +
+                `MTTA ${overall.mtta.count > 0 ? formatDuration(overall.mtta.mean) : 'n/a'}, ` +
+                `MTTR ${overall.mttr.count > 0 ? formatDuration(overall.mttr.mean) : 'n/a'}.` +
+                `${truncated ? ' Only the latest problems were read; shorten the period for complete figures.' : ''}`,
+            period,
+            totals: {
+                problems: overall.problems,
+                acknowledged: overall.acknowledged,
+                resolved: overall.resolved,
+                open: overall.problems - overall.resolved
+            },
+            mtta: overall.mtta,
+            mttr: overall.mttr,
+            bySeverity,
+            byHostGroup,
+            byTrigger,
+            noise,
+            flapWindow,
+            ...(truncated && { truncated }),
+            timestamp: new Date().toISOString()
+        };
+    } catch (error) {
+        logger.error(`${config.logging.prefix} Failed to analyze problem history:`, error.message);
+        throw new Error(`Failed to analyze problem history: ${error.message}`, { cause: error });
+    }
+}
+
+// Comparison operators a threshold proposal knows how to move, and their opposite
+const UPPER_OPERATORS = ['>', '>='];
+const LOWER_OPERATORS = ['<', '<='];
+const OPPOSITE_OPERATORS = { '>': '<=', '>=': '<', '<': '>=', '<=': '>' };
+
+// History values read per item when proposing thresholds
+const MAX_HISTORY_VALUES = 10000;
+
+/**
+ * Parse a trigger expression made of one function compared with a constant,
+ * e.g. last(/web01/system.cpu.util[,idle],#1)>90
+ * @param {string} expression - Expanded trigger expression
+ * @returns {Object|null} { func, reference, params, operator, right, threshold }, null for any other expression
+ */
+function parseSimpleExpression(expression) {
+    const match = /^\s*([a-z]+)\((\/.*)$/.exec(String(expression || ''));
+    if (!match) {
+        return null;
+    }
+    // The item reference ends at the first comma or closing parenthesis outside brackets and quotes
+    const rest = match[2];
+    let depth = 0;
+    let quoted = false;
+    let end = -1;
+    for (let index = 0; index < rest.length && end < 0; index++) {
+        const char = rest[index];
+        if (char === '"' && rest[index - 1] !== '\\') {
+            quoted = !quoted;
+        } else if (!quoted && char === '[') {
+            depth++;
+        } else if (!quoted && char === ']') {
+            depth--;
+        } else if (!quoted && depth === 0 && (char === ',' || char === ')')) {
+            end = index;
+        }
+    }
+    if (end < 0) {
+        return null;
+    }
+    const close = rest.indexOf(')', end);
+    const params = rest.slice(end + 1, Math.max(close, end + 1));
+    const comparison = close < 0 || params.includes('(') ? null : /^\)\s*(>=|<=|<>|>|<|=)\s*(\S+)\s*$/.exec(rest.slice(close));
+    if (!comparison) {
+        return null;
+    }
+    const [, operator, right] = comparison;
+    return {
+        func: match[1],
+        reference: rest.slice(0, end),
+        params: params.trim(),
+        operator,
+        right,
+        threshold: /^-?\d*\.?\d+$/.test(right) ? parseFloat(right) : null
+    };
+}
+
+/**
+ * Round a proposed threshold to a readable value
+ * @param {number} value - Threshold
+ * @returns {number} Rounded threshold
+ */
+function roundThreshold(value) {
+    return Math.abs(value) >= 100 ? Math.round(value) : Number(value.toFixed(2));
+}
+
+/**
+ * Percentiles of observed item values
+ * @param {Array<number>} values - Item values
+ * @returns {Object} { count, min, p5, p25, median, p75, p95, max }
+ */
+function valueStats(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+        count: sorted.length,
+        min: sorted[0],
+        p5: percentile(sorted, 5),
+        p25: percentile(sorted, 25),
+        median: percentile(sorted, 50),
+        p75: percentile(sorted, 75),
+        p95: percentile(sorted, 95),
+        max: sorted[sorted.length - 1]
+    };
+}
+
+/**
+ * Highest number of clocks within any 60 minutes
+ * @param {Array<number>} clocks - Clocks in ascending order
+ * @returns {number} Peak transitions per hour
+ */
+function peakPerHour(clocks) {
+    let peak = 0;
+    let start = 0;
+    clocks.forEach((clock, index) => {
+        while (clock - clocks[start] >= 3600) {
+            start++;
+        }
+        peak = Math.max(peak, index - start + 1);
+    });
+    return peak;
+}
+
+/**
+ * Build tuning proposals for a flapping trigger whose expression compares one function with a constant
+ * @param {Object} trigger - Trigger with expanded expression and recovery_mode
+ * @param {Object} parsed - Result of parseSimpleExpression()
+ * @param {Object|null} values - valueStats() of the item, null without numeric history
+ * @param {number} medianProblemSeconds - Median time the trigger stayed in problem state
+ * @returns {Array<Object>} { kind, rationale, update }
+ */
+function buildTuningProposals(trigger, parsed, values, medianProblemSeconds) {
+    const { func, reference, params, operator, threshold } = parsed;
+    const upper = UPPER_OPERATORS.includes(operator);
+    const lower = LOWER_OPERATORS.includes(operator);
+    const proposals = [];
+    const call = (name, args) => `${name}(${reference}${args ? `,${args}` : ''})`;
+
+    // Window long enough to ride out a typical problem spell, in 5 minute steps
+    const minutes = Math.min(Math.max(Math.ceil((medianProblemSeconds * 2) / 300) * 5, 5), 60);
+    if ((upper || lower) && func === 'last' && (params === '' || params === '#1')) {
+        proposals.push({
+            kind: 'sustained',
+            rationale: `Fire only when every value over ${minutes} minutes is ${upper ? 'above' : 'below'} the threshold, instead of on a single value. ` +
+                `Problems of this trigger lasted ${formatDuration(medianProblemSeconds)} (median).`,
+            update: { triggerid: trigger.triggerid, expression: `${call(upper ? 'min' : 'max', `${minutes}m`)}${operator}${parsed.right}` }
+        });
+        proposals.push({
+            kind: 'average',
+            rationale: `Compare the ${minutes} minute average with the threshold, so short spikes${upper ? '' : ' and dips'} are smoothed out.`,
+            update: { triggerid: trigger.triggerid, expression: `${call('avg', `${minutes}m`)}${operator}${parsed.right}` }
+        });
+    }
+
+    if (threshold === null || !values || !(upper || lower)) {
+        return proposals;
+    }
+
+    if (String(trigger.recovery_mode) === '0') {
+        // Recover only once the value is back clear of the threshold by a band of typical variation
+        const band = Math.max(Math.abs(threshold) * 0.1, (values.p75 - values.p25) / 2);
+        const recovery = roundThreshold(upper ? threshold - band : threshold + band);
+        proposals.push({
+            kind: 'hysteresis',
+            rationale: `Resolve only when the value is ${upper ? 'below' : 'above'} ${recovery}, not as soon as it crosses ${threshold} again.`,
+            update: {
+                triggerid: trigger.triggerid,
+                recovery_mode: 1,
+                recovery_expression: `${call(func, params)}${OPPOSITE_OPERATORS[operator]}${recovery}`
+            }
+        });
+    }
+
+    const proposed = roundThreshold(upper ? values.p95 : values.p5);
+    if (upper ? proposed > threshold : proposed < threshold) {
+        proposals.push({
+            kind: 'threshold',
+            rationale: `The threshold ${threshold} is inside the normal range of the item ` +
+                `(median ${roundThreshold(values.median)}, ${upper ? 'p95' : 'p5'} ${proposed}). ` +
+                `Moving it to the ${upper ? '95th' : '5th'} percentile fires only on the ${upper ? 'highest' : 'lowest'} 5% of values.`,
+            update: { triggerid: trigger.triggerid, expression: `${call(func, params)}${operator}${proposed}` }
+        });
+    }
+    return proposals;
+}
+
+/**
+ * Find flapping triggers and propose how to tune them.
+ *
+ * Reads the problem and OK events of triggers over the window and flags triggers whose
+ * busiest hour had at least minTransitionsPerHour transitions. For each flagged trigger
+ * whose expression compares one function of a numeric item with a constant, the item's
+ * history in the window is read and up to four changes are proposed:
+ *   - sustained: min()/max() over N minutes instead of last()
+ *   - average: avg() over N minutes instead of last()
+ *   - hysteresis: a recovery expression that needs the value back clear of the threshold
+ *   - threshold: the threshold moved to the 95th (or 5th) percentile of observed values
+ * Every proposal comes with the dry-run plan of its trigger update; nothing is changed.
+ * @param {Object} [options] - Optional filtering parameters
+ * @param {Array<string>} [options.triggerIds] - Only these triggers
+ * @param {Array<string>} [options.hostIds] - Only triggers on these hosts
+ * @param {Array<string>} [options.hostGroupIds] - Only triggers on hosts in these groups
+ * @param {number} [options.timeFrom] - Window start, Unix time (default hours before timeTill)
+ * @param {number} [options.timeTill] - Window end, Unix time (default now)
+ * @param {number} [options.hours] - Window length when timeFrom is not given (default 24)
+ * @param {number} [options.minTransitionsPerHour] - Problem and OK events in the busiest hour that count as flapping (default 4)
+ * @param {number} [options.top] - Maximum flapping triggers analyzed (default 10)
+ * @param {number} [options.maxEvents] - Maximum events to read (default 10000)
+ * @returns {Promise<Object>} Flapping triggers with their tuning proposals
+ */
+async function detectFlappingTriggers(options = {}) {
+    const timeTill = options.timeTill ?? Math.floor(Date.now() / 1000);
+    const timeFrom = options.timeFrom ?? timeTill - (options.hours || 24) * 3600;
+    const minTransitions = options.minTransitionsPerHour || 4;
+
+    try {
+        logger.debug(`${config.logging.prefix} Detecting flapping triggers`);
+
+        if (timeFrom >= timeTill) {
+            throw new Error('timeFrom must be before timeTill');
+        }
+
+        const { events, truncated } = await readEvents({
+            source: 0,
+            object: 0,
+            time_from: timeFrom,
+            time_till: timeTill,
+            ...(options.triggerIds && { objectids: options.triggerIds }),
+            ...(options.hostIds && { hostids: options.hostIds }),
+            ...(options.hostGroupIds && { groupids: options.hostGroupIds }),
+            output: ['eventid', 'objectid', 'clock', 'value']
+        }, options.maxEvents || 10000);
+
+        const hours = (timeTill - timeFrom) / 3600;
+        const candidates = [...groupBy(events, event => [String(event.objectid)])].map(([triggerId, triggerEvents]) => {
+            const ordered = [...triggerEvents].sort((a, b) => (a.clock - b.clock) || (a.eventid - b.eventid));
+            const clocks = ordered.map(event => parseInt(event.clock, 10));
+            // Time in problem state, from each problem event to the next OK event
+            const spells = ordered.flatMap((event, index) => String(event.value) === '1' && ordered[index + 1] && String(ordered[index + 1].value) === '0'
+                ? [clocks[index + 1] - clocks[index]]
+                : []);
+            return {
+                triggerid: triggerId,
+                transitions: ordered.length,
+                problems: ordered.filter(event => String(event.value) === '1').length,
+                perHour: Number((ordered.length / hours).toFixed(2)),
+                peakPerHour: peakPerHour(clocks),
+                medianProblemSeconds: spells.length > 0 ? percentile([...spells].sort((a, b) => a - b), 50) : 0
+            };
+        });
+        const flapping = candidates.filter(candidate => candidate.peakPerHour >= minTransitions)
+            .sort((a, b) => (b.peakPerHour - a.peakPerHour) || (b.transitions - a.transitions))
+            .slice(0, options.top || 10);
+
+        const period = { from: new Date(timeFrom * 1000).toISOString(), till: new Date(timeTill * 1000).toISOString() };
+        if (flapping.length === 0) {
+            return {
+                summary: `No trigger had ${minTransitions} or more transitions in an hour from ${period.from} to ${period.till} (${candidates.length} trigger(s) changed state).`,
+                period,
+                triggersWithEvents: candidates.length,
+                flapping: [],
+                ...(truncated && { truncated }),
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        const triggers = await getTriggers({
+            triggerids: flapping.map(candidate => candidate.triggerid),
+            output: ['triggerid', 'description', 'expression', 'recovery_mode', 'recovery_expression', 'priority'],
+            expandExpression: true,
+            selectHosts: ['hostid', 'name'],
+            selectItems: ['itemid', 'name', 'key_', 'value_type', 'units']
+        });
+        const triggersById = new Map(triggers.map(trigger => [String(trigger.triggerid), trigger]));
+
+        const results = [];
+        for (const candidate of flapping) {
+            const trigger = triggersById.get(candidate.triggerid);
+            if (!trigger) {
+                results.push({ ...candidate, note: 'Trigger not found; it may have been deleted.' });
+                continue;
+            }
+            const parsed = parseSimpleExpression(trigger.expression);
+            const numericItems = (trigger.items || []).filter(item => ['0', '3'].includes(String(item.value_type)));
+            const item = (trigger.items || []).length === 1 ? numericItems[0] : undefined;
+
+            let values = null;
+            if (parsed && item) {
+                const history = await getHistory({
+                    itemids: [item.itemid],
+                    history: parseInt(item.value_type, 10),
+                    time_from: timeFrom,
+                    time_till: timeTill,
+                    output: ['clock', 'value'],
+                    sortfield: 'clock',
+                    sortorder: 'DESC',
+                    limit: MAX_HISTORY_VALUES
+                });
+                const numbers = history.map(record => parseFloat(record.value)).filter(Number.isFinite);
+                values = numbers.length > 0 ? valueStats(numbers) : null;
+            }
+
+            const proposals = parsed
+                ? buildTuningProposals(trigger, parsed, values, candidate.medianProblemSeconds)
+                : [];
+            for (const proposal of proposals) {
+                proposal.plan = await planUpdate('trigger', proposal.update);
+            }
+
+            const notes = [];
+            if (!parsed) {
+                notes.push('The expression is not one function compared with a constant; no change is proposed.');
+            } else if (!item) {
+                notes.push('The trigger does not use exactly one numeric item; threshold and hysteresis proposals need its history.');
+            } else if (!values) {
+                notes.push('The item has no numeric history in the window; threshold and hysteresis proposals need it.');
+            }
+
+            results.push({
+                triggerid: candidate.triggerid,
+                description: trigger.description,
+                hosts: (trigger.hosts || []).map(host => host.name),
+                severity: SEVERITY_NAMES[trigger.priority] || trigger.priority,
+                expression: trigger.expression,
+                ...(String(trigger.recovery_mode) === '1' && { recoveryExpression: trigger.recovery_expression }),
+                transitions: candidate.transitions,
+                problems: candidate.problems,
+                perHour: candidate.perHour,
+                peakPerHour: candidate.peakPerHour,
+                medianProblemDuration: formatDuration(candidate.medianProblemSeconds),
+                ...(item && { item: { itemid: item.itemid, name: item.name, key_: item.key_, units: item.units } }),
+                ...(values && { values }),
+                proposals,
+                ...(notes.length > 0 && { notes })
+            });
+        }
+
+        return {
+            summary: `${results.length} flapping trigger(s) with ${minTransitions} or more transitions in an hour from ${period.from} to ${period.till}; ` +
+                `${results.reduce((sum, result) => sum + result.proposals.length, 0)} tuning proposal(s). ` +
+                'Proposals are dry-run plans; nothing is changed.',
+            period,
+            triggersWithEvents: candidates.length,
+            flapping: results,
+            ...(truncated && { truncated }),
+            timestamp: new Date().toISOString()
+        };
+    } catch (error) {
+        logger.error(`${config.logging.prefix} Failed to detect flapping triggers:`, error.message);
+        throw new Error(`Failed to detect flapping triggers: ${error.message}`, { cause: error });
+    }
+}
+
+module.exports = {
+    getProblemAnalytics,
+    detectFlappingTriggers,
+    parseSimpleExpression,
+    formatDuration,
+    durationStats
+};
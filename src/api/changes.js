@@ -0,0 +1,558 @@
+/* eslint-disable security/detect-object-injection */
+/**
+ * Change Planning API Module
+ *
+ * Computes what a create, update, delete or import call would change without
+ * calling any Zabbix write method. Current objects are fetched through the
+ * existing getters and compared field by field against the requested values.
+ */
+
+const { request } = require('./zabbix-client');
+const { getHosts } = require('./hosts');
+const { getHostGroups } = require('./hostgroups');
+const { getItems } = require('./items');
+const { getTriggers } = require('./triggers');
+const { getTemplates } = require('./templates');
+const { getMaintenanceWindows } = require('./maintenance');
+const { getUsers, getUserGroups } = require('./users');
+const { getScripts } = require('./scripts');
+const { getActions } = require('./actions');
+const { getMediaTypes } = require('./media');
+const { getMaps, getValueMaps, getIconMaps } = require('./maps');
+const { getDashboards } = require('./dashboards');
+const { getProxies } = require('./proxies');
+const { getServices } = require('./services');
+const { getDiscoveryRules } = require('./discovery');
+const { getEvents, checkManualClose } = require('./problems');
+const { logger } = require('../utils/logger');
+const config = require('../config');
+
+// Maximum number of dependent objects listed per type (counts are always complete)
+const DEPENDENT_SAMPLE_SIZE = 20;
+
+/**
+ * Object types that support change planning
+ * related: array/object fields that need a select* parameter to be returned by the getter
+ * dependents: objects Zabbix removes together with the object on delete
+ * fetchOptions: getter parameters that return fields in the form the write method takes
+ */
+const OBJECT_TYPES = {
+    host: {
+        getter: getHosts,
+        idField: 'hostid',
+        idsParam: 'hostids',
+        nameField: 'host',
+        related: {
+            groups: { select: 'selectGroups' },
+            interfaces: { select: 'selectInterfaces' },
+            templates: { select: 'selectParentTemplates', property: 'parentTemplates' },
+            macros: { select: 'selectMacros' },
+            tags: { select: 'selectTags' },
+            inventory: { select: 'selectInventory' }
+        },
+        dependents: [
+            { type: 'item', getter: getItems, param: 'hostids', idField: 'itemid', nameField: 'name' },
+            { type: 'trigger', getter: getTriggers, param: 'hostids', idField: 'triggerid', nameField: 'description' }
+        ]
+    },
+    template: {
+        getter: getTemplates,
+        idField: 'templateid',
+        idsParam: 'templateids',
+        nameField: 'host',
+        related: {
+            groups: { select: 'selectGroups' },
+            templates: { select: 'selectParentTemplates', property: 'parentTemplates' },
+            macros: { select: 'selectMacros' },
+            tags: { select: 'selectTags' }
+        },
+        dependents: [
+            { type: 'item', getter: getItems, param: 'templateids', idField: 'itemid', nameField: 'name' },
+            { type: 'trigger', getter: getTriggers, param: 'templateids', idField: 'triggerid', nameField: 'description' },
+            { type: 'linked host', getter: getHosts, param: 'templateids', idField: 'hostid', nameField: 'host' }
+        ]
+    },
+    hostgroup: {
+        getter: getHostGroups,
+        idField: 'groupid',
+        idsParam: 'groupids',
+        nameField: 'name',
+        related: {},
+        dependents: [
+            { type: 'member host', getter: getHosts, param: 'groupids', idField: 'hostid', nameField: 'host' }
+        ]
+    },
+    item: {
+        getter: getItems,
+        idField: 'itemid',
+        idsParam: 'itemids',
+        nameField: 'name',
+        related: {
+            tags: { select: 'selectTags' },
+            preprocessing: { select: 'selectPreprocessing' }
+        },
+        dependents: [
+            { type: 'trigger', getter: getTriggers, param: 'itemids', idField: 'triggerid', nameField: 'description' }
+        ]
+    },
+    trigger: {
+        getter: getTriggers,
+        idField: 'triggerid',
+        idsParam: 'triggerids',
+        nameField: 'description',
+        related: {
+            tags: { select: 'selectTags' },
+            dependencies: { select: 'selectDependencies' }
+        },
+        dependents: [],
+        // Expressions as written (last(/host/key)>90), not as function IDs ({13528}>90)
+        fetchOptions: { expandExpression: true }
+    },
+    maintenance: {
+        getter: getMaintenanceWindows,
+        idField: 'maintenanceid',
+        idsParam: 'maintenanceids',
+        nameField: 'name',
+        related: {
+            groups: { select: 'selectHostGroups', property: 'hostgroups' },
+            hosts: { select: 'selectHosts' },
+            timeperiods: { select: 'selectTimeperiods' },
+            tags: { select: 'selectTags' }
+        },
+        dependents: []
+    },
+    user: {
+        getter: getUsers,
+        idField: 'userid',
+        idsParam: 'userids',
+        nameField: 'username',
+        related: {
+            usrgrps: { select: 'selectUsrgrps' },
+            medias: { select: 'selectMedias' }
+        },
+        dependents: []
+    },
+    usergroup: {
+        getter: getUserGroups,
+        idField: 'usrgrpid',
+        idsParam: 'usrgrpids',
+        nameField: 'name',
+        related: {
+            users: { select: 'selectUsers' }
+        },
+        dependents: []
+    },
+    script: { getter: getScripts, idField: 'scriptid', idsParam: 'scriptids', nameField: 'name', related: {}, dependents: [] },
+    action: {
+        getter: getActions,
+        idField: 'actionid',
+        idsParam: 'actionids',
+        nameField: 'name',
+        related: {
+            filter: { select: 'selectFilter' },
+            operations: { select: 'selectOperations' }
+        },
+        dependents: []
+    },
+    mediatype: { getter: getMediaTypes, idField: 'mediatypeid', idsParam: 'mediatypeids', nameField: 'name', related: {}, dependents: [] },
+    map: { getter: getMaps, idField: 'sysmapid', idsParam: 'sysmapids', nameField: 'name', related: {}, dependents: [] },
+    valuemap: { getter: getValueMaps, idField: 'valuemapid', idsParam: 'valuemapids', nameField: 'name', related: {}, dependents: [] },
+    iconmap: { getter: getIconMaps, idField: 'iconmapid', idsParam: 'iconmapids', nameField: 'name', related: {}, dependents: [] },
+    dashboard: { getter: getDashboards, idField: 'dashboardid', idsParam: 'dashboardids', nameField: 'name', related: {}, dependents: [] },
+    proxy: {
+        getter: getProxies,
+        idField: 'proxyid',
+        idsParam: 'proxyids',
+        nameField: 'host',
+        related: {},
+        dependents: [
+            { type: 'monitored host', getter: getHosts, param: 'proxyids', idField: 'hostid', nameField: 'host' }
+        ]
+    },
+    service: { getter: getServices, idField: 'serviceid', idsParam: 'serviceids', nameField: 'name', related: {}, dependents: [] },
+    drule: { getter: getDiscoveryRules, idField: 'druleid', idsParam: 'druleids', nameField: 'name', related: {}, dependents: [] }
+};
+
+/**
+ * Look up an object type definition
+ * @param {string} type - Object type (e.g. 'host', 'template')
+ * @returns {Object} Object type definition
+ */
+function getObjectType(type) {
+    const definition = Object.prototype.hasOwnProperty.call(OBJECT_TYPES, type) ? OBJECT_TYPES[type] : null;
+    if (!definition) {
+        throw new Error(`Change planning is not supported for object type '${type}'.`);
+    }
+    return definition;
+}
+
+/**
+ * Normalize a value for comparison (Zabbix returns numbers as strings)
+ * @param {any} value - Value to normalize
+ * @returns {any} Normalized value
+ */
+function normalizeValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (Array.isArray(value)) {
+        return value.map(normalizeValue);
+    }
+    if (typeof value === 'object') {
+        return Object.keys(value).sort().reduce((result, key) => {
+            result[key] = normalizeValue(value[key]);
+            return result;
+        }, {});
+    }
+    return String(value);
+}
+
+/**
+ * Reduce current values to the keys the caller supplied, so that
+ * e.g. groups: [{ groupid }] is compared against the current group ids only
+ * @param {any} current - Current value from Zabbix
+ * @param {any} requested - Requested value
+ * @returns {any} Projected current value
+ */
+function projectValue(current, requested) {
+    if (Array.isArray(requested) && Array.isArray(current)) {
+        const sample = requested.find(entry => entry && typeof entry === 'object');
+        if (!sample) {
+            return current;
+        }
+        const keys = Object.keys(sample);
+        return current.map(entry => keys.reduce((result, key) => {
+            if (entry && entry[key] !== undefined) {
+                result[key] = entry[key];
+            }
+            return result;
+        }, {}));
+    }
+    if (requested && typeof requested === 'object' && !Array.isArray(requested) && current && typeof current === 'object') {
+        return Object.keys(requested).reduce((result, key) => {
+            result[key] = current[key];
+            return result;
+        }, {});
+    }
+    return current;
+}
+
+/**
+ * Compute a field-level diff between a current object and requested values
+ * @param {Object} current - Current object from Zabbix
+ * @param {Object} requested - Requested field values
+ * @param {Object} [related] - Related field definitions for the object type
+ * @returns {Object} { changes: Array, unchanged: Array<string> }
+ */
+function diffFields(current, requested, related = {}) {
+    const changes = [];
+    const unchanged = [];
+
+    for (const [field, after] of Object.entries(requested)) {
+        const property = related[field]?.property || field;
+        const before = projectValue(current[property], after);
+        const beforeKey = JSON.stringify(normalizeValue(before));
+        const afterKey = JSON.stringify(normalizeValue(after));
+
+        if (beforeKey === afterKey) {
+            unchanged.push(field);
+            continue;
+        }
+
+        const change = { field, before: before === undefined ? null : before, after };
+        if (Array.isArray(before) && Array.isArray(after)) {
+            const beforeEntries = before.map(entry => JSON.stringify(normalizeValue(entry)));
+            const afterEntries = after.map(entry => JSON.stringify(normalizeValue(entry)));
+            change.added = after.filter((_entry, index) => !beforeEntries.includes(afterEntries[index]));
+            change.removed = before.filter((_entry, index) => !afterEntries.includes(beforeEntries[index]));
+        }
+        changes.push(change);
+    }
+
+    return { changes, unchanged };
+}
+
+/**
+ * Fetch current objects by id, including the related fields being changed
+ * @param {Object} definition - Object type definition
+ * @param {Array<string>} ids - Object ids
+ * @param {Array<string>} [fields] - Fields that will be compared
+ * @returns {Promise<Array>} Current objects
+ */
+async function fetchCurrent(definition, ids, fields = []) {
+    const options = { [definition.idsParam]: ids, output: 'extend', ...definition.fetchOptions };
+    for (const field of fields) {
+        const relation = definition.related[field];
+        if (relation) {
+            options[relation.select] = 'extend';
+        }
+    }
+    return await definition.getter(options);
+}
+
+/**
+ * Count and sample the objects Zabbix would remove together with the given objects
+ * @param {Object} definition - Object type definition
+ * @param {Array<string>} ids - Ids of the objects being deleted
+ * @returns {Promise<Array>} Dependent object summaries
+ */
+async function findDependents(definition, ids) {
+    const dependents = [];
+
+    for (const dependent of definition.dependents) {
+        const objects = await dependent.getter({
+            [dependent.param]: ids,
+            output: [dependent.idField, dependent.nameField]
+        });
+        if (!objects || objects.length === 0) {
+            continue;
+        }
+        dependents.push({
+            type: dependent.type,
+            count: objects.length,
+            sample: objects.slice(0, DEPENDENT_SAMPLE_SIZE).map(object => ({
+                id: object[dependent.idField],
+                name: object[dependent.nameField]
+            }))
+        });
+    }
+
+    return dependents;
+}
+
+/**
+ * Plan an update without applying it
+ * @param {string} type - Object type (e.g. 'host')
+ * @param {Object|Array<Object>} params - Update parameters, each including the id field
+ * @returns {Promise<Object>} Field-level before/after diff per object
+ */
+async function planUpdate(type, params) {
+    const definition = getObjectType(type);
+    const updates = Array.isArray(params) ? params : [params];
+    const ids = updates.map(update => update[definition.idField]).filter(Boolean);
+
+    if (ids.length !== updates.length) {
+        throw new Error(`Parameter '${definition.idField}' is required to plan a ${type} update.`);
+    }
+
+    try {
+        logger.debug(`${config.logging.prefix} Planning ${type} update for: ${ids.join(', ')}`);
+        const fields = [...new Set(updates.flatMap(update => Object.keys(update)))];
+        const current = await fetchCurrent(definition, ids, fields);
+
+        const objects = updates.map(update => {
+            const id = update[definition.idField];
+            const existing = current.find(object => String(object[definition.idField]) === String(id));
+            if (!existing) {
+                return { id, found: false, changes: [], unchanged: [] };
+            }
+
+            const requested = { ...update };
+            delete requested[definition.idField];
+            return {
+                id,
+                name: existing[definition.nameField],
+                found: true,
+                ...diffFields(existing, requested, definition.related)
+            };
+        });
+
+        return {
+            operation: 'update',
+            type,
+            objects,
+            summary: {
+                objects: objects.length,
+                notFound: objects.filter(object => !object.found).length,
+                fieldsChanged: objects.reduce((sum, object) => sum + object.changes.length, 0)
+            }
+        };
+    } catch (error) {
+        logger.error(`${config.logging.prefix} Failed to plan ${type} update:`, error.message);
+        throw new Error(`Failed to plan ${type} update: ${error.message}`, { cause: error });
+    }
+}
+
+/**
+ * Plan a delete without applying it, including cascaded objects
+ * @param {string} type - Object type (e.g. 'host')
+ * @param {Array<string>} ids - Ids of the objects to delete
+ * @returns {Promise<Object>} Objects that would be deleted and their dependents
+ */
+async function planDelete(type, ids) {
+    const definition = getObjectType(type);
+    if (!Array.isArray(ids) || ids.length === 0) {
+        throw new Error(`planDelete expects a non-empty array of ${type} IDs.`);
+    }
+
+    try {
+        logger.debug(`${config.logging.prefix} Planning ${type} delete for: ${ids.join(', ')}`);
+        const current = await fetchCurrent(definition, ids);
+        const foundIds = current.map(object => String(object[definition.idField]));
+        const dependents = foundIds.length > 0 ? await findDependents(definition, foundIds) : [];
+
+        return {
+            operation: 'delete',
+            type,
+            objects: current.map(object => ({
+                id: object[definition.idField],
+                name: object[definition.nameField]
+            })),
+            notFound: ids.filter(id => !foundIds.includes(String(id))),
+            dependents,
+            summary: {
+                objects: current.length,
+                dependentObjects: dependents.reduce((sum, dependent) => sum + dependent.count, 0)
+            }
+        };
+    } catch (error) {
+        logger.error(`${config.logging.prefix} Failed to plan ${type} delete:`, error.message);
+        throw new Error(`Failed to plan ${type} delete: ${error.message}`, { cause: error });
+    }
+}
+
+/**
+ * Plan a create without applying it, reporting name conflicts
+ * @param {string} type - Object type (e.g. 'host')
+ * @param {Object} params - Creation parameters
+ * @returns {Promise<Object>} Fields that would be set and any existing objects with the same name
+ */
+async function planCreate(type, params) {
+    const definition = getObjectType(type);
+
+    try {
+        const name = params[definition.nameField];
+        let conflicts = [];
+        if (name) {
+            logger.debug(`${config.logging.prefix} Planning ${type} create for: ${name}`);
+            const existing = await definition.getter({
+                filter: { [definition.nameField]: [name] },
+                output: [definition.idField, definition.nameField]
+            });
+            conflicts = (existing || []).map(object => ({
+                id: object[definition.idField],
+                name: object[definition.nameField]
+            }));
+        }
+
+        return {
+            operation: 'create',
+            type,
+            fields: params,
+            conflicts,
+            summary: {
+                fields: Object.keys(params).length,
+                conflicts: conflicts.length
+            }
+        };
+    } catch (error) {
+        logger.error(`${config.logging.prefix} Failed to plan ${type} create:`, error.message);
+        throw new Error(`Failed to plan ${type} create: ${error.message}`, { cause: error });
+    }
+}
+
+/**
+ * Plan a configuration import using configuration.importcompare (Zabbix 6.0+)
+ * @param {Object} params - { format, source, rules }
+ * @returns {Promise<Object>} Import comparison result
+ */
+async function planImport(params) {
+    if (!params || !params.format || !params.source) {
+        throw new Error("Parameters 'format' and 'source' are required to plan an import.");
+    }
+
+    try {
+        logger.debug(`${config.logging.prefix} Planning configuration import (${params.format})`);
+        const changes = await request('configuration.importcompare', {
+            format: params.format,
+            source: params.source,
+            rules: params.rules || {}
+        });
+        return { operation: 'import', changes };
+    } catch (error) {
+        logger.error(`${config.logging.prefix} Failed to plan configuration import:`, error.message);
+        throw new Error(`Failed to plan configuration import: ${error.message}`, { cause: error });
+    }
+}
+
+/**
+ * Plan an event acknowledgement or another problem update (close, suppress, ...)
+ * @param {Array<string>} eventIds - Event ids
+ * @param {Object} [params] - Tool arguments (message, severity, until, ...)
+ * @param {string} [operation] - Problem operation, e.g. 'close'
+ * @returns {Promise<Object>} Events that would be affected; for 'close' also those that cannot be closed
+ */
+async function planAcknowledge(eventIds, params = {}, operation = 'acknowledge') {
+    if (!Array.isArray(eventIds) || eventIds.length === 0) {
+        throw new Error('planAcknowledge expects a non-empty array of event IDs.');
+    }
+
+    try {
+        const [events, closeCheck] = await Promise.all([
+            getEvents({
+                eventids: eventIds,
+                output: ['eventid', 'name', 'severity', 'acknowledged', 'r_eventid'],
+                selectHosts: ['hostid', 'name']
+            }),
+            operation === 'close' ? checkManualClose(eventIds) : Promise.resolve(null)
+        ]);
+        const foundIds = events.map(event => String(event.eventid));
+        return {
+            operation,
+            type: 'event',
+            request: params,
+            objects: events,
+            notFound: eventIds.filter(id => !foundIds.includes(String(id))),
+            ...(closeCheck && { cannotClose: closeCheck.rejected }),
+            summary: {
+                objects: events.length,
+                ...(closeCheck && { closable: closeCheck.closable.length })
+            }
+        };
+    } catch (error) {
+        logger.error(`${config.logging.prefix} Failed to plan event acknowledgement:`, error.message);
+        throw new Error(`Failed to plan event acknowledgement: ${error.message}`, { cause: error });
+    }
+}
+
+/**
+ * Plan a script execution
+ * @param {Object} params - { scriptid, hostid, eventid }
+ * @returns {Promise<Object>} Script and target that would be used
+ */
+async function planScriptExecution(params) {
+    if (!params || !params.scriptid) {
+        throw new Error("Parameter 'scriptid' is required to plan a script execution.");
+    }
+
+    try {
+        const [scripts, hosts] = await Promise.all([
+            getScripts({ scriptids: [params.scriptid], output: ['scriptid', 'name', 'type', 'execute_on', 'command', 'scope'] }),
+            params.hostid ? getHosts({ hostids: [params.hostid], output: ['hostid', 'host', 'name'] }) : Promise.resolve([])
+        ]);
+        return {
+            operation: 'execute',
+            type: 'script',
+            script: scripts[0] || null,
+            target: hosts[0] || (params.eventid ? { eventid: params.eventid } : null),
+            notFound: [
+                ...(scripts.length === 0 ? [`script ${params.scriptid}`] : []),
+                ...(params.hostid && hosts.length === 0 ? [`host ${params.hostid}`] : [])
+            ]
+        };
+    } catch (error) {
+        logger.error(`${config.logging.prefix} Failed to plan script execution:`, error.message);
+        throw new Error(`Failed to plan script execution: ${error.message}`, { cause: error });
+    }
+}
+
+module.exports = {
+    OBJECT_TYPES,
+    diffFields,
+    planUpdate,
+    planDelete,
+    planCreate,
+    planImport,
+    planAcknowledge,
+    planScriptExecution
+};
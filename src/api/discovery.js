@@ -1,11 +1,8 @@
 /* eslint-disable security/detect-object-injection */
 const { logger } = require('../utils/logger');
-const { ZabbixClient } = require('./zabbix-client');
+const client = require('./zabbix-client');
 const config = require('../config');
 
-// Initialize client
-const client = new ZabbixClient();
-
 /**
  * Make a request using the zabbix-utils client
  * @param {string} method - API method name
@@ -41,7 +38,7 @@ async function getDiscoveryRules(options = {}) {
         return await request('discoveryrule.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get discovery rules:`, error.message);
-        throw new Error(`Failed to retrieve discovery rules: ${error.message}`);
+        throw new Error(`Failed to retrieve discovery rules: ${error.message}`, { cause: error });
     }
 }
 
@@ -65,7 +62,7 @@ async function createDiscoveryRule(ruleData) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to create discovery rule:`, error.message);
-        throw new Error(`Failed to create discovery rule: ${error.message}`);
+        throw new Error(`Failed to create discovery rule: ${error.message}`, { cause: error });
     }
 }
 */
@@ -89,7 +86,7 @@ async function updateDiscoveryRule(updateData) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to update discovery rule:`, error.message);
-        throw new Error(`Failed to update discovery rule: ${error.message}`);
+        throw new Error(`Failed to update discovery rule: ${error.message}`, { cause: error });
     }
 }
 */
@@ -113,7 +110,7 @@ async function deleteDiscoveryRules(ruleIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to delete discovery rules:`, error.message);
-        throw new Error(`Failed to delete discovery rules: ${error.message}`);
+        throw new Error(`Failed to delete discovery rules: ${error.message}`, { cause: error });
     }
 }
 */
@@ -145,7 +142,7 @@ async function getDiscoveryRulesByHosts(hostIds, options = {}) {
         return await request('discoveryrule.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get discovery rules by hosts:`, error.message);
-        throw new Error(`Failed to retrieve discovery rules by hosts: ${error.message}`);
+        throw new Error(`Failed to retrieve discovery rules by hosts: ${error.message}`, { cause: error });
     }
 }
 
@@ -176,7 +173,7 @@ async function getDiscoveryRulesByTemplates(templateIds, options = {}) {
         return await request('discoveryrule.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get discovery rules by templates:`, error.message);
-        throw new Error(`Failed to retrieve discovery rules by templates: ${error.message}`);
+        throw new Error(`Failed to retrieve discovery rules by templates: ${error.message}`, { cause: error });
     }
 }
 
@@ -208,7 +205,7 @@ async function getDiscoveryRulesByName(namePattern, options = {}) {
         return await request('discoveryrule.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get discovery rules by name:`, error.message);
-        throw new Error(`Failed to retrieve discovery rules by name: ${error.message}`);
+        throw new Error(`Failed to retrieve discovery rules by name: ${error.message}`, { cause: error });
     }
 }
 
@@ -234,7 +231,7 @@ async function getEnabledDiscoveryRules(options = {}) {
         return await request('discoveryrule.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get enabled discovery rules:`, error.message);
-        throw new Error(`Failed to retrieve enabled discovery rules: ${error.message}`);
+        throw new Error(`Failed to retrieve enabled discovery rules: ${error.message}`, { cause: error });
     }
 }
 
@@ -260,7 +257,7 @@ async function getDisabledDiscoveryRules(options = {}) {
         return await request('discoveryrule.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get disabled discovery rules:`, error.message);
-        throw new Error(`Failed to retrieve disabled discovery rules: ${error.message}`);
+        throw new Error(`Failed to retrieve disabled discovery rules: ${error.message}`, { cause: error });
     }
 }
 
@@ -288,7 +285,7 @@ async function enableDiscoveryRules(ruleIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to enable discovery rules:`, error.message);
-        throw new Error(`Failed to enable discovery rules: ${error.message}`);
+        throw new Error(`Failed to enable discovery rules: ${error.message}`, { cause: error });
     }
 }
 */
@@ -317,7 +314,7 @@ async function disableDiscoveryRules(ruleIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to disable discovery rules:`, error.message);
-        throw new Error(`Failed to disable discovery rules: ${error.message}`);
+        throw new Error(`Failed to disable discovery rules: ${error.message}`, { cause: error });
     }
 }
 */
@@ -350,7 +347,7 @@ async function getDiscoveredHosts(options = {}) {
         return formattedHosts;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get discovered hosts:`, error.message);
-        throw new Error(`Failed to retrieve discovered hosts: ${error.message}`);
+        throw new Error(`Failed to retrieve discovered hosts: ${error.message}`, { cause: error });
     }
 }
 
@@ -373,7 +370,7 @@ async function getDiscoveredServices(options = {}) {
         return await request('dservice.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get discovered services:`, error.message);
-        throw new Error(`Failed to retrieve discovered services: ${error.message}`);
+        throw new Error(`Failed to retrieve discovered services: ${error.message}`, { cause: error });
     }
 }
 
@@ -434,7 +431,7 @@ async function getDiscoveryRuleStatistics(options = {}) {
         return stats;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get discovery rule statistics:`, error.message);
-        throw new Error(`Failed to retrieve discovery rule statistics: ${error.message}`);
+        throw new Error(`Failed to retrieve discovery rule statistics: ${error.message}`, { cause: error });
     }
 }
 
@@ -485,7 +482,7 @@ async function searchDiscoveryRules(criteria = {}) {
         return await request('discoveryrule.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to search discovery rules:`, error.message);
-        throw new Error(`Failed to search discovery rules: ${error.message}`);
+        throw new Error(`Failed to search discovery rules: ${error.message}`, { cause: error });
     }
 }
 
@@ -22,7 +22,7 @@ async function getHostGroups(options = {}) {
         return await request('hostgroup.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get host groups:`, error.message);
-        throw new Error(`Failed to retrieve host groups: ${error.message}`);
+        throw new Error(`Failed to retrieve host groups: ${error.message}`, { cause: error });
     }
 }
 
@@ -45,7 +45,7 @@ async function createHostGroup(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to create host group ${params.name}:`, error.message);
-        throw new Error(`Failed to create host group: ${error.message}`);
+        throw new Error(`Failed to create host group: ${error.message}`, { cause: error });
     }
 }
 */
@@ -68,7 +68,7 @@ async function updateHostGroup(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to update host group ${params.groupid}:`, error.message);
-        throw new Error(`Failed to update host group: ${error.message}`);
+        throw new Error(`Failed to update host group: ${error.message}`, { cause: error });
     }
 }
 */
@@ -91,7 +91,7 @@ async function deleteHostGroups(groupIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to delete host groups:`, error.message);
-        throw new Error(`Failed to delete host groups: ${error.message}`);
+        throw new Error(`Failed to delete host groups: ${error.message}`, { cause: error });
     }
 }
 */
@@ -120,7 +120,7 @@ async function getHostGroupsByName(namePatterns, additionalOptions = {}) {
         return await request('hostgroup.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get host groups by name:`, error.message);
-        throw new Error(`Failed to retrieve host groups by name: ${error.message}`);
+        throw new Error(`Failed to retrieve host groups by name: ${error.message}`, { cause: error });
     }
 }
 
@@ -148,7 +148,7 @@ async function getHostsInGroups(groupIds, additionalOptions = {}) {
         return await request('host.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get hosts in groups:`, error.message);
-        throw new Error(`Failed to retrieve hosts in groups: ${error.message}`);
+        throw new Error(`Failed to retrieve hosts in groups: ${error.message}`, { cause: error });
     }
 }
 
@@ -176,7 +176,7 @@ async function getTemplatesInGroups(groupIds, additionalOptions = {}) {
         return await request('template.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get templates in groups:`, error.message);
-        throw new Error(`Failed to retrieve templates in groups: ${error.message}`);
+        throw new Error(`Failed to retrieve templates in groups: ${error.message}`, { cause: error });
     }
 }
 
@@ -223,7 +223,7 @@ async function addHostsToGroups(hostIds, groupIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to add hosts to groups:`, error.message);
-        throw new Error(`Failed to add hosts to groups: ${error.message}`);
+        throw new Error(`Failed to add hosts to groups: ${error.message}`, { cause: error });
     }
 }
 */
@@ -276,7 +276,7 @@ async function removeHostsFromGroups(hostIds, groupIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to remove hosts from groups:`, error.message);
-        throw new Error(`Failed to remove hosts from groups: ${error.message}`);
+        throw new Error(`Failed to remove hosts from groups: ${error.message}`, { cause: error });
     }
 }
 */
@@ -336,7 +336,7 @@ async function getHostGroupStatistics(groupIds = null) {
         return stats;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get host group statistics:`, error.message);
-        throw new Error(`Failed to retrieve host group statistics: ${error.message}`);
+        throw new Error(`Failed to retrieve host group statistics: ${error.message}`, { cause: error });
     }
 }
 
@@ -383,7 +383,7 @@ async function getEmptyHostGroups(additionalOptions = {}) {
         return emptyGroups;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get empty host groups:`, error.message);
-        throw new Error(`Failed to retrieve empty host groups: ${error.message}`);
+        throw new Error(`Failed to retrieve empty host groups: ${error.message}`, { cause: error });
     }
 }
 
@@ -408,7 +408,7 @@ async function getTopHostGroups(limit = 10) {
         return topGroups;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get top host groups:`, error.message);
-        throw new Error(`Failed to retrieve top host groups: ${error.message}`);
+        throw new Error(`Failed to retrieve top host groups: ${error.message}`, { cause: error });
     }
 }
 
@@ -470,7 +470,7 @@ async function searchHostGroups(criteria = {}, additionalOptions = {}) {
         return filteredGroups;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to search host groups:`, error.message);
-        throw new Error(`Failed to search host groups: ${error.message}`);
+        throw new Error(`Failed to search host groups: ${error.message}`, { cause: error });
     }
 }
 
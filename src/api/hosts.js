@@ -24,7 +24,7 @@ async function getHosts(options = {
         return await request('host.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get hosts:`, error.message);
-        throw new Error(`Failed to retrieve hosts: ${error.message}`);
+        throw new Error(`Failed to retrieve hosts: ${error.message}`, { cause: error });
     }
 }
 
@@ -47,7 +47,7 @@ async function createHost(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to create host ${params.host}:`, error.message);
-        throw new Error(`Failed to create host: ${error.message}`);
+        throw new Error(`Failed to create host: ${error.message}`, { cause: error });
     }
 }
 */
@@ -70,7 +70,7 @@ async function updateHost(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to update host ${params.hostid}:`, error.message);
-        throw new Error(`Failed to update host: ${error.message}`);
+        throw new Error(`Failed to update host: ${error.message}`, { cause: error });
     }
 }
 */
@@ -93,7 +93,7 @@ async function deleteHosts(hostIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to delete hosts:`, error.message);
-        throw new Error(`Failed to delete hosts: ${error.message}`);
+        throw new Error(`Failed to delete hosts: ${error.message}`, { cause: error });
     }
 }
 */
@@ -109,7 +109,7 @@ async function getHostInterfaces(options = { output: 'extend' }) {
         return await request('hostinterface.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get host interfaces:`, error.message);
-        throw new Error(`Failed to retrieve host interfaces: ${error.message}`);
+        throw new Error(`Failed to retrieve host interfaces: ${error.message}`, { cause: error });
     }
 }
 
@@ -131,7 +131,7 @@ async function getHostMacros(hostIds) {
         });
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get host macros:`, error.message);
-        throw new Error(`Failed to retrieve host macros: ${error.message}`);
+        throw new Error(`Failed to retrieve host macros: ${error.message}`, { cause: error });
     }
 }
 
@@ -157,7 +157,7 @@ async function updateHostMacros(hostId, macros) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to update host macros:`, error.message);
-        throw new Error(`Failed to update host macros: ${error.message}`);
+        throw new Error(`Failed to update host macros: ${error.message}`, { cause: error });
     }
 }
     */
@@ -185,7 +185,7 @@ async function getHostsByName(hostNames, additionalOptions = {}) {
         return await request('host.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get hosts by name:`, error.message);
-        throw new Error(`Failed to retrieve hosts by name: ${error.message}`);
+        throw new Error(`Failed to retrieve hosts by name: ${error.message}`, { cause: error });
     }
 }
 
@@ -212,7 +212,7 @@ async function getHostsByGroups(groupIds, additionalOptions = {}) {
         return await request('host.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get hosts by groups:`, error.message);
-        throw new Error(`Failed to retrieve hosts by groups: ${error.message}`);
+        throw new Error(`Failed to retrieve hosts by groups: ${error.message}`, { cause: error });
     }
 }
 
@@ -244,7 +244,7 @@ async function enableHosts(hostIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to enable hosts:`, error.message);
-        throw new Error(`Failed to enable hosts: ${error.message}`);
+        throw new Error(`Failed to enable hosts: ${error.message}`, { cause: error });
     }
 }
     */
@@ -277,7 +277,7 @@ async function disableHosts(hostIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to disable hosts:`, error.message);
-        throw new Error(`Failed to disable hosts: ${error.message}`);
+        throw new Error(`Failed to disable hosts: ${error.message}`, { cause: error });
     }
 }
 */
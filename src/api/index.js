@@ -18,6 +18,8 @@ const proxies = require('./proxies');
 const services = require('./services');
 const configuration = require('./configuration');
 const intelligence = require('./intelligence');
+const analytics = require('./analytics');
+const changes = require('./changes');
 
 module.exports = {
     ...client,
@@ -39,5 +41,7 @@ module.exports = {
     ...proxies,
     ...services,
     ...configuration,
-    ...intelligence
+    ...intelligence,
+    ...analytics,
+    ...changes
 }; 
@@ -0,0 +1,80 @@
+/**
+ * Zabbix Call Context
+ *
+ * Tracks which named Zabbix instance, and which MCP session, the current async call
+ * chain belongs to. The tool registry runs each handler inside runWithInstance() and
+ * runWithSession(); every API module keeps calling request() and the client routes it
+ * to the right instance with the session's own credentials when it has any.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+const callContext = new AsyncLocalStorage();
+
+/**
+ * Names of the configured instances
+ * @returns {Array<string>} Instance names, default first
+ */
+function getInstanceNames() {
+    const names = Object.keys(config.instances || {});
+    return [config.defaultInstance, ...names.filter(name => name !== config.defaultInstance)].filter(Boolean);
+}
+
+/**
+ * Resolve an instance name, falling back to the default instance
+ * @param {string} [name] - Requested instance
+ * @returns {string} Instance name
+ */
+function resolveInstance(name) {
+    const resolved = name || config.defaultInstance;
+    if (!Object.prototype.hasOwnProperty.call(config.instances || {}, resolved)) {
+        throw new Error(`Unknown Zabbix instance '${resolved}'. Configured instances: ${getInstanceNames().join(', ')}`);
+    }
+    return resolved;
+}
+
+/**
+ * Run a function with API calls routed to the given instance
+ * @param {string} name - Instance name
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function runWithInstance(name, fn) {
+    return callContext.run({ ...callContext.getStore(), instance: resolveInstance(name) }, fn);
+}
+
+/**
+ * Run a function on behalf of an MCP session
+ * @param {string} sessionId - MCP session id
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function runWithSession(sessionId, fn) {
+    return callContext.run({ ...callContext.getStore(), sessionId }, fn);
+}
+
+/**
+ * Instance the current call chain is routed to
+ * @returns {string} Instance name
+ */
+function currentInstance() {
+    return callContext.getStore()?.instance || config.defaultInstance;
+}
+
+/**
+ * MCP session the current call chain belongs to
+ * @returns {string|null} Session id, null outside HTTP sessions
+ */
+function currentSession() {
+    return callContext.getStore()?.sessionId || null;
+}
+
+module.exports = {
+    getInstanceNames,
+    resolveInstance,
+    runWithInstance,
+    runWithSession,
+    currentInstance,
+    currentSession
+};
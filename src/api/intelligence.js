@@ -9,7 +9,10 @@
 
 // eslint-disable-next-line no-unused-vars
 const { getClient, request } = require('./zabbix-client');
-const { logger, config } = require('../utils/logger');
+const { getTriggersWithDependencies } = require('./triggers');
+const { ACKNOWLEDGE_ACTIONS } = require('./problems');
+const { logger } = require('../utils/logger');
+const config = require('../config');
 
 /**
  * Get overall infrastructure health summary
@@ -114,7 +117,7 @@ async function getInfrastructureHealth() {
 
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get infrastructure health:`, error.message);
-        throw new Error(`Failed to retrieve infrastructure health: ${error.message}`);
+        throw new Error(`Failed to retrieve infrastructure health: ${error.message}`, { cause: error });
     }
 }
 
@@ -171,10 +174,637 @@ async function getCriticalIssues(options = {}) {
 
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get critical issues:`, error.message);
-        throw new Error(`Failed to retrieve critical issues: ${error.message}`);
+        throw new Error(`Failed to retrieve critical issues: ${error.message}`, { cause: error });
     }
 }
 
+// Trigger dependency levels followed beyond the triggers of open problems
+const MAX_DEPENDENCY_DEPTH = 5;
+
+const SEVERITY_NAMES = ['Not classified', 'Information', 'Warning', 'Average', 'High', 'Disaster'];
+
+/**
+ * Disjoint sets over problem indexes, recording why sets were joined
+ */
+class ProblemClusters {
+    constructor(size) {
+        this.parent = Array.from({ length: size }, (_, index) => index);
+        this.signals = new Map();
+    }
+
+    find(index) {
+        while (this.parent[index] !== index) {
+            this.parent[index] = this.parent[this.parent[index]];
+            index = this.parent[index];
+        }
+        return index;
+    }
+
+    join(a, b, signals) {
+        const rootA = this.find(a);
+        const rootB = this.find(b);
+        const merged = new Set([...(this.signals.get(rootA) || []), ...(this.signals.get(rootB) || []), ...signals]);
+        if (rootA !== rootB) {
+            this.parent[rootB] = rootA;
+            this.signals.delete(rootB);
+        }
+        this.signals.set(rootA, merged);
+    }
+}
+
+/**
+ * Load triggers with their dependencies, following the chain through triggers
+ * that have no open problem themselves
+ * @param {Array<string>} triggerIds - Triggers of the open problems
+ * @returns {Promise<Map<string, Object>>} Trigger by ID
+ */
+async function loadDependencyChain(triggerIds) {
+    const triggers = new Map();
+    let pending = [...new Set(triggerIds)];
+    for (let depth = 0; pending.length > 0 && depth <= MAX_DEPENDENCY_DEPTH; depth++) {
+        const loaded = await getTriggersWithDependencies({
+            triggerids: pending,
+            output: ['triggerid', 'description', 'priority'],
+            selectDependencies: ['triggerid'],
+            selectHosts: ['hostid', 'host', 'name']
+        });
+        loaded.forEach(trigger => triggers.set(String(trigger.triggerid), trigger));
+        pending = [...new Set(loaded.flatMap(trigger => (trigger.dependencies || []).map(dependency => String(dependency.triggerid))))]
+            .filter(triggerId => !triggers.has(triggerId));
+    }
+    return triggers;
+}
+
+/**
+ * All triggers a trigger depends on, directly or through other triggers
+ * @param {string} triggerId - Trigger ID
+ * @param {Map<string, Object>} triggers - Trigger by ID
+ * @returns {Set<string>} Upstream trigger IDs
+ */
+function upstreamTriggers(triggerId, triggers) {
+    const upstream = new Set();
+    const queue = [triggerId];
+    while (queue.length > 0) {
+        const trigger = triggers.get(queue.shift());
+        for (const dependency of trigger?.dependencies || []) {
+            const dependencyId = String(dependency.triggerid);
+            if (!upstream.has(dependencyId)) {
+                upstream.add(dependencyId);
+                queue.push(dependencyId);
+            }
+        }
+    }
+    return upstream;
+}
+
+/**
+ * Correlate open problems into incidents with a probable root problem.
+ *
+ * Problems are joined when:
+ *   - the trigger of one depends, directly or through other triggers, on the trigger of the other
+ *   - they started within timeWindow of each other and share a host, a parent host
+ *     (LLD), a proxy, a tag or a host group
+ * Joins are transitive, so a chain of related problems forms one incident. The root of an
+ * incident is the problem most others depend on (trigger dependencies, then parent hosts),
+ * then the earliest, then the most severe.
+ * @param {Object} [options] - Optional filtering parameters
+ * @param {number} [options.timeWindow] - Seconds between problem starts that count as related (default 600)
+ * @param {number} [options.severityThreshold] - Minimum severity (0-5)
+ * @param {Array<string>} [options.hostGroupIds] - Only problems on hosts in these groups
+ * @param {number} [options.limit] - Maximum open problems to correlate (default 500)
+ * @param {number} [options.maxProblemsPerIncident] - Problems listed per incident (default 20)
+ * @returns {Promise<Object>} Incidents, largest first
+ */
+async function correlateProblems(options = {}) {
+    const timeWindow = options.timeWindow || 600;
+    const maxListed = options.maxProblemsPerIncident || 20;
+
+    try {
+        logger.debug(`${config.logging.prefix} Correlating open problems`);
+
+        const problems = await request('problem.get', {
+            output: ['eventid', 'objectid', 'name', 'severity', 'clock', 'acknowledged'],
+            selectTags: ['tag', 'value'],
+            source: 0,
+            object: 0,
+            recent: false,
+            ...(options.severityThreshold !== undefined && {
+                severities: SEVERITY_NAMES.map((_, severity) => severity).filter(severity => severity >= options.severityThreshold)
+            }),
+            ...(options.hostGroupIds && { groupids: options.hostGroupIds }),
+            sortfield: ['eventid'],
+            sortorder: 'DESC',
+            limit: options.limit || 500
+        });
+
+        if (problems.length === 0) {
+            return {
+                summary: 'No open problems.',
+                totalProblems: 0,
+                incidents: 0,
+                clusters: [],
+                timestamp: new Date().toISOString()
+            };
+        }
+
+        const triggers = await loadDependencyChain(problems.map(problem => String(problem.objectid)));
+        const hostIds = [...new Set(problems.flatMap(problem => (triggers.get(String(problem.objectid))?.hosts || []).map(host => String(host.hostid))))];
+        const hosts = hostIds.length === 0 ? [] : await request('host.get', {
+            hostids: hostIds,
+            output: 'extend',
+            selectHostGroups: ['groupid', 'name'],
+            selectHostDiscovery: ['parent_hostid']
+        });
+        const hostsById = new Map(hosts.map(host => [String(host.hostid), host]));
+
+        const entries = problems.map(problem => {
+            const triggerId = String(problem.objectid);
+            const triggerHosts = triggers.get(triggerId)?.hosts || [];
+            const problemHosts = triggerHosts.map(host => hostsById.get(String(host.hostid)) || host);
+            return {
+                problem,
+                triggerId,
+                clock: parseInt(problem.clock, 10),
+                severity: parseInt(problem.severity, 10) || 0,
+                hostIds: new Set(problemHosts.map(host => String(host.hostid))),
+                hostName: problemHosts.map(host => host.name || host.host).join(', ') || 'Unknown',
+                parentIds: new Set(problemHosts.map(host => host.hostDiscovery?.parent_hostid).filter(id => id && id !== '0').map(String)),
+                proxyIds: new Set(problemHosts.map(host => host.proxyid || host.proxy_hostid).filter(id => id && id !== '0').map(String)),
+                groups: new Map(problemHosts.flatMap(host => host.hostgroups || host.groups || []).map(group => [String(group.groupid), group.name])),
+                tags: new Set((problem.tags || []).map(tag => `${tag.tag}=${tag.value || ''}`)),
+                upstream: upstreamTriggers(triggerId, triggers),
+                dependents: 0,
+                childHosts: 0
+            };
+        });
+
+        const clusters = new ProblemClusters(entries.length);
+        const byTrigger = new Map();
+        entries.forEach((entry, index) => {
+            if (!byTrigger.has(entry.triggerId)) {
+                byTrigger.set(entry.triggerId, []);
+            }
+            byTrigger.get(entry.triggerId).push(index);
+        });
+
+        // Trigger dependencies join problems regardless of when they started
+        entries.forEach((entry, index) => {
+            for (const upstreamId of entry.upstream) {
+                for (const upstreamIndex of byTrigger.get(upstreamId) || []) {
+                    clusters.join(upstreamIndex, index, ['trigger dependency']);
+                    entries[upstreamIndex].dependents++;
+                }
+            }
+        });
+
+        // Every other signal only counts between problems that started close together
+        const order = entries.map((_, index) => index).sort((a, b) => entries[a].clock - entries[b].clock);
+        order.forEach((index, position) => {
+            const entry = entries[index];
+            for (let next = position + 1; next < order.length && entries[order[next]].clock - entry.clock <= timeWindow; next++) {
+                const otherIndex = order[next];
+                const other = entries[otherIndex];
+                const signals = [];
+                if ([...entry.hostIds].some(id => other.hostIds.has(id))) {
+                    signals.push('same host');
+                }
+                if ([...entry.hostIds].some(id => other.parentIds.has(id))) {
+                    signals.push('parent host');
+                    entry.childHosts++;
+                }
+                if ([...other.hostIds].some(id => entry.parentIds.has(id))) {
+                    signals.push('parent host');
+                    other.childHosts++;
+                }
+                if ([...entry.proxyIds].some(id => other.proxyIds.has(id))) {
+                    signals.push('same proxy');
+                }
+                signals.push(...[...entry.tags].filter(tag => other.tags.has(tag)).map(tag => `tag ${tag}`));
+                signals.push(...[...entry.groups].filter(([id]) => other.groups.has(id)).map(([, name]) => `host group ${name}`));
+                if (signals.length > 0) {
+                    clusters.join(index, otherIndex, ['started together', ...signals]);
+                }
+            }
+        });
+
+        const members = new Map();
+        entries.forEach((entry, index) => {
+            const root = clusters.find(index);
+            if (!members.has(root)) {
+                members.set(root, []);
+            }
+            members.get(root).push(entry);
+        });
+
+        const rootOrder = (a, b) => (b.dependents - a.dependents) || (b.childHosts - a.childHosts) ||
+            (a.clock - b.clock) || (b.severity - a.severity);
+        const describe = entry => ({
+            eventid: entry.problem.eventid,
+            name: entry.problem.name,
+            host: entry.hostName,
+            severity: SEVERITY_NAMES[entry.severity] || entry.problem.severity,
+            started: new Date(entry.clock * 1000).toISOString(),
+            acknowledged: entry.problem.acknowledged === '1'
+        });
+
+        const incidents = [...members.entries()].map(([setIndex, group]) => {
+            const sorted = [...group].sort(rootOrder);
+            const root = sorted[0];
+            const rootReason = root.dependents > 0
+                ? `${root.dependents} other problem(s) depend on its trigger`
+                : root.childHosts > 0
+                    ? 'it is on the parent host of other affected hosts'
+                    : group.length > 1 ? 'it is the earliest problem of the incident' : 'it is the only problem of the incident';
+            const clocks = group.map(entry => entry.clock);
+            return {
+                size: group.length,
+                severity: SEVERITY_NAMES[Math.max(...group.map(entry => entry.severity))],
+                root: describe(root),
+                rootReason,
+                hosts: [...new Set(group.map(entry => entry.hostName))],
+                firstSeen: new Date(Math.min(...clocks) * 1000).toISOString(),
+                lastSeen: new Date(Math.max(...clocks) * 1000).toISOString(),
+                signals: [...(clusters.signals.get(setIndex) || [])],
+                problems: sorted.slice(0, maxListed).map(describe)
+            };
+        }).sort((a, b) => (b.size - a.size) || (SEVERITY_NAMES.indexOf(b.severity) - SEVERITY_NAMES.indexOf(a.severity)))
+            .map((incident, index) => ({ id: index + 1, ...incident }));
+
+        const largest = incidents[0];
+        return {
+            summary: `${problems.length} problem(s), ${incidents.length} incident(s), ` +
+                `likely root: ${largest.root.host}: ${largest.root.name}.`,
+            totalProblems: problems.length,
+            incidents: incidents.length,
+            timeWindow,
+            clusters: incidents,
+            timestamp: new Date().toISOString()
+        };
+    } catch (error) {
+        logger.error(`${config.logging.prefix} Failed to correlate problems:`, error.message);
+        throw new Error(`Failed to correlate problems: ${error.message}`, { cause: error });
+    }
+}
+
+// Seconds shown before and after an incident's problem when building its timeline
+const INCIDENT_MARGIN = 1800;
+
+const ACKNOWLEDGE_OPERATIONS = [
+    [ACKNOWLEDGE_ACTIONS.CLOSE, 'closed'],
+    [ACKNOWLEDGE_ACTIONS.ACKNOWLEDGE, 'acknowledged'],
+    [ACKNOWLEDGE_ACTIONS.UNACKNOWLEDGE, 'unacknowledged'],
+    [ACKNOWLEDGE_ACTIONS.CHANGE_SEVERITY, 'changed severity'],
+    [ACKNOWLEDGE_ACTIONS.SUPPRESS, 'suppressed'],
+    [ACKNOWLEDGE_ACTIONS.UNSUPPRESS, 'unsuppressed'],
+    [ACKNOWLEDGE_ACTIONS.CHANGE_TO_CAUSE, 'marked as cause'],
+    [ACKNOWLEDGE_ACTIONS.CHANGE_TO_SYMPTOM, 'marked as symptom'],
+    [ACKNOWLEDGE_ACTIONS.ADD_MESSAGE, 'commented']
+];
+
+// auditlog.get resource types and actions reported on the timeline
+const AUDIT_RESOURCE_HOST = 4;
+const AUDIT_RESOURCE_TRIGGER = 13;
+const AUDIT_RESOURCE_SCRIPT = 25;
+const AUDIT_ACTION_EXECUTE = 7;
+const AUDIT_ACTIONS = { 0: 'added', 1: 'updated', 2: 'deleted', 7: 'executed' };
+const AUDIT_RESOURCES = { [AUDIT_RESOURCE_HOST]: 'host', [AUDIT_RESOURCE_TRIGGER]: 'trigger', [AUDIT_RESOURCE_SCRIPT]: 'script' };
+
+const TIMELINE_LABELS = {
+    problem: 'PROBLEM',
+    recovery: 'RESOLVED',
+    acknowledgement: 'ACK',
+    notification: 'NOTIFY',
+    notification_failed: 'NOTIFY FAILED',
+    remote_command: 'COMMAND',
+    script: 'SCRIPT',
+    maintenance_start: 'MAINT START',
+    maintenance_end: 'MAINT END',
+    maintenance: 'MAINT',
+    config_change: 'CONFIG'
+};
+
+/**
+ * Describe the operations of one problem update
+ * @param {Object} acknowledge - Entry of an event's acknowledges
+ * @returns {string} e.g. 'acknowledged, commented'
+ */
+function describeAcknowledge(acknowledge) {
+    const action = parseInt(acknowledge.action, 10) || 0;
+    return ACKNOWLEDGE_OPERATIONS.filter(([flag]) => action & flag).map(([flag, text]) =>
+        flag === ACKNOWLEDGE_ACTIONS.CHANGE_SEVERITY
+            ? `${text} from ${SEVERITY_NAMES[acknowledge.old_severity] || acknowledge.old_severity} to ${SEVERITY_NAMES[acknowledge.new_severity] || acknowledge.new_severity}`
+            : text).join(', ') || 'updated';
+}
+
+/**
+ * Names of the fields an audit record changed, from its details JSON
+ * @param {string} details - auditlog details, e.g. '{"host.name":["update","new","old"]}'
+ * @returns {Array<string>} Changed fields, empty when details are missing or not JSON
+ */
+function auditFields(details) {
+    try {
+        return Object.keys(JSON.parse(details || '{}'));
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Resolve what a timeline covers: hosts, tag filters and the time window
+ * @param {Object} options - Options of getTimeline
+ * @returns {Promise<Object>} { hostIds, tags, timeFrom, timeTill }
+ */
+async function resolveTimelineScope(options) {
+    const now = Math.floor(Date.now() / 1000);
+    const hostIds = new Set((options.hostIds || []).map(String));
+    let timeFrom = options.timeFrom;
+    let timeTill = options.timeTill;
+
+    if (options.eventId) {
+        const [event] = await request('event.get', {
+            eventids: [options.eventId],
+            output: ['eventid', 'clock', 'r_eventid'],
+            selectHosts: ['hostid']
+        });
+        if (!event) {
+            throw new Error(`Event ${options.eventId} not found`);
+        }
+        (event.hosts || []).forEach(host => hostIds.add(String(host.hostid)));
+        const [recovery] = event.r_eventid && event.r_eventid !== '0'
+            ? await request('event.get', { eventids: [event.r_eventid], output: ['eventid', 'clock'] })
+            : [];
+        timeFrom = timeFrom ?? parseInt(event.clock, 10) - INCIDENT_MARGIN;
+        timeTill = timeTill ?? (recovery ? Math.min(parseInt(recovery.clock, 10) + INCIDENT_MARGIN, now) : now);
+    }
+
+    if (options.hostGroupIds?.length) {
+        const groupHosts = await request('host.get', { groupids: options.hostGroupIds, output: ['hostid'] });
+        groupHosts.forEach(host => hostIds.add(String(host.hostid)));
+    }
+
+    if (hostIds.size === 0 && !options.tags?.length && !options.hostGroupIds?.length) {
+        throw new Error('One of hostIds, hostGroupIds, tags or eventId must be given');
+    }
+
+    timeTill = timeTill ?? now;
+    timeFrom = timeFrom ?? timeTill - (options.hoursBack || 24) * 3600;
+    if (timeFrom >= timeTill) {
+        throw new Error('timeFrom must be before timeTill');
+    }
+    return { hostIds: [...hostIds], tags: options.tags || [], timeFrom, timeTill };
+}
+
+/**
+ * Build one chronological timeline for hosts, host groups, a tag set or an incident.
+ *
+ * Merges, within the window:
+ *   - problems opening and resolving (event.get), with who closed them
+ *   - acknowledgements and other problem updates, with their messages
+ *   - notifications sent or failed and remote commands run by actions (alert.get)
+ *   - maintenance periods starting and ending (maintenance.get)
+ *   - configuration changes to the hosts and the problems' triggers, and scripts run
+ *     on the hosts (auditlog.get)
+ * With tags only, problems are matched by their tags and the other sources are narrowed
+ * to those problems' hosts. A source that fails, e.g. the audit log for users who may not
+ * read it, is listed in unavailable instead of failing the timeline.
+ * @param {Object} options - What to cover; at least one of hostIds, hostGroupIds, tags or eventId
+ * @param {Array<string>} [options.hostIds] - Hosts
+ * @param {Array<string>} [options.hostGroupIds] - Host groups
+ * @param {Array<Object>} [options.tags] - Problem tag filters ({ tag, value, operator })
+ * @param {string} [options.eventId] - Problem event; covers its hosts from shortly before it started until shortly after it resolved
+ * @param {number} [options.timeFrom] - Window start, Unix time
+ * @param {number} [options.timeTill] - Window end, Unix time (default now)
+ * @param {number} [options.hoursBack] - Window length when timeFrom is not given (default 24)
+ * @param {number} [options.limit] - Maximum records read per source (default 200)
+ * @returns {Promise<Object>} Timeline entries, oldest first
+ */
+async function getTimeline(options = {}) {
+    const limit = options.limit || 200;
+
+    try {
+        logger.debug(`${config.logging.prefix} Building timeline`);
+
+        const { hostIds, tags, timeFrom, timeTill } = await resolveTimelineScope(options);
+        const inWindow = clock => clock >= timeFrom && clock <= timeTill;
+        const entries = [];
+        const truncated = [];
+        const unavailable = [];
+        const add = (clock, type, host, summary, extra = {}) => {
+            if (inWindow(clock)) {
+                entries.push({ clock, type, host, summary, ...extra });
+            }
+        };
+        const collect = async (source, fn) => {
+            try {
+                await fn();
+            } catch (error) {
+                logger.warn(`${config.logging.prefix} Timeline source ${source} unavailable:`, error.message);
+                unavailable.push(`${source}: ${error.message}`);
+            }
+        };
+
+        // Problems open at any time in the window, including those that started before it
+        const problems = hostIds.length === 0 && tags.length === 0 ? [] : await request('event.get', {
+            source: 0,
+            object: 0,
+            value: 1,
+            problem_time_from: timeFrom,
+            problem_time_till: timeTill,
+            ...(hostIds.length > 0 && { hostids: hostIds }),
+            ...(tags.length > 0 && { tags, evaltype: 0 }),
+            output: ['eventid', 'objectid', 'clock', 'name', 'severity', 'r_eventid'],
+            selectHosts: ['hostid', 'name'],
+            selectAcknowledges: ['clock', 'username', 'message', 'action', 'old_severity', 'new_severity'],
+            sortfield: ['eventid'],
+            sortorder: 'DESC',
+            limit
+        });
+        if (problems.length === limit) {
+            truncated.push('problems');
+        }
+
+        const hostNames = new Map();
+        problems.forEach(problem => (problem.hosts || []).forEach(host => hostNames.set(String(host.hostid), host.name)));
+        const scopeHostIds = hostIds.length > 0 ? hostIds : [...hostNames.keys()];
+        const missingNames = scopeHostIds.filter(hostId => !hostNames.has(hostId));
+        if (missingNames.length > 0) {
+            const hosts = await request('host.get', { hostids: missingNames, output: ['hostid', 'name'] });
+            hosts.forEach(host => hostNames.set(String(host.hostid), host.name));
+        }
+        const hostOf = hostList => (hostList || []).map(host => host.name || hostNames.get(String(host.hostid))).join(', ') || 'Unknown';
+
+        const recoveryIds = problems.map(problem => problem.r_eventid).filter(id => id && id !== '0');
+        const recoveries = recoveryIds.length === 0 ? [] : await request('event.get', {
+            eventids: recoveryIds,
+            output: ['eventid', 'clock', 'userid']
+        });
+        const recoveryById = new Map(recoveries.map(recovery => [String(recovery.eventid), recovery]));
+
+        for (const problem of problems) {
+            const host = hostOf(problem.hosts);
+            const severity = SEVERITY_NAMES[problem.severity] || problem.severity;
+            add(parseInt(problem.clock, 10), 'problem', host, `${problem.name} (${severity})`, { eventid: problem.eventid });
+            for (const acknowledge of problem.acknowledges || []) {
+                const message = acknowledge.message ? `: "${acknowledge.message}"` : '';
+                add(parseInt(acknowledge.clock, 10), 'acknowledgement', host,
+                    `${acknowledge.username || 'Someone'} ${describeAcknowledge(acknowledge)} ${problem.name}${message}`,
+                    { eventid: problem.eventid });
+            }
+            const recovery = recoveryById.get(String(problem.r_eventid));
+            if (recovery) {
+                const closedBy = recovery.userid && recovery.userid !== '0' ? ' (closed manually)' : '';
+                add(parseInt(recovery.clock, 10), 'recovery', host, `${problem.name}${closedBy}`, { eventid: problem.eventid });
+            }
+        }
+
+        const eventIds = [...problems.map(problem => problem.eventid), ...recoveryIds];
+        const triggerIds = [...new Set(problems.map(problem => String(problem.objectid)))];
+
+        await collect('notifications', async () => {
+            if (hostIds.length === 0 && eventIds.length === 0) {
+                return;
+            }
+            const alerts = await request('alert.get', {
+                ...(hostIds.length > 0 ? { hostids: hostIds } : { eventids: eventIds }),
+                time_from: timeFrom,
+                time_till: timeTill,
+                output: ['alertid', 'eventid', 'clock', 'alerttype', 'status', 'sendto', 'subject', 'error'],
+                selectHosts: ['hostid', 'name'],
+                selectMediatypes: ['name'],
+                sortfield: ['clock'],
+                sortorder: 'DESC',
+                limit
+            });
+            if (alerts.length === limit) {
+                truncated.push('notifications');
+            }
+            for (const alert of alerts) {
+                const clock = parseInt(alert.clock, 10);
+                const host = hostOf(alert.hosts);
+                const failure = alert.error ? `: ${alert.error}` : '';
+                if (String(alert.alerttype) === '1') {
+                    const status = String(alert.status) === '2' ? `failed${failure}` : 'ran';
+                    add(clock, 'remote_command', host, `Remote command ${status}`, { eventid: alert.eventid });
+                } else {
+                    const media = alert.mediatypes?.[0]?.name || 'Notification';
+                    const failed = String(alert.status) === '2';
+                    add(clock, failed ? 'notification_failed' : 'notification', host,
+                        `${media} to ${alert.sendto}${failed ? ` failed${failure}` : ''}: ${alert.subject}`, { eventid: alert.eventid });
+                }
+            }
+        });
+
+        await collect('maintenance', async () => {
+            if (scopeHostIds.length === 0) {
+                return;
+            }
+            const hostGroups = await request('host.get', {
+                hostids: scopeHostIds,
+                output: ['hostid'],
+                selectHostGroups: ['groupid']
+            });
+            const groupIds = [...new Set(hostGroups.flatMap(host => (host.hostgroups || []).map(group => String(group.groupid))))];
+            const params = { output: ['maintenanceid', 'name', 'active_since', 'active_till'], selectTimeperiods: 'extend' };
+            const [byHost, byGroup] = await Promise.all([
+                request('maintenance.get', { ...params, hostids: scopeHostIds }),
+                groupIds.length === 0 ? [] : request('maintenance.get', { ...params, groupids: groupIds })
+            ]);
+            const maintenances = new Map([...byHost, ...byGroup].map(maintenance => [String(maintenance.maintenanceid), maintenance]));
+            for (const maintenance of maintenances.values()) {
+                for (const period of maintenance.timeperiods || []) {
+                    if (String(period.timeperiod_type) === '0') {
+                        const start = parseInt(period.start_date, 10);
+                        add(start, 'maintenance_start', null, maintenance.name);
+                        add(start + parseInt(period.period, 10), 'maintenance_end', null, maintenance.name);
+                    } else {
+                        const since = parseInt(maintenance.active_since, 10);
+                        const till = parseInt(maintenance.active_till, 10);
+                        if (since <= timeTill && till >= timeFrom) {
+                            add(Math.max(since, timeFrom), 'maintenance', null,
+                                `${maintenance.name} (recurring, active ${new Date(since * 1000).toISOString()} to ${new Date(till * 1000).toISOString()})`);
+                        }
+                    }
+                }
+            }
+        });
+
+        await collect('config changes', async () => {
+            const queries = [
+                scopeHostIds.length > 0 && { resourcetype: [AUDIT_RESOURCE_HOST, AUDIT_RESOURCE_SCRIPT], resourceid: scopeHostIds },
+                triggerIds.length > 0 && { resourcetype: [AUDIT_RESOURCE_TRIGGER], resourceid: triggerIds }
+            ].filter(Boolean);
+            const results = await Promise.all(queries.map(filter => request('auditlog.get', {
+                output: ['auditid', 'userid', 'username', 'clock', 'action', 'resourcetype', 'resourceid', 'resourcename', 'details'],
+                filter,
+                time_from: timeFrom,
+                time_till: timeTill,
+                sortfield: ['clock'],
+                sortorder: 'DESC',
+                limit
+            })));
+            if (results.some(records => records.length === limit)) {
+                truncated.push('config changes');
+            }
+            for (const record of results.flat()) {
+                const clock = parseInt(record.clock, 10);
+                const user = record.username || 'Someone';
+                if (parseInt(record.action, 10) === AUDIT_ACTION_EXECUTE) {
+                    // Script runs are recorded against the host they ran on
+                    add(clock, 'script', record.resourcename, `${user} ran a script`);
+                    continue;
+                }
+                const resource = AUDIT_RESOURCES[record.resourcetype] || 'object';
+                const host = parseInt(record.resourcetype, 10) === AUDIT_RESOURCE_HOST ? record.resourcename : null;
+                const fields = auditFields(record.details);
+                add(clock, 'config_change', host, `${user} ${AUDIT_ACTIONS[record.action] || 'changed'} ${resource} ${record.resourcename}`,
+                    fields.length > 0 ? { fields: fields.slice(0, 10) } : {});
+            }
+        });
+
+        entries.sort((a, b) => a.clock - b.clock);
+        const counts = {};
+        entries.forEach(entry => {
+            counts[entry.type] = (counts[entry.type] || 0) + 1;
+        });
+        const hosts = scopeHostIds.map(hostId => hostNames.get(hostId)).filter(Boolean);
+        const from = new Date(timeFrom * 1000).toISOString();
+        const till = new Date(timeTill * 1000).toISOString();
+
+        return {
+            summary: `${entries.length} timeline entries from ${from} to ${till}` +
+                `${hosts.length > 0 ? ` on ${hosts.slice(0, 5).join(', ')}${hosts.length > 5 ? ` and ${hosts.length - 5} more` : ''}` : ''}.`,
+            window: { from, till },
+            hosts,
+            counts,
+            entries: entries.map(({ clock, ...entry }) => ({ time: new Date(clock * 1000).toISOString(), ...entry })),
+            ...(truncated.length > 0 && { truncated }),
+            ...(unavailable.length > 0 && { unavailable }),
+            timestamp: new Date().toISOString()
+        };
+    } catch (error) {
+        logger.error(`${config.logging.prefix} Failed to build timeline:`, error.message);
+        throw new Error(`Failed to build timeline: ${error.message}`, { cause: error });
+    }
+}
+
+/**
+ * Compact text narrative of a timeline, one line per entry
+ * @param {Object} timeline - Result of getTimeline
+ * @returns {string} Narrative
+ */
+function formatTimeline(timeline) {
+    const lines = timeline.entries.map(entry => {
+        const time = entry.time.replace('T', ' ').slice(0, 19);
+        const host = entry.host ? `${entry.host}: ` : '';
+        return `${time}  ${(TIMELINE_LABELS[entry.type] || entry.type).padEnd(13)}  ${host}${entry.summary}`;
+    });
+    const notes = [
+        ...(timeline.truncated || []).map(source => `Only the latest ${source} are shown; narrow the window for more.`),
+        ...(timeline.unavailable || []).map(source => `Not included: ${source}`)
+    ];
+    return [timeline.summary, ...lines, ...notes].join('\n');
+}
+
 /**
  * Get comprehensive system overview
  * Combines problems, maintenance, and key metrics in one call
@@ -237,7 +867,7 @@ async function getSystemOverview() {
 
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get system overview:`, error.message);
-        throw new Error(`Failed to retrieve system overview: ${error.message}`);
+        throw new Error(`Failed to retrieve system overview: ${error.message}`, { cause: error });
     }
 }
 
@@ -277,7 +907,7 @@ async function getLast24HoursSummary() {
 
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get 24h summary:`, error.message);
-        throw new Error(`Failed to retrieve 24-hour summary: ${error.message}`);
+        throw new Error(`Failed to retrieve 24-hour summary: ${error.message}`, { cause: error });
     }
 }
 
@@ -356,7 +986,7 @@ async function getActionableItems(options = {}) {
 
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get actionable items:`, error.message);
-        throw new Error(`Failed to retrieve actionable items: ${error.message}`);
+        throw new Error(`Failed to retrieve actionable items: ${error.message}`, { cause: error });
     }
 }
 
@@ -430,13 +1060,16 @@ async function getPerformanceAlerts(options = {}) {
 
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get performance alerts:`, error.message);
-        throw new Error(`Failed to retrieve performance alerts: ${error.message}`);
+        throw new Error(`Failed to retrieve performance alerts: ${error.message}`, { cause: error });
     }
 }
 
 module.exports = {
     getInfrastructureHealth,
     getCriticalIssues,
+    correlateProblems,
+    getTimeline,
+    formatTimeline,
     getSystemOverview,
     getLast24HoursSummary,
     getActionableItems,
@@ -21,7 +21,7 @@ async function getItems(options = {}) {
         return await request('item.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get items:`, error.message);
-        throw new Error(`Failed to retrieve items: ${error.message}`);
+        throw new Error(`Failed to retrieve items: ${error.message}`, { cause: error });
     }
 }
 
@@ -52,7 +52,7 @@ async function createItem(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to create item ${params.name}:`, error.message);
-        throw new Error(`Failed to create item: ${error.message}`);
+        throw new Error(`Failed to create item: ${error.message}`, { cause: error });
     }
 }
 */
@@ -75,7 +75,7 @@ async function updateItem(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to update item ${params.itemid}:`, error.message);
-        throw new Error(`Failed to update item: ${error.message}`);
+        throw new Error(`Failed to update item: ${error.message}`, { cause: error });
     }
 }
 */
@@ -98,7 +98,7 @@ async function deleteItems(itemIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to delete items:`, error.message);
-        throw new Error(`Failed to delete items: ${error.message}`);
+        throw new Error(`Failed to delete items: ${error.message}`, { cause: error });
     }
 }
 */
@@ -127,7 +127,7 @@ async function getItemsByHost(hostId, additionalOptions = {}) {
         return await request('item.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get items by host:`, error.message);
-        throw new Error(`Failed to retrieve items by host: ${error.message}`);
+        throw new Error(`Failed to retrieve items by host: ${error.message}`, { cause: error });
     }
 }
 
@@ -154,7 +154,7 @@ async function getItemsByHosts(hostIds, additionalOptions = {}) {
         return await request('item.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get items by hosts:`, error.message);
-        throw new Error(`Failed to retrieve items by hosts: ${error.message}`);
+        throw new Error(`Failed to retrieve items by hosts: ${error.message}`, { cause: error });
     }
 }
 
@@ -182,7 +182,7 @@ async function getItemsByKey(keyPatterns, additionalOptions = {}) {
         return await request('item.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get items by key:`, error.message);
-        throw new Error(`Failed to retrieve items by key: ${error.message}`);
+        throw new Error(`Failed to retrieve items by key: ${error.message}`, { cause: error });
     }
 }
 
@@ -210,7 +210,7 @@ async function getLatestData(itemIds, additionalOptions = {}) {
         return await request('item.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get latest data:`, error.message);
-        throw new Error(`Failed to retrieve latest data: ${error.message}`);
+        throw new Error(`Failed to retrieve latest data: ${error.message}`, { cause: error });
     }
 }
 
@@ -242,7 +242,7 @@ async function enableItems(itemIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to enable items:`, error.message);
-        throw new Error(`Failed to enable items: ${error.message}`);
+        throw new Error(`Failed to enable items: ${error.message}`, { cause: error });
     }
 }
 */
@@ -275,7 +275,7 @@ async function disableItems(itemIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to disable items:`, error.message);
-        throw new Error(`Failed to disable items: ${error.message}`);
+        throw new Error(`Failed to disable items: ${error.message}`, { cause: error });
     }
 }
     */
@@ -291,7 +291,7 @@ async function getItemPrototypes(options = {}) {
         return await request('itemprototype.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get item prototypes:`, error.message);
-        throw new Error(`Failed to retrieve item prototypes: ${error.message}`);
+        throw new Error(`Failed to retrieve item prototypes: ${error.message}`, { cause: error });
     }
 }
 
@@ -314,7 +314,7 @@ async function createItemPrototype(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to create item prototype ${params.name}:`, error.message);
-        throw new Error(`Failed to create item prototype: ${error.message}`);
+        throw new Error(`Failed to create item prototype: ${error.message}`, { cause: error });
     }
 }
 */
@@ -344,7 +344,7 @@ async function getItemsByValueType(valueTypes, additionalOptions = {}) {
         return await request('item.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get items by value type:`, error.message);
-        throw new Error(`Failed to retrieve items by value type: ${error.message}`);
+        throw new Error(`Failed to retrieve items by value type: ${error.message}`, { cause: error });
     }
 }
 
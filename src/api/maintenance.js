@@ -21,7 +21,7 @@ async function getMaintenanceWindows(options = {}) {
         return await request('maintenance.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get maintenance windows:`, error.message);
-        throw new Error(`Failed to retrieve maintenance windows: ${error.message}`);
+        throw new Error(`Failed to retrieve maintenance windows: ${error.message}`, { cause: error });
     }
 }
 
@@ -44,7 +44,7 @@ async function createMaintenanceWindow(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to create maintenance window ${params.name}:`, error.message);
-        throw new Error(`Failed to create maintenance window: ${error.message}`);
+        throw new Error(`Failed to create maintenance window: ${error.message}`, { cause: error });
     }
 }
 */
@@ -67,7 +67,7 @@ async function updateMaintenanceWindow(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to update maintenance window ${params.maintenanceid}:`, error.message);
-        throw new Error(`Failed to update maintenance window: ${error.message}`);
+        throw new Error(`Failed to update maintenance window: ${error.message}`, { cause: error });
     }
 }
 */
@@ -90,7 +90,7 @@ async function deleteMaintenanceWindows(maintenanceIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to delete maintenance windows:`, error.message);
-        throw new Error(`Failed to delete maintenance windows: ${error.message}`);
+        throw new Error(`Failed to delete maintenance windows: ${error.message}`, { cause: error });
     }
 }
 */
@@ -122,7 +122,7 @@ async function getActiveMaintenanceWindows(additionalOptions = {}) {
         return await request('maintenance.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get active maintenance windows:`, error.message);
-        throw new Error(`Failed to retrieve active maintenance windows: ${error.message}`);
+        throw new Error(`Failed to retrieve active maintenance windows: ${error.message}`, { cause: error });
     }
 }
 
@@ -152,7 +152,7 @@ async function getMaintenanceWindowsByName(namePatterns, additionalOptions = {})
         return await request('maintenance.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get maintenance windows by name:`, error.message);
-        throw new Error(`Failed to retrieve maintenance windows by name: ${error.message}`);
+        throw new Error(`Failed to retrieve maintenance windows by name: ${error.message}`, { cause: error });
     }
 }
 
@@ -182,7 +182,7 @@ async function getMaintenanceWindowsByHosts(hostIds, additionalOptions = {}) {
         return await request('maintenance.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get maintenance windows by hosts:`, error.message);
-        throw new Error(`Failed to retrieve maintenance windows by hosts: ${error.message}`);
+        throw new Error(`Failed to retrieve maintenance windows by hosts: ${error.message}`, { cause: error });
     }
 }
 
@@ -212,7 +212,7 @@ async function getMaintenanceWindowsByGroups(groupIds, additionalOptions = {}) {
         return await request('maintenance.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get maintenance windows by groups:`, error.message);
-        throw new Error(`Failed to retrieve maintenance windows by groups: ${error.message}`);
+        throw new Error(`Failed to retrieve maintenance windows by groups: ${error.message}`, { cause: error });
     }
 }
 
@@ -243,7 +243,7 @@ async function getUpcomingMaintenanceWindows(hoursAhead = 24, additionalOptions
         return await request('maintenance.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get upcoming maintenance windows:`, error.message);
-        throw new Error(`Failed to retrieve upcoming maintenance windows: ${error.message}`);
+        throw new Error(`Failed to retrieve upcoming maintenance windows: ${error.message}`, { cause: error });
     }
 }
 
@@ -273,7 +273,7 @@ async function getExpiredMaintenanceWindows(daysBack = 7, additionalOptions = {}
         return await request('maintenance.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get expired maintenance windows:`, error.message);
-        throw new Error(`Failed to retrieve expired maintenance windows: ${error.message}`);
+        throw new Error(`Failed to retrieve expired maintenance windows: ${error.message}`, { cause: error });
     }
 }
 
@@ -305,7 +305,7 @@ async function createScheduledMaintenance(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to create scheduled maintenance ${params.name}:`, error.message);
-        throw new Error(`Failed to create scheduled maintenance: ${error.message}`);
+        throw new Error(`Failed to create scheduled maintenance: ${error.message}`, { cause: error });
     }
 }
 */
@@ -368,7 +368,7 @@ async function getMaintenanceStatistics(maintenanceIds = null) {
         return stats;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get maintenance statistics:`, error.message);
-        throw new Error(`Failed to retrieve maintenance statistics: ${error.message}`);
+        throw new Error(`Failed to retrieve maintenance statistics: ${error.message}`, { cause: error });
     }
 }
 
@@ -448,7 +448,7 @@ async function searchMaintenanceWindows(criteria = {}, additionalOptions = {}) {
         return filteredMaintenances;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to search maintenance windows:`, error.message);
-        throw new Error(`Failed to search maintenance windows: ${error.message}`);
+        throw new Error(`Failed to search maintenance windows: ${error.message}`, { cause: error });
     }
 }
 
@@ -52,7 +52,7 @@ async function createMediaType(mediaTypeData) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to create media type:`, error.message);
-        throw new Error(`Failed to create media type: ${error.message}`);
+        throw new Error(`Failed to create media type: ${error.message}`, { cause: error });
     }
 }
 */
@@ -76,7 +76,7 @@ async function updateMediaType(updateData) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to update media type:`, error.message);
-        throw new Error(`Failed to update media type: ${error.message}`);
+        throw new Error(`Failed to update media type: ${error.message}`, { cause: error });
     }
 }
 */
@@ -100,7 +100,7 @@ async function deleteMediaTypes(mediaTypeIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to delete media types:`, error.message);
-        throw new Error(`Failed to delete media types: ${error.message}`);
+        throw new Error(`Failed to delete media types: ${error.message}`, { cause: error });
     }
 }
 */
@@ -124,7 +124,7 @@ async function testMediaType(testData) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to test media type:`, error.message);
-        throw new Error(`Failed to test media type: ${error.message}`);
+        throw new Error(`Failed to test media type: ${error.message}`, { cause: error });
     }
 }
 
@@ -153,7 +153,7 @@ async function getMediaTypesByType(mediaType, options = {}) {
         return await request('mediatype.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get media types by type:`, error.message);
-        throw new Error(`Failed to retrieve media types by type: ${error.message}`);
+        throw new Error(`Failed to retrieve media types by type: ${error.message}`, { cause: error });
     }
 }
 
@@ -183,7 +183,7 @@ async function getMediaTypesByName(namePattern, options = {}) {
         return await request('mediatype.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get media types by name:`, error.message);
-        throw new Error(`Failed to retrieve media types by name: ${error.message}`);
+        throw new Error(`Failed to retrieve media types by name: ${error.message}`, { cause: error });
     }
 }
 
@@ -207,7 +207,7 @@ async function getEnabledMediaTypes(options = {}) {
         return await request('mediatype.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get enabled media types:`, error.message);
-        throw new Error(`Failed to retrieve enabled media types: ${error.message}`);
+        throw new Error(`Failed to retrieve enabled media types: ${error.message}`, { cause: error });
     }
 }
 
@@ -231,7 +231,7 @@ async function getDisabledMediaTypes(options = {}) {
         return await request('mediatype.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get disabled media types:`, error.message);
-        throw new Error(`Failed to retrieve disabled media types: ${error.message}`);
+        throw new Error(`Failed to retrieve disabled media types: ${error.message}`, { cause: error });
     }
 }
 
@@ -254,7 +254,7 @@ async function getUserMedia(options = {}) {
         return await request('usermedia.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get user media:`, error.message);
-        throw new Error(`Failed to retrieve user media: ${error.message}`);
+        throw new Error(`Failed to retrieve user media: ${error.message}`, { cause: error });
     }
 }
 
@@ -283,7 +283,7 @@ async function getUserMediaByUsers(userIds, options = {}) {
         return await request('usermedia.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get user media by users:`, error.message);
-        throw new Error(`Failed to retrieve user media by users: ${error.message}`);
+        throw new Error(`Failed to retrieve user media by users: ${error.message}`, { cause: error });
     }
 }
 
@@ -312,7 +312,7 @@ async function getUserMediaByMediaTypes(mediaTypeIds, options = {}) {
         return await request('usermedia.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get user media by media types:`, error.message);
-        throw new Error(`Failed to retrieve user media by media types: ${error.message}`);
+        throw new Error(`Failed to retrieve user media by media types: ${error.message}`, { cause: error });
     }
 }
 
@@ -349,7 +349,7 @@ async function getAlerts(options = {}) {
         return formattedAlerts;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get alerts:`, error.message);
-        throw new Error(`Failed to retrieve alerts: ${error.message}`);
+        throw new Error(`Failed to retrieve alerts: ${error.message}`, { cause: error });
     }
 }
 
@@ -383,7 +383,7 @@ async function getAlertsByTimeRange(timeFrom, timeTill, options = {}) {
         return await getAlerts(params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get alerts by time range:`, error.message);
-        throw new Error(`Failed to retrieve alerts by time range: ${error.message}`);
+        throw new Error(`Failed to retrieve alerts by time range: ${error.message}`, { cause: error });
     }
 }
 
@@ -415,7 +415,7 @@ async function getAlertsByStatus(status, options = {}) {
         return await getAlerts(params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get alerts by status:`, error.message);
-        throw new Error(`Failed to retrieve alerts by status: ${error.message}`);
+        throw new Error(`Failed to retrieve alerts by status: ${error.message}`, { cause: error });
     }
 }
 
@@ -430,7 +430,7 @@ async function getFailedAlerts(options = {}) {
         return await getAlertsByStatus(2, options); // 2 = failed
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get failed alerts:`, error.message);
-        throw new Error(`Failed to retrieve failed alerts: ${error.message}`);
+        throw new Error(`Failed to retrieve failed alerts: ${error.message}`, { cause: error });
     }
 }
 
@@ -450,7 +450,7 @@ async function getRecentAlerts(hours = 24, options = {}) {
         return await getAlertsByTimeRange(timeFrom, now, options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get recent alerts:`, error.message);
-        throw new Error(`Failed to retrieve recent alerts: ${error.message}`);
+        throw new Error(`Failed to retrieve recent alerts: ${error.message}`, { cause: error });
     }
 }
 
@@ -487,7 +487,7 @@ async function getMediaTypeStatistics(options = {}) {
         return stats;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get media type statistics:`, error.message);
-        throw new Error(`Failed to retrieve media type statistics: ${error.message}`);
+        throw new Error(`Failed to retrieve media type statistics: ${error.message}`, { cause: error });
     }
 }
 
@@ -537,7 +537,7 @@ async function getNotificationStatistics(hours = 24, options = {}) {
         return stats;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get notification statistics:`, error.message);
-        throw new Error(`Failed to retrieve notification statistics: ${error.message}`);
+        throw new Error(`Failed to retrieve notification statistics: ${error.message}`, { cause: error });
     }
 }
 
@@ -577,7 +577,7 @@ async function searchMediaTypes(criteria = {}) {
         return await request('mediatype.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to search media types:`, error.message);
-        throw new Error(`Failed to search media types: ${error.message}`);
+        throw new Error(`Failed to search media types: ${error.message}`, { cause: error });
     }
 }
 
@@ -0,0 +1,203 @@
+/* eslint-disable security/detect-object-injection */
+/**
+ * Keyset Pagination
+ *
+ * A list tool runs its handler inside runWithPage(); the first API call of the page's
+ * method is then served one page at a time instead of in full. Pages are cut by key,
+ * never by offset, so a page stays stable while objects are added or removed:
+ *
+ *   id       objects ordered by ascending ID; the ID list is read first (output: [id]),
+ *            then the page's objects by ID
+ *   eventid  problems and events, newest first, continued with eventid_till
+ *   clock    history, newest first, continued with time_till
+ *   timestamp  local records such as the audit trail, newest first by ISO timestamp
+ *
+ * The total comes from the same query with countOutput. Every other API call of the
+ * handler (host resolution, item info) runs unchanged. trend.get is not paged: it
+ * takes no sortfield, so its rows cannot be continued by clock.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const pageContext = new AsyncLocalStorage();
+
+// Parameters that shape the returned objects, not which objects match
+const SHAPING_PARAMS = ['output', 'limit', 'sortfield', 'sortorder', 'preservekeys', 'countOutput'];
+
+/**
+ * Parameters without the ones that only shape the output
+ * @param {Object} params - API parameters
+ * @returns {Object} Filter parameters
+ */
+function filterParams(params) {
+    return Object.fromEntries(Object.entries(params || {}).filter(([key]) =>
+        !SHAPING_PARAMS.includes(key) && !key.startsWith('select')));
+}
+
+/**
+ * Compare two numeric Zabbix IDs given as strings
+ * @param {string} a - ID
+ * @param {string} b - ID
+ * @returns {number} Negative, zero or positive
+ */
+function compareIds(a, b) {
+    const left = String(a);
+    const right = String(b);
+    return left.length - right.length || (left < right ? -1 : left > right ? 1 : 0);
+}
+
+/**
+ * Run a handler with one list method paged
+ * @param {Object} page - { method, strategy, idField, idsParam, pageSize, after, skip }; the
+ *   first call of method fills in { total, hasMore }
+ * @param {Function} fn - Tool handler call
+ * @returns {*} Result of fn
+ */
+function runWithPage(page, fn) {
+    return pageContext.run(page, fn);
+}
+
+/**
+ * Run a function with no page, e.g. lookups of the paged method that precede the list call
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function runUnpaged(fn) {
+    return pageContext.exit(fn);
+}
+
+/**
+ * Take the current page for an API call, once
+ * @param {string} method - Zabbix API method being called
+ * @returns {Object|null} Page to serve, null when the call runs unpaged
+ */
+function claimPage(method) {
+    const page = pageContext.getStore();
+    if (!page || page.claimed || page.method !== method) {
+        return null;
+    }
+    page.claimed = true;
+    return page;
+}
+
+/**
+ * Position after the last of the given rows, for the next page's cursor
+ * @param {Object} page - Page the rows came from
+ * @param {Array<Object>} rows - Rows returned so far on this page, in page order
+ * @returns {Object|null} { after, skip }, null when rows is empty
+ */
+function positionAfter(page, rows) {
+    const last = rows[rows.length - 1];
+    if (!last) {
+        return null;
+    }
+    if (page.strategy === 'clock' || page.strategy === 'timestamp') {
+        const field = page.strategy;
+        const time = String(last[field]);
+        const sameTime = rows.filter(row => String(row[field]) === time).length;
+        // Rows at the boundary time that an earlier page already returned
+        const carried = page.after !== undefined && String(page.after) === time ? page.skip || 0 : 0;
+        return { after: time, skip: sameTime + carried };
+    }
+    return { after: String(last[page.strategy === 'eventid' ? 'eventid' : page.idField]) };
+}
+
+/**
+ * Output parameter that is sure to return a field the page is keyed on
+ * @param {string|Array<string>} [output] - Requested output
+ * @param {string} field - Key field
+ * @returns {string|Array<string>|undefined} Output including the field
+ */
+function withField(output, field) {
+    return Array.isArray(output) && !output.includes(field) ? [...output, field] : output;
+}
+
+/**
+ * Serve one page of a list call
+ * @param {Object} page - Page claimed for this call
+ * @param {Object} params - Parameters the handler passed
+ * @param {Function} call - (method, params) => Promise, an unpaged API call
+ * @returns {Promise<Array<Object>>} Rows of the page
+ */
+async function fetchPage(page, params, call) {
+    const { method, pageSize } = page;
+    if (params?.countOutput) {
+        const count = await call(method, params);
+        page.total = parseInt(count, 10) || 0;
+        page.hasMore = false;
+        return count;
+    }
+
+    const filters = filterParams(params);
+    const key = page.strategy === 'id' ? page.idField : page.strategy;
+    const query = { ...params, output: withField(params?.output, key) };
+    delete query.limit;
+
+    page.total = parseInt(await call(method, { ...filters, countOutput: true }), 10) || 0;
+
+    let rows;
+    if (page.strategy === 'eventid') {
+        const eventQuery = { ...query, sortfield: ['eventid'], sortorder: 'DESC', limit: pageSize + 1 };
+        if (page.after !== undefined) {
+            eventQuery.eventid_till = (BigInt(page.after) - 1n).toString();
+        }
+        rows = await call(method, eventQuery);
+    } else if (page.strategy === 'clock') {
+        const skip = page.skip || 0;
+        const clockQuery = { ...query, sortfield: ['clock'], sortorder: 'DESC', limit: pageSize + skip + 1 };
+        if (page.after !== undefined) {
+            clockQuery.time_till = parseInt(page.after, 10);
+        }
+        const fetched = await call(method, clockQuery);
+        const seen = Math.min(skip, fetched.filter(row => String(row.clock) === String(page.after)).length);
+        rows = fetched.slice(seen);
+    } else {
+        const { idField, idsParam } = page;
+        const idRows = await call(method, { ...filters, output: [idField] });
+        const ids = idRows.map(row => String(row[idField]))
+            .filter(id => page.after === undefined || compareIds(id, page.after) > 0)
+            .sort(compareIds)
+            .slice(0, pageSize + 1);
+        rows = ids.length === 0 ? [] : await call(method, { ...query, [idsParam]: ids.slice(0, pageSize) });
+        // One ID beyond the page tells whether another page follows
+        page.hasMore = ids.length > pageSize;
+        return rows.sort((a, b) => compareIds(a[idField], b[idField]));
+    }
+
+    page.hasMore = rows.length > pageSize;
+    return rows.slice(0, pageSize);
+}
+
+/**
+ * Serve one page of records held locally, e.g. the audit trail
+ * @param {Object} page - Page claimed for the records, strategy 'timestamp'
+ * @param {Array<Object>} records - Every matching record, newest first
+ * @returns {Array<Object>} Records of the page
+ */
+function slicePage(page, records) {
+    const { pageSize, after, skip = 0 } = page;
+    page.total = records.length;
+
+    let seen = 0;
+    const remaining = after === undefined ? records : records.filter(record => {
+        const time = String(record.timestamp);
+        if (time === after) {
+            seen++;
+            return seen > skip;
+        }
+        return time < after;
+    });
+
+    page.hasMore = remaining.length > pageSize;
+    return remaining.slice(0, pageSize);
+}
+
+module.exports = {
+    runWithPage,
+    runUnpaged,
+    claimPage,
+    fetchPage,
+    slicePage,
+    positionAfter,
+    compareIds
+};
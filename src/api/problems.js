@@ -22,7 +22,7 @@ async function getProblems(options = {}) {
         return await request('problem.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get problems:`, error.message);
-        throw new Error(`Failed to retrieve problems: ${error.message}`);
+        throw new Error(`Failed to retrieve problems: ${error.message}`, { cause: error });
     }
 }
 
@@ -48,7 +48,7 @@ async function getActiveProblems(additionalOptions = {}) {
         return await request('problem.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get active problems:`, error.message);
-        throw new Error(`Failed to retrieve active problems: ${error.message}`);
+        throw new Error(`Failed to retrieve active problems: ${error.message}`, { cause: error });
     }
 }
 
@@ -81,7 +81,7 @@ async function getProblemsByHost(hostId, additionalOptions = {}) {
         return await request('problem.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get problems by host:`, error.message);
-        throw new Error(`Failed to retrieve problems by host: ${error.message}`);
+        throw new Error(`Failed to retrieve problems by host: ${error.message}`, { cause: error });
     }
 }
 
@@ -112,7 +112,7 @@ async function getProblemsByHosts(hostIds, additionalOptions = {}) {
         return await request('problem.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get problems by hosts:`, error.message);
-        throw new Error(`Failed to retrieve problems by hosts: ${error.message}`);
+        throw new Error(`Failed to retrieve problems by hosts: ${error.message}`, { cause: error });
     }
 }
 
@@ -143,7 +143,7 @@ async function getProblemsBySeverity(severities, additionalOptions = {}) {
         return await request('problem.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get problems by severity:`, error.message);
-        throw new Error(`Failed to retrieve problems by severity: ${error.message}`);
+        throw new Error(`Failed to retrieve problems by severity: ${error.message}`, { cause: error });
     }
 }
 
@@ -169,7 +169,7 @@ async function getUnacknowledgedProblems(additionalOptions = {}) {
         return await request('problem.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get unacknowledged problems:`, error.message);
-        throw new Error(`Failed to retrieve unacknowledged problems: ${error.message}`);
+        throw new Error(`Failed to retrieve unacknowledged problems: ${error.message}`, { cause: error });
     }
 }
 
@@ -205,7 +205,7 @@ async function getRecentProblems(timeFrom, timeTill = null, additionalOptions =
         return await request('problem.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get recent problems:`, error.message);
-        throw new Error(`Failed to retrieve recent problems: ${error.message}`);
+        throw new Error(`Failed to retrieve recent problems: ${error.message}`, { cause: error });
     }
 }
 
@@ -253,7 +253,7 @@ async function getProblemStatistics(additionalOptions = {}) {
         return stats;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get problem statistics:`, error.message);
-        throw new Error(`Failed to retrieve problem statistics: ${error.message}`);
+        throw new Error(`Failed to retrieve problem statistics: ${error.message}`, { cause: error });
     }
 }
 
@@ -286,7 +286,7 @@ async function getProblemsWithTags(tags, additionalOptions = {}) {
         return await request('problem.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get problems with tags:`, error.message);
-        throw new Error(`Failed to retrieve problems with tags: ${error.message}`);
+        throw new Error(`Failed to retrieve problems with tags: ${error.message}`, { cause: error });
     }
 }
 
@@ -308,7 +308,7 @@ async function getProblemCount(options = {}) {
         return parseInt(result, 10);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get problem count:`, error.message);
-        throw new Error(`Failed to retrieve problem count: ${error.message}`);
+        throw new Error(`Failed to retrieve problem count: ${error.message}`, { cause: error });
     }
 }
 
@@ -339,7 +339,7 @@ async function getProblemsByTriggers(triggerIds, additionalOptions = {}) {
         return await request('problem.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get problems by triggers:`, error.message);
-        throw new Error(`Failed to retrieve problems by triggers: ${error.message}`);
+        throw new Error(`Failed to retrieve problems by triggers: ${error.message}`, { cause: error });
     }
 }
 
@@ -354,15 +354,104 @@ async function getEvents(options = {}) {
         return await request('event.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get events:`, error.message);
-        throw new Error(`Failed to retrieve events: ${error.message}`);
+        throw new Error(`Failed to retrieve events: ${error.message}`, { cause: error });
     }
 }
 
+// event.acknowledge action flags, combined into one bitmask per call
+const ACKNOWLEDGE_ACTIONS = {
+    CLOSE: 1,
+    ACKNOWLEDGE: 2,
+    ADD_MESSAGE: 4,
+    CHANGE_SEVERITY: 8,
+    UNACKNOWLEDGE: 16,
+    SUPPRESS: 32,
+    UNSUPPRESS: 64,
+    CHANGE_TO_CAUSE: 128,
+    CHANGE_TO_SYMPTOM: 256
+};
+
+/**
+ * Build event.acknowledge parameters from named operations
+ * @param {Object} operations - Operations to apply
+ * @param {boolean} [operations.close] - Close the problems
+ * @param {boolean} [operations.acknowledge] - Acknowledge the problems
+ * @param {boolean} [operations.unacknowledge] - Remove the acknowledgement
+ * @param {string} [operations.message] - Message to add
+ * @param {number} [operations.severity] - New severity (0-5)
+ * @param {number} [operations.suppressUntil] - Suppress until this Unix time, 0 for indefinitely
+ * @param {boolean} [operations.unsuppress] - Remove the suppression
+ * @param {string} [operations.rank] - 'cause' or 'symptom'
+ * @param {string} [operations.causeEventId] - Cause event of the symptoms, required for rank 'symptom'
+ * @returns {Object} { action, message?, severity?, suppress_until?, cause_eventid? }
+ */
+function buildAcknowledgeParams(operations = {}) {
+    const { close, acknowledge, unacknowledge, message, severity, suppressUntil, unsuppress, rank, causeEventId } = operations;
+
+    if (acknowledge && unacknowledge) {
+        throw new Error('acknowledge and unacknowledge must not be combined.');
+    }
+    if (suppressUntil !== undefined && unsuppress) {
+        throw new Error('suppressUntil and unsuppress must not be combined.');
+    }
+    if (severity !== undefined && !(Number.isInteger(severity) && severity >= 0 && severity <= 5)) {
+        throw new Error(`severity must be an integer from 0 to 5, got ${severity}.`);
+    }
+    if (suppressUntil !== undefined && suppressUntil !== 0 && suppressUntil <= Math.floor(Date.now() / 1000)) {
+        throw new Error(`suppressUntil must be in the future, got ${new Date(suppressUntil * 1000).toISOString()}.`);
+    }
+    if (rank !== undefined && rank !== 'cause' && rank !== 'symptom') {
+        throw new Error(`rank must be 'cause' or 'symptom', got '${rank}'.`);
+    }
+    if (rank === 'symptom' && !causeEventId) {
+        throw new Error("causeEventId must be given when rank is 'symptom'.");
+    }
+
+    const params = { action: 0 };
+    if (close) {
+        params.action |= ACKNOWLEDGE_ACTIONS.CLOSE;
+    }
+    if (acknowledge) {
+        params.action |= ACKNOWLEDGE_ACTIONS.ACKNOWLEDGE;
+    }
+    if (unacknowledge) {
+        params.action |= ACKNOWLEDGE_ACTIONS.UNACKNOWLEDGE;
+    }
+    if (message) {
+        params.action |= ACKNOWLEDGE_ACTIONS.ADD_MESSAGE;
+        params.message = message;
+    }
+    if (severity !== undefined) {
+        params.action |= ACKNOWLEDGE_ACTIONS.CHANGE_SEVERITY;
+        params.severity = severity;
+    }
+    if (suppressUntil !== undefined) {
+        params.action |= ACKNOWLEDGE_ACTIONS.SUPPRESS;
+        params.suppress_until = suppressUntil;
+    }
+    if (unsuppress) {
+        params.action |= ACKNOWLEDGE_ACTIONS.UNSUPPRESS;
+    }
+    if (rank === 'cause') {
+        params.action |= ACKNOWLEDGE_ACTIONS.CHANGE_TO_CAUSE;
+    }
+    if (rank === 'symptom') {
+        params.action |= ACKNOWLEDGE_ACTIONS.CHANGE_TO_SYMPTOM;
+        params.cause_eventid = causeEventId;
+    }
+
+    if (params.action === 0) {
+        throw new Error('At least one problem operation must be given.');
+    }
+    return params;
+}
+
 /**
  * Acknowledge event(s)
  * @param {Array<string>} eventIds - Array of event IDs to acknowledge
  * @param {string} message - Acknowledgment message
- * @param {Object} actionOptions - Action options (action, severity, suppress_until)
+ * @param {Object} actionOptions - Raw event.acknowledge options (action, severity, suppress_until);
+ *   without action the events are acknowledged and the message added
  * @returns {Promise<Object>} Acknowledgment result
  */
 async function acknowledgeEvent(eventIds, message = 'Acknowledged via MCP', actionOptions = {}) {
@@ -375,8 +464,7 @@ async function acknowledgeEvent(eventIds, message = 'Acknowledged via MCP', acti
         
         const params = {
             eventids: eventIds,
-            message,
-            action: actionOptions.action || 6, // Default: acknowledge + add message
+            ...(actionOptions.action === undefined ? buildAcknowledgeParams({ acknowledge: true, message }) : { message }),
             ...actionOptions
         };
         
@@ -385,10 +473,98 @@ async function acknowledgeEvent(eventIds, message = 'Acknowledged via MCP', acti
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to acknowledge events:`, error.message);
-        throw new Error(`Failed to acknowledge events: ${error.message}`);
+        throw new Error(`Failed to acknowledge events: ${error.message}`, { cause: error });
+    }
+}
+
+/**
+ * Apply named operations to problems with event.acknowledge
+ * @param {Array<string>} eventIds - Problem event IDs
+ * @param {Object} operations - Operations, see buildAcknowledgeParams()
+ * @returns {Promise<Object>} { eventids } of the updated events
+ */
+async function updateProblems(eventIds, operations) {
+    if (!Array.isArray(eventIds) || eventIds.length === 0) {
+        throw new Error('updateProblems expects a non-empty array of event IDs.');
+    }
+    const params = buildAcknowledgeParams(operations);
+
+    try {
+        logger.info(`${config.logging.prefix} Updating problems ${eventIds.join(', ')} with action ${params.action}`);
+        return await request('event.acknowledge', { eventids: eventIds, ...params });
+    } catch (error) {
+        logger.error(`${config.logging.prefix} Failed to update problems:`, error.message);
+        throw new Error(`Failed to update problems: ${error.message}`, { cause: error });
     }
 }
 
+/**
+ * Check which events can be closed manually. Zabbix rejects the whole
+ * event.acknowledge call if any event in it cannot be closed, so callers
+ * close only the closable ones and report the rest.
+ * @param {Array<string>} eventIds - Event IDs
+ * @returns {Promise<Object>} { closable: Array<string>, rejected: Array<{ eventid, reason }> }
+ */
+async function checkManualClose(eventIds) {
+    if (!Array.isArray(eventIds) || eventIds.length === 0) {
+        throw new Error('checkManualClose expects a non-empty array of event IDs.');
+    }
+
+    try {
+        const events = await request('event.get', {
+            eventids: eventIds,
+            output: ['eventid', 'source', 'object', 'value', 'r_eventid', 'name'],
+            selectRelatedObject: ['triggerid', 'description', 'manual_close']
+        });
+        const byId = new Map(events.map(event => [String(event.eventid), event]));
+
+        const closable = [];
+        const rejected = [];
+        for (const eventId of eventIds.map(String)) {
+            const event = byId.get(eventId);
+            let reason = null;
+            if (!event) {
+                reason = 'event not found or not visible to this user';
+            } else if (String(event.source) !== '0' || String(event.object) !== '0') {
+                reason = 'not a trigger event';
+            } else if (String(event.value) !== '1') {
+                reason = 'not a problem event (it is a recovery event)';
+            } else if (event.r_eventid && String(event.r_eventid) !== '0') {
+                reason = 'problem is already resolved';
+            } else if (String(event.relatedObject?.manual_close) !== '1') {
+                const trigger = event.relatedObject?.description || event.name;
+                reason = `trigger "${trigger}" does not allow manual close (enable "Allow manual close" on the trigger)`;
+            }
+
+            if (reason) {
+                rejected.push({ eventid: eventId, reason });
+            } else {
+                closable.push(eventId);
+            }
+        }
+        return { closable, rejected };
+    } catch (error) {
+        logger.error(`${config.logging.prefix} Failed to check manual close:`, error.message);
+        throw new Error(`Failed to check whether problems can be closed: ${error.message}`, { cause: error });
+    }
+}
+
+/**
+ * Close the problems whose triggers allow manual close
+ * @param {Array<string>} eventIds - Problem event IDs
+ * @param {string} [message] - Message to add to the closed problems
+ * @returns {Promise<Object>} { closed: Array<string>, rejected: Array<{ eventid, reason }> }
+ */
+async function closeProblems(eventIds, message) {
+    const { closable, rejected } = await checkManualClose(eventIds);
+    if (closable.length === 0) {
+        return { closed: [], rejected };
+    }
+
+    await updateProblems(closable, { close: true, message });
+    return { closed: closable, rejected };
+}
+
 module.exports = {
     getProblems,
     getActiveProblems,
@@ -402,5 +578,10 @@ module.exports = {
     getProblemCount,
     getProblemsByTriggers,
     getEvents,
-    acknowledgeEvent
+    ACKNOWLEDGE_ACTIONS,
+    buildAcknowledgeParams,
+    acknowledgeEvent,
+    updateProblems,
+    checkManualClose,
+    closeProblems
 }; 
@@ -1,11 +1,8 @@
 /* eslint-disable security/detect-object-injection */
 const { logger } = require('../utils/logger');
-const { ZabbixClient } = require('./zabbix-client');
+const client = require('./zabbix-client');
 const config = require('../config');
 
-// Initialize client
-const client = new ZabbixClient();
-
 /**
  * Make a request using the zabbix-utils client
  * @param {string} method - API method name
@@ -34,7 +31,7 @@ async function getScripts(options = {}) {
         return await request('script.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get scripts:`, error.message);
-        throw new Error(`Failed to retrieve scripts: ${error.message}`);
+        throw new Error(`Failed to retrieve scripts: ${error.message}`, { cause: error });
     }
 }
 
@@ -58,7 +55,7 @@ async function createScript(scriptData) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to create script:`, error.message);
-        throw new Error(`Failed to create script: ${error.message}`);
+        throw new Error(`Failed to create script: ${error.message}`, { cause: error });
     }
 }
 */
@@ -82,7 +79,7 @@ async function updateScript(updateData) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to update script:`, error.message);
-        throw new Error(`Failed to update script: ${error.message}`);
+        throw new Error(`Failed to update script: ${error.message}`, { cause: error });
     }
 }
 */
@@ -106,7 +103,7 @@ async function deleteScripts(scriptIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to delete scripts:`, error.message);
-        throw new Error(`Failed to delete scripts: ${error.message}`);
+        throw new Error(`Failed to delete scripts: ${error.message}`, { cause: error });
     }
 }
 */
@@ -131,7 +128,7 @@ async function executeScript(executionData) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to execute script:`, error.message);
-        throw new Error(`Failed to execute script: ${error.message}`);
+        throw new Error(`Failed to execute script: ${error.message}`, { cause: error });
     }
 }
 */
@@ -162,7 +159,7 @@ async function getScriptsByName(namePattern, options = {}) {
         return await request('script.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get scripts by name:`, error.message);
-        throw new Error(`Failed to retrieve scripts by name: ${error.message}`);
+        throw new Error(`Failed to retrieve scripts by name: ${error.message}`, { cause: error });
     }
 }
 
@@ -191,7 +188,7 @@ async function getScriptsByType(scriptType, options = {}) {
         return await request('script.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get scripts by type:`, error.message);
-        throw new Error(`Failed to retrieve scripts by type: ${error.message}`);
+        throw new Error(`Failed to retrieve scripts by type: ${error.message}`, { cause: error });
     }
 }
 
@@ -220,7 +217,7 @@ async function getScriptsByScope(scope, options = {}) {
         return await request('script.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get scripts by scope:`, error.message);
-        throw new Error(`Failed to retrieve scripts by scope: ${error.message}`);
+        throw new Error(`Failed to retrieve scripts by scope: ${error.message}`, { cause: error });
     }
 }
 
@@ -249,7 +246,7 @@ async function getScriptsForHosts(hostIds, options = {}) {
         return await request('script.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get scripts for hosts:`, error.message);
-        throw new Error(`Failed to retrieve scripts for hosts: ${error.message}`);
+        throw new Error(`Failed to retrieve scripts for hosts: ${error.message}`, { cause: error });
     }
 }
 
@@ -278,7 +275,7 @@ async function getScriptsForHostGroups(groupIds, options = {}) {
         return await request('script.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get scripts for host groups:`, error.message);
-        throw new Error(`Failed to retrieve scripts for host groups: ${error.message}`);
+        throw new Error(`Failed to retrieve scripts for host groups: ${error.message}`, { cause: error });
     }
 }
 
@@ -302,7 +299,7 @@ async function getGlobalScripts(options = {}) {
         return await request('script.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get global scripts:`, error.message);
-        throw new Error(`Failed to retrieve global scripts: ${error.message}`);
+        throw new Error(`Failed to retrieve global scripts: ${error.message}`, { cause: error });
     }
 }
 
@@ -326,7 +323,7 @@ async function getWebhookScripts(options = {}) {
         return await request('script.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get webhook scripts:`, error.message);
-        throw new Error(`Failed to retrieve webhook scripts: ${error.message}`);
+        throw new Error(`Failed to retrieve webhook scripts: ${error.message}`, { cause: error });
     }
 }
 
@@ -374,7 +371,7 @@ async function executeScriptOnHosts(scriptId, hostIds, options = {}) {
         return results;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to execute script on hosts:`, error.message);
-        throw new Error(`Failed to execute script on hosts: ${error.message}`);
+        throw new Error(`Failed to execute script on hosts: ${error.message}`, { cause: error });
     }
 }
 */
@@ -426,7 +423,7 @@ async function getScriptExecutionHistory(options = {}) {
         return formattedEvents;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get script execution history:`, error.message);
-        throw new Error(`Failed to retrieve script execution history: ${error.message}`);
+        throw new Error(`Failed to retrieve script execution history: ${error.message}`, { cause: error });
     }
 }
 
@@ -477,7 +474,7 @@ async function getScriptStatistics(options = {}) {
         return stats;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get script statistics:`, error.message);
-        throw new Error(`Failed to retrieve script statistics: ${error.message}`);
+        throw new Error(`Failed to retrieve script statistics: ${error.message}`, { cause: error });
     }
 }
 
@@ -530,7 +527,7 @@ async function searchScripts(criteria = {}) {
         return await request('script.get', params);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to search scripts:`, error.message);
-        throw new Error(`Failed to search scripts: ${error.message}`);
+        throw new Error(`Failed to search scripts: ${error.message}`, { cause: error });
     }
 }
 
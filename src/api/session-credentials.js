@@ -0,0 +1,98 @@
+/**
+ * Per-Session Zabbix Credentials
+ *
+ * Holds the Zabbix credentials an MCP client supplied for its own session, either as a
+ * header at initialize time or through the zabbix_session_login tool. Tools called in
+ * that session then run with the user's Zabbix permissions instead of the server's
+ * service account. Credentials live in memory only and are dropped when the session ends.
+ */
+
+// Session key used for callers without an MCP session id (stdio transport)
+const LOCAL_SESSION = 'local';
+
+// sessionId -> Map(instance -> { credentials, user })
+const sessions = new Map();
+
+/**
+ * Read a user's Zabbix API token from request headers
+ * X-Zabbix-Token always works; Authorization: Bearer is only used when it is not
+ * taken by the server's own HTTP authentication.
+ * @param {Object} headers - Lower-cased request headers
+ * @param {Object} [options] - { useAuthorizationHeader: boolean }
+ * @returns {string|null} Token
+ */
+function extractZabbixToken(headers = {}, options = {}) {
+    const { useAuthorizationHeader = true } = options;
+    const token = headers['x-zabbix-token'];
+    if (token) {
+        return String(token).trim();
+    }
+
+    const authorization = String(headers.authorization || '');
+    if (useAuthorizationHeader && authorization.toLowerCase().startsWith('bearer ')) {
+        return authorization.slice(7).trim() || null;
+    }
+    return null;
+}
+
+/**
+ * Store credentials for a session and instance, replacing earlier ones
+ * @param {string} sessionId - MCP session id
+ * @param {string} instance - Zabbix instance name
+ * @param {Object} credentials - { apiToken } or { username, password }
+ * @param {string} [user] - Zabbix username, once known
+ */
+function setSessionCredentials(sessionId, instance, credentials, user = null) {
+    const key = sessionId || LOCAL_SESSION;
+    if (!sessions.has(key)) {
+        sessions.set(key, new Map());
+    }
+    sessions.get(key).set(instance, { credentials, user: user || credentials.username || null });
+}
+
+/**
+ * Credentials a session supplied for an instance
+ * @param {string} sessionId - MCP session id
+ * @param {string} instance - Zabbix instance name
+ * @returns {Object|null} { credentials, user }
+ */
+function getSessionCredentials(sessionId, instance) {
+    return sessions.get(sessionId || LOCAL_SESSION)?.get(instance) || null;
+}
+
+/**
+ * Zabbix username a session is logged in as on an instance
+ * @param {string} sessionId - MCP session id
+ * @param {string} instance - Zabbix instance name
+ * @returns {string|null} Username, null when the service account is used
+ */
+function getSessionUser(sessionId, instance) {
+    return getSessionCredentials(sessionId, instance)?.user || null;
+}
+
+/**
+ * Drop a session's credentials for one instance or for all of them
+ * @param {string} sessionId - MCP session id
+ * @param {string} [instance] - Only this instance
+ * @returns {boolean} True if anything was removed
+ */
+function clearSessionCredentials(sessionId, instance) {
+    const key = sessionId || LOCAL_SESSION;
+    if (!instance) {
+        return sessions.delete(key);
+    }
+    const removed = sessions.get(key)?.delete(instance) || false;
+    if (sessions.get(key)?.size === 0) {
+        sessions.delete(key);
+    }
+    return removed;
+}
+
+module.exports = {
+    LOCAL_SESSION,
+    extractZabbixToken,
+    setSessionCredentials,
+    getSessionCredentials,
+    getSessionUser,
+    clearSessionCredentials
+};
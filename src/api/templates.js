@@ -22,7 +22,7 @@ async function getTemplates(options = {}) {
         return await request('template.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get templates:`, error.message);
-        throw new Error(`Failed to retrieve templates: ${error.message}`);
+        throw new Error(`Failed to retrieve templates: ${error.message}`, { cause: error });
     }
 }
 
@@ -45,7 +45,7 @@ async function createTemplate(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to create template ${params.name}:`, error.message);
-        throw new Error(`Failed to create template: ${error.message}`);
+        throw new Error(`Failed to create template: ${error.message}`, { cause: error });
     }
 }
 */ 
@@ -68,7 +68,7 @@ async function updateTemplate(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to update template ${params.templateid}:`, error.message);
-        throw new Error(`Failed to update template: ${error.message}`);
+        throw new Error(`Failed to update template: ${error.message}`, { cause: error });
     }
 }
 */
@@ -91,7 +91,7 @@ async function deleteTemplates(templateIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to delete templates:`, error.message);
-        throw new Error(`Failed to delete templates: ${error.message}`);
+        throw new Error(`Failed to delete templates: ${error.message}`, { cause: error });
     }
 }
 */
@@ -120,7 +120,7 @@ async function getTemplatesByGroups(groupIds, additionalOptions = {}) {
         return await request('template.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get templates by groups:`, error.message);
-        throw new Error(`Failed to retrieve templates by groups: ${error.message}`);
+        throw new Error(`Failed to retrieve templates by groups: ${error.message}`, { cause: error });
     }
 }
 
@@ -148,7 +148,7 @@ async function getTemplatesByName(templateNames, additionalOptions = {}) {
         return await request('template.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get templates by name:`, error.message);
-        throw new Error(`Failed to retrieve templates by name: ${error.message}`);
+        throw new Error(`Failed to retrieve templates by name: ${error.message}`, { cause: error });
     }
 }
 
@@ -176,7 +176,7 @@ async function getTemplateItems(templateIds, additionalOptions = {}) {
         return await request('item.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get template items:`, error.message);
-        throw new Error(`Failed to retrieve template items: ${error.message}`);
+        throw new Error(`Failed to retrieve template items: ${error.message}`, { cause: error });
     }
 }
 
@@ -204,7 +204,7 @@ async function getTemplateTriggers(templateIds, additionalOptions = {}) {
         return await request('trigger.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get template triggers:`, error.message);
-        throw new Error(`Failed to retrieve template triggers: ${error.message}`);
+        throw new Error(`Failed to retrieve template triggers: ${error.message}`, { cause: error });
     }
 }
 
@@ -232,7 +232,7 @@ async function getTemplateHosts(templateIds, additionalOptions = {}) {
         return await request('host.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get template hosts:`, error.message);
-        throw new Error(`Failed to retrieve template hosts: ${error.message}`);
+        throw new Error(`Failed to retrieve template hosts: ${error.message}`, { cause: error });
     }
 }
 
@@ -268,7 +268,7 @@ async function linkTemplatesToHosts(hostIds, templateIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to link templates to hosts:`, error.message);
-        throw new Error(`Failed to link templates to hosts: ${error.message}`);
+        throw new Error(`Failed to link templates to hosts: ${error.message}`, { cause: error });
     }
 }
     */
@@ -305,7 +305,7 @@ async function unlinkTemplatesFromHosts(hostIds, templateIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to unlink templates from hosts:`, error.message);
-        throw new Error(`Failed to unlink templates from hosts: ${error.message}`);
+        throw new Error(`Failed to unlink templates from hosts: ${error.message}`, { cause: error });
     }
 }
 */
@@ -333,7 +333,7 @@ async function getTemplateMacros(templateIds, additionalOptions = {}) {
         return await request('usermacro.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get template macros:`, error.message);
-        throw new Error(`Failed to retrieve template macros: ${error.message}`);
+        throw new Error(`Failed to retrieve template macros: ${error.message}`, { cause: error });
     }
 }
 
@@ -364,7 +364,7 @@ async function exportTemplates(templateIds, options = {}) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to export templates:`, error.message);
-        throw new Error(`Failed to export templates: ${error.message}`);
+        throw new Error(`Failed to export templates: ${error.message}`, { cause: error });
     }
 }
 
@@ -408,7 +408,7 @@ async function importTemplates(source, options = {}) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to import templates:`, error.message);
-        throw new Error(`Failed to import templates: ${error.message}`);
+        throw new Error(`Failed to import templates: ${error.message}`, { cause: error });
     }
 }
 
@@ -468,7 +468,7 @@ async function getTemplateStatistics(templateIds = null) {
         return stats;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get template statistics:`, error.message);
-        throw new Error(`Failed to retrieve template statistics: ${error.message}`);
+        throw new Error(`Failed to retrieve template statistics: ${error.message}`, { cause: error });
     }
 }
 
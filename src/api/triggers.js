@@ -20,7 +20,7 @@ async function getTriggers(options = {}) {
         return await request('trigger.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get triggers:`, error.message);
-        throw new Error(`Failed to retrieve triggers: ${error.message}`);
+        throw new Error(`Failed to retrieve triggers: ${error.message}`, { cause: error });
     }
 }
 
@@ -43,7 +43,7 @@ async function createTrigger(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to create trigger ${params.description}:`, error.message);
-        throw new Error(`Failed to create trigger: ${error.message}`);
+        throw new Error(`Failed to create trigger: ${error.message}`, { cause: error });
     }
 }
 */
@@ -66,7 +66,7 @@ async function updateTrigger(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to update trigger ${params.triggerid}:`, error.message);
-        throw new Error(`Failed to update trigger: ${error.message}`);
+        throw new Error(`Failed to update trigger: ${error.message}`, { cause: error });
     }
 }
 */ 
@@ -89,7 +89,7 @@ async function deleteTriggers(triggerIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to delete triggers:`, error.message);
-        throw new Error(`Failed to delete triggers: ${error.message}`);
+        throw new Error(`Failed to delete triggers: ${error.message}`, { cause: error });
     }
 }
 */
@@ -120,7 +120,7 @@ async function getTriggersByHost(hostId, additionalOptions = {}) {
         return await request('trigger.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get triggers by host:`, error.message);
-        throw new Error(`Failed to retrieve triggers by host: ${error.message}`);
+        throw new Error(`Failed to retrieve triggers by host: ${error.message}`, { cause: error });
     }
 }
 
@@ -148,7 +148,7 @@ async function getTriggersByHosts(hostIds, additionalOptions = {}) {
         return await request('trigger.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get triggers by hosts:`, error.message);
-        throw new Error(`Failed to retrieve triggers by hosts: ${error.message}`);
+        throw new Error(`Failed to retrieve triggers by hosts: ${error.message}`, { cause: error });
     }
 }
 
@@ -178,7 +178,7 @@ async function getTriggersByPriority(priorities, additionalOptions = {}) {
         return await request('trigger.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get triggers by priority:`, error.message);
-        throw new Error(`Failed to retrieve triggers by priority: ${error.message}`);
+        throw new Error(`Failed to retrieve triggers by priority: ${error.message}`, { cause: error });
     }
 }
 
@@ -206,7 +206,7 @@ async function getActiveTriggers(additionalOptions = {}) {
         return await request('trigger.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get active triggers:`, error.message);
-        throw new Error(`Failed to retrieve active triggers: ${error.message}`);
+        throw new Error(`Failed to retrieve active triggers: ${error.message}`, { cause: error });
     }
 }
 
@@ -238,7 +238,7 @@ async function enableTriggers(triggerIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to enable triggers:`, error.message);
-        throw new Error(`Failed to enable triggers: ${error.message}`);
+        throw new Error(`Failed to enable triggers: ${error.message}`, { cause: error });
     }
 }
 */
@@ -271,7 +271,7 @@ async function disableTriggers(triggerIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to disable triggers:`, error.message);
-        throw new Error(`Failed to disable triggers: ${error.message}`);
+        throw new Error(`Failed to disable triggers: ${error.message}`, { cause: error });
     }
 }
 */
@@ -287,7 +287,7 @@ async function getTriggerPrototypes(options = {}) {
         return await request('triggerprototype.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get trigger prototypes:`, error.message);
-        throw new Error(`Failed to retrieve trigger prototypes: ${error.message}`);
+        throw new Error(`Failed to retrieve trigger prototypes: ${error.message}`, { cause: error });
     }
 }
 
@@ -309,7 +309,7 @@ async function createTriggerPrototype(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to create trigger prototype ${params.description}:`, error.message);
-        throw new Error(`Failed to create trigger prototype: ${error.message}`);
+        throw new Error(`Failed to create trigger prototype: ${error.message}`, { cause: error });
     }
 }
     */
@@ -338,7 +338,7 @@ async function getTriggersByTemplates(templateIds, additionalOptions = {}) {
         return await request('trigger.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get triggers by templates:`, error.message);
-        throw new Error(`Failed to retrieve triggers by templates: ${error.message}`);
+        throw new Error(`Failed to retrieve triggers by templates: ${error.message}`, { cause: error });
     }
 }
 
@@ -361,7 +361,7 @@ async function getTriggersWithDependencies(additionalOptions = {}) {
         return await request('trigger.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get triggers with dependencies:`, error.message);
-        throw new Error(`Failed to retrieve triggers with dependencies: ${error.message}`);
+        throw new Error(`Failed to retrieve triggers with dependencies: ${error.message}`, { cause: error });
     }
 }
 
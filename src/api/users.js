@@ -21,7 +21,7 @@ async function getUsers(options = {}) {
         return await request('user.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get users:`, error.message);
-        throw new Error(`Failed to retrieve users: ${error.message}`);
+        throw new Error(`Failed to retrieve users: ${error.message}`, { cause: error });
     }
 }
 
@@ -44,7 +44,7 @@ async function createUser(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to create user ${params.username}:`, error.message);
-        throw new Error(`Failed to create user: ${error.message}`);
+        throw new Error(`Failed to create user: ${error.message}`, { cause: error });
     }
 }
 */
@@ -67,7 +67,7 @@ async function updateUser(params) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to update user ${params.userid}:`, error.message);
-        throw new Error(`Failed to update user: ${error.message}`);
+        throw new Error(`Failed to update user: ${error.message}`, { cause: error });
     }
 }
 */
@@ -90,7 +90,7 @@ async function deleteUsers(userIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to delete users:`, error.message);
-        throw new Error(`Failed to delete users: ${error.message}`);
+        throw new Error(`Failed to delete users: ${error.message}`, { cause: error });
     }
 }
 */
@@ -120,7 +120,7 @@ async function getUsersByUsername(usernamePatterns, additionalOptions = {}) {
         return await request('user.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get users by username:`, error.message);
-        throw new Error(`Failed to retrieve users by username: ${error.message}`);
+        throw new Error(`Failed to retrieve users by username: ${error.message}`, { cause: error });
     }
 }
 
@@ -149,7 +149,7 @@ async function getUsersByGroups(groupIds, additionalOptions = {}) {
         return await request('user.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get users by groups:`, error.message);
-        throw new Error(`Failed to retrieve users by groups: ${error.message}`);
+        throw new Error(`Failed to retrieve users by groups: ${error.message}`, { cause: error });
     }
 }
 
@@ -185,7 +185,7 @@ async function getActiveUsers(daysBack = 30, additionalOptions = {}) {
         });
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get active users:`, error.message);
-        throw new Error(`Failed to retrieve active users: ${error.message}`);
+        throw new Error(`Failed to retrieve active users: ${error.message}`, { cause: error });
     }
 }
 
@@ -214,7 +214,7 @@ async function getUsersByType(userTypes, additionalOptions = {}) {
         return await request('user.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get users by type:`, error.message);
-        throw new Error(`Failed to retrieve users by type: ${error.message}`);
+        throw new Error(`Failed to retrieve users by type: ${error.message}`, { cause: error });
     }
 }
 
@@ -268,7 +268,7 @@ async function getUsersByRole(roleNames, additionalOptions = {}) {
         
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get users by role:`, error.message);
-        throw new Error(`Failed to retrieve users by role: ${error.message}`);
+        throw new Error(`Failed to retrieve users by role: ${error.message}`, { cause: error });
     }
 }
 
@@ -296,7 +296,7 @@ async function enableUsers(userIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to enable users:`, error.message);
-        throw new Error(`Failed to enable users: ${error.message}`);
+        throw new Error(`Failed to enable users: ${error.message}`, { cause: error });
     }
 }
 */
@@ -325,7 +325,7 @@ async function disableUsers(userIds) {
         return result;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to disable users:`, error.message);
-        throw new Error(`Failed to disable users: ${error.message}`);
+        throw new Error(`Failed to disable users: ${error.message}`, { cause: error });
     }
 }
     */
@@ -341,7 +341,7 @@ async function getUserGroups(options = {}) {
         return await request('usergroup.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get user groups:`, error.message);
-        throw new Error(`Failed to retrieve user groups: ${error.message}`);
+        throw new Error(`Failed to retrieve user groups: ${error.message}`, { cause: error });
     }
 }
 
@@ -369,7 +369,7 @@ async function getUserPermissions(userIds, additionalOptions = {}) {
         return await request('user.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get user permissions:`, error.message);
-        throw new Error(`Failed to retrieve user permissions: ${error.message}`);
+        throw new Error(`Failed to retrieve user permissions: ${error.message}`, { cause: error });
     }
 }
 
@@ -398,7 +398,7 @@ async function getUserMedia(userIds, additionalOptions = {}) {
         return await request('user.get', options);
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get user media:`, error.message);
-        throw new Error(`Failed to retrieve user media: ${error.message}`);
+        throw new Error(`Failed to retrieve user media: ${error.message}`, { cause: error });
     }
 }
 
@@ -453,7 +453,7 @@ async function getUserStatistics(userIds = null) {
         return stats;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to get user statistics:`, error.message);
-        throw new Error(`Failed to retrieve user statistics: ${error.message}`);
+        throw new Error(`Failed to retrieve user statistics: ${error.message}`, { cause: error });
     }
 }
 
@@ -519,7 +519,7 @@ async function searchUsers(criteria = {}, additionalOptions = {}) {
         return filteredUsers;
     } catch (error) {
         logger.error(`${config.logging.prefix} Failed to search users:`, error.message);
-        throw new Error(`Failed to search users: ${error.message}`);
+        throw new Error(`Failed to search users: ${error.message}`, { cause: error });
     }
 }
 
@@ -13,13 +13,156 @@
 const { AsyncZabbixAPI } = require('zabbix-utils');
 const config = require('../config');
 const { logger } = require('../utils/logger');
+const { isWriteMethod } = require('../security/tool-access');
+const { auditLog, redact } = require('../security/audit');
+const { RetryPolicy, CircuitBreaker } = require('../utils/retry');
+const healthMonitor = require('../utils/health');
+const { APICache } = require('../utils/cache');
+const { telemetry } = require('../utils/telemetry');
+const { classifyError, ZabbixAuthError, ZabbixPermissionError, ZabbixUnavailableError } = require('../utils/errors');
+const { claimPage, fetchPage } = require('./pagination');
+const { getInstanceNames, resolveInstance, runWithInstance, runWithSession, currentInstance, currentSession } = require('./instances');
+const {
+    LOCAL_SESSION,
+    setSessionCredentials,
+    getSessionCredentials,
+    clearSessionCredentials
+} = require('./session-credentials');
+
+// One breaker per Zabbix endpoint, shared by every client talking to it
+const circuitBreakers = new Map();
+
+/**
+ * Get (or create) the circuit breaker for a Zabbix endpoint
+ * @param {string} url - Zabbix API URL
+ * @returns {CircuitBreaker} Breaker for the endpoint
+ */
+function getCircuitBreaker(url) {
+    if (!circuitBreakers.has(url)) {
+        const retryPolicy = new RetryPolicy(config.resilience.retry);
+        circuitBreakers.set(url, new CircuitBreaker({
+            ...config.resilience.circuitBreaker,
+            // Only transport failures trip the breaker, not Zabbix rejecting a request
+            isFailure: error => retryPolicy.isRetryable(error)
+        }));
+    }
+    return circuitBreakers.get(url);
+}
+
+/**
+ * Breaker state for every Zabbix endpoint contacted so far
+ * @returns {Object} Map of URL to { state, failureCount, lastFailureTime, retryAfter }
+ */
+function getCircuitBreakerStates() {
+    return Object.fromEntries([...circuitBreakers.entries()].map(([url, breaker]) => [url, breaker.getState()]));
+}
+
+healthMonitor.registerHealthCheck('zabbixCircuitBreakers', () => {
+    const breakers = getCircuitBreakerStates();
+    const open = Object.values(breakers).some(breaker => breaker.state === 'OPEN');
+    return { status: open ? 'degraded' : 'ok', breakers };
+});
+
+// Cached *.get responses, keyed by method plus normalized params
+const responseCache = new APICache({
+    maxSize: config.cache.maxSize,
+    defaultTtl: config.cache.ttl * 1000
+});
+
+// Object types whose cached reads also go stale when another type is written
+const RELATED_CACHE_TYPES = {
+    event: ['problem'],
+    problem: ['event'],
+    host: ['hostinterface'],
+    hostinterface: ['host']
+};
+
+/**
+ * TTL for a cached method: per-method override or the CACHE_TTL default
+ * @param {string} method - Zabbix API method
+ * @returns {number} TTL in seconds, 0 when the method must not be cached
+ */
+function getCacheTtl(method) {
+    const ttls = config.cache.methodTtls || {};
+    const key = String(method).toLowerCase();
+    return Object.prototype.hasOwnProperty.call(ttls, key) ? ttls[key] : config.cache.ttl;
+}
+
+/**
+ * Drop cached reads made stale by a successful write
+ * e.g. host.update clears host.get (and hostinterface.get) entries; configuration.import clears everything
+ * Cache keys are '<instance>/<method>:<params>', so only the written instance is affected.
+ * @param {string} method - Zabbix write method
+ * @param {string} [instance] - Instance the write went to
+ * @returns {number} Number of entries removed
+ */
+function invalidateCache(method, instance = currentInstance()) {
+    const [type] = String(method).toLowerCase().split('.');
+    if (type === 'configuration') {
+        return responseCache.deleteByPrefix(`${instance}/`);
+    }
+
+    const types = [type, ...(RELATED_CACHE_TYPES[type] || [])];
+    const removed = responseCache.deleteByPrefix(...types.map(name => `${instance}/${name}.`));
+    if (removed > 0) {
+        logger.debug(`${config.logging.prefix} Invalidated ${removed} cached responses after ${method}`);
+    }
+    return removed;
+}
+
+/**
+ * Cache statistics
+ * @returns {Object} Hits, misses, size and configured TTLs
+ */
+function getCacheStats() {
+    return {
+        enabled: config.cache.enabled,
+        defaultTtl: config.cache.ttl,
+        methodTtls: config.cache.methodTtls,
+        ...responseCache.getStats()
+    };
+}
+
+/**
+ * Flush cached responses
+ * @param {string} [objectType] - Only flush this Zabbix object type (e.g. 'host'); everything when omitted
+ * @param {string} [instance] - Only flush this instance; every instance when omitted
+ * @returns {number} Number of entries removed
+ */
+function flushCache(objectType, instance) {
+    if (!objectType && !instance) {
+        const size = responseCache.getStats().size;
+        responseCache.clear();
+        return size;
+    }
+    const instances = instance ? [resolveInstance(instance)] : getInstanceNames();
+    const type = objectType ? `${String(objectType).toLowerCase()}.` : '';
+    return responseCache.deleteByPrefix(...instances.map(name => `${name}/${type}`));
+}
+
+/**
+ * Only idempotent read methods are retried; a write that timed out may already have been applied
+ * @param {string} method - Zabbix API method
+ * @returns {boolean} True for object.get methods
+ */
+function isRetryableMethod(method) {
+    return String(method).toLowerCase().endsWith('.get');
+}
 
 class ZabbixClient {
-    constructor() {
+    /**
+     * @param {Object} [settings] - Connection settings of one Zabbix instance (defaults to config.api)
+     */
+    constructor(settings = config.api) {
+        this.settings = settings;
+        this.name = settings.name || config.defaultInstance;
+        // Set for clients that use a session's own credentials
+        this.sessionId = settings.sessionId || null;
         this.api = null;
         this.isConnected = false;
         this.lastConnectionAttempt = null;
         this.connectionRetryDelay = 5000; // 5 seconds
+        this.retryPolicy = new RetryPolicy(config.resilience.retry);
     }
 
     /**
@@ -33,37 +176,37 @@ class ZabbixClient {
             return this.api;
         }
 
-        logger.info(`[ZABBIX CLIENT DEBUG] Config check - authMethod: ${config.api.authMethod}`);
-        logger.info(`[ZABBIX CLIENT DEBUG] Config check - url: ${config.api.url}`);
-        logger.info(`[ZABBIX CLIENT DEBUG] Config check - username: ${config.api.username ? 'SET' : 'UNDEFINED'}`);
-        logger.info(`[ZABBIX CLIENT DEBUG] Config check - password: ${config.api.password ? 'SET' : 'UNDEFINED'}`);
-        logger.info(`[ZABBIX CLIENT DEBUG] Config check - apiToken: ${config.api.apiToken ? 'SET' : 'UNDEFINED'}`);
+        logger.info(`[ZABBIX CLIENT DEBUG] Config check - authMethod: ${this.settings.authMethod}`);
+        logger.info(`[ZABBIX CLIENT DEBUG] Config check - url: ${this.settings.url}`);
+        logger.info(`[ZABBIX CLIENT DEBUG] Config check - username: ${this.settings.username ? 'SET' : 'UNDEFINED'}`);
+        logger.info(`[ZABBIX CLIENT DEBUG] Config check - password: ${this.settings.password ? 'SET' : 'UNDEFINED'}`);
+        logger.info(`[ZABBIX CLIENT DEBUG] Config check - apiToken: ${this.settings.apiToken ? 'SET' : 'UNDEFINED'}`);
 
         try {
-            logger.info(`${config.logging.prefix} Initializing Zabbix API client with ${config.api.authMethod} authentication...`);
+            logger.info(`${config.logging.prefix} Initializing Zabbix API client for instance '${this.name}' with ${this.settings.authMethod} authentication...`);
             
             // Configure client based on authentication method
             const clientConfig = {
-                url: config.api.url,
-                validateCerts: !config.api.ignoreSelfSignedCert,
-                timeout: Math.floor(config.api.timeout / 1000), // Library expects seconds, will convert to ms internally
+                url: this.settings.url,
+                validateCerts: !this.settings.ignoreSelfSignedCert,
+                timeout: Math.floor(this.settings.timeout / 1000), // Library expects seconds, will convert to ms internally
                 skipVersionCheck: true
             };
 
             logger.info('[ZABBIX CLIENT DEBUG] Base clientConfig:', JSON.stringify(clientConfig, null, 2));
 
-            if (config.api.authMethod === 'token') {
+            if (this.settings.authMethod === 'token') {
                 // API Token authentication (Zabbix 5.4+)
-                clientConfig.token = config.api.apiToken;
+                clientConfig.token = this.settings.apiToken;
                 logger.info(`${config.logging.prefix} Using API token authentication`);
                 logger.info('[ZABBIX CLIENT DEBUG] Added token to clientConfig');
-            } else if (config.api.authMethod === 'password') {
+            } else if (this.settings.authMethod === 'password') {
                 // Username/Password authentication (traditional)
                 // Note: zabbix-utils library expects 'user' and 'password' properties
-                clientConfig.user = config.api.username;
-                clientConfig.password = config.api.password;
+                clientConfig.user = this.settings.username;
+                clientConfig.password = this.settings.password;
                 logger.info(`${config.logging.prefix} Using username/password authentication`);
-                logger.debug(`${config.logging.prefix} Debug - config.api.username: ${config.api.username ? 'SET' : 'UNDEFINED'}, config.api.password: ${config.api.password ? 'SET' : 'UNDEFINED'}`);
+                logger.debug(`${config.logging.prefix} Debug - this.settings.username: ${this.settings.username ? 'SET' : 'UNDEFINED'}, this.settings.password: ${this.settings.password ? 'SET' : 'UNDEFINED'}`);
                 logger.debug(`${config.logging.prefix} Debug - clientConfig.user: ${clientConfig.user ? 'SET' : 'UNDEFINED'}, clientConfig.password: ${clientConfig.password ? 'SET' : 'UNDEFINED'}`);
                 logger.info('[ZABBIX CLIENT DEBUG] Added username/password to clientConfig');
 
@@ -73,16 +216,16 @@ class ZabbixClient {
                 throw new Error(errorMsg);
             }
 
-            logger.info('[ZABBIX CLIENT DEBUG] Final clientConfig:', JSON.stringify({...clientConfig, password: clientConfig.password ? '***' : undefined}, null, 2));
+            logger.info('[ZABBIX CLIENT DEBUG] Final clientConfig:', JSON.stringify(redact(clientConfig), null, 2));
             logger.info('[ZABBIX CLIENT DEBUG] About to create AsyncZabbixAPI instance...');
             
             this.api = new AsyncZabbixAPI(clientConfig);
             logger.info('[ZABBIX CLIENT DEBUG] AsyncZabbixAPI instance created successfully');
 
             // For username/password auth, login is required
-            if (config.api.authMethod === 'password') {
+            if (this.settings.authMethod === 'password') {
                 logger.info('[ZABBIX CLIENT DEBUG] Password auth detected, calling login...');
-                await this.api.login(null, config.api.username, config.api.password);
+                await this.api.login(null, this.settings.username, this.settings.password);
                 logger.info('[ZABBIX CLIENT DEBUG] Login completed successfully');
             }
             
@@ -102,7 +245,12 @@ class ZabbixClient {
             logger.error('[ZABBIX CLIENT DEBUG] Initialization failed:', error.message);
             logger.error('[ZABBIX CLIENT DEBUG] Error stack:', error.stack);
             logger.error(`${config.logging.prefix} Failed to initialize Zabbix API client:`, error.message);
-            throw new Error(`Zabbix API initialization failed: ${error.message}`);
+            const wrapped = new Error(`Zabbix API initialization failed: ${error.message}`, { cause: error });
+            // Keep the transport code (ECONNREFUSED, ...) so retries and the circuit breaker see it
+            if (error.code) {
+                wrapped.code = error.code;
+            }
+            throw wrapped;
         }
     }
 
@@ -136,9 +284,9 @@ class ZabbixClient {
                 return false;
             }
             
-            // For API token auth, check by making a simple API call
-            if (config.api.authMethod === 'token') {
-                await this.api.apiVersion();
+            // For API token auth, ask Zabbix whether the token is still valid
+            if (this.settings.authMethod === 'token') {
+                await this.api.user.checkAuthentication({ token: this.settings.apiToken });
                 this.isConnected = true;
                 return true;
             } else {
@@ -161,7 +309,7 @@ class ZabbixClient {
         if (this.api && this.isConnected) {
             try {
                 // Only logout for username/password auth
-                if (config.api.authMethod === 'password') {
+                if (this.settings.authMethod === 'password') {
                     await this.api.logout();
                 }
                 logger.info(`${config.logging.prefix} Disconnected from Zabbix API`);
@@ -183,19 +331,95 @@ class ZabbixClient {
     }
 
     /**
-     * Generic method to make API calls with automatic error handling
+     * Generic method to make API calls with automatic error handling.
+     * Failures are thrown as classified ZabbixMcpError subclasses. Inside a paged tool
+     * call the first call of the paged method returns only the requested page.
      */
     async request(method, params = {}) {
-        logger.info(`[ZABBIX CLIENT DEBUG] request() called with method: ${method}, params:`, JSON.stringify(params, null, 2));
+        const page = claimPage(method);
+        if (page) {
+            return await fetchPage(page, params, (pageMethod, pageParams) => this.request(pageMethod, pageParams));
+        }
+        const tracker = telemetry.trackApiRequest(method, { zabbix_instance: this.name });
+        try {
+            const result = await this.perform(method, params);
+            tracker.finish(true);
+            return result;
+        } catch (error) {
+            const classified = classifyError(error);
+            tracker.finish(false, classified);
+            throw classified;
+        }
+    }
+
+    /**
+     * Serve a call from the cache or send it, invalidating cached reads after writes
+     */
+    async perform(method, params) {
+        logger.info(`[ZABBIX CLIENT DEBUG] request() called with method: ${method}, params:`, JSON.stringify(redact(params), null, 2));
         logger.info(`[ZABBIX CLIENT DEBUG] Current connection status: isConnected=${this.isConnected}, api=${!!this.api}`);
-        
+
+        // Second layer of defense: never let a write reach Zabbix in read-only mode
+        if (config.security.readOnly && isWriteMethod(method)) {
+            logger.warn(`${config.logging.prefix} Blocked write method ${method} (read-only mode)`);
+            throw new ZabbixPermissionError(`API method ${method} is not allowed: the server is running in read-only mode.`, {
+                hint: 'The server is read-only. Write calls are refused regardless of Zabbix permissions.'
+            });
+        }
+
+        if (config.cache.enabled && isRetryableMethod(method)) {
+            const ttl = getCacheTtl(method);
+            if (ttl > 0) {
+                const key = `${this.name}/${String(method).toLowerCase()}`;
+                // Users see different objects under Zabbix RBAC, so session clients get their own entries
+                const keyParams = this.sessionId ? { params, session: this.sessionId } : params;
+                return await responseCache.cacheApiCall(key, keyParams, () => this.execute(method, params), ttl * 1000);
+            }
+        }
+
+        const result = await this.execute(method, params);
+        if (isWriteMethod(method)) {
+            invalidateCache(method, this.name);
+        }
+        return result;
+    }
+
+    /**
+     * Run an API call through the endpoint's circuit breaker, retrying idempotent reads
+     */
+    async execute(method, params) {
+        const url = this.settings.url;
+        const breaker = getCircuitBreaker(url);
+        const send = () => this.send(method, params);
+
+        try {
+            return await breaker.execute(
+                () => (isRetryableMethod(method) ? this.retryPolicy.execute(send, method) : send()),
+                url
+            );
+        } catch (error) {
+            if (error.code === 'CIRCUIT_OPEN') {
+                logger.warn(`${config.logging.prefix} Failing fast on ${method}: circuit breaker for ${url} is open`);
+                throw new ZabbixUnavailableError(`Zabbix unavailable, retry after ${error.retryAfter} s`, {
+                    retryAfter: error.retryAfter,
+                    cause: error
+                });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Send a single API call, re-authenticating once on session errors
+     */
+    async send(method, params) {
         const client = await this.getClient();
         logger.info('[ZABBIX CLIENT DEBUG] getClient() returned, client type:', typeof client);
         
+        // Parse method to object.method format for dynamic calling
+        const [object, methodName] = method.split('.');
+
         try {
-            // Parse method to object.method format for dynamic calling
-            const [object, methodName] = method.split('.');
-            
             if (!object || !methodName) {
                 throw new Error(`Invalid API method format: ${method}. Expected format: 'object.method'`);
             }
@@ -207,6 +431,7 @@ class ZabbixClient {
 
             // Use dynamic method calling
             const result = await client[object][methodName](params);
+            auditLog.recordApiCall(method, isWriteMethod(method));
             
             logger.info(`[ZABBIX CLIENT DEBUG] API call successful: ${method}, result type:`, typeof result, 'length:', result?.length || 'N/A');
             logger.debug(`${config.logging.prefix} API call successful: ${method}`);
@@ -215,9 +440,10 @@ class ZabbixClient {
             logger.error(`[ZABBIX CLIENT DEBUG] API call failed: ${method}, error:`, error.message);
             logger.error('[ZABBIX CLIENT DEBUG] Error stack:', error.stack);
             logger.error(`${config.logging.prefix} API call failed: ${method}`, error.message);
+            auditLog.recordApiCall(method, isWriteMethod(method), error);
             
             // Check if it's an authentication error and try to reconnect (only for password auth)
-            if (config.api.authMethod === 'password' && error.message && (
+            if (this.settings.authMethod === 'password' && error.message && (
                 error.message.includes('not authorised') ||
                 error.message.includes('Session terminated') ||
                 error.message.includes('Not authorized')
@@ -237,32 +463,253 @@ class ZabbixClient {
     }
 }
 
-// Create singleton instance
-const zabbixClient = new ZabbixClient();
+// Create singleton instance for the default Zabbix instance
+const zabbixClient = new ZabbixClient(config.api);
+
+// One client per named instance, created on first use
+const instanceClients = new Map([[config.defaultInstance, zabbixClient]]);
+
+// Clients built from a session's own credentials, keyed by '<sessionId>/<instance>'
+const sessionClients = new Map();
+
+/**
+ * Connection settings for a session's own credentials
+ * @param {string} instance - Instance name
+ * @param {string} sessionId - MCP session id
+ * @param {Object} credentials - { apiToken } or { username, password }
+ * @returns {Object} Client settings
+ */
+function sessionSettings(instance, sessionId, credentials) {
+    return {
+        ...config.instances[instance],
+        name: instance,
+        sessionId,
+        authMethod: credentials.apiToken ? 'token' : 'password',
+        apiToken: credentials.apiToken,
+        username: credentials.username,
+        password: credentials.password
+    };
+}
+
+/**
+ * Get the client for a named instance. Inside a session that supplied its own
+ * credentials this is a client logged in as that user; otherwise the shared service account.
+ * @param {string} [name] - Instance name (defaults to the instance in the current call context)
+ * @returns {ZabbixClient} Client for the instance
+ */
+function getInstanceClient(name = currentInstance()) {
+    const resolved = resolveInstance(name);
+    const sessionId = currentSession() || LOCAL_SESSION;
+    const session = getSessionCredentials(sessionId, resolved);
+
+    if (session) {
+        const key = `${sessionId}/${resolved}`;
+        if (!sessionClients.has(key)) {
+            sessionClients.set(key, new ZabbixClient(sessionSettings(resolved, sessionId, session.credentials)));
+        }
+        return sessionClients.get(key);
+    }
+
+    if (config.security.requireUserCredentials && config.transport.mode !== 'stdio') {
+        throw new ZabbixAuthError(`This session has no Zabbix credentials for instance '${resolved}'. Send an X-Zabbix-Token header when initializing the session or call zabbix_session_login.`);
+    }
+
+    if (!instanceClients.has(resolved)) {
+        instanceClients.set(resolved, new ZabbixClient(config.instances[resolved]));
+    }
+    return instanceClients.get(resolved);
+}
+
+/**
+ * Probe an instance with the server's own credentials: reachability through an
+ * unauthenticated apiVersion call, then authentication through checkConnection
+ * @param {string} name - Instance name
+ * @returns {Promise<Object>} { status, url, version, authenticated, error }
+ */
+async function checkInstanceHealth(name) {
+    const settings = config.instances[name];
+    const result = { status: 'ok', url: settings.url };
+
+    try {
+        const probe = new AsyncZabbixAPI({
+            url: settings.url,
+            validateCerts: !settings.ignoreSelfSignedCert,
+            timeout: Math.floor(settings.timeout / 1000),
+            skipVersionCheck: true
+        });
+        result.version = await probe.apiVersion();
+    } catch (error) {
+        return { ...result, status: 'error', reachable: false, error: error.message };
+    }
+    result.reachable = true;
+
+    // Sessions bring their own credentials when the server has none
+    if (settings.authMethod === 'none') {
+        return { ...result, authenticated: null };
+    }
+
+    if (!instanceClients.has(name)) {
+        instanceClients.set(name, new ZabbixClient(settings));
+    }
+    const client = instanceClients.get(name);
+    try {
+        await client.getClient();
+        result.authenticated = await client.checkConnection();
+    } catch (error) {
+        result.authenticated = false;
+        result.error = error.message;
+    }
+    if (!result.authenticated) {
+        result.status = 'error';
+        result.error = result.error || `Zabbix rejected the ${settings.authMethod} credentials`;
+    }
+    return result;
+}
+
+healthMonitor.registerHealthCheck('zabbixApi', async () => {
+    const names = getInstanceNames();
+    const results = await Promise.all(names.map(checkInstanceHealth));
+    const instances = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+    return {
+        status: results.every(result => result.status === 'ok') ? 'ok' : 'degraded',
+        instances
+    };
+});
+
+healthMonitor.registerHealthCheck('cache', () => ({ status: 'ok', ...getCacheStats() }));
+
+/**
+ * Configured instances without credentials
+ * @returns {Array<Object>} { name, url, authMethod, default, connected }
+ */
+function listInstances() {
+    return getInstanceNames().map(name => ({
+        name,
+        url: config.instances[name].url,
+        authMethod: config.instances[name].authMethod,
+        default: name === config.defaultInstance,
+        connected: instanceClients.has(name) && instanceClients.get(name).isConnected
+    }));
+}
+
+/**
+ * Drop a session's client for one instance (or all), logging out password sessions
+ * @param {string} sessionId - MCP session id
+ * @param {string} [instance] - Only this instance
+ */
+async function dropSessionClients(sessionId, instance) {
+    for (const [key, client] of sessionClients.entries()) {
+        if (key === `${sessionId}/${instance}` || (!instance && key.startsWith(`${sessionId}/`))) {
+            sessionClients.delete(key);
+            await client.disconnect();
+        }
+    }
+}
+
+/**
+ * Log the current session in to an instance with the user's own credentials.
+ * The credentials are verified against Zabbix before they are stored.
+ * @param {Object} credentials - { apiToken } or { username, password }
+ * @param {string} [instance] - Instance name (defaults to the current instance)
+ * @returns {Promise<Object>} { instance, user }
+ */
+async function loginSession(credentials, instance = currentInstance()) {
+    const resolved = resolveInstance(instance);
+    const sessionId = currentSession() || LOCAL_SESSION;
+    const client = new ZabbixClient(sessionSettings(resolved, sessionId, credentials));
+
+    let user = credentials.username || null;
+    try {
+        const api = await client.getClient();
+        if (credentials.apiToken) {
+            // Straight to the library: request() logs its params, and these hold the user's token
+            const auth = await api.user.checkAuthentication({ token: credentials.apiToken });
+            user = auth?.username || null;
+        }
+    } catch (error) {
+        await client.disconnect();
+        throw new Error(`Failed to log in to Zabbix instance '${resolved}': ${error.message}`, { cause: error });
+    }
+
+    await dropSessionClients(sessionId, resolved);
+    setSessionCredentials(sessionId, resolved, credentials, user);
+    sessionClients.set(`${sessionId}/${resolved}`, client);
+    logger.info(`${config.logging.prefix} Session ${sessionId} logged in to ${resolved}${user ? ` as ${user}` : ''}`);
+
+    return { instance: resolved, user };
+}
+
+/**
+ * Forget the current session's own credentials for an instance (or all instances)
+ * @param {string} [instance] - Instance name; all instances when omitted
+ * @returns {Promise<boolean>} True if the session had credentials
+ */
+async function logoutSession(instance) {
+    const sessionId = currentSession() || LOCAL_SESSION;
+    const resolved = instance ? resolveInstance(instance) : undefined;
+    await dropSessionClients(sessionId, resolved);
+    return clearSessionCredentials(sessionId, resolved);
+}
+
+/**
+ * Release everything held for a session when its transport closes
+ * @param {string} sessionId - MCP session id
+ */
+async function endSession(sessionId) {
+    await dropSessionClients(sessionId);
+    clearSessionCredentials(sessionId);
+}
+
+/**
+ * Disconnect every client, logging out password sessions, at shutdown
+ * @returns {Promise<number>} Number of clients disconnected
+ */
+async function disconnectAll() {
+    const clients = [...instanceClients.values(), ...sessionClients.values()];
+    sessionClients.clear();
+    await Promise.all(clients.map(client => client.disconnect()));
+    logger.info(`${config.logging.prefix} Disconnected ${clients.length} Zabbix clients`);
+    return clients.length;
+}
 
-// Export clean, modern interface only
+// Export clean, modern interface only; calls go to the instance in the current call context
 module.exports = {
     ZabbixClient,
     zabbixClient,
+    getCircuitBreaker,
+    getCircuitBreakerStates,
+    checkInstanceHealth,
+    getCacheStats,
+    flushCache,
+    invalidateCache,
+    getInstanceClient,
+    listInstances,
+    runWithInstance,
+    runWithSession,
+    currentInstance,
+    loginSession,
+    logoutSession,
+    endSession,
+    disconnectAll,
     
     // Modern interface methods
     async getClient() {
-        return await zabbixClient.getClient();
+        return await getInstanceClient().getClient();
     },
     
     async request(method, params) {
-        return await zabbixClient.request(method, params);
+        return await getInstanceClient().request(method, params);
     },
     
     async checkConnection() {
-        return await zabbixClient.checkConnection();
+        return await getInstanceClient().checkConnection();
     },
     
     async disconnect() {
-        return await zabbixClient.disconnect();
+        return await getInstanceClient().disconnect();
     },
     
     async getVersion() {
-        return await zabbixClient.getVersion();
+        return await getInstanceClient().getVersion();
     }
-}; 
+};
@@ -1,4 +1,4 @@
-/* eslint-disable no-console */
+/* eslint-disable no-console, security/detect-object-injection */
 /**
  * Zabbix MCP Server - Configuration Module
  * 
@@ -25,6 +25,7 @@
 
 const dotenv = require('dotenv');
 const { logger } = require('./utils/logger');
+const { parseList } = require('./utils/glob');
 const path = require('path');
 
 //dotenv.config();
@@ -58,6 +59,122 @@ function determineAuthMethod() {
 
 const authMethod = determineAuthMethod();
 
+/**
+ * Read a per-instance environment variable, e.g. ZABBIX_PROD_API_URL for instance 'prod'
+ * @param {string} name - Instance name
+ * @param {string} suffix - Variable suffix (API_URL, API_TOKEN, USERNAME, PASSWORD, ...)
+ * @returns {string|undefined} Value
+ */
+function instanceEnv(name, suffix) {
+    const key = `ZABBIX_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_${suffix}`;
+    return process.env[key];
+}
+
+/**
+ * Build the named Zabbix instances from ZABBIX_INSTANCES=prod,staging,dc1 and
+ * ZABBIX_<NAME>_API_URL / _API_TOKEN / _USERNAME / _PASSWORD / _IGNORE_SELFSIGNED_CERT.
+ * Without ZABBIX_INSTANCES there is one instance, 'default', built from the ZABBIX_API_* settings.
+ * @param {Object} api - Settings of the single-instance configuration
+ * @returns {Object} Instance name to connection settings
+ */
+function loadInstances(api) {
+    const names = parseList(process.env.ZABBIX_INSTANCES);
+    if (names.length === 0) {
+        return { default: { name: 'default', ...api } };
+    }
+
+    const instances = {};
+    for (const name of names) {
+        const apiToken = instanceEnv(name, 'API_TOKEN');
+        const password = instanceEnv(name, 'PASSWORD');
+        const selfSigned = instanceEnv(name, 'IGNORE_SELFSIGNED_CERT');
+        instances[name] = {
+            name,
+            url: instanceEnv(name, 'API_URL'),
+            authMethod: apiToken ? 'token' : (password ? 'password' : 'none'),
+            apiToken,
+            username: instanceEnv(name, 'USERNAME') || api.username,
+            password,
+            timeout: api.timeout,
+            ignoreSelfSignedCert: selfSigned === undefined ? api.ignoreSelfSignedCert : selfSigned === 'true'
+        };
+    }
+    return instances;
+}
+
+// Cache TTLs in seconds for methods whose data changes much slower or faster than CACHE_TTL
+const DEFAULT_METHOD_TTLS = {
+    'template.get': 3600,
+    'usergroup.get': 3600,
+    'hostgroup.get': 1800,
+    'mediatype.get': 1800,
+    'problem.get': 15,
+    'event.get': 15,
+    'history.get': 30,
+    'trend.get': 300
+};
+
+/**
+ * Parse per-method cache TTL overrides, e.g. CACHE_METHOD_TTLS=problem.get=10,host.get=600
+ * @param {string} value - Raw environment value
+ * @returns {Object} Method to TTL in seconds, defaults merged with overrides
+ */
+function parseMethodTtls(value) {
+    const ttls = { ...DEFAULT_METHOD_TTLS };
+    for (const entry of parseList(value)) {
+        const [method, seconds] = entry.split('=').map(part => part.trim());
+        const ttl = parseInt(seconds, 10);
+        if (method && ttl >= 0) {
+            ttls[method.toLowerCase()] = ttl;
+        }
+    }
+    return ttls;
+}
+
+// Tool categories each HTTP auth role may use; write tools are hidden from read-only roles
+const DEFAULT_ROLES = {
+    'read-only': { include: ['*'], exclude: ['users', 'audit'], readOnly: true },
+    operator: { include: ['*'], exclude: ['users', 'audit', 'configuration'], readOnly: false },
+    admin: { include: ['*'], exclude: [], readOnly: false }
+};
+
+/**
+ * Build the HTTP auth roles. MCP_ROLE_<ROLE>_CATEGORIES=hosts,problems replaces a role's
+ * category patterns (and its default exclusions).
+ * @returns {Object} Role name to { include, exclude, readOnly }
+ */
+function loadRoles() {
+    const roles = {};
+    for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+        const categories = parseList(process.env[`MCP_ROLE_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_CATEGORIES`]);
+        roles[name] = categories.length > 0 ? { ...role, include: categories, exclude: [] } : { ...role };
+    }
+    return roles;
+}
+
+/**
+ * Parse HTTP API keys, e.g. MCP_API_KEYS=grafana:read-only:<key>,oncall-bot:operator:<key>
+ * @param {string} value - Raw environment value
+ * @returns {Array<Object>} { name, role, key } entries
+ */
+function parseApiKeys(value) {
+    return parseList(value).map(entry => {
+        const [name, role, ...rest] = entry.split(':');
+        return { name: name.trim(), role: (role || '').trim(), key: rest.join(':').trim() };
+    });
+}
+
+/**
+ * Parse a non-negative integer where 0 is meaningful (e.g. "no limit")
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Value when unset or not a number
+ * @returns {number} Parsed value
+ */
+function parseCount(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
 const config = {
     api: {
         url: process.env.ZABBIX_API_URL, // || 'https://monitoring.sipef.com/api_jsonrpc.php',
@@ -77,17 +194,102 @@ const config = {
         ignoreSelfSignedCert: process.env.ZABBIX_IGNORE_SELFSIGNED_CERT === 'true'
     },
     transport: {
-        mode: process.env.MCP_TRANSPORT_MODE || 'stdio', // 'stdio' or 'http'
+        mode: process.env.MCP_TRANSPORT_MODE || 'stdio', // 'stdio', 'http', or 'sse' (http plus the legacy HTTP+SSE endpoints)
         http: {
             port: parseInt(process.env.MCP_HTTP_PORT, 10) || 3000,
             host: process.env.MCP_HTTP_HOST || 'localhost',
-            sessionManagement: process.env.MCP_SESSION_MANAGEMENT === 'true' || false
+            sessionManagement: process.env.MCP_SESSION_MANAGEMENT === 'true' || false,
+            // Seconds without requests or open streams before a session is closed; 0 never expires sessions
+            sessionIdleTimeout: parseCount(process.env.MCP_SESSION_IDLE_TIMEOUT, 1800),
+            // Concurrent sessions; further initialize requests get 503. 0 means unlimited
+            maxSessions: parseCount(process.env.MCP_MAX_SESSIONS, 100),
+            // Keep each session's recent events so a reconnecting client can resume with Last-Event-ID
+            resumability: process.env.MCP_SESSION_RESUMABILITY === 'true',
+            eventStoreSize: parseInt(process.env.MCP_EVENT_STORE_SIZE, 10) || 1000
+        }
+    },
+    resilience: {
+        // Retries with exponential backoff, applied to idempotent *.get methods only
+        retry: {
+            maxAttempts: parseInt(process.env.ZABBIX_RETRY_ATTEMPTS, 10) || 3,
+            baseDelay: parseInt(process.env.ZABBIX_RETRY_BASE_DELAY, 10) || 500,
+            maxDelay: parseInt(process.env.ZABBIX_RETRY_MAX_DELAY, 10) || 10000
+        },
+        // Per-endpoint breaker: opens after failureThreshold consecutive transport failures
+        // and lets a call through again after recoveryTimeout milliseconds
+        circuitBreaker: {
+            failureThreshold: parseInt(process.env.ZABBIX_CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+            recoveryTimeout: parseInt(process.env.ZABBIX_CIRCUIT_RECOVERY_TIMEOUT, 10) || 60000
         }
     },
     cache: {
         enabled: process.env.CACHE_ENABLED === 'true',
         ttl: parseInt(process.env.CACHE_TTL, 10) || 300,
-        maxSize: parseInt(process.env.CACHE_MAX_SIZE, 10) || 1000
+        maxSize: parseInt(process.env.CACHE_MAX_SIZE, 10) || 1000,
+        // Per-method TTLs in seconds; a TTL of 0 disables caching for that method
+        methodTtls: parseMethodTtls(process.env.CACHE_METHOD_TTLS)
+    },
+    security: {
+        // Block every mutating tool and Zabbix write method
+        readOnly: process.env.MCP_READ_ONLY === 'true',
+        // 'hide' skips write tools at registration, 'refuse' registers them but rejects every call
+        readOnlyBehavior: process.env.MCP_READ_ONLY_BEHAVIOR || 'hide',
+        // Comma separated glob patterns of write tools that need a second call with a confirmation token,
+        // e.g. MCP_CONFIRM_TOOLS=zabbix_*delete*,zabbix_execute_script
+        confirmTools: parseList(process.env.MCP_CONFIRM_TOOLS),
+        // Seconds a confirmation token stays valid
+        confirmTokenTtl: parseInt(process.env.MCP_CONFIRM_TOKEN_TTL, 10) || 120,
+        // HTTP mode: refuse Zabbix calls from sessions that did not supply their own credentials
+        // instead of falling back to the server's service account
+        requireUserCredentials: process.env.MCP_REQUIRE_USER_CREDENTIALS === 'true'
+    },
+    auth: {
+        // HTTP transport: every /mcp request must carry one of these keys, as
+        // Authorization: Bearer <key> or X-API-Key: <key>. Empty means no authentication.
+        apiKeys: parseApiKeys(process.env.MCP_API_KEYS),
+        roles: loadRoles(),
+        // Requests allowed per window, counted separately per client IP and per API key
+        rateLimit: {
+            windowMs: (parseInt(process.env.MCP_RATE_LIMIT_WINDOW, 10) || 60) * 1000,
+            maxRequests: parseInt(process.env.MCP_RATE_LIMIT_MAX, 10) || 120
+        }
+    },
+    resources: {
+        // Resources per resources/list page
+        pageSize: parseInt(process.env.MCP_RESOURCE_PAGE_SIZE, 10) || 100,
+        // Seconds between problem.get polls while a session has a problem subscription
+        problemPollInterval: parseInt(process.env.MCP_PROBLEM_POLL_INTERVAL, 10) || 30
+    },
+    output: {
+        // Budget for one tool result, in estimated tokens (about 4 bytes each) and bytes;
+        // the smaller one applies, 0 disables it. Larger results are cut with a continuation cursor.
+        maxTokens: parseCount(process.env.MCP_OUTPUT_MAX_TOKENS, 25000),
+        maxBytes: parseCount(process.env.MCP_OUTPUT_MAX_BYTES, 0),
+        // Objects per page of a list tool when the call sets neither pageSize nor limit
+        defaultPageSize: parseInt(process.env.MCP_DEFAULT_PAGE_SIZE, 10) || 100,
+        maxPageSize: parseInt(process.env.MCP_MAX_PAGE_SIZE, 10) || 1000
+    },
+    health: {
+        // Milliseconds before a readiness check (e.g. a Zabbix probe) counts as failed
+        checkTimeout: parseInt(process.env.MCP_HEALTH_CHECK_TIMEOUT, 10) || 5000
+    },
+    shutdown: {
+        // Seconds a shutdown may take: in-flight calls drain first, then transports close and Zabbix sessions log out
+        timeout: parseInt(process.env.MCP_SHUTDOWN_TIMEOUT, 10) || 30
+    },
+    audit: {
+        // JSONL trail of every tool call and Zabbix write method
+        enabled: process.env.MCP_AUDIT_ENABLED !== 'false',
+        file: process.env.MCP_AUDIT_LOG_FILE || 'logs/audit.jsonl',
+        // Rotate when the file would exceed this many bytes, keeping maxFiles old files
+        maxSize: parseInt(process.env.MCP_AUDIT_MAX_SIZE, 10) || 10 * 1024 * 1024,
+        maxFiles: parseInt(process.env.MCP_AUDIT_MAX_FILES, 10) || 5
+    },
+    tools: {
+        // Comma separated glob patterns matched against tool names and category names,
+        // e.g. MCP_TOOLS_INCLUDE=hosts,problems,history or MCP_TOOLS_EXCLUDE=zabbix_delete_*,maps
+        include: parseList(process.env.MCP_TOOLS_INCLUDE),
+        exclude: parseList(process.env.MCP_TOOLS_EXCLUDE)
     },
     logging: {
         prefix: '[Zabbix API Client]'
@@ -95,6 +297,31 @@ const config = {
     environment: process.env.NODE_ENV || 'development'
 };
 
+// Named Zabbix instances; config.api always mirrors the default instance
+config.instances = loadInstances(config.api);
+config.defaultInstance = process.env.ZABBIX_DEFAULT_INSTANCE || Object.keys(config.instances)[0];
+
+if (!Object.prototype.hasOwnProperty.call(config.instances, config.defaultInstance)) {
+    const error = new Error(`Invalid default Zabbix instance: ${config.defaultInstance}. Configured instances: ${Object.keys(config.instances).join(', ')}`);
+    if (process.env.NODE_ENV !== 'test') {
+        logger.error(`${config.logging.prefix} ${error.message}`);
+    }
+    throw error;
+}
+
+for (const instance of Object.values(config.instances)) {
+    if (process.env.ZABBIX_INSTANCES && !instance.url) {
+        const error = new Error(`No API URL configured for Zabbix instance '${instance.name}'`);
+        if (process.env.NODE_ENV !== 'test') {
+            logger.error(`${config.logging.prefix} ${error.message}`);
+        }
+        throw error;
+    }
+}
+
+Object.assign(config.api, config.instances[config.defaultInstance]);
+delete config.api.name;
+
 // Validate authentication configuration
 if (config.api.authMethod === 'none') {
     const warningMsg = 'CRITICAL: No authentication credentials provided. Set either ZABBIX_API_TOKEN or ZABBIX_PASSWORD environment variable.';
@@ -108,14 +335,41 @@ if (config.api.authMethod === 'none') {
 }
 
 // Validate transport mode
-if (!['stdio', 'http'].includes(config.transport.mode)) {
-    const error = new Error(`Invalid transport mode: ${config.transport.mode}. Must be 'stdio' or 'http'.`);
+if (!['stdio', 'http', 'sse'].includes(config.transport.mode)) {
+    const error = new Error(`Invalid transport mode: ${config.transport.mode}. Must be 'stdio', 'http' or 'sse'.`);
     if (process.env.NODE_ENV !== 'test') {
         logger.error(`${config.logging.prefix} ${error.message}`);
     }
     throw error;
 }
 
+// Validate read-only behavior
+if (!['hide', 'refuse'].includes(config.security.readOnlyBehavior)) {
+    const error = new Error(`Invalid read-only behavior: ${config.security.readOnlyBehavior}. Must be 'hide' or 'refuse'.`);
+    if (process.env.NODE_ENV !== 'test') {
+        logger.error(`${config.logging.prefix} ${error.message}`);
+    }
+    throw error;
+}
+
+// Validate HTTP API keys
+config.auth.enabled = config.auth.apiKeys.length > 0;
+for (const apiKey of config.auth.apiKeys) {
+    let message = null;
+    if (!apiKey.name || !apiKey.key) {
+        message = `Invalid MCP_API_KEYS entry for '${apiKey.name}'. Expected name:role:key`;
+    } else if (!Object.prototype.hasOwnProperty.call(config.auth.roles, apiKey.role)) {
+        message = `Invalid role '${apiKey.role}' for API key '${apiKey.name}'. Must be one of: ${Object.keys(config.auth.roles).join(', ')}`;
+    }
+    if (message) {
+        const error = new Error(message);
+        if (process.env.NODE_ENV !== 'test') {
+            logger.error(`${config.logging.prefix} ${error.message}`);
+        }
+        throw error;
+    }
+}
+
 // Validate required configuration
 if (!config.api.url) {
     const error = new Error('ZABBIX_API_URL environment variable is required');
@@ -130,10 +384,22 @@ if (config.api.authMethod === 'none') {
     logger.warn('No authentication credentials found in environment variables');
 }
 
-if (config.transport.mode === 'http' && !config.transport.http.port) {
+if (config.transport.mode !== 'stdio' && !config.transport.http.port) {
     logger.warn('HTTP_PORT not specified, using default port 3000');
 }
 
+if (config.security.readOnly) {
+    logger.info(`${config.logging.prefix} Read-only mode enabled: write tools and API methods are blocked`);
+}
+
+if (config.auth.enabled) {
+    logger.info(`${config.logging.prefix} HTTP authentication enabled with ${config.auth.apiKeys.length} API key(s)`);
+}
+
+if (config.security.confirmTools.length > 0) {
+    logger.info(`${config.logging.prefix} Confirmation required for tools matching: ${config.security.confirmTools.join(', ')}`);
+}
+
 if (config.cache.enabled && !config.cache.ttl) {
     logger.warn('CACHE_TTL not specified, using default 300 seconds');
     config.cache.ttl = 300;
@@ -25,17 +25,30 @@
 const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
 const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
 const { randomUUID } = require('crypto');
 const express = require('express');
 const { z } = require('zod');
 const { registerAllTools } = require('./tools');
+const { registerAllResources } = require('./resources');
+const { problemWatcher } = require('./resources/subscriptions');
 //const schemas = require('./tools/schemas');
 const { logger } = require('./utils/logger');
 const config = require('./config');
+const { getCircuitBreakerStates, loginSession, endSession, runWithSession, disconnectAll } = require('./api/zabbix-client');
+const { extractZabbixToken, setSessionCredentials } = require('./api/session-credentials');
+const { SecurityManager } = require('./security');
+const { createHttpAuthMiddleware, getRequestRole } = require('./security/http-auth');
+const { telemetry } = require('./utils/telemetry');
+const { SessionRegistry, MemoryEventStore } = require('./utils/sessions');
+const { inFlight, drainAndClose, ShuttingDownError } = require('./utils/shutdown');
+const { auditLog } = require('./security/audit');
+const healthMonitor = require('./utils/health');
 
 // Create server instance based on transport mode
-async function createServer() {
+// options.role limits the tool categories for an authenticated HTTP client
+async function createServer(options = {}) {
     const serverInstance = new McpServer({
         name: 'zabbix_mcp_server',
         version: '3.0.0',
@@ -43,7 +56,10 @@ async function createServer() {
     });
 
     // Register all tools
-    await registerAllTools(serverInstance);
+    await registerAllTools(serverInstance, { role: options.role });
+
+    // Zabbix objects as resource templates (zabbix://host/{hostid}, ...)
+    registerAllResources(serverInstance, { role: options.role });
 
     // Example prompts for common operations
     serverInstance.prompt(
@@ -183,45 +199,176 @@ async function createServer() {
 
 // HTTP Transport Implementation
 let httpServer = null;
+// Live HTTP sessions, closed at shutdown
+let httpSessions = null;
+// STDIO server instance, closed at shutdown
+let stdioServer = null;
 
 async function startHttpServer() {
     const app = express();
     app.use(express.json());
 
-    // Store transports by session ID for session management
-    const transports = {};
+    // Header checks, per-IP and per-key rate limits and API key authentication for /mcp
+    const securityManager = new SecurityManager({
+        rateLimitWindow: config.auth.rateLimit.windowMs,
+        rateLimitMax: config.auth.rateLimit.maxRequests
+    });
+    const legacySse = config.transport.mode === 'sse';
+    const mcpPaths = ['/mcp', '/admin', ...(legacySse ? ['/sse', '/messages'] : [])];
+
+    // While shutting down, new requests are refused so clients retry elsewhere; running calls finish
+    app.use(mcpPaths, (req, res, next) => {
+        if (!inFlight.isDraining) {
+            next();
+            return;
+        }
+        const error = new ShuttingDownError();
+        res.set('Retry-After', String(error.retryAfter));
+        res.status(503).json({
+            jsonrpc: '2.0',
+            error: {
+                code: -32000,
+                message: `Service Unavailable: ${error.message}`
+            },
+            id: null
+        });
+    });
+
+    app.use(mcpPaths, createHttpAuthMiddleware(securityManager));
+
+    // When API keys are configured, Authorization carries the MCP key, so a user's Zabbix token must use X-Zabbix-Token
+    const tokenOptions = { useAuthorizationHeader: !config.auth.enabled };
+
+    // Live sessions (Streamable HTTP and legacy SSE) with their transport and the API key
+    // that opened them; other keys may not use a session. Idle sessions are closed.
+    const sessions = new SessionRegistry();
+    sessions.startSweeper();
+    httpSessions = sessions;
+
+    const registerSession = (sessionId, session) => {
+        sessions.add(sessionId, session);
+        telemetry.incrementGauge('http_sessions_active');
+    };
+
+    const releaseSession = (sessionId) => {
+        // SSE transports report close both from close() and from the dropped stream
+        if (!sessions.delete(sessionId)) {
+            return;
+        }
+        logger.info(`HTTP session closed: ${sessionId}`);
+        problemWatcher.removeSession(sessionId);
+        telemetry.decrementGauge('http_sessions_active');
+        endSession(sessionId).catch(error => {
+            logger.warn(`Failed to release session ${sessionId}:`, error.message);
+        });
+    };
+
+    // Refuse a new session once MCP_MAX_SESSIONS are open
+    const rejectWhenFull = (res) => {
+        if (!sessions.isFull()) {
+            return false;
+        }
+        logger.warn(`Rejected new HTTP session: ${sessions.size} sessions open (MCP_MAX_SESSIONS)`);
+        res.status(503).json({
+            jsonrpc: '2.0',
+            error: {
+                code: -32000,
+                message: `Service Unavailable: the server already has the maximum of ${sessions.maxSessions} sessions`
+            },
+            id: null
+        });
+        return true;
+    };
+
+    // Log a session in with the Zabbix token its client sent; false (after a 401) if the token is rejected
+    const loginWithClientToken = async (sessionId, zabbixToken, res) => {
+        try {
+            await runWithSession(sessionId, () => loginSession({ apiToken: zabbixToken }));
+            return true;
+        } catch (error) {
+            logger.warn(`Rejected HTTP session: ${error.message}`);
+            res.status(401).json({
+                jsonrpc: '2.0',
+                error: {
+                    code: -32001,
+                    message: `Unauthorized: ${error.message}`
+                },
+                id: null
+            });
+            return false;
+        }
+    };
 
     if (config.transport.http.sessionManagement) {
         // With Session Management
         app.post('/mcp', async (req, res) => {
             try {
                 const sessionId = req.headers['mcp-session-id'];
+                const session = sessionId ? sessions.get(sessionId) : undefined;
                 let transport;
 
-                if (sessionId && transports[sessionId]) {
+                if (session?.transport instanceof StreamableHTTPServerTransport) {
+                    if (session.owner !== req.auth?.clientId) {
+                        res.status(403).json({
+                            jsonrpc: '2.0',
+                            error: {
+                                code: -32001,
+                                message: 'Forbidden: session belongs to another API key'
+                            },
+                            id: null
+                        });
+                        return;
+                    }
                     // Reuse existing transport
-                    transport = transports[sessionId];
+                    transport = session.transport;
+                    sessions.track(sessionId, res);
                 } else if (!sessionId && isInitializeRequest(req.body)) {
+                    if (rejectWhenFull(res)) {
+                        return;
+                    }
+
                     // New initialization request
-                    const serverInstance = await createServer();
+                    const newSessionId = randomUUID();
+
+                    // A client may bring its own Zabbix token so the session runs with that user's permissions
+                    const zabbixToken = extractZabbixToken(req.headers, tokenOptions);
+                    if (zabbixToken && !await loginWithClientToken(newSessionId, zabbixToken, res)) {
+                        return;
+                    }
+
+                    const serverInstance = await createServer({ role: getRequestRole(req) });
+                    const owner = req.auth?.clientId;
+                    // With resumability, a client reconnecting with Last-Event-ID gets the messages it missed
+                    const eventStore = config.transport.http.resumability ? new MemoryEventStore() : undefined;
                     
                     transport = new StreamableHTTPServerTransport({
-                        sessionIdGenerator: () => randomUUID(),
+                        sessionIdGenerator: () => newSessionId,
+                        eventStore,
                         onsessioninitialized: (sessionId) => {
-                            transports[sessionId] = transport;
-                            logger.info(`New HTTP session initialized: ${sessionId}`);
+                            registerSession(sessionId, { transport, owner, userToken: Boolean(zabbixToken), eventStore });
+                            logger.info(`New HTTP session initialized: ${sessionId}${zabbixToken ? ' (user Zabbix token)' : ''}`);
                         }
                     });
 
                     // Clean up transport when closed
                     transport.onclose = () => {
                         if (transport.sessionId) {
-                            logger.info(`HTTP session closed: ${transport.sessionId}`);
-                            delete transports[transport.sessionId];
+                            releaseSession(transport.sessionId);
                         }
                     };
 
                     await serverInstance.connect(transport);
+                } else if (sessionId) {
+                    // Closed or expired; 404 tells the client to initialize a new session
+                    res.status(404).json({
+                        jsonrpc: '2.0',
+                        error: {
+                            code: -32001,
+                            message: 'Session not found'
+                        },
+                        id: null
+                    });
+                    return;
                 } else {
                     res.status(400).json({
                         jsonrpc: '2.0',
@@ -253,13 +400,22 @@ async function startHttpServer() {
         // Handle GET and DELETE requests for session management
         const handleSessionRequest = async (req, res) => {
             const sessionId = req.headers['mcp-session-id'];
-            if (!sessionId || !transports[sessionId]) {
-                res.status(400).send('Invalid or missing session ID');
+            if (!sessionId) {
+                res.status(400).send('Missing session ID');
+                return;
+            }
+            const session = sessions.get(sessionId);
+            if (!(session?.transport instanceof StreamableHTTPServerTransport)) {
+                res.status(404).send('Session not found');
+                return;
+            }
+            if (session.owner !== req.auth?.clientId) {
+                res.status(403).send('Session belongs to another API key');
                 return;
             }
             
-            const transport = transports[sessionId];
-            await transport.handleRequest(req, res);
+            sessions.track(sessionId, res);
+            await session.transport.handleRequest(req, res);
         };
 
         app.get('/mcp', handleSessionRequest);
@@ -268,19 +424,29 @@ async function startHttpServer() {
         // Stateless mode - new server instance for each request
         app.post('/mcp', async (req, res) => {
             try {
-                const serverInstance = await createServer();
+                const serverInstance = await createServer({ role: getRequestRole(req) });
                 const transport = new StreamableHTTPServerTransport({
                     sessionIdGenerator: undefined
                 });
 
+                // Without sessions, a user token only lives for this request
+                const requestId = randomUUID();
+                const zabbixToken = extractZabbixToken(req.headers, tokenOptions);
+                if (zabbixToken) {
+                    setSessionCredentials(requestId, config.defaultInstance, { apiToken: zabbixToken });
+                }
+
                 res.on('close', () => {
                     logger.info('HTTP request closed');
                     transport.close();
                     serverInstance.close();
+                    endSession(requestId).catch(error => {
+                        logger.warn(`Failed to release request ${requestId}:`, error.message);
+                    });
                 });
 
                 await serverInstance.connect(transport);
-                await transport.handleRequest(req, res, req.body);
+                await runWithSession(requestId, () => transport.handleRequest(req, res, req.body));
             } catch (error) {
                 logger.error('Error handling HTTP MCP request:', error);
                 if (!res.headersSent) {
@@ -319,20 +485,128 @@ async function startHttpServer() {
         });
     }
 
+    if (legacySse) {
+        // Legacy HTTP+SSE transport (protocol 2024-11-05): GET /sse opens the stream, the
+        // client then POSTs its messages to /messages?sessionId=<id> from the endpoint event
+        app.get('/sse', async (req, res) => {
+            try {
+                if (rejectWhenFull(res)) {
+                    return;
+                }
+
+                const transport = new SSEServerTransport('/messages', res);
+                const sessionId = transport.sessionId;
+
+                const zabbixToken = extractZabbixToken(req.headers, tokenOptions);
+                if (zabbixToken && !await loginWithClientToken(sessionId, zabbixToken, res)) {
+                    return;
+                }
+
+                const serverInstance = await createServer({ role: getRequestRole(req) });
+                registerSession(sessionId, { transport, type: 'sse', owner: req.auth?.clientId, userToken: Boolean(zabbixToken) });
+                // The open stream keeps the session active
+                sessions.track(sessionId, res);
+                transport.onclose = () => releaseSession(sessionId);
+
+                await serverInstance.connect(transport);
+                logger.info(`New SSE session initialized: ${sessionId}${zabbixToken ? ' (user Zabbix token)' : ''}`);
+            } catch (error) {
+                logger.error('Error opening SSE stream:', error);
+                if (!res.headersSent) {
+                    res.status(500).send('Internal server error');
+                }
+            }
+        });
+
+        app.post('/messages', async (req, res) => {
+            const sessionId = String(req.query.sessionId || '');
+            const session = sessions.get(sessionId);
+            if (!(session?.transport instanceof SSEServerTransport)) {
+                res.status(400).send('Invalid or missing sessionId');
+                return;
+            }
+            if (session.owner !== req.auth?.clientId) {
+                res.status(403).send('Session belongs to another API key');
+                return;
+            }
+
+            try {
+                sessions.track(sessionId, res);
+                await session.transport.handlePostMessage(req, res, req.body);
+            } catch (error) {
+                logger.error('Error handling SSE message:', error);
+            }
+        });
+    }
+
     // Health check endpoint
     app.get('/health', (req, res) => {
+        const circuitBreakers = getCircuitBreakerStates();
+        const zabbixUnavailable = Object.values(circuitBreakers).some(breaker => breaker.state === 'OPEN');
         res.json({ 
-            status: 'healthy', 
-            transport: 'http',
+            status: zabbixUnavailable ? 'degraded' : 'healthy', 
+            transport: config.transport.mode,
             sessionManagement: config.transport.http.sessionManagement,
+            circuitBreakers,
             timestamp: new Date().toISOString()
         });
     });
 
+    healthMonitor.registerHealthCheck('sessions', () => ({
+        status: 'ok',
+        sessionManagement: config.transport.http.sessionManagement,
+        active: sessions.size,
+        max: sessions.maxSessions || null
+    }));
+
+    // Draining takes the server out of rotation before its sessions close
+    healthMonitor.registerHealthCheck('shutdown', () => ({
+        status: inFlight.isDraining ? 'draining' : 'ok',
+        inFlight: inFlight.count
+    }));
+
+    // Live sessions for operators; with API keys configured only the admin role may look
+    app.get('/admin/sessions', (req, res) => {
+        if (config.auth.enabled && req.auth?.extra?.role !== 'admin') {
+            res.status(403).json({ error: 'The admin role is required' });
+            return;
+        }
+        res.json({
+            active: sessions.size,
+            maxSessions: sessions.maxSessions || null,
+            idleTimeoutSeconds: sessions.idleTimeout / 1000 || null,
+            resumability: config.transport.http.resumability,
+            sessions: sessions.list()
+        });
+    });
+
+    // Liveness: the process answers; restart the pod only when this fails
+    app.get('/health/live', (req, res) => {
+        res.json(healthMonitor.getLiveness());
+    });
+
+    // Readiness: Zabbix reachable, credentials valid, circuits closed; 503 takes the pod out of rotation
+    app.get('/health/ready', async (req, res) => {
+        try {
+            const health = await healthMonitor.getHealth();
+            res.status(health.status === 'ok' ? 200 : 503).json(health);
+        } catch (error) {
+            logger.error('Readiness check failed:', error);
+            res.status(503).json({ status: 'error', error: error.message, timestamp: new Date().toISOString() });
+        }
+    });
+
+    // Prometheus scrape endpoint
+    app.get('/metrics', (req, res) => {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(telemetry.exportPrometheusMetrics());
+    });
+
     // Start HTTP server and store reference for shutdown
     const { port, host } = config.transport.http;
     httpServer = app.listen(port, host, () => {
-        const sessionMode = config.transport.http.sessionManagement ? 'with session management' : 'stateless';
+        const sessionMode = (config.transport.http.sessionManagement ? 'with session management' : 'stateless') +
+            (legacySse ? ', legacy SSE on /sse' : '');
         logger.info(`[MCP Server Log] Zabbix MCP Server (v1.7.0) HTTP transport running on ${host}:${port} (${sessionMode})`);
         logger.info(`HTTP server started on ${host}:${port} (${sessionMode})`);
     });
@@ -346,6 +620,7 @@ async function startStdioServer() {
     const transport = new StdioServerTransport();
     
     await serverInstance.connect(transport);
+    stdioServer = serverInstance;
     logger.info('[MCP Server Log] Zabbix MCP Server (v1.7.0) STDIO transport is running...');
     logger.info('STDIO server started');
 }
@@ -355,7 +630,7 @@ async function startServer() {
     try {
         logger.info(`Starting MCP server with ${config.transport.mode} transport`);
         
-        if (config.transport.mode === 'http') {
+        if (config.transport.mode === 'http' || config.transport.mode === 'sse') {
             await startHttpServer();
         } else {
             await startStdioServer();
@@ -373,7 +648,18 @@ startServer();
 // Graceful shutdown handling
 let isShuttingDown = false;
 
-function gracefulShutdown(signal) {
+// Close every transport so clients see the session end instead of a dropped connection
+async function closeTransports() {
+    if (httpSessions) {
+        const closed = await httpSessions.closeAll();
+        logger.info(`Closed ${closed} HTTP sessions`);
+    }
+    if (stdioServer) {
+        await stdioServer.close();
+    }
+}
+
+async function gracefulShutdown(signal) {
     if (isShuttingDown) {
         logger.error(`[MCP Server Log] Force shutdown on ${signal}`);
         // eslint-disable-next-line no-process-exit
@@ -382,9 +668,9 @@ function gracefulShutdown(signal) {
     
     isShuttingDown = true;
     logger.info(`[MCP Server Log] Received ${signal}, shutting down gracefully...`);
-    logger.info(`Received ${signal}, initiating graceful shutdown`);
+    logger.info(`Received ${signal}, draining for up to ${config.shutdown.timeout} s`);
     
-    // Close HTTP server if running
+    // Stop accepting connections; open sessions keep working until they are closed below
     if (httpServer) {
         httpServer.close((err) => {
             if (err) {
@@ -392,24 +678,33 @@ function gracefulShutdown(signal) {
             } else {
                 logger.info('HTTP server closed');
             }
-            
-            // Give the server a moment to finish current operations
-            setTimeout(() => {
-                logger.info('[MCP Server Log] Zabbix MCP Server stopped');
-                logger.info('Server shutdown complete');
-                // eslint-disable-next-line no-process-exit
-                process.exit(0);
-            }, 500);
         });
-    } else {
-        // For STDIO mode, just wait a moment
-        setTimeout(() => {
-            logger.info('[MCP Server Log] Zabbix MCP Server stopped');
-            logger.info('Server shutdown complete');
-            // eslint-disable-next-line no-process-exit
-            process.exit(0);
-        }, 500);
     }
+
+    // In-flight tool calls finish first (new ones get a retryable error), then, within the same deadline:
+    const result = await drainAndClose({
+        steps: [
+            { name: 'close transports', run: closeTransports },
+            { name: 'stop problem poller', run: () => problemWatcher.stop() },
+            { name: 'log out of Zabbix', run: disconnectAll },
+            { name: 'flush audit log', run: () => auditLog.flush() },
+            {
+                name: 'flush telemetry',
+                run: () => {
+                    telemetry.flush();
+                    telemetry.destroy();
+                }
+            }
+        ]
+    });
+
+    if (httpServer) {
+        httpServer.closeAllConnections();
+    }
+    logger.info('[MCP Server Log] Zabbix MCP Server stopped');
+    logger.info(`Server shutdown complete${result.drained ? '' : ` (${result.abandoned} calls abandoned)`}${result.failed.length ? `, failed steps: ${result.failed.join(', ')}` : ''}`);
+    // eslint-disable-next-line no-process-exit
+    process.exit(result.drained && result.failed.length === 0 ? 0 : 1);
 }
 
 // Handle various termination signals
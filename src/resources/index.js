@@ -0,0 +1,439 @@
+/* eslint-disable security/detect-object-injection */
+/**
+ * Zabbix MCP Resources
+ *
+ * Exposes Zabbix objects as MCP resource templates so clients can attach a host's
+ * configuration, a template export or a problem as context:
+ *
+ *   zabbix://host/{hostid}
+ *   zabbix://template/{name}
+ *   zabbix://problem/{eventid}
+ *   zabbix://problems/active
+ *   zabbix://host/{hostid}/problems
+ *   zabbix://dashboard/{id}
+ *   zabbix://config-export/{type}/{id}
+ *
+ * Every resource is read through the regular src/api getters, so caching, instance
+ * routing and per-session credentials apply. resources/list is paginated with an
+ * opaque cursor, each page read from Zabbix by key (see ../api/pagination);
+ * resource/template completion searches objects by name. The problem
+ * resources accept resources/subscribe (see ./subscriptions).
+ */
+
+const { ResourceTemplate } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const {
+    ListResourcesRequestSchema,
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema
+} = require('@modelcontextprotocol/sdk/types.js');
+const api = require('../api');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { isCategoryExcluded } = require('../tools/registry');
+const { isCategoryAllowed } = require('../security/http-auth');
+const { problemWatcher, ACTIVE_PROBLEMS_URI } = require('./subscriptions');
+const { inFlight } = require('../utils/shutdown');
+const { runWithPage, positionAfter } = require('../api/pagination');
+
+// Maximum completion values returned for a search
+const COMPLETION_LIMIT = 20;
+
+// config-export/{type} values and the configuration.export option each one fills
+const EXPORT_TYPES = {
+    hosts: 'hosts',
+    templates: 'templates',
+    host_groups: 'host_groups',
+    template_groups: 'template_groups',
+    maps: 'maps',
+    media_types: 'mediaTypes'
+};
+
+/**
+ * Build a JSON resource result
+ * @param {URL} uri - Resource URI
+ * @param {*} data - Resource content
+ * @returns {Object} ReadResourceResult
+ */
+function jsonContents(uri, data) {
+    return {
+        contents: [{
+            uri: uri.href,
+            mimeType: 'application/json',
+            text: JSON.stringify(data, null, 2)
+        }]
+    };
+}
+
+/**
+ * First object of a getter result or a not-found error
+ * @param {Array} results - Getter result
+ * @param {string} description - Object description for the error, e.g. "Host 10084"
+ * @returns {Object} The object
+ */
+function requireOne(results, description) {
+    if (!Array.isArray(results) || results.length === 0) {
+        throw new Error(`${description} not found`);
+    }
+    return results[0];
+}
+
+/**
+ * Encode a resources/list position
+ * @param {Object} position - { type, after }
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a resources/list cursor
+ * @param {string} [cursor] - Cursor from a previous page
+ * @returns {Object} { type, after }, after being the key of the last object listed
+ */
+function decodeCursor(cursor) {
+    if (!cursor) {
+        return { type: null, after: undefined };
+    }
+    try {
+        const { type, after } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return { type: String(type), after: after === undefined ? undefined : String(after) };
+    } catch (error) {
+        throw new Error(`Invalid resources/list cursor: ${error.message}`);
+    }
+}
+
+/**
+ * Resource template definitions. `list` reads the objects of the type and
+ * `toResource` describes one as { uri, name, description }; `page` is the
+ * api/pagination spec that has list() read one page at a time. Types without
+ * list are reachable by URI only.
+ */
+const RESOURCE_TEMPLATES = [
+    {
+        type: 'host',
+        category: 'hosts',
+        uriTemplate: 'zabbix://host/{hostid}',
+        description: 'A Zabbix host with its interfaces, groups, linked templates, macros, tags and inventory',
+        page: { method: 'host.get', idField: 'hostid', idsParam: 'hostids' },
+        async list() {
+            return await api.getHosts({ output: ['hostid', 'host', 'name'] });
+        },
+        toResource(host) {
+            return {
+                uri: `zabbix://host/${host.hostid}`,
+                name: host.name || host.host,
+                description: `Host ${host.host}`
+            };
+        },
+        complete: {
+            async hostid(value) {
+                const hosts = await api.getHosts({ output: ['hostid'], search: { name: value }, limit: COMPLETION_LIMIT });
+                return hosts.map(host => host.hostid);
+            }
+        },
+        async read({ hostid }) {
+            return requireOne(await api.getHosts({
+                hostids: [hostid],
+                output: 'extend',
+                selectInterfaces: 'extend',
+                selectHostGroups: ['groupid', 'name'],
+                selectParentTemplates: ['templateid', 'host', 'name'],
+                selectMacros: ['macro', 'value', 'type', 'description'],
+                selectTags: 'extend',
+                selectInventory: 'extend'
+            }), `Host ${hostid}`);
+        }
+    },
+    {
+        type: 'template',
+        category: 'templates',
+        uriTemplate: 'zabbix://template/{name}',
+        description: 'A Zabbix template with its groups, items, triggers and macros',
+        page: { method: 'template.get', idField: 'templateid', idsParam: 'templateids' },
+        async list() {
+            return await api.getTemplates({ output: ['templateid', 'host', 'name'] });
+        },
+        toResource(template) {
+            return {
+                uri: `zabbix://template/${encodeURIComponent(template.host)}`,
+                name: template.name || template.host,
+                description: `Template ${template.host}`
+            };
+        },
+        complete: {
+            async name(value) {
+                const templates = await api.getTemplates({ output: ['host'], search: { host: value }, limit: COMPLETION_LIMIT });
+                return templates.map(template => template.host);
+            }
+        },
+        async read({ name }) {
+            return requireOne(await api.getTemplates({
+                filter: { host: decodeURIComponent(name) },
+                output: 'extend',
+                selectTemplateGroups: ['groupid', 'name'],
+                selectItems: ['itemid', 'key_', 'name', 'type', 'value_type', 'delay'],
+                selectTriggers: ['triggerid', 'description', 'expression', 'priority'],
+                selectMacros: ['macro', 'value', 'description'],
+                selectTags: 'extend'
+            }), `Template ${decodeURIComponent(name)}`);
+        }
+    },
+    {
+        type: 'problem',
+        category: 'problems',
+        uriTemplate: 'zabbix://problem/{eventid}',
+        description: 'An open or recent Zabbix problem with its tags, acknowledgements and affected hosts',
+        page: { method: 'problem.get', strategy: 'eventid' },
+        async list() {
+            return await api.getProblems({ output: ['eventid', 'name', 'severity'] });
+        },
+        toResource(problem) {
+            return {
+                uri: `zabbix://problem/${problem.eventid}`,
+                name: problem.name,
+                description: `Problem ${problem.eventid} (severity ${problem.severity})`
+            };
+        },
+        complete: {
+            async eventid(value) {
+                const problems = await api.getProblems({ output: ['eventid'], search: { name: value }, limit: COMPLETION_LIMIT });
+                return problems.map(problem => problem.eventid);
+            }
+        },
+        async read({ eventid }) {
+            const problem = requireOne(await api.getProblems({
+                eventids: [eventid],
+                output: 'extend',
+                selectTags: 'extend',
+                selectAcknowledges: 'extend',
+                selectSuppressionData: 'extend'
+            }), `Problem ${eventid}`);
+            const [event] = await api.getEvents({
+                eventids: [eventid],
+                output: ['eventid', 'r_eventid'],
+                selectHosts: ['hostid', 'host', 'name']
+            });
+            return { ...problem, hosts: event?.hosts || [] };
+        }
+    },
+    {
+        type: 'active-problems',
+        category: 'problems',
+        uriTemplate: ACTIVE_PROBLEMS_URI,
+        description: 'Every unresolved Zabbix problem, most severe first',
+        list() {
+            return [{ uri: ACTIVE_PROBLEMS_URI, name: 'Active problems', description: 'Unresolved problems' }];
+        },
+        async read() {
+            return await api.getProblems({
+                output: ['eventid', 'objectid', 'name', 'severity', 'clock', 'acknowledged', 'suppressed'],
+                selectTags: 'extend',
+                recent: false,
+                sortfield: ['eventid'],
+                sortorder: 'DESC'
+            });
+        }
+    },
+    {
+        type: 'host-problems',
+        category: 'problems',
+        uriTemplate: 'zabbix://host/{hostid}/problems',
+        description: 'Unresolved Zabbix problems of one host',
+        complete: {
+            async hostid(value) {
+                const hosts = await api.getHosts({ output: ['hostid'], search: { name: value }, limit: COMPLETION_LIMIT });
+                return hosts.map(host => host.hostid);
+            }
+        },
+        async read({ hostid }) {
+            return await api.getProblems({
+                hostids: [hostid],
+                output: ['eventid', 'objectid', 'name', 'severity', 'clock', 'acknowledged', 'suppressed'],
+                selectTags: 'extend',
+                recent: false,
+                sortfield: ['eventid'],
+                sortorder: 'DESC'
+            });
+        }
+    },
+    {
+        type: 'dashboard',
+        category: 'dashboards',
+        uriTemplate: 'zabbix://dashboard/{id}',
+        description: 'A Zabbix dashboard with its pages and widgets',
+        page: { method: 'dashboard.get', idField: 'dashboardid', idsParam: 'dashboardids' },
+        async list() {
+            return await api.getDashboards({ output: ['dashboardid', 'name'], selectPages: undefined, selectUsers: undefined, selectUserGroups: undefined });
+        },
+        toResource(dashboard) {
+            return {
+                uri: `zabbix://dashboard/${dashboard.dashboardid}`,
+                name: dashboard.name,
+                description: `Dashboard ${dashboard.dashboardid}`
+            };
+        },
+        complete: {
+            async id(value) {
+                const dashboards = await api.getDashboards({ output: ['dashboardid'], search: { name: value }, limit: COMPLETION_LIMIT, selectPages: undefined, selectUsers: undefined, selectUserGroups: undefined });
+                return dashboards.map(dashboard => dashboard.dashboardid);
+            }
+        },
+        async read({ id }) {
+            return requireOne(await api.getDashboards({ dashboardids: [id] }), `Dashboard ${id}`);
+        }
+    },
+    {
+        type: 'config-export',
+        category: 'configuration',
+        uriTemplate: 'zabbix://config-export/{type}/{id}',
+        description: `A configuration.export of one object in YAML. {type} is one of: ${Object.keys(EXPORT_TYPES).join(', ')}`,
+        mimeType: 'application/yaml',
+        complete: {
+            type(value) {
+                return Object.keys(EXPORT_TYPES).filter(type => type.startsWith(value));
+            }
+        },
+        async read({ type, id }) {
+            const option = Object.prototype.hasOwnProperty.call(EXPORT_TYPES, type) ? EXPORT_TYPES[type] : null;
+            if (!option) {
+                throw new Error(`Unsupported export type '${type}'. Use one of: ${Object.keys(EXPORT_TYPES).join(', ')}`);
+            }
+            const result = await api.exportConfiguration({ format: 'yaml', prettyprint: true, options: { [option]: [id] } });
+            return result.configuration;
+        }
+    }
+];
+
+/**
+ * Read one page of resources/list across every listable template, in definition order.
+ * Templates with a page spec have only the objects that fit read from Zabbix, continued
+ * by key, so objects added or removed between pages do not shift the listing. Templates
+ * without one list a few fixed entries and are taken whole.
+ * @param {Array<Object>} definitions - Registered resource definitions
+ * @param {string} [cursor] - Cursor from the previous page
+ * @param {number} pageSize - Maximum resources per page
+ * @returns {Promise<Object>} { resources, nextCursor }
+ */
+async function listResourcePage(definitions, cursor, pageSize) {
+    const listable = definitions.filter(definition => typeof definition.list === 'function');
+    const position = decodeCursor(cursor);
+    let index = position.type === null ? 0 : listable.findIndex(definition => definition.type === position.type);
+    let after = position.after;
+    if (index === -1) {
+        throw new Error(`Invalid resources/list cursor: unknown type '${position.type}'`);
+    }
+
+    const resources = [];
+    while (index < listable.length && resources.length < pageSize) {
+        const definition = listable[index];
+        const describe = object => ({
+            mimeType: definition.mimeType || 'application/json',
+            ...(definition.toResource ? definition.toResource(object) : object)
+        });
+
+        const page = definition.page && { strategy: 'id', ...definition.page, pageSize: pageSize - resources.length, after };
+        const objects = page ? await runWithPage(page, () => definition.list()) : await definition.list();
+        resources.push(...objects.map(describe));
+        if (page?.hasMore) {
+            after = positionAfter(page, objects).after;
+        } else {
+            index++;
+            after = undefined;
+        }
+    }
+
+    return index < listable.length
+        ? { resources, nextCursor: encodeCursor({ type: listable[index].type, after }) }
+        : { resources };
+}
+
+/**
+ * Key resource subscriptions by MCP session; STDIO has a single implicit session
+ * @param {Object} [extra] - Request handler extra
+ * @returns {string} Session key
+ */
+function subscriptionKey(extra) {
+    if (extra?.sessionId) {
+        return extra.sessionId;
+    }
+    if (config.transport.mode !== 'stdio') {
+        throw new Error('Resource subscriptions need an HTTP session; set MCP_SESSION_MANAGEMENT=true');
+    }
+    return 'stdio';
+}
+
+/**
+ * Register the Zabbix resource templates on a server
+ * @param {Object} server - McpServer instance
+ * @param {Object} [options] - Registration options
+ * @param {Object} [options.role] - HTTP auth role; templates of categories it may not use are skipped
+ * @param {number} [options.pageSize] - resources/list page size (defaults to config.resources.pageSize)
+ * @returns {Array<string>} Registered resource types
+ */
+function registerAllResources(server, options = {}) {
+    const { role, pageSize = config.resources.pageSize } = options;
+    const definitions = RESOURCE_TEMPLATES.filter(definition =>
+        !isCategoryExcluded(definition.category) && isCategoryAllowed(definition.category, role));
+
+    for (const definition of definitions) {
+        const template = new ResourceTemplate(definition.uriTemplate, {
+            list: undefined,
+            complete: definition.complete
+        });
+
+        server.resource(
+            `zabbix_${definition.type.replace(/-/g, '_')}`,
+            template,
+            { description: definition.description, mimeType: definition.mimeType || 'application/json' },
+            async (uri, variables, extra) => {
+                const read = async () => {
+                    try {
+                        const data = await definition.read(variables);
+                        if (typeof data === 'string') {
+                            return { contents: [{ uri: uri.href, mimeType: definition.mimeType, text: data }] };
+                        }
+                        return jsonContents(uri, data);
+                    } catch (error) {
+                        logger.error(`${config.logging.prefix} Failed to read resource ${uri.href}:`, error.message);
+                        throw new Error(`Failed to read resource ${uri.href}: ${error.message}`);
+                    }
+                };
+                return await inFlight.run(() => (extra?.sessionId ? api.runWithSession(extra.sessionId, read) : read()));
+            }
+        );
+    }
+
+    // The SDK concatenates every template's list in one response; replace it with a paginated one
+    if (definitions.length > 0) {
+        server.server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+            const list = () => listResourcePage(definitions, request.params?.cursor, pageSize);
+            return extra?.sessionId ? await api.runWithSession(extra.sessionId, list) : await list();
+        });
+    }
+
+    // Problem resources notify subscribers when problems open, resolve or get acknowledged
+    if (definitions.some(definition => definition.category === 'problems')) {
+        server.server.registerCapabilities({ resources: { subscribe: true } });
+        server.server.setRequestHandler(SubscribeRequestSchema, (request, extra) => {
+            problemWatcher.subscribe(subscriptionKey(extra), request.params.uri,
+                uri => server.server.sendResourceUpdated({ uri }));
+            return {};
+        });
+        server.server.setRequestHandler(UnsubscribeRequestSchema, (request, extra) => {
+            problemWatcher.unsubscribe(subscriptionKey(extra), request.params.uri);
+            return {};
+        });
+    }
+
+    logger.info(`Registered resource templates: ${definitions.map(definition => definition.uriTemplate).join(', ') || 'none'}`);
+    return definitions.map(definition => definition.type);
+}
+
+module.exports = {
+    RESOURCE_TEMPLATES,
+    registerAllResources,
+    listResourcePage,
+    encodeCursor,
+    decodeCursor
+};
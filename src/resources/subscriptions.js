@@ -0,0 +1,269 @@
+/**
+ * Problem Subscriptions
+ *
+ * Sessions subscribe to problem resources with resources/subscribe. While at least one
+ * subscription exists, a poller tracks problem.get and event.get by eventid and clock,
+ * and sends notifications/resources/updated to each session whose resource changed:
+ *
+ *   zabbix://problems/active          any problem opened, resolved or acknowledged
+ *   zabbix://host/{hostid}/problems   a problem on that host changed
+ *   zabbix://problem/{eventid}        that problem changed
+ *
+ * The poller reads with the server's own credentials; the notified client re-reads the
+ * resource in its own session, so per-user permissions still apply to the content.
+ */
+
+const api = require('../api');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+
+const ACTIVE_PROBLEMS_URI = 'zabbix://problems/active';
+const HOST_PROBLEMS_URI = /^zabbix:\/\/host\/([^/]+)\/problems$/;
+const PROBLEM_URI = /^zabbix:\/\/problem\/([^/]+)$/;
+
+/**
+ * Check whether a resource URI can be subscribed to
+ * @param {string} uri - Resource URI
+ * @returns {boolean} True for the problem resources the poller tracks
+ */
+function isSubscribable(uri) {
+    return uri === ACTIVE_PROBLEMS_URI || HOST_PROBLEMS_URI.test(uri) || PROBLEM_URI.test(uri);
+}
+
+/**
+ * Check whether a resource is affected by a set of problem changes
+ * @param {string} uri - Subscribed resource URI
+ * @param {Array<Object>} changes - { eventid, change, hostids } entries
+ * @returns {boolean} True if the subscriber should be notified
+ */
+function isAffected(uri, changes) {
+    if (uri === ACTIVE_PROBLEMS_URI) {
+        return changes.length > 0;
+    }
+    const hostMatch = uri.match(HOST_PROBLEMS_URI);
+    if (hostMatch) {
+        const hostid = decodeURIComponent(hostMatch[1]);
+        return changes.some(change => change.hostids.includes(hostid));
+    }
+    const problemMatch = uri.match(PROBLEM_URI);
+    if (problemMatch) {
+        const eventid = decodeURIComponent(problemMatch[1]);
+        return changes.some(change => change.eventid === eventid);
+    }
+    return false;
+}
+
+/**
+ * Latest acknowledgement clock of a problem
+ * @param {Object} problem - problem.get result with selectAcknowledges
+ * @returns {number} Unix time, 0 when never acknowledged
+ */
+function lastAcknowledged(problem) {
+    return (problem.acknowledges || []).reduce((latest, ack) => Math.max(latest, parseInt(ack.clock, 10) || 0), 0);
+}
+
+/**
+ * Compare two problem snapshots
+ * @param {Map} previous - eventid to { resolved, acknowledgedAt, hostids }
+ * @param {Map} current - Same shape, from the latest poll
+ * @returns {Array<Object>} { eventid, change: 'opened'|'resolved'|'acknowledged', hostids }
+ */
+function diffProblems(previous, current) {
+    const changes = [];
+    for (const [eventid, problem] of current) {
+        const before = previous.get(eventid);
+        if (!before) {
+            changes.push({ eventid, change: problem.resolved ? 'resolved' : 'opened', hostids: problem.hostids });
+        } else if (problem.resolved && !before.resolved) {
+            changes.push({ eventid, change: 'resolved', hostids: problem.hostids });
+        } else if (problem.acknowledgedAt > before.acknowledgedAt) {
+            changes.push({ eventid, change: 'acknowledged', hostids: problem.hostids });
+        }
+    }
+    // Problems that left problem.get were resolved and have aged out of the recent window
+    for (const [eventid, problem] of previous) {
+        if (!current.has(eventid) && !problem.resolved) {
+            changes.push({ eventid, change: 'resolved', hostids: problem.hostids });
+        }
+    }
+    return changes;
+}
+
+class ProblemWatcher {
+    /**
+     * @param {Object} [options] - Watcher options
+     * @param {number} [options.interval] - Milliseconds between polls (defaults to config.resources.problemPollInterval)
+     */
+    constructor(options = {}) {
+        this.interval = options.interval || config.resources.problemPollInterval * 1000;
+        // Session key to { uris: Set, notify(uri) }
+        this.subscribers = new Map();
+        // eventid to { resolved, acknowledgedAt, hostids }; null until the first poll
+        this.problems = null;
+        this.timer = null;
+        this.polling = false;
+    }
+
+    /**
+     * Subscribe a session to a problem resource
+     * @param {string} sessionKey - MCP session ID
+     * @param {string} uri - Resource URI
+     * @param {Function} notify - Called with the URI when the resource changes
+     */
+    subscribe(sessionKey, uri, notify) {
+        if (!isSubscribable(uri)) {
+            throw new Error(`Resource ${uri} does not support subscriptions. Subscribe to ${ACTIVE_PROBLEMS_URI}, zabbix://host/{hostid}/problems or zabbix://problem/{eventid}`);
+        }
+        if (!this.subscribers.has(sessionKey)) {
+            this.subscribers.set(sessionKey, { uris: new Set(), notify });
+        }
+        this.subscribers.get(sessionKey).uris.add(uri);
+        logger.debug(`${config.logging.prefix} Session ${sessionKey} subscribed to ${uri}`);
+        this.start();
+    }
+
+    /**
+     * Remove one subscription of a session
+     * @param {string} sessionKey - MCP session ID
+     * @param {string} uri - Resource URI
+     */
+    unsubscribe(sessionKey, uri) {
+        const subscriber = this.subscribers.get(sessionKey);
+        if (subscriber) {
+            subscriber.uris.delete(uri);
+            if (subscriber.uris.size === 0) {
+                this.subscribers.delete(sessionKey);
+            }
+        }
+        this.stopIfIdle();
+    }
+
+    /**
+     * Drop every subscription of a closed session
+     * @param {string} sessionKey - MCP session ID
+     */
+    removeSession(sessionKey) {
+        if (this.subscribers.delete(sessionKey)) {
+            logger.debug(`${config.logging.prefix} Removed problem subscriptions of session ${sessionKey}`);
+        }
+        this.stopIfIdle();
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        logger.info(`${config.logging.prefix} Starting problem poller (every ${this.interval / 1000} s)`);
+        this.timer = setInterval(() => {
+            this.poll().catch(error => {
+                logger.warn(`${config.logging.prefix} Problem poll failed:`, error.message);
+            });
+        }, this.interval);
+        // Baseline right away so the first interval already reports changes
+        this.poll().catch(error => {
+            logger.warn(`${config.logging.prefix} Problem poll failed:`, error.message);
+        });
+    }
+
+    stopIfIdle() {
+        if (this.subscribers.size === 0) {
+            this.stop();
+        }
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            this.problems = null;
+            logger.info(`${config.logging.prefix} Stopped problem poller`);
+        }
+    }
+
+    /**
+     * Take a problem snapshot and notify subscribers of the differences
+     * @returns {Promise<Array<Object>>} Changes since the previous poll; empty on the first one
+     */
+    async poll() {
+        if (this.polling) {
+            return [];
+        }
+        this.polling = true;
+        try {
+            const current = await this.snapshot();
+            const changes = this.problems ? diffProblems(this.problems, current) : [];
+            this.problems = current;
+            if (changes.length > 0) {
+                logger.debug(`${config.logging.prefix} Problem changes: ${changes.map(change => `${change.eventid} ${change.change}`).join(', ')}`);
+                this.notify(changes);
+            }
+            return changes;
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Read open and recently resolved problems with their hosts
+     * @returns {Promise<Map>} eventid to { resolved, acknowledgedAt, hostids }
+     */
+    async snapshot() {
+        const problems = await api.getProblems({
+            output: ['eventid', 'clock', 'r_eventid'],
+            selectAcknowledges: ['clock'],
+            recent: true,
+            sortfield: ['eventid'],
+            sortorder: 'DESC'
+        });
+
+        // problem.get has no host selector; look hosts up once per new event
+        const known = this.problems || new Map();
+        const unknownIds = problems.map(problem => problem.eventid).filter(eventid => !known.has(eventid));
+        const hostsByEvent = new Map();
+        if (unknownIds.length > 0) {
+            const events = await api.getEvents({ eventids: unknownIds, output: ['eventid'], selectHosts: ['hostid'] });
+            for (const event of events) {
+                hostsByEvent.set(event.eventid, (event.hosts || []).map(host => host.hostid));
+            }
+        }
+
+        const snapshot = new Map();
+        for (const problem of problems) {
+            snapshot.set(problem.eventid, {
+                resolved: Boolean(problem.r_eventid) && problem.r_eventid !== '0',
+                acknowledgedAt: lastAcknowledged(problem),
+                hostids: known.has(problem.eventid) ? known.get(problem.eventid).hostids : hostsByEvent.get(problem.eventid) || []
+            });
+        }
+        return snapshot;
+    }
+
+    /**
+     * Send notifications/resources/updated for every affected subscription
+     * @param {Array<Object>} changes - Problem changes
+     */
+    notify(changes) {
+        for (const [sessionKey, subscriber] of this.subscribers) {
+            for (const uri of subscriber.uris) {
+                if (!isAffected(uri, changes)) {
+                    continue;
+                }
+                Promise.resolve(subscriber.notify(uri)).catch(error => {
+                    logger.warn(`${config.logging.prefix} Failed to notify session ${sessionKey} about ${uri}:`, error.message);
+                });
+            }
+        }
+    }
+}
+
+// Shared by every session of the process
+const problemWatcher = new ProblemWatcher();
+
+module.exports = {
+    ProblemWatcher,
+    problemWatcher,
+    ACTIVE_PROBLEMS_URI,
+    isSubscribable,
+    isAffected,
+    diffProblems
+};
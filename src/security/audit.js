@@ -0,0 +1,279 @@
+/* eslint-disable security/detect-non-literal-fs-filename */
+/**
+ * Audit Trail
+ *
+ * Append-only JSONL record of every MCP tool call and every Zabbix write method.
+ * The tool registry opens an audit context around each tool handler; the Zabbix
+ * client reports the API methods it calls into that context, so one record lists
+ * everything a tool call triggered. The file is rotated by size.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { getSessionUser, LOCAL_SESSION } = require('../api/session-credentials');
+const { claimPage, slicePage } = require('../api/pagination');
+
+// Method name a paged zabbix_query_audit_trail call claims its page under
+const AUDIT_QUERY_METHOD = 'audit.query';
+
+// Argument keys whose values never reach the audit file
+const SENSITIVE_KEYS = ['password', 'passwd', 'token', 'secret', 'apikey', 'api_key', 'auth', 'authorization', 'sessionid', 'confirmationtoken'];
+
+const callContext = new AsyncLocalStorage();
+
+/**
+ * Replace sensitive values in tool arguments
+ * @param {*} value - Arguments to redact
+ * @returns {*} Copy with sensitive values replaced by '[REDACTED]'
+ */
+function redact(value) {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => {
+            const normalized = key.toLowerCase();
+            const sensitive = SENSITIVE_KEYS.some(sensitiveKey => normalized.includes(sensitiveKey));
+            return [key, sensitive ? '[REDACTED]' : redact(entry)];
+        }));
+    }
+    return value;
+}
+
+/**
+ * Identify the caller of a tool from the MCP request context
+ * @param {Object} [extra] - Request handler extra passed by the MCP SDK
+ * @returns {Object} { sessionId, client }
+ */
+function identifyCaller(extra = {}) {
+    return {
+        sessionId: extra.sessionId || null,
+        client: extra.authInfo?.clientId || (extra.sessionId ? 'http' : 'stdio')
+    };
+}
+
+/**
+ * Zabbix user a call runs as: the session's own login, or null for the service account
+ * @param {Object} [extra] - Request handler extra passed by the MCP SDK
+ * @param {string} instance - Zabbix instance name
+ * @returns {string|null} Zabbix username
+ */
+function identifyZabbixUser(extra = {}, instance) {
+    return getSessionUser(extra.sessionId || LOCAL_SESSION, instance);
+}
+
+class AuditLog {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.file = path.resolve(options.file || 'logs/audit.jsonl');
+        this.maxSize = options.maxSize || 10 * 1024 * 1024; // 10 MB
+        this.maxFiles = options.maxFiles || 5;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Append a record. Writes are serialized so rotation never interleaves with appends.
+     * @param {Object} entry - Record fields
+     * @returns {Promise<void>} Resolves once the record is on disk
+     */
+    write(entry) {
+        if (!this.enabled) {
+            return Promise.resolve();
+        }
+
+        const line = `${JSON.stringify({ timestamp: new Date().toISOString(), ...entry })}\n`;
+        this.queue = this.queue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+                await this.rotateIfNeeded(Buffer.byteLength(line));
+                await fs.promises.appendFile(this.file, line, 'utf8');
+            })
+            .catch(error => {
+                logger.error(`${config.logging.prefix} Failed to write audit record:`, error.message);
+            });
+        return this.queue;
+    }
+
+    /**
+     * Wait for every queued record to reach the file
+     * @returns {Promise<void>} Resolves once pending writes are done
+     */
+    flush() {
+        return this.queue;
+    }
+
+    /**
+     * Shift audit.jsonl -> audit.jsonl.1 -> ... when the next write would exceed maxSize
+     * @param {number} incoming - Size of the pending record in bytes
+     */
+    async rotateIfNeeded(incoming) {
+        let size = 0;
+        try {
+            size = (await fs.promises.stat(this.file)).size;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+        if (size + incoming <= this.maxSize) {
+            return;
+        }
+
+        await fs.promises.rm(`${this.file}.${this.maxFiles}`, { force: true });
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            await fs.promises.rename(`${this.file}.${index}`, `${this.file}.${index + 1}`).catch(() => {});
+        }
+        await fs.promises.rename(this.file, `${this.file}.1`);
+        logger.info(`${config.logging.prefix} Rotated audit log ${this.file}`);
+    }
+
+    /**
+     * Read records from the current and rotated files, newest first. Inside a paged
+     * tool call every match is read for the total and one page is returned.
+     * @param {Object} [filters] - Query filters
+     * @param {string} [filters.from] - ISO timestamp, inclusive
+     * @param {string} [filters.to] - ISO timestamp, inclusive
+     * @param {string} [filters.tool] - Tool name
+     * @param {string} [filters.sessionId] - MCP session id
+     * @param {string} [filters.method] - Zabbix API method (e.g. host.delete)
+     * @param {string} [filters.instance] - Zabbix instance name
+     * @param {string} [filters.status] - 'success' or 'error'
+     * @param {string} [filters.search] - Text that must appear in the recorded arguments (e.g. a host id)
+     * @param {number} [filters.limit] - Maximum records returned (default 100)
+     * @returns {Promise<Array<Object>>} Matching records
+     */
+    async query(filters = {}) {
+        await this.queue;
+
+        const { from, to, tool, sessionId, instance, method, status, search, limit = 100 } = filters;
+        const page = claimPage(AUDIT_QUERY_METHOD);
+        const maxResults = page ? Infinity : limit;
+        const fromTime = from ? Date.parse(from) : -Infinity;
+        const toTime = to ? Date.parse(to) : Infinity;
+        const files = [this.file];
+        for (let index = 1; index <= this.maxFiles; index++) {
+            files.push(`${this.file}.${index}`);
+        }
+
+        const results = [];
+        for (const file of files) {
+            let content;
+            try {
+                content = await fs.promises.readFile(file, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    continue;
+                }
+                throw new Error(`Failed to read audit log ${file}: ${error.message}`);
+            }
+
+            const lines = content.split('\n').filter(Boolean).reverse();
+            for (const line of lines) {
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    continue;
+                }
+
+                const time = Date.parse(record.timestamp);
+                if (time < fromTime || time > toTime) continue;
+                if (tool && record.tool !== tool) continue;
+                if (sessionId && record.sessionId !== sessionId) continue;
+                if (instance && record.instance !== instance) continue;
+                if (status && record.status !== status) continue;
+                if (method && !(record.zabbixMethods || []).includes(method)) continue;
+                if (search && !JSON.stringify(record.arguments || {}).includes(search)) continue;
+
+                results.push(record);
+                if (results.length >= maxResults) {
+                    return results;
+                }
+            }
+        }
+        return page ? slicePage(page, results) : results;
+    }
+
+    /**
+     * Wrap a tool handler so every call produces one audit record
+     * @param {string} toolName - Tool name
+     * @param {Function} handler - Tool handler, (args, extra) or (extra) for tools without parameters
+     * @param {boolean} [takesArgs] - Whether the tool was registered with a parameter schema
+     * @returns {Function} Audited handler
+     */
+    wrapHandler(toolName, handler, takesArgs = true) {
+        return async (...callArgs) => {
+            const [args, extra] = takesArgs ? callArgs : [{}, callArgs[0]];
+            const context = { tool: toolName, methods: [] };
+            const startTime = Date.now();
+            const instance = args?.instance || config.defaultInstance;
+            const record = {
+                type: 'tool',
+                tool: toolName,
+                ...identifyCaller(extra),
+                instance,
+                zabbixUser: identifyZabbixUser(extra, instance),
+                arguments: redact(args || {})
+            };
+
+            try {
+                const result = await callContext.run(context, () => handler(...callArgs));
+                await this.write({
+                    ...record,
+                    zabbixMethods: context.methods,
+                    durationMs: Date.now() - startTime,
+                    status: result?.isError ? 'error' : 'success'
+                });
+                return result;
+            } catch (error) {
+                await this.write({
+                    ...record,
+                    zabbixMethods: context.methods,
+                    durationMs: Date.now() - startTime,
+                    status: 'error',
+                    error: error.message,
+                    ...(typeof error.code === 'string' && { errorCode: error.code })
+                });
+                throw error;
+            }
+        };
+    }
+
+    /**
+     * Note a Zabbix API call. Inside a tool call it is attached to that tool's record;
+     * a write method called outside any tool gets a record of its own.
+     * @param {string} method - Zabbix API method
+     * @param {boolean} isWrite - Whether the method changes Zabbix state
+     * @param {Error} [error] - Error thrown by the call, if it failed
+     */
+    recordApiCall(method, isWrite, error = null) {
+        const context = callContext.getStore();
+        if (context) {
+            context.methods.push(method);
+        } else if (isWrite) {
+            this.write({
+                type: 'api',
+                tool: null,
+                sessionId: null,
+                client: 'internal',
+                zabbixMethods: [method],
+                status: error ? 'error' : 'success',
+                ...(error ? { error: error.message } : {})
+            });
+        }
+    }
+}
+
+const auditLog = new AuditLog(config.audit);
+
+module.exports = {
+    AuditLog,
+    auditLog,
+    AUDIT_QUERY_METHOD,
+    redact,
+    identifyCaller
+};
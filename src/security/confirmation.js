@@ -0,0 +1,109 @@
+/**
+ * Confirmation Tokens
+ *
+ * Two-step protocol for destructive tools: the first call returns a summary of
+ * what would be affected plus a token, and only a second call carrying that token
+ * executes. Tokens are short-lived, single-use and bound to the tool name, the
+ * exact arguments and the MCP session that requested them.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Serialize a value with sorted object keys so equal arguments always hash the same
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+        return `{${entries.map(([key, entry]) => `${JSON.stringify(key)}:${canonicalize(entry)}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash a tool call so a token can only be redeemed for the same call
+ * @param {string} toolName - Tool name
+ * @param {Object} args - Tool arguments (without the token)
+ * @param {string} [sessionId] - MCP session id, if any
+ * @returns {string} Hex digest
+ */
+function fingerprint(toolName, args, sessionId) {
+    return crypto.createHash('sha256')
+        .update(`${toolName}\n${sessionId || ''}\n${canonicalize(args || {})}`)
+        .digest('hex');
+}
+
+class ConfirmationStore {
+    constructor(options = {}) {
+        this.ttl = options.ttl || 120000; // 2 minutes
+        this.tokens = new Map();
+    }
+
+    /**
+     * Issue a token for a pending tool call
+     * @param {string} toolName - Tool name
+     * @param {Object} args - Tool arguments
+     * @param {string} [sessionId] - MCP session id
+     * @returns {Object} { token, expiresAt }
+     */
+    issue(toolName, args, sessionId) {
+        this.prune();
+
+        const token = crypto.randomBytes(16).toString('hex');
+        const expiresAt = Date.now() + this.ttl;
+        this.tokens.set(token, { toolName, hash: fingerprint(toolName, args, sessionId), expiresAt });
+
+        return { token, expiresAt };
+    }
+
+    /**
+     * Redeem a token. A token is removed on first use, whether or not it matches.
+     * @param {string} token - Token from the first call
+     * @param {string} toolName - Tool name
+     * @param {Object} args - Tool arguments
+     * @param {string} [sessionId] - MCP session id
+     * @returns {Object} { valid: boolean, reason?: string }
+     */
+    consume(token, toolName, args, sessionId) {
+        const entry = this.tokens.get(token);
+        if (!entry) {
+            return { valid: false, reason: 'the confirmation token is unknown or has already been used.' };
+        }
+        this.tokens.delete(token);
+
+        if (entry.expiresAt <= Date.now()) {
+            return { valid: false, reason: 'the confirmation token has expired.' };
+        }
+        if (entry.toolName !== toolName || entry.hash !== fingerprint(toolName, args, sessionId)) {
+            return { valid: false, reason: 'the confirmation token was issued for different arguments.' };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Drop expired tokens
+     */
+    prune() {
+        const now = Date.now();
+        for (const [token, entry] of this.tokens.entries()) {
+            if (entry.expiresAt <= now) {
+                this.tokens.delete(token);
+            }
+        }
+    }
+
+    clear() {
+        this.tokens.clear();
+    }
+}
+
+module.exports = {
+    ConfirmationStore,
+    fingerprint
+};
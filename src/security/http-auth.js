@@ -0,0 +1,175 @@
+/**
+ * HTTP Transport Authentication
+ *
+ * Express middleware for /mcp: validates headers, throttles clients per IP and per
+ * API key through the SecurityManager, and authenticates requests against the
+ * configured static API keys. An authenticated request carries req.auth, which the
+ * MCP SDK hands to tool handlers as extra.authInfo; its role decides which tool
+ * categories the session is built with.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { telemetry } = require('../utils/telemetry');
+const { matchesAny } = require('../utils/glob');
+
+/**
+ * Read the API key a client sent
+ * @param {Object} headers - Lower-cased request headers
+ * @returns {string|null} Key from X-API-Key or Authorization: Bearer
+ */
+function extractApiKey(headers = {}) {
+    if (headers['x-api-key']) {
+        return String(headers['x-api-key']).trim();
+    }
+    const authorization = String(headers.authorization || '');
+    if (authorization.toLowerCase().startsWith('bearer ')) {
+        return authorization.slice(7).trim() || null;
+    }
+    return null;
+}
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
+
+/**
+ * Find the configured API key matching a request
+ * @param {Object} headers - Lower-cased request headers
+ * @param {Array<Object>} apiKeys - { name, role, key } entries
+ * @returns {Object|null} { name, role } of the matching key
+ */
+function authenticate(headers, apiKeys) {
+    const presented = extractApiKey(headers);
+    if (!presented) {
+        return null;
+    }
+    const match = apiKeys.find(apiKey => safeEqual(apiKey.key, presented));
+    return match ? { name: match.name, role: match.role } : null;
+}
+
+/**
+ * Check whether a role may use a tool category
+ * @param {string} category - Tool category
+ * @param {Object} [role] - { include, exclude }; no role means unrestricted
+ * @returns {boolean} True if the category is visible to the role
+ */
+function isCategoryAllowed(category, role) {
+    if (!role) {
+        return true;
+    }
+    return matchesAny(role.include || [], category) && !matchesAny(role.exclude || [], category);
+}
+
+/**
+ * Send a JSON-RPC error response
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ */
+function sendError(res, status, message) {
+    res.status(status).json({
+        jsonrpc: '2.0',
+        error: {
+            code: -32001,
+            message
+        },
+        id: null
+    });
+}
+
+/**
+ * Create the /mcp security middleware
+ * @param {SecurityManager} securityManager - Rate limiter and security audit
+ * @param {Object} [options] - Defaults to config.auth
+ * @param {Array<Object>} [options.apiKeys] - Accepted keys; empty disables authentication
+ * @param {Object} [options.roles] - Role name to { include, exclude, readOnly }
+ * @param {Object} [options.rateLimit] - { windowMs, maxRequests }
+ * @returns {Function} Express middleware
+ */
+function createHttpAuthMiddleware(securityManager, options = {}) {
+    const {
+        apiKeys = config.auth.apiKeys,
+        roles = config.auth.roles,
+        rateLimit = config.auth.rateLimit
+    } = options;
+
+    const throttled = (res, identifier) => {
+        const limit = securityManager.checkRateLimit(identifier, rateLimit);
+        if (limit.allowed) {
+            return false;
+        }
+        logger.warn(`Rate limit exceeded for ${identifier}`);
+        res.set('Retry-After', String(limit.retryAfter));
+        sendError(res, 429, `Too many requests, retry after ${limit.retryAfter} s`);
+        return true;
+    };
+
+    return (req, res, next) => {
+        const headerCheck = securityManager.validateHeaders(req.headers);
+        if (!headerCheck.valid) {
+            sendError(res, 400, `Bad Request: ${headerCheck.issues.join(', ')}`);
+            return;
+        }
+        if (headerCheck.warnings.length > 0) {
+            logger.debug(`Request header warnings from ${req.ip}: ${headerCheck.warnings.join(', ')}`);
+        }
+
+        // Per IP first, so failed key guesses are throttled as well
+        if (throttled(res, `ip:${req.ip}`)) {
+            return;
+        }
+
+        if (apiKeys.length === 0) {
+            next();
+            return;
+        }
+
+        const principal = authenticate(req.headers, apiKeys);
+        if (!principal) {
+            telemetry.incrementCounter('auth_failures_total', 1, { transport: 'http' });
+            securityManager.auditLog('auth_failure', { ip: req.ip, path: req.path });
+            res.set('WWW-Authenticate', 'Bearer realm="zabbix-mcp"');
+            sendError(res, 401, 'Unauthorized: a valid API key is required');
+            return;
+        }
+
+        if (throttled(res, `key:${principal.name}`)) {
+            return;
+        }
+
+        req.auth = {
+            token: principal.name,
+            clientId: principal.name,
+            scopes: [principal.role],
+            extra: { role: principal.role, permissions: roles[principal.role] }
+        };
+        next();
+    };
+}
+
+/**
+ * Role permissions of an authenticated request
+ * @param {Object} req - Express request
+ * @returns {Object|undefined} { include, exclude, readOnly }, undefined without authentication
+ */
+function getRequestRole(req) {
+    return req.auth?.extra?.permissions;
+}
+
+module.exports = {
+    extractApiKey,
+    authenticate,
+    isCategoryAllowed,
+    createHttpAuthMiddleware,
+    getRequestRole
+};
@@ -1,6 +1,7 @@
 const crypto = require('crypto');
 const { logger } = require('../utils/logger');
 const { telemetry } = require('../utils/telemetry');
+const { auditLog: auditTrail } = require('./audit');
 
 class SecurityManager {
   constructor(config = {}) {
@@ -351,6 +352,7 @@ class SecurityManager {
     };
 
     logger.info('Security audit', auditEntry);
+    auditTrail.write({ type: 'security', ...auditEntry });
     telemetry.incrementCounter('security_events_total', 1, { event_type: event });
   }
 
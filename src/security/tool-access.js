@@ -0,0 +1,90 @@
+/**
+ * Tool Access Classification
+ *
+ * Classifies MCP tools and Zabbix API methods as read or write operations.
+ * Used by the tool registry to hide or refuse mutating tools in read-only mode,
+ * and by the Zabbix client as a second line of defense against write calls.
+ */
+
+const ACCESS = {
+    READ: 'read',
+    WRITE: 'write'
+};
+
+// Verbs in a tool name (e.g. zabbix_host_delete, zabbix_execute_script) that mark it as mutating
+const WRITE_TOOL_VERBS = new Set([
+    'create',
+    'update',
+    'delete',
+    'execute',
+    'import',
+    'acknowledge',
+    'link',
+    'unlink',
+    'test',
+    'close',
+    'change',
+    'suppress',
+    'unsuppress',
+    'unacknowledge'
+]);
+
+// Tools whose names contain a write verb but that never change Zabbix state
+const TOOL_ACCESS_OVERRIDES = new Map([
+    ['zabbix_import_compare_configuration', ACCESS.READ]
+]);
+
+// Zabbix API method suffixes (object.method) that change server state or trigger side effects
+const WRITE_METHODS = new Set([
+    'create',
+    'update',
+    'delete',
+    'execute',
+    'import',
+    'massadd',
+    'massupdate',
+    'massremove',
+    'acknowledge',
+    'clear',
+    'test'
+]);
+
+/**
+ * Classify an MCP tool by name
+ * @param {string} toolName - Registered tool name
+ * @returns {string} ACCESS.READ or ACCESS.WRITE
+ */
+function getToolAccess(toolName) {
+    if (TOOL_ACCESS_OVERRIDES.has(toolName)) {
+        return TOOL_ACCESS_OVERRIDES.get(toolName);
+    }
+
+    const verbs = String(toolName).split('_').slice(1);
+    return verbs.some(verb => WRITE_TOOL_VERBS.has(verb)) ? ACCESS.WRITE : ACCESS.READ;
+}
+
+/**
+ * Check whether a tool performs write operations
+ * @param {string} toolName - Registered tool name
+ * @returns {boolean} True if the tool mutates Zabbix
+ */
+function isWriteTool(toolName) {
+    return getToolAccess(toolName) === ACCESS.WRITE;
+}
+
+/**
+ * Check whether a Zabbix API method performs write operations
+ * @param {string} method - API method in 'object.method' format (e.g. 'host.delete')
+ * @returns {boolean} True if the method mutates Zabbix
+ */
+function isWriteMethod(method) {
+    const methodName = String(method).split('.')[1];
+    return !!methodName && WRITE_METHODS.has(methodName.toLowerCase());
+}
+
+module.exports = {
+    ACCESS,
+    getToolAccess,
+    isWriteTool,
+    isWriteMethod
+};
@@ -1,6 +1,7 @@
 const { logger } = require('../utils/logger');
 const api = require('../api');
 const { z } = require('zod');
+const { createListResponse } = require('./utils');
 
 function registerTools(server) {
     // Get actions
@@ -55,12 +56,7 @@ function registerTools(server) {
                 const actions = await api.getActions(apiParams);
                 
                 logger.info(`Retrieved ${actions.length} actions`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${actions.length} actions:\n\n${JSON.stringify(actions, null, 2)}`
-                    }]
-                };
+                return createListResponse('actions', 'actions', actions);
             } catch (error) {
                 logger.error('Error getting actions:', error.message);
                 throw error;
@@ -312,12 +308,7 @@ function registerTools(server) {
                 const correlations = await api.getCorrelations(apiParams);
                 
                 logger.info(`Retrieved ${correlations.length} correlations`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${correlations.length} correlations:\n\n${JSON.stringify(correlations, null, 2)}`
-                    }]
-                };
+                return createListResponse('correlations', 'correlations', correlations);
             } catch (error) {
                 logger.error('Error getting correlations:', error.message);
                 throw error;
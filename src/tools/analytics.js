@@ -0,0 +1,71 @@
+/**
+ * Analytics Tools
+ *
+ * Response times and alert noise over event history, for ops reviews and trigger tuning.
+ */
+
+const api = require('../api');
+const { logger } = require('../utils/logger');
+const { z } = require('zod');
+const { createStructuredResponse } = require('./utils');
+
+function registerTools(server) {
+    // Tool: Get Problem Analytics
+    server.tool(
+        'zabbix_get_problem_analytics',
+        'Analyze problem history over a period: mean time to acknowledge (MTTA) and to resolve (MTTR) with percentiles, broken down by severity, host group and trigger, and the noisiest triggers (most flapping, shortest-lived, never acknowledged). Use it for ops reviews and to find triggers worth tuning.',
+        {
+            options: z.object({
+                days: z.number().int().min(1).max(366).optional().default(30).describe('Period length in days, ending now or at timeTill'),
+                timeFrom: z.number().int().optional().describe('Period start as Unix timestamp; overrides days'),
+                timeTill: z.number().int().optional().describe('Period end as Unix timestamp (default now)'),
+                hostGroupIds: z.array(z.string()).optional().describe('Only problems on hosts in these host groups'),
+                hostIds: z.array(z.string()).optional().describe('Only problems on these hosts'),
+                severityThreshold: z.number().int().min(0).max(5).optional().describe('Minimum severity level to include (0-5)'),
+                flapWindowMinutes: z.number().int().min(1).max(1440).optional().default(30).describe('A problem that returns within this many minutes of its previous recovery counts as flapping'),
+                top: z.number().int().min(1).max(100).optional().default(10).describe('Number of entries in each breakdown and ranking'),
+                maxEvents: z.number().int().min(100).max(100000).optional().default(10000).describe('Maximum number of problem events to read')
+            }).optional().describe('Optional filtering parameters')
+        },
+        async (args) => {
+            try {
+                const { flapWindowMinutes = 30, ...options } = args.options || {};
+                const result = await api.getProblemAnalytics({ ...options, flapWindow: flapWindowMinutes * 60 });
+                return createStructuredResponse(result.summary, result);
+            } catch (error) {
+                logger.error('Error analyzing problem history:', error);
+                throw error;
+            }
+        }
+    );
+
+    // Tool: Detect Flapping Triggers
+    server.tool(
+        'zabbix_detect_flapping_triggers',
+        'Find triggers that flap between problem and OK, ranked by transitions in their busiest hour, and propose fixes from the item\'s history: min()/max() or avg() over N minutes instead of last(), a recovery expression for hysteresis, or a threshold at the 95th (or 5th) percentile of observed values. Each proposal includes the dry-run plan of the trigger update; nothing is changed.',
+        {
+            options: z.object({
+                triggerIds: z.array(z.string()).optional().describe('Only these triggers'),
+                hostIds: z.array(z.string()).optional().describe('Only triggers on these hosts'),
+                hostGroupIds: z.array(z.string()).optional().describe('Only triggers on hosts in these host groups'),
+                hours: z.number().int().min(1).max(720).optional().default(24).describe('Window length in hours, ending now or at timeTill'),
+                timeFrom: z.number().int().optional().describe('Window start as Unix timestamp; overrides hours'),
+                timeTill: z.number().int().optional().describe('Window end as Unix timestamp (default now)'),
+                minTransitionsPerHour: z.number().int().min(2).max(120).optional().default(4).describe('Problem and OK events within one hour that count as flapping'),
+                top: z.number().int().min(1).max(50).optional().default(10).describe('Maximum number of flapping triggers to analyze'),
+                maxEvents: z.number().int().min(100).max(100000).optional().default(10000).describe('Maximum number of events to read')
+            }).optional().describe('Optional filtering parameters')
+        },
+        async (args) => {
+            try {
+                const result = await api.detectFlappingTriggers(args.options || {});
+                return createStructuredResponse(result.summary, result);
+            } catch (error) {
+                logger.error('Error detecting flapping triggers:', error);
+                throw error;
+            }
+        }
+    );
+}
+
+module.exports = { registerTools };
@@ -0,0 +1,38 @@
+const { z } = require('zod');
+const { logger } = require('../utils/logger');
+const { auditLog } = require('../security/audit');
+const { createStructuredResponse, createListResponse } = require('./utils');
+
+function registerTools(server) {
+    // Tool: Query Audit Trail
+    server.tool(
+        'zabbix_query_audit_trail',
+        'Searches the MCP server audit trail: every tool call made through this server with its caller, redacted arguments, the Zabbix API methods it triggered, duration and outcome. Use it to answer questions like "who deleted this host via the assistant?". Newest records first.',
+        {
+            from: z.string().datetime().optional().describe('Only records at or after this ISO 8601 timestamp.'),
+            to: z.string().datetime().optional().describe('Only records at or before this ISO 8601 timestamp.'),
+            tool: z.string().optional().describe('Tool name, e.g. zabbix_host_delete.'),
+            sessionId: z.string().optional().describe('MCP session id of the caller (HTTP transport).'),
+            instance: z.string().optional().describe('Zabbix instance the call was routed to.'),
+            method: z.string().optional().describe('Zabbix API method the call triggered, e.g. host.delete.'),
+            status: z.enum(['success', 'error']).optional().describe('Outcome of the call.'),
+            search: z.string().optional().describe('Text that must appear in the call arguments, e.g. a host id or name.'),
+            limit: z.number().int().min(1).max(1000).optional().default(100).describe('Maximum number of records to return.')
+        },
+        async (args) => {
+            try {
+                if (!auditLog.enabled) {
+                    return createStructuredResponse('The audit trail is disabled (MCP_AUDIT_ENABLED=false).', { count: 0, records: [] });
+                }
+
+                const records = await auditLog.query(args);
+                return createListResponse('records', 'audit records', records);
+            } catch (error) {
+                logger.error('Error querying audit trail:', error);
+                throw error;
+            }
+        }
+    );
+}
+
+module.exports = { registerTools };
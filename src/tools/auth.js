@@ -1,7 +1,8 @@
 const api = require('../api');
 const config = require('../config');
 const { logger } = require('../utils/logger');
-//const { z } = require('zod');
+const { toToolErrorResult } = require('../utils/errors');
+const { z } = require('zod');
 
 function registerTools(server) {
     // Tool: Get API Version
@@ -89,6 +90,49 @@ function registerTools(server) {
             }
         }
     );
+
+    // Tool: Session Login (per-user credentials)
+    server.tool(
+        'zabbix_session_login',
+        'Logs this MCP session in to Zabbix with your own API token or username/password. Tools called afterwards in this session run with your Zabbix permissions instead of the server\'s service account, and the audit trail records your Zabbix user.',
+        {
+            apiToken: z.string().min(1).optional().describe('Your Zabbix API token (Zabbix 5.4+). Preferred over username/password.'),
+            username: z.string().min(1).optional().describe('Your Zabbix username, used with password when no apiToken is given.'),
+            password: z.string().min(1).optional().describe('Your Zabbix password.')
+        },
+        async (args) => {
+            try {
+                const credentials = args.apiToken
+                    ? { apiToken: args.apiToken }
+                    : { username: args.username, password: args.password };
+                if (!credentials.apiToken && (!credentials.username || !credentials.password)) {
+                    return { content: [{ type: 'text', text: 'Provide either apiToken or both username and password.' }], isError: true };
+                }
+
+                const { instance, user } = await api.loginSession(credentials);
+                return { content: [{ type: 'text', text: `This session now uses your own Zabbix credentials on instance '${instance}'${user ? ` (logged in as ${user})` : ''}.` }] };
+            } catch (error) {
+                logger.error('Error logging in session:', error.message);
+                return toToolErrorResult(error);
+            }
+        }
+    );
+
+    // Tool: Session Logout
+    server.tool(
+        'zabbix_session_logout',
+        'Forgets the Zabbix credentials this MCP session supplied. Later tool calls use the server\'s service account again, or are refused if the server requires per-user credentials.',
+        {},
+        async () => {
+            try {
+                const hadCredentials = await api.logoutSession(api.currentInstance());
+                return { content: [{ type: 'text', text: hadCredentials ? 'Session credentials removed.' : 'This session had no credentials of its own.' }] };
+            } catch (error) {
+                logger.error('Error logging out session:', error);
+                throw error;
+            }
+        }
+    );
 }
 
 /**
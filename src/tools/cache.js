@@ -0,0 +1,43 @@
+const api = require('../api');
+const { logger } = require('../utils/logger');
+const { z } = require('zod');
+
+function registerTools(server) {
+    // Tool: Get Cache Stats
+    server.tool(
+        'zabbix_get_cache_stats',
+        'Shows statistics for the server-side cache of Zabbix *.get responses: whether it is enabled, hit rate, entry count and the TTL used per API method.',
+        {},
+        async () => {
+            try {
+                const stats = api.getCacheStats();
+                return { content: [{ type: 'text', text: `Response cache:\n${JSON.stringify(stats, null, 2)}` }] };
+            } catch (error) {
+                logger.error('Error getting cache stats:', error);
+                throw error;
+            }
+        }
+    );
+
+    // Tool: Flush Cache
+    server.tool(
+        'zabbix_flush_cache',
+        'Flushes cached Zabbix *.get responses so the next read goes to the Zabbix API. Use it when data was changed outside this server.',
+        {
+            objectType: z.string().optional().describe('Only flush responses for this Zabbix object type, e.g. "host" or "problem". Flushes everything when omitted.'),
+            instance: z.string().optional().describe('Only flush responses from this Zabbix instance. Flushes every instance when omitted.')
+        },
+        async (args) => {
+            try {
+                const removed = api.flushCache(args.objectType, args.instance);
+                const scope = `${args.objectType ? `${args.objectType}.* responses` : 'all responses'}${args.instance ? ` on ${args.instance}` : ''}`;
+                return { content: [{ type: 'text', text: `Flushed ${removed} cached entries (${scope}).` }] };
+            } catch (error) {
+                logger.error('Error flushing cache:', error);
+                throw error;
+            }
+        }
+    );
+}
+
+module.exports = { registerTools };
@@ -1,6 +1,7 @@
 const { logger } = require('../utils/logger');
 const api = require('../api');
 const { z } = require('zod');
+const { createListResponse } = require('./utils');
 
 function registerTools(server) {
     // Get dashboards
@@ -41,12 +42,7 @@ function registerTools(server) {
                 const dashboards = await api.getDashboards(apiParams);
                 
                 logger.info(`Retrieved ${dashboards.length} dashboards`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${dashboards.length} dashboards:\n\n${JSON.stringify(dashboards, null, 2)}`
-                    }]
-                };
+                return createListResponse('dashboards', 'dashboards', dashboards);
             } catch (error) {
                 logger.error('Error getting dashboards:', error.message);
                 throw error;
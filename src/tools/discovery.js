@@ -1,6 +1,7 @@
 const { logger } = require('../utils/logger');
 const api = require('../api');
 const { z } = require('zod');
+const { createListResponse } = require('./utils');
 
 function registerTools(server) {
     // Get discovery rules
@@ -51,12 +52,7 @@ function registerTools(server) {
                 const rules = await api.getDiscoveryRules(apiParams);
                 
                 logger.info(`Retrieved ${rules.length} discovery rules`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${rules.length} discovery rules:\n\n${JSON.stringify(rules, null, 2)}`
-                    }]
-                };
+                return createListResponse('discoveryRules', 'discovery rules', rules);
             } catch (error) {
                 logger.error('Error getting discovery rules:', error.message);
                 throw error;
@@ -224,12 +220,7 @@ function registerTools(server) {
                 }));
                 
                 logger.info(`Retrieved ${hosts.length} discovered hosts`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${hosts.length} discovered hosts:\n\n${JSON.stringify(formattedHosts, null, 2)}`
-                    }]
-                };
+                return createListResponse('discoveredHosts', 'discovered hosts', formattedHosts);
             } catch (error) {
                 logger.error('Error getting discovered hosts:', error.message);
                 throw error;
@@ -276,12 +267,7 @@ function registerTools(server) {
                 const services = await api.getDiscoveredServices(apiParams);
                 
                 logger.info(`Retrieved ${services.length} discovered services`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${services.length} discovered services:\n\n${JSON.stringify(services, null, 2)}`
-                    }]
-                };
+                return createListResponse('discoveredServices', 'discovered services', services);
             } catch (error) {
                 logger.error('Error getting discovered services:', error.message);
                 throw error;
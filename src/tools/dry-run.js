@@ -0,0 +1,127 @@
+/* eslint-disable security/detect-object-injection */
+/**
+ * Dry-run support for mutating tools
+ *
+ * Maps a write tool call onto the change planner in src/api/changes.js so the
+ * caller can see what would change before the Zabbix write method runs.
+ */
+
+const api = require('../api');
+
+// Singularized tool name fragments that differ from the object type key
+const OBJECT_ALIASES = {
+    discoveryrule: 'drule'
+};
+
+// Verbs of the problem tools, all of which call event.acknowledge
+const PROBLEM_VERBS = ['acknowledge', 'unacknowledge', 'close', 'change', 'suppress', 'unsuppress'];
+
+/**
+ * Derive the operation and object type from a tool name
+ * e.g. zabbix_host_delete -> { verb: 'delete', type: 'host' },
+ *      zabbix_delete_discovery_rules -> { verb: 'delete', type: 'drule' }
+ * @param {string} toolName - Tool name
+ * @returns {Object} { verb, type }
+ */
+function parseToolName(toolName) {
+    const tokens = String(toolName).split('_').slice(1);
+    const verbs = ['create', 'update', 'delete', 'import', 'execute', 'link', 'unlink', 'test', ...PROBLEM_VERBS];
+    const verb = tokens.find(token => verbs.includes(token)) || null;
+    const objectName = tokens.filter(token => token !== verb).join('');
+
+    let type = objectName;
+    if (objectName.endsWith('ies')) {
+        type = `${objectName.slice(0, -3)}y`;
+    } else if (objectName.endsWith('s')) {
+        type = objectName.slice(0, -1);
+    }
+    if (Object.prototype.hasOwnProperty.call(OBJECT_ALIASES, type)) {
+        type = OBJECT_ALIASES[type];
+    }
+
+    return { verb, type };
+}
+
+/**
+ * Find the ids a delete tool was called with (e.g. hostids, templateids)
+ * @param {Object} args - Tool arguments
+ * @param {string} type - Object type
+ * @returns {Array<string>} Ids to delete
+ */
+function findDeleteIds(args, type) {
+    const definition = api.OBJECT_TYPES[type];
+    if (definition && Array.isArray(args[definition.idsParam])) {
+        return args[definition.idsParam];
+    }
+    const idList = Object.values(args).find(value => Array.isArray(value) && value.every(id => typeof id === 'string'));
+    return idList || [];
+}
+
+/**
+ * Plan linking or unlinking templates as an update of the host's full template list
+ * @param {string} verb - 'link' or 'unlink'
+ * @param {Object} args - { hostid, templateids }
+ * @returns {Promise<Object>} Update plan for the host
+ */
+async function planTemplateLinkage(verb, args) {
+    const [host] = await api.getHosts({
+        hostids: [args.hostid],
+        output: ['hostid'],
+        selectParentTemplates: ['templateid']
+    });
+    const currentIds = (host?.parentTemplates || []).map(template => String(template.templateid));
+    const requestedIds = (args.templateids || []).map(String);
+    const templateIds = verb === 'link'
+        ? [...new Set([...currentIds, ...requestedIds])]
+        : currentIds.filter(id => !requestedIds.includes(id));
+
+    return await api.planUpdate('host', {
+        hostid: args.hostid,
+        templates: templateIds.map(templateid => ({ templateid }))
+    });
+}
+
+/**
+ * Build a dry-run plan for a write tool call
+ * @param {string} toolName - Tool name
+ * @param {Object} args - Tool arguments (without dryRun)
+ * @returns {Promise<Object>} Plan describing what would change
+ */
+async function planToolCall(toolName, args = {}) {
+    const { verb, type } = parseToolName(toolName);
+    const supported = Object.prototype.hasOwnProperty.call(api.OBJECT_TYPES, type);
+
+    if (verb === 'import') {
+        return await api.planImport(args);
+    }
+    if (verb === 'execute' && type === 'script') {
+        return await api.planScriptExecution(args);
+    }
+    if (PROBLEM_VERBS.includes(verb) && Array.isArray(args.eventids)) {
+        return await api.planAcknowledge(args.eventids, args, verb);
+    }
+    if ((verb === 'link' || verb === 'unlink') && args.hostid) {
+        return await planTemplateLinkage(verb, args);
+    }
+    if (supported && verb === 'update') {
+        return await api.planUpdate(type, args);
+    }
+    if (supported && verb === 'delete') {
+        return await api.planDelete(type, findDeleteIds(args, type));
+    }
+    if (supported && verb === 'create') {
+        return await api.planCreate(type, args);
+    }
+
+    return {
+        operation: verb || 'unknown',
+        type,
+        request: args,
+        note: 'No detailed preview is available for this tool. The request above would be sent to Zabbix unchanged.'
+    };
+}
+
+module.exports = {
+    parseToolName,
+    planToolCall
+};
@@ -1,6 +1,7 @@
 const { logger } = require('../utils/logger');
 const api = require('../api');
 const { z } = require('zod');
+const { createListResponse, createStructuredResponse } = require('./utils');
 
 function registerTools(server) {
     // Get history data
@@ -46,12 +47,7 @@ function registerTools(server) {
                     ns_readable: record.ns ? `${record.ns}ns` : undefined
                 }));
                 
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${history.length} history records:\n\n${JSON.stringify(formattedHistory, null, 2)}`
-                    }]
-                };
+                return createListResponse('history', 'history records', formattedHistory);
             } catch (error) {
                 logger.error('Error getting history data:', error.message);
                 throw error;
@@ -102,12 +98,7 @@ function registerTools(server) {
                     value_max_readable: record.value_max ? parseFloat(record.value_max).toFixed(4) : undefined
                 }));
                 
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${trends.length} trends records:\n\n${JSON.stringify(formattedTrends, null, 2)}`
-                    }]
-                };
+                return createListResponse('trends', 'trend records', formattedTrends);
             } catch (error) {
                 logger.error('Error getting trends data:', error.message);
                 throw error;
@@ -173,13 +164,13 @@ function registerTools(server) {
                 
                 // Format response
                 const response = {
-                    item_info: itemInfo,
-                    time_range: {
+                    item: itemInfo,
+                    timeRange: {
                         from: new Date(time_from * 1000).toISOString(),
                         to: new Date(now * 1000).toISOString(),
-                        hours_back
+                        hoursBack: hours_back
                     },
-                    records_count: history.length,
+                    count: history.length,
                     history: history.map(record => ({
                         ...record,
                         timestamp: new Date(record.clock * 1000).toISOString(),
@@ -187,12 +178,7 @@ function registerTools(server) {
                     }))
                 };
                 
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Historical data for item ${itemid} (last ${hours_back} hours):\n\n${JSON.stringify(response, null, 2)}`
-                    }]
-                };
+                return createStructuredResponse(`Found ${history.length} history records for item ${itemid} (last ${hours_back} hours).`, response);
             } catch (error) {
                 logger.error('Error getting item history range:', error.message);
                 throw error;
@@ -1,6 +1,7 @@
 const { logger } = require('../utils/logger');
 const api = require('../api');
 const { z } = require('zod');
+const { createListResponse } = require('./utils');
 
 function registerTools(server) {
     // Get host groups
@@ -38,12 +39,7 @@ function registerTools(server) {
                 const hostGroups = await api.getHostGroups(apiParams);
                 
                 logger.info(`Retrieved ${hostGroups.length} host groups`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${hostGroups.length} host groups:\n\n${JSON.stringify(hostGroups, null, 2)}`
-                    }]
-                };
+                return createListResponse('hostGroups', 'host groups', hostGroups);
             } catch (error) {
                 logger.error('Error getting host groups:', error.message);
                 throw error;
@@ -3,6 +3,8 @@ const api = require('../api');
 const { logger } = require('../utils/logger');
 const { z } = require('zod');
 const schemas = require('./schemas');
+const { createListResponse, createStructuredResponse } = require('./utils');
+const { runUnpaged } = require('../api/pagination');
 
 // Helper function to resolve host identifiers (ID, technical name, visible name, or IP) to host IDs
 async function resolveHostIdentifiers(identifiers) {
@@ -119,7 +121,8 @@ function registerTools(server) {
                 const resolutionMessages = [];
 
                 if (args.hostIdentifiers && args.hostIdentifiers.length > 0) {
-                    const { resolvedHostIds, errors } = await resolveHostIdentifiers(args.hostIdentifiers);
+                    // Resolution lookups use host.get too; only the list call below is paged
+                    const { resolvedHostIds, errors } = await runUnpaged(() => resolveHostIdentifiers(args.hostIdentifiers));
                     
                     if (errors.length > 0) {
                         resolutionMessages.push(...errors.map(e => `Resolution error: ${e}`));
@@ -129,20 +132,15 @@ function registerTools(server) {
                         const existingHostIds = clientParams.hostids ? (Array.isArray(clientParams.hostids) ? clientParams.hostids : [clientParams.hostids]) : [];
                         clientParams.hostids = [...new Set([...existingHostIds, ...resolvedHostIds])];
                     } else if (args.hostIdentifiers.length > 0 && (!clientParams.hostids || clientParams.hostids.length === 0) && !Object.keys(clientParams).some(k => ['groupids', 'templateids', 'filter', 'search'].includes(k) && clientParams[k])) {
-                        let message = `None of the provided host identifiers [${args.hostIdentifiers.join(', ')}] could be resolved to existing host IDs.`;
-                        if (resolutionMessages.length > 0) message += `\n\nIdentifier Resolution Notes:\n- ${resolutionMessages.join('\n- ')}`;
-                        return { content: [{ type: 'text', text: message }] };
+                        const message = `None of the provided host identifiers [${args.hostIdentifiers.join(', ')}] could be resolved to existing host IDs.`;
+                        return createStructuredResponse(message, { count: 0, hosts: [], notes: resolutionMessages });
                     }
                 }
                 
                 const result = await api.getHosts(clientParams);
-                
-                let responseText = `Retrieved hosts:\n${JSON.stringify(result, null, 2)}`;
-                if (resolutionMessages.length > 0) {
-                    responseText += `\n\nIdentifier Resolution Notes:\n- ${resolutionMessages.join('\n- ')}`;
-                }
+                const notes = resolutionMessages.length > 0 ? { notes: resolutionMessages } : {};
 
-                return { content: [{ type: 'text', text: responseText }] };
+                return createListResponse('hosts', 'hosts', result, notes);
             } catch (error) {
                 logger.error('Error getting hosts:', error);
                 throw error;
@@ -19,9 +19,23 @@ const proxyTools = require('./proxies');
 const configurationTools = require('./configuration');
 const serviceTools = require('./services');
 const intelligenceTools = require('./intelligence');
+const analyticsTools = require('./analytics');
+const auditTools = require('./audit');
+const cacheTools = require('./cache');
+const { createToolRegistrar, isCategoryExcluded } = require('./registry');
+const { isCategoryAllowed } = require('../security/http-auth');
+const config = require('../config');
 // Import other tool categories as they are created
 
-function registerAllTools(server) {
+/**
+ * Register every tool category on a server
+ * @param {Object} server - McpServer instance
+ * @param {Object} [options] - Registration options
+ * @param {Object} [options.role] - HTTP auth role { include, exclude, readOnly } limiting the categories and write tools
+ * @returns {Array<Object>} Registration status of each tool
+ */
+function registerAllTools(server, options = {}) {
+    const { role } = options;
     const toolCategories = [
         { name: 'auth', module: authTools },
         { name: 'hosts', module: hostTools },
@@ -42,13 +56,31 @@ function registerAllTools(server) {
         { name: 'proxies', module: proxyTools },
         { name: 'configuration', module: configurationTools },
         { name: 'services', module: serviceTools },
-        { name: 'intelligence', module: intelligenceTools }
+        { name: 'intelligence', module: intelligenceTools },
+        { name: 'analytics', module: analyticsTools },
+        { name: 'audit', module: auditTools },
+        { name: 'cache', module: cacheTools }
     ];
     
+    const registered = [];
+
     for (const { name, module } of toolCategories) {
+        if (isCategoryExcluded(name)) {
+            logger.info(`Skipped tools from ${name} (category excluded)`);
+            continue;
+        }
+
+        if (!isCategoryAllowed(name, role)) {
+            logger.debug(`Skipped tools from ${name} (not allowed for this role)`);
+            continue;
+        }
+
         try {
             if (module && typeof module.registerTools === 'function') {
-                module.registerTools(server);
+                const registrar = role?.readOnly
+                    ? createToolRegistrar(server, { category: name, registered, readOnly: true, readOnlyBehavior: 'hide' })
+                    : createToolRegistrar(server, { category: name, registered });
+                module.registerTools(registrar);
                 logger.info(`Registered tools from ${name}`);
             } else {
                 logger.warn(`No registerTools function found in ${name}`);
@@ -61,6 +93,18 @@ function registerAllTools(server) {
             throw new Error(`Tool registration failed for ${name}: ${error.message}`);
         }
     }
+
+    const filtered = registered.filter(tool => tool.status === 'filtered');
+    if (filtered.length > 0) {
+        logger.info(`Tool filters: ${filtered.length} tools excluded, ${registered.length - filtered.length} remaining`);
+    }
+
+    if (config.security.readOnly) {
+        const blocked = registered.filter(tool => tool.status === 'hidden' || tool.status === 'refused');
+        logger.info(`Read-only mode: ${blocked.length} write tools ${config.security.readOnlyBehavior === 'refuse' ? 'refused' : 'hidden'}`);
+    }
+
+    return registered;
 }
 
 module.exports = { registerAllTools }; 
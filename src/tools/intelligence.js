@@ -8,6 +8,7 @@
 const api = require('../api');
 const { logger } = require('../utils/logger');
 const { z } = require('zod');
+const { createStructuredResponse } = require('./utils');
 //const schemas = require('./schemas');
 
 function registerTools(server) {
@@ -24,7 +25,7 @@ function registerTools(server) {
         async (args) => {
             try {
                 const result = await api.getInfrastructureHealth(args.options || {});
-                return { content: [{ type: 'text', text: `Infrastructure health summary:\n${JSON.stringify(result, null, 2)}` }] };
+                return createStructuredResponse(result.summary.trim(), result);
             } catch (error) {
                 logger.error('Error getting infrastructure health:', error);
                 throw error;
@@ -45,7 +46,7 @@ function registerTools(server) {
         async (args) => {
             try {
                 const result = await api.getCriticalIssues(args.options || {});
-                return { content: [{ type: 'text', text: `Critical issues:\n${JSON.stringify(result, null, 2)}` }] };
+                return createStructuredResponse(result.summary.trim(), result);
             } catch (error) {
                 logger.error('Error getting critical issues:', error);
                 throw error;
@@ -53,6 +54,62 @@ function registerTools(server) {
         }
     );
 
+    // Tool: Correlate Problems
+    server.tool(
+        'zabbix_correlate_problems',
+        'Group open problems into incidents and name a probable root problem for each. Problems are joined by trigger dependencies, and by starting close together on the same host, a parent host, the same proxy, a shared tag or a shared host group.',
+        {
+            options: z.object({
+                timeWindowMinutes: z.number().int().min(1).max(1440).optional().default(10).describe('Problems that started within this many minutes of each other may belong to the same incident'),
+                severityThreshold: z.number().int().min(0).max(5).optional().describe('Minimum severity level to include (0-5)'),
+                hostGroupIds: z.array(z.string()).optional().describe('Only problems on hosts in these host groups'),
+                limit: z.number().int().min(1).max(2000).optional().default(500).describe('Maximum number of open problems to correlate'),
+                maxProblemsPerIncident: z.number().int().min(1).max(200).optional().default(20).describe('Maximum number of problems listed per incident')
+            }).optional().describe('Optional filtering parameters')
+        },
+        async (args) => {
+            try {
+                const { timeWindowMinutes = 10, ...options } = args.options || {};
+                const result = await api.correlateProblems({ ...options, timeWindow: timeWindowMinutes * 60 });
+                return createStructuredResponse(result.summary, result);
+            } catch (error) {
+                logger.error('Error correlating problems:', error);
+                throw error;
+            }
+        }
+    );
+
+    // Tool: Get Timeline
+    server.tool(
+        'zabbix_get_timeline',
+        'Build one chronological timeline for hosts, host groups, a set of problem tags or a single incident. Merges problems opening and resolving, acknowledgements and their messages, notifications sent or failed, remote commands and script runs, maintenance periods and configuration changes from the audit log. Returns a compact narrative followed by the timeline as JSON.',
+        {
+            options: z.object({
+                hostIds: z.array(z.string()).optional().describe('Hosts to cover'),
+                hostGroupIds: z.array(z.string()).optional().describe('Host groups whose hosts to cover'),
+                tags: z.array(z.object({
+                    tag: z.string().describe('Tag name'),
+                    value: z.string().optional().describe('Tag value'),
+                    operator: z.number().int().min(0).max(5).optional().describe('Tag operator: 0 (contains), 1 (equals), 2 (does not contain), 3 (does not equal), 4 (exists), 5 (does not exist)')
+                })).optional().describe('Cover problems with these tags and the hosts they are on'),
+                eventId: z.string().optional().describe('Problem event of an incident; covers its hosts from 30 minutes before it started until 30 minutes after it resolved'),
+                timeFrom: z.number().int().optional().describe('Window start as Unix timestamp'),
+                timeTill: z.number().int().optional().describe('Window end as Unix timestamp (default now)'),
+                hoursBack: z.number().int().min(1).max(720).optional().default(24).describe('Window length in hours when timeFrom is not given'),
+                limit: z.number().int().min(1).max(1000).optional().default(200).describe('Maximum records read from each source')
+            }).describe('What the timeline covers; give at least one of hostIds, hostGroupIds, tags or eventId')
+        },
+        async (args) => {
+            try {
+                const result = await api.getTimeline(args.options);
+                return createStructuredResponse(api.formatTimeline(result), result);
+            } catch (error) {
+                logger.error('Error building timeline:', error);
+                throw error;
+            }
+        }
+    );
+
     // Tool: Get System Overview
     server.tool(
         'zabbix_get_system_overview',
@@ -65,7 +122,7 @@ function registerTools(server) {
         async (args) => {
             try {
                 const result = await api.getSystemOverview(args.options || {});
-                return { content: [{ type: 'text', text: `System overview:\n${JSON.stringify(result, null, 2)}` }] };
+                return createStructuredResponse(result.summary.trim(), result);
             } catch (error) {
                 logger.error('Error getting system overview:', error);
                 throw error;
@@ -85,7 +142,7 @@ function registerTools(server) {
         async (args) => {
             try {
                 const result = await api.getLast24HoursSummary(args.options || {});
-                return { content: [{ type: 'text', text: `Last 24 hours summary:\n${JSON.stringify(result, null, 2)}` }] };
+                return createStructuredResponse(result.summary.trim(), result);
             } catch (error) {
                 logger.error('Error getting 24h summary:', error);
                 throw error;
@@ -106,7 +163,7 @@ function registerTools(server) {
         async (args) => {
             try {
                 const result = await api.getActionableItems(args.options || {});
-                return { content: [{ type: 'text', text: `Actionable items:\n${JSON.stringify(result, null, 2)}` }] };
+                return createStructuredResponse(result.summary.trim(), result);
             } catch (error) {
                 logger.error('Error getting actionable items:', error);
                 throw error;
@@ -127,7 +184,7 @@ function registerTools(server) {
         async (args) => {
             try {
                 const result = await api.getPerformanceAlerts(args.options || {});
-                return { content: [{ type: 'text', text: `Performance alerts:\n${JSON.stringify(result, null, 2)}` }] };
+                return createStructuredResponse(result.summary.trim(), result);
             } catch (error) {
                 logger.error('Error getting performance alerts:', error);
                 throw error;
@@ -1,6 +1,7 @@
 const { logger } = require('../utils/logger');
 const api = require('../api');
 const { z } = require('zod');
+const { createListResponse } = require('./utils');
 
 function registerTools(server) {
     // Get items
@@ -48,12 +49,7 @@ function registerTools(server) {
                 const items = await api.getItems(apiParams);
                 
                 logger.info(`Retrieved ${items.length} items`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${items.length} items:\n\n${JSON.stringify(items, null, 2)}`
-                    }]
-                };
+                return createListResponse('items', 'items', items);
             } catch (error) {
                 logger.error('Error getting items:', error.message);
                 throw error;
@@ -195,12 +191,7 @@ function registerTools(server) {
                 const latestData = await api.getLatestData(apiParams);
                 
                 logger.info(`Retrieved latest data for ${latestData.length} items`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found latest data for ${latestData.length} items:\n\n${JSON.stringify(latestData, null, 2)}`
-                    }]
-                };
+                return createListResponse('items', 'items', latestData);
             } catch (error) {
                 logger.error('Error getting latest data:', error.message);
                 throw error;
@@ -1,6 +1,7 @@
 const { logger } = require('../utils/logger');
 const api = require('../api');
 const { z } = require('zod');
+const { createListResponse } = require('./utils');
 
 function registerTools(server) {
     // Get maintenance periods
@@ -45,12 +46,7 @@ function registerTools(server) {
                 const maintenance = await api.getMaintenanceWindows(apiParams);
                 
                 logger.info(`Retrieved ${maintenance.length} maintenance periods`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${maintenance.length} maintenance periods:\n\n${JSON.stringify(maintenance, null, 2)}`
-                    }]
-                };
+                return createListResponse('maintenances', 'maintenance periods', maintenance);
             } catch (error) {
                 logger.error('Error getting maintenance periods:', error.message);
                 throw error;
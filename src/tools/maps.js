@@ -1,6 +1,7 @@
 const { logger } = require('../utils/logger');
 const api = require('../api');
 const { z } = require('zod');
+const { createListResponse } = require('./utils');
 
 function registerTools(server) {
     // Get value maps
@@ -37,12 +38,7 @@ function registerTools(server) {
                 const valueMaps = await api.getValueMaps(apiParams);
                 
                 logger.info(`Retrieved ${valueMaps.length} value maps`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${valueMaps.length} value maps:\n\n${JSON.stringify(valueMaps, null, 2)}`
-                    }]
-                };
+                return createListResponse('valueMaps', 'value maps', valueMaps);
             } catch (error) {
                 logger.error('Error getting value maps:', error.message);
                 throw error;
@@ -179,12 +175,7 @@ function registerTools(server) {
                 const iconMaps = await api.getIconMaps(apiParams);
                 
                 logger.info(`Retrieved ${iconMaps.length} icon maps`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${iconMaps.length} icon maps:\n\n${JSON.stringify(iconMaps, null, 2)}`
-                    }]
-                };
+                return createListResponse('iconMaps', 'icon maps', iconMaps);
             } catch (error) {
                 logger.error('Error getting icon maps:', error.message);
                 throw error;
@@ -337,12 +328,7 @@ function registerTools(server) {
                 const maps = await api.getMaps(apiParams);
                 
                 logger.info(`Retrieved ${maps.length} network maps`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${maps.length} network maps:\n\n${JSON.stringify(maps, null, 2)}`
-                    }]
-                };
+                return createListResponse('maps', 'network maps', maps);
             } catch (error) {
                 logger.error('Error getting network maps:', error.message);
                 throw error;
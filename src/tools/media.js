@@ -1,6 +1,7 @@
 const { logger } = require('../utils/logger');
 const api = require('../api');
 const { z } = require('zod');
+const { createListResponse } = require('./utils');
 //const schemas = require('./schemas');
 
 function registerTools(server) {
@@ -59,12 +60,7 @@ function registerTools(server) {
                 
                 logger.info('[MEDIA TOOL DEBUG] API call successful, received media types:', mediaTypes?.length || 'unknown count');
                 logger.info(`Retrieved ${mediaTypes.length} media types`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${mediaTypes.length} media types:\n\n${JSON.stringify(mediaTypes, null, 2)}`
-                    }]
-                };
+                return createListResponse('mediaTypes', 'media types', mediaTypes);
             } catch (error) {
                 logger.error('[MEDIA TOOL DEBUG] Error in zabbix_get_media_types:', error.message);
                 logger.error('[MEDIA TOOL DEBUG] Error stack:', error.stack);
@@ -284,12 +280,7 @@ function registerTools(server) {
                 const userMedia = await api.getUserMedia(apiParams);
                 
                 logger.info(`Retrieved ${userMedia.length} user media configurations`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${userMedia.length} user media configurations:\n\n${JSON.stringify(userMedia, null, 2)}`
-                    }]
-                };
+                return createListResponse('media', 'user media configurations', userMedia);
             } catch (error) {
                 logger.error('Error getting user media:', error.message);
                 throw error;
@@ -358,12 +349,7 @@ function registerTools(server) {
                 }));
                 
                 logger.info(`Retrieved ${alerts.length} alerts`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${alerts.length} alerts:\n\n${JSON.stringify(formattedAlerts, null, 2)}`
-                    }]
-                };
+                return createListResponse('alerts', 'alerts', formattedAlerts);
             } catch (error) {
                 logger.error('Error getting alerts:', error.message);
                 throw error;
@@ -0,0 +1,352 @@
+/* eslint-disable security/detect-object-injection */
+/**
+ * List Pagination and Output Budget
+ *
+ * List tools gain cursor and pageSize arguments. Each call returns one page, the
+ * total number of matching objects and, when more follow, a nextCursor to pass back
+ * with the same arguments. Pages are cut by key in the API layer (api/pagination.js).
+ *
+ * Every tool result is also held to the output budget (config.output): a list is
+ * shortened to the objects that fit, with a cursor where the tool is paged; other
+ * structured results have their arrays shortened, and plain text is cut.
+ */
+
+const { z } = require('zod');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { createStructuredResponse } = require('./utils');
+const { fingerprint } = require('../security/confirmation');
+const { ZabbixValidationError } = require('../utils/errors');
+const { runWithPage, positionAfter } = require('../api/pagination');
+const { currentInstance } = require('../api/instances');
+const { AUDIT_QUERY_METHOD } = require('../security/audit');
+
+// Rough size of a token in bytes of JSON text
+const BYTES_PER_TOKEN = 4;
+
+/**
+ * Paged list tools: the Zabbix method of their list call, how pages are keyed and
+ * the structuredContent property holding the list. zabbix_get_trends is left out:
+ * trend.get takes no sortfield to key pages on.
+ */
+const PAGED_TOOLS = new Map([
+    ['zabbix_host_get', { method: 'host.get', idField: 'hostid', idsParam: 'hostids', listKey: 'hosts' }],
+    ['zabbix_get_hostgroups', { method: 'hostgroup.get', idField: 'groupid', idsParam: 'groupids', listKey: 'hostGroups' }],
+    ['zabbix_get_templates', { method: 'template.get', idField: 'templateid', idsParam: 'templateids', listKey: 'templates' }],
+    ['zabbix_get_items', { method: 'item.get', idField: 'itemid', idsParam: 'itemids', listKey: 'items' }],
+    ['zabbix_get_triggers', { method: 'trigger.get', idField: 'triggerid', idsParam: 'triggerids', listKey: 'triggers' }],
+    ['zabbix_get_problems', { method: 'problem.get', strategy: 'eventid', listKey: 'problems' }],
+    ['zabbix_get_events', { method: 'event.get', strategy: 'eventid', listKey: 'events' }],
+    ['zabbix_get_script_execution_history', { method: 'event.get', strategy: 'eventid', listKey: 'events' }],
+    ['zabbix_get_history', { method: 'history.get', strategy: 'clock', listKey: 'history' }],
+    ['zabbix_get_item_history_range', { method: 'history.get', strategy: 'clock', listKey: 'history' }],
+    ['zabbix_get_latest_data', { method: 'history.get', strategy: 'clock', listKey: 'items' }],
+    ['zabbix_get_maintenance', { method: 'maintenance.get', idField: 'maintenanceid', idsParam: 'maintenanceids', listKey: 'maintenances' }],
+    ['zabbix_get_services', { method: 'service.get', idField: 'serviceid', idsParam: 'serviceids', listKey: 'services' }],
+    ['zabbix_get_users', { method: 'user.get', idField: 'userid', idsParam: 'userids', listKey: 'users' }],
+    ['zabbix_get_usergroups', { method: 'usergroup.get', idField: 'usrgrpid', idsParam: 'usrgrpids', listKey: 'userGroups' }],
+    ['zabbix_get_proxies', { method: 'proxy.get', idField: 'proxyid', idsParam: 'proxyids', listKey: 'proxies' }],
+    ['zabbix_get_dashboards', { method: 'dashboard.get', idField: 'dashboardid', idsParam: 'dashboardids', listKey: 'dashboards' }],
+    ['zabbix_get_maps', { method: 'map.get', idField: 'sysmapid', idsParam: 'sysmapids', listKey: 'maps' }],
+    ['zabbix_get_value_maps', { method: 'valuemap.get', idField: 'valuemapid', idsParam: 'valuemapids', listKey: 'valueMaps' }],
+    ['zabbix_get_icon_maps', { method: 'iconmap.get', idField: 'iconmapid', idsParam: 'iconmapids', listKey: 'iconMaps' }],
+    ['zabbix_get_media_types', { method: 'mediatype.get', idField: 'mediatypeid', idsParam: 'mediatypeids', listKey: 'mediaTypes' }],
+    ['zabbix_get_user_media', { method: 'usermedia.get', idField: 'mediaid', idsParam: 'mediaids', listKey: 'media' }],
+    ['zabbix_get_alerts', { method: 'alert.get', idField: 'alertid', idsParam: 'alertids', listKey: 'alerts' }],
+    ['zabbix_get_scripts', { method: 'script.get', idField: 'scriptid', idsParam: 'scriptids', listKey: 'scripts' }],
+    ['zabbix_get_actions', { method: 'action.get', idField: 'actionid', idsParam: 'actionids', listKey: 'actions' }],
+    ['zabbix_get_correlations', { method: 'correlation.get', idField: 'correlationid', idsParam: 'correlationids', listKey: 'correlations' }],
+    ['zabbix_get_discovery_rules', { method: 'discoveryrule.get', idField: 'itemid', idsParam: 'itemids', listKey: 'discoveryRules' }],
+    ['zabbix_get_discovered_hosts', { method: 'dhost.get', idField: 'dhostid', idsParam: 'dhostids', listKey: 'discoveredHosts' }],
+    ['zabbix_get_discovered_services', { method: 'dservice.get', idField: 'dserviceid', idsParam: 'dserviceids', listKey: 'discoveredServices' }],
+    ['zabbix_query_audit_trail', { method: AUDIT_QUERY_METHOD, strategy: 'timestamp', listKey: 'records' }]
+]);
+
+/**
+ * Paging spec of a tool
+ * @param {string} toolName - Tool name
+ * @returns {Object|undefined} { method, strategy?, idField?, idsParam?, listKey }, undefined if not paged
+ */
+function getPagedTool(toolName) {
+    return PAGED_TOOLS.get(toolName);
+}
+
+/**
+ * Current output budget in bytes: the smaller of maxTokens and maxBytes, 0 when both are off
+ * @returns {number} Budget in bytes
+ */
+function outputBudget() {
+    const { maxTokens, maxBytes } = config.output;
+    const limits = [maxTokens * BYTES_PER_TOKEN, maxBytes].filter(limit => limit > 0);
+    return limits.length > 0 ? Math.min(...limits) : 0;
+}
+
+/**
+ * Size of a tool result's text content in bytes
+ * @param {Object} result - Tool result
+ * @returns {number} Bytes
+ */
+function resultSize(result) {
+    return (result?.content || []).reduce((size, block) =>
+        size + (block.type === 'text' ? Buffer.byteLength(block.text) : 0), 0);
+}
+
+/**
+ * Binding of a cursor to the call it continues: tool, instance and arguments
+ * @param {string} toolName - Tool name
+ * @param {Object} args - Tool arguments without cursor and pageSize
+ * @returns {string} Short digest
+ */
+function callBinding(toolName, args) {
+    return fingerprint(toolName, { instance: currentInstance(), args }).slice(0, 16);
+}
+
+/**
+ * Encode the cursor of the next page
+ * @param {string} binding - Binding of the current call
+ * @param {number} pageSize - Page size to continue with
+ * @param {Object} position - { after, skip } from positionAfter()
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(binding, pageSize, position) {
+    return Buffer.from(JSON.stringify({ b: binding, n: pageSize, a: position.after, s: position.skip })).toString('base64url');
+}
+
+/**
+ * Decode a cursor and check that it continues this call
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} binding - Binding of the current call
+ * @returns {Object} { pageSize, after, skip }
+ */
+function decodeCursor(cursor, binding) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new ZabbixValidationError(`Invalid cursor: ${error.message}`, {
+            hint: 'Pass the nextCursor of the previous page unchanged, or omit cursor to start over.'
+        });
+    }
+    if (!decoded || decoded.b !== binding || typeof decoded.a !== 'string') {
+        throw new ZabbixValidationError('Invalid cursor: it does not belong to this tool call.', {
+            hint: 'Repeat the call with the same arguments as the page the cursor came from, or omit cursor to start over.'
+        });
+    }
+    return { pageSize: decoded.n, after: decoded.a, skip: decoded.s };
+}
+
+/**
+ * Largest n in [low, high] for which fits(n) holds, fits being monotonic
+ * @param {number} low - Smallest candidate, taken when nothing larger fits
+ * @param {number} high - Largest candidate
+ * @param {Function} fits - n => boolean
+ * @returns {number} Largest fitting n
+ */
+function largestFitting(low, high, fits) {
+    let best = low;
+    while (low <= high) {
+        const middle = Math.floor((low + high) / 2);
+        if (fits(middle)) {
+            best = middle;
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+    return best;
+}
+
+/**
+ * Cut the text of a result to the budget
+ * @param {Object} result - Tool result
+ * @param {number} budget - Budget in bytes
+ * @returns {Object} Result with shortened text blocks
+ */
+function truncateText(result, budget) {
+    const note = `\n... (truncated: the result exceeded the ${budget}-byte output limit; narrow the request to see the rest)`;
+    let remaining = Math.max(0, budget - Buffer.byteLength(note));
+    const content = [];
+    for (const block of result.content) {
+        if (block.type !== 'text') {
+            content.push(block);
+            continue;
+        }
+        const bytes = Buffer.from(block.text);
+        if (bytes.length <= remaining) {
+            content.push(block);
+            remaining -= bytes.length;
+            continue;
+        }
+        content.push({ ...block, text: bytes.subarray(0, remaining).toString('utf8') + note });
+        break;
+    }
+    return { ...result, content };
+}
+
+/**
+ * Largest non-empty array inside structured content, by JSON size
+ * @param {*} value - Structured content or a part of it
+ * @param {Object} [holder] - Object or array holding value
+ * @param {string} [key] - Key of value in holder
+ * @returns {Object|null} { holder, key, size }, null when there is no array to shorten
+ */
+function largestArray(value, holder = null, key = null) {
+    let largest = null;
+    if (Array.isArray(value) && value.length > 0 && holder) {
+        largest = { holder, key, size: Buffer.byteLength(JSON.stringify(value)) };
+    }
+    if (value && typeof value === 'object') {
+        for (const [childKey, child] of Object.entries(value)) {
+            const found = largestArray(child, value, childKey);
+            if (found && (!largest || found.size > largest.size)) {
+                largest = found;
+            }
+        }
+    }
+    return largest;
+}
+
+/**
+ * Shorten the arrays of a structured result that is not a list, largest first, so that
+ * structuredContent shrinks with the text and still matches the tool's output schema
+ * @param {Object} result - Tool result with structuredContent
+ * @param {number} budget - Budget in bytes
+ * @returns {Object} Shortened result marked truncated
+ */
+function trimStructured(result, budget) {
+    const summary = result.content[0]?.text || '';
+    const data = structuredClone(result.structuredContent);
+    const build = () => createStructuredResponse(
+        `${summary} Lists were shortened to stay within the output limit; narrow the request to see the rest.`,
+        { ...data, truncated: true }
+    );
+
+    let fitted = build();
+    for (let largest = largestArray(data); largest && resultSize(fitted) > budget; largest = largestArray(data)) {
+        const list = largest.holder[largest.key];
+        largest.holder[largest.key] = list.slice(0, Math.floor(list.length / 2));
+        fitted = build();
+    }
+    logger.info(`Output budget: shortened the lists of a structured result (${budget} bytes)`);
+    return resultSize(fitted) <= budget ? fitted : truncateText(fitted, budget);
+}
+
+/**
+ * Property of structuredContent holding a list: { count, [key]: [...] }
+ * @param {Object} data - Structured content
+ * @returns {string|undefined} Key, undefined when the result is not a list
+ */
+function findListKey(data) {
+    if (!data || typeof data.count !== 'number') {
+        return undefined;
+    }
+    return Object.keys(data).find(key => Array.isArray(data[key]) && data[key].length === data.count);
+}
+
+/**
+ * Hold a tool result to the output budget
+ * @param {Object} result - Tool result
+ * @param {Object} [options] - Options
+ * @param {string} [options.listKey] - List property of structuredContent (found from count otherwise)
+ * @param {Function} [options.cursorAfter] - rows => cursor continuing after the kept rows
+ * @param {number} [options.budget] - Budget in bytes (defaults to config.output)
+ * @returns {Object} The result, or a shortened copy when it was over budget
+ */
+function fitToBudget(result, options = {}) {
+    const { budget = outputBudget(), cursorAfter } = options;
+    if (!budget || !result || result.isError || !Array.isArray(result.content) || resultSize(result) <= budget) {
+        return result;
+    }
+
+    const data = result.structuredContent;
+    const listKey = options.listKey || findListKey(data);
+    const rows = listKey && Array.isArray(data?.[listKey]) ? data[listKey] : null;
+    if (!rows || rows.length === 0) {
+        return data ? trimStructured(result, budget) : truncateText(result, budget);
+    }
+
+    const summary = result.content[0]?.text || '';
+    const build = kept => {
+        const keptRows = rows.slice(0, kept);
+        const nextCursor = cursorAfter?.(keptRows);
+        const rest = nextCursor ? 'pass nextCursor as cursor to continue' : 'narrow the request to see the rest';
+        return createStructuredResponse(
+            `${summary} Only the first ${kept} are included to stay within the output limit; ${rest}.`,
+            { ...data, count: kept, [listKey]: keptRows, truncated: true, ...(nextCursor && { nextCursor }) }
+        );
+    };
+
+    // At least one object, so that paging always moves forward
+    const kept = largestFitting(1, rows.length - 1, count => resultSize(build(count)) <= budget);
+    logger.info(`Output budget: kept ${kept} of ${rows.length} ${listKey} (${budget} bytes)`);
+    const fitted = build(kept);
+    return resultSize(fitted) <= budget ? fitted : truncateText(fitted, budget);
+}
+
+/**
+ * Page a list tool: the schema gains cursor and pageSize, the handler's list call
+ * returns one page, and the result reports the total and the next page's cursor
+ * @param {string} toolName - Tool name
+ * @param {Array} rest - Remaining server.tool() arguments, handler last
+ * @param {Object} [spec] - Paging spec (defaults to the tool's PAGED_TOOLS entry)
+ * @returns {Array} Arguments with paging, unchanged if the tool is not a paged list
+ */
+function withPagination(toolName, rest, spec = getPagedTool(toolName)) {
+    const schema = rest.length >= 3 ? rest[rest.length - 2] : null;
+    if (!spec || !schema || typeof schema !== 'object' || schema.cursor) {
+        return rest;
+    }
+
+    const { maxPageSize, defaultPageSize } = config.output;
+    const pagingSchema = {
+        cursor: z.string().optional()
+            .describe('nextCursor of the previous page. Repeat the call with the same arguments plus cursor to get the next page.'),
+        pageSize: z.number().int().min(1).max(maxPageSize).optional()
+            .describe(`Objects per page (default: limit if given, else ${defaultPageSize}; max ${maxPageSize}).`)
+    };
+
+    const handler = rest[rest.length - 1];
+    const pagedHandler = async (args, ...extra) => {
+        const { cursor, pageSize, ...toolArgs } = args || {};
+        const binding = callBinding(toolName, toolArgs);
+        const position = cursor ? decodeCursor(cursor, binding) : {};
+        const size = Math.min(pageSize || position.pageSize || toolArgs.limit || defaultPageSize, maxPageSize);
+        const page = {
+            strategy: 'id',
+            ...spec,
+            pageSize: size,
+            after: position.after,
+            skip: position.skip
+        };
+
+        const result = await runWithPage(page, () => handler(toolArgs, ...extra));
+        const data = result?.structuredContent;
+        if (!page.claimed || result?.isError || !data || !Array.isArray(data[spec.listKey])) {
+            return result;
+        }
+
+        const cursorAfter = rows => {
+            const next = positionAfter(page, rows);
+            return next && encodeCursor(binding, size, next);
+        };
+        const nextCursor = page.hasMore ? cursorAfter(data[spec.listKey]) : null;
+        const more = nextCursor ? '; pass nextCursor as cursor for the next page' : '';
+        const summary = `${result.content[0]?.text || ''} ${page.total} in total${more}.`;
+        const paged = createStructuredResponse(summary, {
+            ...data,
+            total: page.total,
+            ...(nextCursor && { nextCursor })
+        });
+        return fitToBudget(paged, { listKey: spec.listKey, cursorAfter });
+    };
+
+    return [...rest.slice(0, -2), { ...schema, ...pagingSchema }, pagedHandler];
+}
+
+module.exports = {
+    PAGED_TOOLS,
+    getPagedTool,
+    outputBudget,
+    fitToBudget,
+    withPagination
+};
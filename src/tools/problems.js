@@ -2,6 +2,23 @@ const api = require('../api');
 const { logger } = require('../utils/logger');
 const { z } = require('zod');
 const schemas = require('./schemas');
+const { createListResponse } = require('./utils');
+const { ZabbixValidationError } = require('../utils/errors');
+
+/**
+ * Build the response of a problem update
+ * @param {string} summary - What was done
+ * @param {Object} result - event.acknowledge result or per-event outcome
+ * @returns {Object} Tool result
+ */
+function createUpdateResponse(summary, result) {
+    return {
+        content: [{
+            type: 'text',
+            text: `${summary}\n${JSON.stringify(result, null, 2)}`
+        }]
+    };
+}
 
 function registerTools(server) {
     // Tool: Get Problems
@@ -36,7 +53,7 @@ function registerTools(server) {
         async (args) => {
             try {
                 const result = await api.getProblems(args);
-                return { content: [{ type: 'text', text: `Current problems:\n${JSON.stringify(result, null, 2)}` }] };
+                return createListResponse('problems', 'problems', result);
             } catch (error) {
                 logger.error('Error getting problems:', error);
                 throw error;
@@ -79,43 +96,172 @@ function registerTools(server) {
         async (args) => {
             try {
                 const result = await api.getEvents(args);
-                return { content: [{ type: 'text', text: `Events:\n${JSON.stringify(result, null, 2)}` }] };
+                return createListResponse('events', 'events', result);
             } catch (error) {
                 logger.error('Error getting events:', error);
                 throw error;
             }
         }
     );
-/*
+
+    const eventIdsSchema = z.array(schemas.eventId).min(1).describe('Problem event IDs.');
+    const messageSchema = z.string().optional().describe('Message to add to the problems.');
+
     // Tool: Acknowledge Event
     server.tool(
         'zabbix_acknowledge_event',
-        'Acknowledges one or more events/problems in Zabbix.',
+        'Acknowledges one or more problems in Zabbix, optionally with a message.',
         {
-            eventids: z.array(schemas.eventId).min(1).describe("Array of event IDs to acknowledge."),
-            message: z.string().optional().default("Acknowledged via MCP").describe("Acknowledgment message."),
-            action: z.number().int().min(0).max(63).optional().default(6)
-                .describe("Acknowledgment action bitmask: 1 (close problem), 2 (acknowledge), 4 (add message), 8 (change severity), 16 (unacknowledge), 32 (suppress for). Default: 6 (acknowledge + add message)."),
-            severity: z.number().int().min(0).max(5).optional().describe("New severity level (0-5) if changing severity."),
-            suppress_until: schemas.unixTimestamp.optional().describe("Suppress until timestamp if suppressing.")
+            eventids: eventIdsSchema,
+            message: z.string().optional().default('Acknowledged via MCP').describe('Acknowledgment message.')
         },
         async (args) => {
             try {
-                const actionOptions = {
-                    action: args.action,
-                    ...(args.severity !== undefined && { severity: args.severity }),
-                    ...(args.suppress_until !== undefined && { suppress_until: args.suppress_until })
-                };
-                
-                const result = await api.acknowledgeEvent(args.eventids, args.message, actionOptions);
-                return { content: [{ type: 'text', text: `Event acknowledgment result:\n${JSON.stringify(result, null, 2)}` }] };
+                const result = await api.updateProblems(args.eventids, { acknowledge: true, message: args.message });
+                return createUpdateResponse(`Acknowledged ${args.eventids.length} problem(s).`, result);
             } catch (error) {
                 logger.error('Error acknowledging event:', error);
                 throw error;
             }
         }
     );
-*/
+
+    // Tool: Unacknowledge Problems
+    server.tool(
+        'zabbix_unacknowledge_problems',
+        'Removes the acknowledgement from one or more problems.',
+        {
+            eventids: eventIdsSchema,
+            message: messageSchema
+        },
+        async (args) => {
+            try {
+                const result = await api.updateProblems(args.eventids, { unacknowledge: true, message: args.message });
+                return createUpdateResponse(`Unacknowledged ${args.eventids.length} problem(s).`, result);
+            } catch (error) {
+                logger.error('Error unacknowledging problems:', error);
+                throw error;
+            }
+        }
+    );
+
+    // Tool: Close Problems
+    server.tool(
+        'zabbix_close_problems',
+        'Closes problems manually. Only problems whose trigger allows manual close are closed; the others are reported with the reason.',
+        {
+            eventids: eventIdsSchema,
+            message: messageSchema
+        },
+        async (args) => {
+            try {
+                const { closed, rejected } = await api.closeProblems(args.eventids, args.message);
+                const reasons = rejected.map(({ eventid, reason }) => `- ${eventid}: ${reason}`).join('\n');
+                if (closed.length === 0) {
+                    throw new ZabbixValidationError(`None of the problems can be closed:\n${reasons}`, {
+                        hint: 'Enable "Allow manual close" on the triggers, or pass the event IDs of open trigger problems.'
+                    });
+                }
+
+                const summary = rejected.length > 0
+                    ? `Closed ${closed.length} problem(s). Could not close ${rejected.length}:\n${reasons}`
+                    : `Closed ${closed.length} problem(s).`;
+                return createUpdateResponse(summary, { closed, rejected });
+            } catch (error) {
+                logger.error('Error closing problems:', error);
+                throw error;
+            }
+        }
+    );
+
+    // Tool: Change Problem Severity
+    server.tool(
+        'zabbix_change_problem_severity',
+        'Changes the severity of one or more problems. The trigger keeps its own severity.',
+        {
+            eventids: eventIdsSchema,
+            severity: z.number().int().min(0).max(5)
+                .describe('New severity: 0 (not classified), 1 (information), 2 (warning), 3 (average), 4 (high), 5 (disaster).'),
+            message: messageSchema
+        },
+        async (args) => {
+            try {
+                const result = await api.updateProblems(args.eventids, { severity: args.severity, message: args.message });
+                return createUpdateResponse(`Changed the severity of ${args.eventids.length} problem(s) to ${args.severity}.`, result);
+            } catch (error) {
+                logger.error('Error changing problem severity:', error);
+                throw error;
+            }
+        }
+    );
+
+    // Tool: Suppress Problems
+    server.tool(
+        'zabbix_suppress_problems',
+        'Suppresses one or more problems until a given time, or until they are unsuppressed.',
+        {
+            eventids: eventIdsSchema,
+            until: schemas.unixTimestamp.optional()
+                .describe('Unix timestamp to suppress the problems until. Omit to suppress them until zabbix_unsuppress_problems is called.'),
+            message: messageSchema
+        },
+        async (args) => {
+            try {
+                const suppressUntil = args.until || 0;
+                const result = await api.updateProblems(args.eventids, { suppressUntil, message: args.message });
+                const period = suppressUntil ? `until ${new Date(suppressUntil * 1000).toISOString()}` : 'indefinitely';
+                return createUpdateResponse(`Suppressed ${args.eventids.length} problem(s) ${period}.`, result);
+            } catch (error) {
+                logger.error('Error suppressing problems:', error);
+                throw error;
+            }
+        }
+    );
+
+    // Tool: Unsuppress Problems
+    server.tool(
+        'zabbix_unsuppress_problems',
+        'Removes the manual suppression from one or more problems.',
+        {
+            eventids: eventIdsSchema,
+            message: messageSchema
+        },
+        async (args) => {
+            try {
+                const result = await api.updateProblems(args.eventids, { unsuppress: true, message: args.message });
+                return createUpdateResponse(`Unsuppressed ${args.eventids.length} problem(s).`, result);
+            } catch (error) {
+                logger.error('Error unsuppressing problems:', error);
+                throw error;
+            }
+        }
+    );
+
+    // Tool: Change Problem Rank
+    server.tool(
+        'zabbix_change_problem_rank',
+        'Marks problems as cause problems, or as symptoms of a given cause problem.',
+        {
+            eventids: eventIdsSchema,
+            rank: z.enum(['cause', 'symptom']).describe("'cause' to make the problems cause problems, 'symptom' to make them symptoms of causeEventId."),
+            causeEventId: schemas.eventId.optional().describe("Event ID of the cause problem. Required when rank is 'symptom'."),
+            message: messageSchema
+        },
+        async (args) => {
+            try {
+                const result = await api.updateProblems(args.eventids, {
+                    rank: args.rank,
+                    causeEventId: args.causeEventId,
+                    message: args.message
+                });
+                const target = args.rank === 'symptom' ? `symptoms of ${args.causeEventId}` : 'cause problems';
+                return createUpdateResponse(`Marked ${args.eventids.length} problem(s) as ${target}.`, result);
+            } catch (error) {
+                logger.error('Error changing problem rank:', error);
+                throw error;
+            }
+        }
+    );
 }
 
 module.exports = { registerTools }; 
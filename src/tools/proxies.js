@@ -1,6 +1,7 @@
 const { logger } = require('../utils/logger');
 const api = require('../api');
 const { z } = require('zod');
+const { createListResponse } = require('./utils');
 
 function registerTools(server) {
     // Get proxies
@@ -38,12 +39,7 @@ function registerTools(server) {
 const proxies = await api.getProxies(apiParams);
                 
                 logger.info(`Retrieved ${proxies.length} proxies`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${proxies.length} proxies:\n\n${JSON.stringify(proxies, null, 2)}`
-                    }]
-                };
+                return createListResponse('proxies', 'proxies', proxies);
             } catch (error) {
                 logger.error('Error getting proxies:', error.message);
                 throw error;
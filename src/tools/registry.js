@@ -0,0 +1,384 @@
+/**
+ * Tool Registry
+ *
+ * Wraps an McpServer so that every tool registered by the category modules passes
+ * through server-wide policy before it reaches the MCP layer. Category modules keep
+ * calling server.tool(...) exactly as before.
+ */
+
+const { z } = require('zod');
+const config = require('../config');
+const { logger } = require('../utils/logger');
+const { getToolAccess, ACCESS } = require('../security/tool-access');
+const { matchesAny } = require('../utils/glob');
+const { planToolCall } = require('./dry-run');
+const { getOutputSchema, withFanOut } = require('./schemas/output');
+const { getPagedTool, withPagination, fitToBudget } = require('./pagination');
+const { ConfirmationStore } = require('../security/confirmation');
+const { auditLog } = require('../security/audit');
+const { telemetry } = require('../utils/telemetry');
+const { inFlight } = require('../utils/shutdown');
+const { classifyError, toToolErrorResult } = require('../utils/errors');
+const { getInstanceNames, runWithInstance, runWithSession, currentInstance } = require('../api/instances');
+
+const dryRunSchema = z.boolean().optional()
+    .describe('Preview the change without applying it. Returns a field-level before/after diff (and cascaded deletes) instead of calling Zabbix.');
+
+const confirmationTokenSchema = z.string().optional()
+    .describe('Token returned by the first call of this tool. Repeat the call with the same arguments and this token to execute it.');
+
+// Value of the instance argument that fans a call out to every instance
+const ALL_INSTANCES = 'all';
+
+// Categories whose tools may be fanned out across all instances
+const FAN_OUT_CATEGORIES = ['intelligence', 'analytics'];
+
+const confirmations = new ConfirmationStore({ ttl: config.security.confirmTokenTtl * 1000 });
+
+/**
+ * Build the result returned by a tool that is blocked by policy
+ * @param {string} toolName - Blocked tool name
+ * @param {string} reason - Human readable reason
+ * @returns {Object} MCP tool error result
+ */
+function createBlockedResponse(toolName, reason) {
+    return {
+        content: [{
+            type: 'text',
+            text: `Tool '${toolName}' is not available: ${reason}`
+        }],
+        isError: true
+    };
+}
+
+/**
+ * Add a dryRun flag to a write tool: the schema gains the parameter and the
+ * handler returns the planned change instead of running when it is set
+ * @param {string} toolName - Tool name
+ * @param {Array} rest - Remaining server.tool() arguments, handler last
+ * @param {Function} planner - Resolves (toolName, args) to a plan
+ * @returns {Array} Arguments with dry-run support, unchanged if the tool takes no parameters
+ */
+function withDryRun(toolName, rest, planner) {
+    const schema = rest.length >= 3 ? rest[rest.length - 2] : null;
+    if (!schema || typeof schema !== 'object' || schema.dryRun) {
+        return rest;
+    }
+
+    const handler = rest[rest.length - 1];
+    const dryRunHandler = async (args, ...extra) => {
+        const { dryRun, ...toolArgs } = args || {};
+        if (!dryRun) {
+            return await handler(toolArgs, ...extra);
+        }
+
+        logger.info(`Dry run: ${toolName}`);
+        const plan = await planner(toolName, toolArgs);
+        return {
+            content: [{
+                type: 'text',
+                text: `Dry run for ${toolName} (no changes were made):\n${JSON.stringify(plan, null, 2)}`
+            }]
+        };
+    };
+
+    return [...rest.slice(0, -2), { ...schema, dryRun: dryRunSchema }, dryRunHandler];
+}
+
+/**
+ * Require a second call carrying a confirmation token before a write tool runs.
+ * The first call returns the planned change and a single-use token bound to the
+ * exact arguments and session; any other token is rejected without running the tool.
+ * @param {string} toolName - Tool name
+ * @param {Array} rest - Remaining server.tool() arguments, handler last
+ * @param {Function} planner - Resolves (toolName, args) to a plan
+ * @param {ConfirmationStore} store - Token store
+ * @returns {Array} Arguments with confirmation support, unchanged if the tool takes no parameters
+ */
+function withConfirmation(toolName, rest, planner, store) {
+    const schema = rest.length >= 3 ? rest[rest.length - 2] : null;
+    if (!schema || typeof schema !== 'object' || schema.confirmationToken) {
+        return rest;
+    }
+
+    const handler = rest[rest.length - 1];
+    const confirmationHandler = async (args, ...extra) => {
+        const { confirmationToken, ...toolArgs } = args || {};
+        const sessionId = extra[0]?.sessionId;
+        // A token confirmed on one Zabbix instance must not be redeemable on another
+        const binding = { instance: currentInstance(), args: toolArgs };
+
+        if (confirmationToken) {
+            const result = store.consume(confirmationToken, toolName, binding, sessionId);
+            if (!result.valid) {
+                logger.warn(`Rejected confirmation for ${toolName}: ${result.reason}`);
+                return createBlockedResponse(toolName, result.reason);
+            }
+            logger.info(`Confirmed call: ${toolName}`);
+            return await handler(toolArgs, ...extra);
+        }
+
+        let plan;
+        try {
+            plan = await planner(toolName, toolArgs);
+        } catch (error) {
+            throw new Error(`Failed to prepare confirmation for ${toolName}: ${error.message}`);
+        }
+
+        const { token, expiresAt } = store.issue(toolName, binding, sessionId);
+        const seconds = Math.round((expiresAt - Date.now()) / 1000);
+        logger.info(`Confirmation required: ${toolName}`);
+        return {
+            content: [{
+                type: 'text',
+                text: `Confirmation required for ${toolName}. No changes have been made yet.\n` +
+                    `This call would affect:\n${JSON.stringify(plan, null, 2)}\n\n` +
+                    `To proceed, call ${toolName} again with the same arguments and confirmationToken: "${token}". ` +
+                    `The token is single-use and expires in ${seconds} seconds.`
+            }]
+        };
+    };
+
+    return [...rest.slice(0, -2), { ...schema, confirmationToken: confirmationTokenSchema }, confirmationHandler];
+}
+
+/**
+ * Run a handler on every instance and merge the results, each block labelled by instance.
+ * Structured results are merged as { instances: { <name>: structuredContent | { error } } }.
+ * @param {Array<string>} instances - Instance names
+ * @param {Function} run - Calls the tool handler
+ * @returns {Promise<Object>} Merged MCP tool result
+ */
+async function fanOut(instances, run) {
+    const results = await Promise.all(instances.map(async name => {
+        try {
+            return { name, result: await runWithInstance(name, run) };
+        } catch (error) {
+            return { name, error };
+        }
+    }));
+
+    const content = results.flatMap(({ name, result, error }) => {
+        if (error) {
+            const { code, message } = classifyError(error);
+            return [{ type: 'text', text: `[instance: ${name}] Error (${code}): ${message}` }];
+        }
+        return (result?.content || []).map(block => (block.type === 'text'
+            ? { ...block, text: `[instance: ${name}]\n${block.text}` }
+            : block));
+    });
+    const failed = results.every(({ result, error }) => error || result?.isError);
+    const merged = failed ? { content, isError: true } : { content };
+
+    if (!results.some(({ result }) => result?.structuredContent)) {
+        return merged;
+    }
+    const structured = results.map(({ name, result, error }) => {
+        if (error) {
+            return [name, { error: classifyError(error).toJSON() }];
+        }
+        if (result?.isError) {
+            const message = (result.content || []).map(block => block.text).filter(Boolean).join('\n');
+            return [name, { error: result.structuredContent?.error || classifyError(new Error(message)).toJSON() }];
+        }
+        return [name, result?.structuredContent];
+    }).filter(([, data]) => data);
+    return { ...merged, structuredContent: { instances: Object.fromEntries(structured) } };
+}
+
+/**
+ * Add an instance argument that routes the tool's API calls to a named Zabbix instance.
+ * Only applied when more than one instance is configured.
+ * @param {Array} rest - Remaining server.tool() arguments, handler last
+ * @param {Array<string>} instances - Instance names, default first
+ * @param {boolean} allowFanOut - Accept 'all' to run the tool on every instance
+ * @returns {Array} Arguments with instance routing, unchanged if not applicable
+ */
+function withInstance(rest, instances, allowFanOut) {
+    const schema = rest.length >= 3 ? rest[rest.length - 2] : null;
+    if (instances.length < 2 || !schema || typeof schema !== 'object' || schema.instance) {
+        return rest;
+    }
+
+    const description = allowFanOut
+        ? `Zabbix instance to query (default: ${instances[0]}). Use '${ALL_INSTANCES}' to query every instance and merge the results.`
+        : `Zabbix instance to use (default: ${instances[0]}).`;
+    const instanceSchema = z.enum(allowFanOut ? [...instances, ALL_INSTANCES] : instances).optional().describe(description);
+
+    const handler = rest[rest.length - 1];
+    const instanceHandler = async (args, ...extra) => {
+        const { instance, ...toolArgs } = args || {};
+        const run = () => handler(toolArgs, ...extra);
+
+        if (instance === ALL_INSTANCES) {
+            return await fanOut(instances, run);
+        }
+        return await runWithInstance(instance, run);
+    };
+
+    return [...rest.slice(0, -2), { ...schema, instance: instanceSchema }, instanceHandler];
+}
+
+/**
+ * Check a tool against include/exclude glob patterns
+ * Patterns match either the tool name or its category name.
+ * @param {string} toolName - Tool name
+ * @param {string} category - Tool category
+ * @param {Object} [filters] - { include: Array<string>, exclude: Array<string> }
+ * @returns {boolean} True if the tool should be exposed
+ */
+function isToolAllowed(toolName, category, filters = config.tools) {
+    const { include = [], exclude = [] } = filters || {};
+
+    if (include.length > 0 && !matchesAny(include, toolName, category)) {
+        return false;
+    }
+    return !matchesAny(exclude, toolName, category);
+}
+
+/**
+ * Check whether a whole category is excluded by name
+ * Used to skip loading a category module when no tool in it can be exposed.
+ * @param {string} category - Tool category
+ * @param {Object} [filters] - { include: Array<string>, exclude: Array<string> }
+ * @returns {boolean} True if the category should be skipped
+ */
+function isCategoryExcluded(category, filters = config.tools) {
+    const { exclude = [] } = filters || {};
+    return matchesAny(exclude, category);
+}
+
+/**
+ * Create a registrar that applies policy to tool registration
+ * @param {Object} server - McpServer instance
+ * @param {Object} [options] - Registry options
+ * @param {string} [options.category] - Tool category being registered
+ * @param {boolean} [options.readOnly] - Block write tools (defaults to config.security.readOnly)
+ * @param {string} [options.readOnlyBehavior] - 'hide' to skip write tools, 'refuse' to register them as errors
+ * @param {Object} [options.filters] - Include/exclude patterns (defaults to config.tools)
+ * @param {Function} [options.planner] - Dry-run planner for write tools
+ * @param {Array<string>} [options.confirmTools] - Patterns of write tools that need a confirmation token (defaults to config.security.confirmTools)
+ * @param {ConfirmationStore} [options.confirmations] - Token store for confirmed tools
+ * @param {AuditLog} [options.audit] - Audit trail that records every call
+ * @param {Array<string>} [options.instances] - Zabbix instance names, default first
+ * @param {Array} [options.registered] - Collects { name, category, access, status } for each tool seen
+ * @param {InFlightTracker} [options.tracker] - Counts running calls and refuses new ones during shutdown
+ * @param {Function} [options.outputSchemas] - Resolves a tool name to its outputSchema shape, if any
+ * @param {Function} [options.pagedTools] - Resolves a tool name to its paging spec, if it is a paged list
+ * @returns {Object} Server proxy with a policy-aware tool() method
+ */
+function createToolRegistrar(server, options = {}) {
+    const {
+        category = 'unknown',
+        readOnly = config.security.readOnly,
+        readOnlyBehavior = config.security.readOnlyBehavior,
+        filters = config.tools,
+        planner = planToolCall,
+        confirmTools = config.security.confirmTools,
+        confirmations: store = confirmations,
+        audit = auditLog,
+        instances = getInstanceNames(),
+        registered = [],
+        tracker = inFlight,
+        outputSchemas = getOutputSchema,
+        pagedTools = getPagedTool
+    } = options;
+
+    // Outermost wrappers: dry runs, confirmation requests and refusals are audited and
+    // measured too, and every call runs in its MCP session so the session's own Zabbix
+    // credentials apply. During shutdown new calls are refused and running ones drained.
+    // A thrown error is classified, recorded, and returned as an isError result; any
+    // other result is held to the output budget.
+    // Tools with a declared output schema advertise it, and the SDK then checks their
+    // structuredContent against it; tools that fan out also accept the merged result.
+    function register(name, rest, fanOut = false) {
+        const handler = rest[rest.length - 1];
+        const takesArgs = rest.length >= 3;
+        const sessionHandler = (...callArgs) => tracker.run(async () => {
+            const sessionId = (takesArgs ? callArgs[1] : callArgs[0])?.sessionId;
+            const execution = telemetry.trackToolExecution(name);
+            try {
+                const result = sessionId
+                    ? await runWithSession(sessionId, () => handler(...callArgs))
+                    : await handler(...callArgs);
+                execution.finish(!result?.isError);
+                return result;
+            } catch (error) {
+                const classified = classifyError(error);
+                execution.finish(false, classified);
+                throw classified;
+            }
+        });
+        const auditedHandler = audit.wrapHandler(name, sessionHandler, takesArgs);
+        const errorHandler = async (...callArgs) => {
+            try {
+                return fitToBudget(await auditedHandler(...callArgs));
+            } catch (error) {
+                const classified = classifyError(error);
+                logger.warn(`Tool ${name} failed (${classified.code}): ${classified.message}`);
+                return toToolErrorResult(classified);
+            }
+        };
+        const registeredTool = server.tool(name, ...rest.slice(0, -1), errorHandler);
+        const reportSchema = outputSchemas(name);
+        const outputSchema = reportSchema && fanOut ? withFanOut(reportSchema) : reportSchema;
+        if (outputSchema && registeredTool?.update) {
+            registeredTool.update({ outputSchema });
+        }
+        return registeredTool;
+    }
+
+    function tool(name, ...rest) {
+        const access = getToolAccess(name);
+        const entry = { name, category, access, status: 'registered' };
+        registered.push(entry);
+
+        if (!isToolAllowed(name, category, filters)) {
+            entry.status = 'filtered';
+            logger.debug(`Skipping tool ${name} (excluded by tool filters)`);
+            return undefined;
+        }
+
+        if (readOnly && access === ACCESS.WRITE) {
+            if (readOnlyBehavior === 'refuse') {
+                entry.status = 'refused';
+                logger.debug(`Registering write tool ${name} as refused (read-only mode)`);
+                const refuse = async () => createBlockedResponse(name, 'the server is running in read-only mode.');
+                return register(name, [...rest.slice(0, -1), refuse]);
+            }
+
+            entry.status = 'hidden';
+            logger.debug(`Skipping write tool ${name} (read-only mode)`);
+            return undefined;
+        }
+
+        const allowFanOut = access === ACCESS.READ && FAN_OUT_CATEGORIES.includes(category);
+
+        if (access === ACCESS.WRITE) {
+            const guarded = matchesAny(confirmTools, name, category)
+                ? withConfirmation(name, rest, planner, store)
+                : rest;
+            return register(name, withInstance(withDryRun(name, guarded, planner), instances, false));
+        }
+
+        return register(name, withInstance(withPagination(name, rest, pagedTools(name)), instances, allowFanOut),
+            allowFanOut && instances.length > 1);
+    }
+
+    return new Proxy(server, {
+        get(target, prop) {
+            if (prop === 'tool') {
+                return tool;
+            }
+            const value = Reflect.get(target, prop);
+            return typeof value === 'function' ? value.bind(target) : value;
+        }
+    });
+}
+
+module.exports = {
+    createToolRegistrar,
+    createBlockedResponse,
+    isToolAllowed,
+    isCategoryExcluded
+};
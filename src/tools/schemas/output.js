@@ -0,0 +1,464 @@
+const { z } = require('zod');
+const schemas = require('./index');
+
+/**
+ * Output schemas of the read tools, advertised as MCP outputSchema.
+ *
+ * Zabbix returns whatever fields the caller asked for with output/select*, so every
+ * object schema names the common fields, marks them optional and lets others through.
+ * A tool listed in outputSchemas must return structuredContent matching its shape.
+ */
+
+/**
+ * Zabbix object with an ID and any other fields
+ * @param {string} idField - ID property, e.g. 'actionid'
+ * @param {string} description - What the object is
+ * @param {Object} [fields] - Known fields beyond the ID
+ * @returns {z.ZodObject} Lenient object schema
+ */
+function zabbixObject(idField, description, fields = {}) {
+    return z.object({
+        [idField]: z.string().optional().describe(`${description} ID.`),
+        ...fields
+    }).passthrough().describe(description);
+}
+
+const unixTime = z.string().optional().describe('Unix timestamp as returned by Zabbix.');
+
+const tag = z.object({
+    tag: z.string(),
+    value: z.string().optional()
+}).passthrough();
+
+const hostGroup = zabbixObject('groupid', 'Host group', {
+    groupid: schemas.groupId.optional(),
+    name: z.string().optional()
+});
+
+const template = zabbixObject('templateid', 'Template', {
+    templateid: schemas.templateId.optional(),
+    host: z.string().optional().describe('Technical name.'),
+    name: z.string().optional().describe('Visible name.')
+});
+
+const host = zabbixObject('hostid', 'Host', {
+    hostid: schemas.hostId.optional(),
+    host: z.string().optional().describe('Technical name.'),
+    name: z.string().optional().describe('Visible name.'),
+    status: schemas.hostStatus.optional(),
+    description: z.string().optional(),
+    groups: z.array(hostGroup).optional(),
+    hostgroups: z.array(hostGroup).optional(),
+    interfaces: z.array(zabbixObject('interfaceid', 'Host interface', {
+        ip: z.string().optional(),
+        dns: z.string().optional(),
+        port: z.string().optional(),
+        type: z.string().optional()
+    })).optional(),
+    parentTemplates: z.array(template).optional(),
+    tags: z.array(tag).optional()
+});
+
+const item = zabbixObject('itemid', 'Item', {
+    itemid: schemas.itemId.optional(),
+    hostid: z.string().optional(),
+    name: z.string().optional(),
+    key_: z.string().optional(),
+    value_type: z.string().optional().describe('0 float, 1 character, 2 log, 3 unsigned, 4 text.'),
+    units: z.string().optional(),
+    lastvalue: z.string().optional(),
+    lastclock: unixTime,
+    status: z.string().optional(),
+    state: z.string().optional(),
+    error: z.string().optional()
+});
+
+const trigger = zabbixObject('triggerid', 'Trigger', {
+    triggerid: schemas.triggerId.optional(),
+    description: z.string().optional(),
+    expression: z.string().optional(),
+    priority: schemas.triggerPriority.optional(),
+    value: z.string().optional().describe('0 OK, 1 problem.'),
+    status: z.string().optional(),
+    lastchange: unixTime
+});
+
+const problem = zabbixObject('eventid', 'Problem', {
+    eventid: schemas.eventId.optional(),
+    objectid: z.string().optional().describe('Trigger ID.'),
+    name: z.string().optional(),
+    severity: schemas.triggerPriority.optional(),
+    clock: unixTime,
+    r_eventid: z.string().optional().describe('Recovery event ID, 0 while the problem is open.'),
+    r_clock: unixTime,
+    acknowledged: z.string().optional(),
+    suppressed: z.string().optional(),
+    acknowledges: z.array(z.object({}).passthrough()).optional(),
+    tags: z.array(tag).optional()
+});
+
+const event = zabbixObject('eventid', 'Event', {
+    eventid: schemas.eventId.optional(),
+    source: z.string().optional(),
+    object: z.string().optional(),
+    objectid: z.string().optional(),
+    name: z.string().optional(),
+    value: z.string().optional().describe('0 OK, 1 problem.'),
+    severity: z.string().optional(),
+    clock: unixTime,
+    acknowledged: z.string().optional(),
+    hosts: z.array(host).optional(),
+    tags: z.array(tag).optional()
+});
+
+const historyRecord = z.object({
+    itemid: z.string().optional(),
+    clock: unixTime,
+    ns: z.string().optional(),
+    value: z.string().optional()
+}).passthrough().describe('History value');
+
+const trendRecord = z.object({
+    itemid: z.string().optional(),
+    clock: unixTime,
+    num: z.string().optional(),
+    value_min: z.string().optional(),
+    value_avg: z.string().optional(),
+    value_max: z.string().optional()
+}).passthrough().describe('Hourly trend');
+
+const service = zabbixObject('serviceid', 'Business service', {
+    name: z.string().optional(),
+    status: z.string().optional().describe('-1 OK, otherwise the severity of the worst problem.'),
+    algorithm: z.string().optional()
+});
+
+const slaResult = z.object({
+    serviceid: z.string().optional(),
+    from: z.union([z.number(), z.string()]).optional(),
+    to: z.union([z.number(), z.string()]).optional(),
+    sla: z.union([z.string(), z.number()]).optional().describe('SLA percentage for the interval.'),
+    uptimePercentage: z.string().optional(),
+    downtimePercentage: z.string().optional(),
+    slaStatus: z.string().optional()
+}).passthrough().describe('SLA of a service over one interval');
+
+const count = z.number().int().min(0).describe('Number of objects returned.');
+
+// Set by pagination and the output budget (tools/pagination.js)
+const paging = {
+    total: z.number().int().min(0).optional().describe('Number of objects matching the request across all pages.'),
+    nextCursor: z.string().optional().describe('Pass as cursor, with the same arguments, to get the next page. Absent on the last page.'),
+    truncated: z.boolean().optional().describe('Set when objects were left out to stay within the output size limit.')
+};
+
+/**
+ * Shape of a list result: { count, [key]: objects, total?, nextCursor?, truncated? }
+ * @param {string} key - Property holding the list
+ * @param {z.ZodTypeAny} objectSchema - Schema of one object
+ * @returns {Object} Raw zod shape
+ */
+function listOf(key, objectSchema) {
+    return { count, [key]: z.array(objectSchema), ...paging };
+}
+
+// Intelligence and analytics reports: a summary, the report's own fields and when it was built
+const report = {
+    summary: z.string().describe('The report in a sentence or two.'),
+    timestamp: z.string().describe('ISO 8601 time the report was built.'),
+    truncated: paging.truncated
+};
+
+const total = z.number().int().min(0);
+
+const reportHost = z.object({
+    name: z.string().optional(),
+    severity: z.string().optional().describe('Severity name, e.g. High.'),
+    host: z.string().optional().describe('Host name.'),
+    duration: z.string().optional().describe('How long the problem has been open, e.g. 42 minutes.')
+}).passthrough();
+
+const correlatedProblem = z.object({
+    eventid: z.string(),
+    name: z.string().optional(),
+    host: z.string().optional().describe('Host names, comma separated.'),
+    severity: z.string().optional(),
+    started: z.string().optional().describe('ISO 8601 start.'),
+    acknowledged: z.boolean().optional()
+}).passthrough();
+
+const period = z.object({ from: z.string(), till: z.string() }).describe('ISO 8601 period analyzed.');
+
+const durations = z.object({
+    count: total,
+    mean: z.number().optional(),
+    median: z.number().optional(),
+    p90: z.number().optional(),
+    p95: z.number().optional(),
+    max: z.number().optional(),
+    readable: z.string().optional()
+}).describe('Durations in seconds; only count is set when there were none.');
+
+const responseStats = {
+    problems: total,
+    acknowledged: total,
+    resolved: total,
+    mtta: durations.describe('Time to acknowledge, seconds.'),
+    mttr: durations.describe('Time to resolve, seconds.')
+};
+
+const triggerSummary = z.object({
+    triggerid: z.string(),
+    name: z.string().optional(),
+    hosts: z.array(z.string()),
+    problems: total
+}).passthrough();
+
+const outputSchemas = {
+    zabbix_host_get: {
+        ...listOf('hosts', host),
+        notes: z.array(z.string()).optional().describe('Host identifier resolution notes.')
+    },
+    zabbix_get_hostgroups: listOf('hostGroups', hostGroup),
+    zabbix_get_templates: listOf('templates', template),
+    zabbix_get_items: listOf('items', item),
+    zabbix_get_latest_data: listOf('items', item),
+    zabbix_get_triggers: listOf('triggers', trigger),
+    zabbix_get_problems: listOf('problems', problem),
+    zabbix_get_events: listOf('events', event),
+    zabbix_get_history: listOf('history', historyRecord),
+    zabbix_get_trends: listOf('trends', trendRecord),
+    zabbix_get_item_history_range: {
+        item: item.nullable().describe('Item the values belong to, null when item info was not requested.'),
+        timeRange: z.object({
+            from: z.string().describe('ISO 8601 start.'),
+            to: z.string().describe('ISO 8601 end.'),
+            hoursBack: z.number().int()
+        }),
+        ...listOf('history', historyRecord)
+    },
+    zabbix_get_maintenance: listOf('maintenances', zabbixObject('maintenanceid', 'Maintenance period', {
+        maintenanceid: schemas.maintenanceId.optional(),
+        name: z.string().optional(),
+        active_since: unixTime,
+        active_till: unixTime
+    })),
+    zabbix_get_services: listOf('services', service),
+    zabbix_get_service_sla: listOf('sla', slaResult),
+    zabbix_get_users: listOf('users', zabbixObject('userid', 'User', {
+        username: z.string().optional(),
+        name: z.string().optional(),
+        surname: z.string().optional()
+    })),
+    zabbix_get_usergroups: listOf('userGroups', zabbixObject('usrgrpid', 'User group', { name: z.string().optional() })),
+    zabbix_get_proxies: listOf('proxies', zabbixObject('proxyid', 'Proxy', { name: z.string().optional() })),
+    zabbix_get_dashboards: listOf('dashboards', zabbixObject('dashboardid', 'Dashboard', { name: z.string().optional() })),
+    zabbix_get_maps: listOf('maps', zabbixObject('sysmapid', 'Network map', { name: z.string().optional() })),
+    zabbix_get_value_maps: listOf('valueMaps', zabbixObject('valuemapid', 'Value map', { name: z.string().optional() })),
+    zabbix_get_icon_maps: listOf('iconMaps', zabbixObject('iconmapid', 'Icon map', { name: z.string().optional() })),
+    zabbix_get_media_types: listOf('mediaTypes', zabbixObject('mediatypeid', 'Media type', { name: z.string().optional() })),
+    zabbix_get_user_media: listOf('media', zabbixObject('mediaid', 'User media', { sendto: z.unknown().optional() })),
+    zabbix_get_alerts: listOf('alerts', zabbixObject('alertid', 'Alert', {
+        eventid: z.string().optional(),
+        subject: z.string().optional(),
+        status: z.string().optional(),
+        clock: unixTime
+    })),
+    zabbix_get_scripts: listOf('scripts', zabbixObject('scriptid', 'Script', { name: z.string().optional() })),
+    zabbix_get_script_execution_history: listOf('events', zabbixObject('eventid', 'Script execution event')),
+    zabbix_get_actions: listOf('actions', zabbixObject('actionid', 'Action', { name: z.string().optional() })),
+    zabbix_get_correlations: listOf('correlations', zabbixObject('correlationid', 'Event correlation', { name: z.string().optional() })),
+    zabbix_get_discovery_rules: listOf('discoveryRules', zabbixObject('itemid', 'Discovery rule', { name: z.string().optional() })),
+    zabbix_get_discovered_hosts: listOf('discoveredHosts', zabbixObject('dhostid', 'Discovered host')),
+    zabbix_get_discovered_services: listOf('discoveredServices', zabbixObject('dserviceid', 'Discovered service')),
+    zabbix_get_infrastructure_health: {
+        ...report,
+        healthScore: z.number().int().min(0).max(100),
+        status: z.string().describe('Excellent, Good, Warning or Critical.'),
+        hosts: z.object({ total, available: total, unavailable: total, unknown: total }).describe('Monitored hosts by availability.'),
+        problems: z.object({ total, bySeverity: z.record(total) }),
+        actionItems: z.array(reportHost).describe('Up to 10 open high and critical problems.')
+    },
+    zabbix_get_critical_issues: {
+        ...report,
+        total,
+        unacknowledged: total,
+        issues: z.array(z.object({
+            id: z.string().optional().describe('Problem event ID.'),
+            title: z.string().optional(),
+            severity: z.string().optional(),
+            host: z.string().optional(),
+            duration: z.string().optional(),
+            acknowledged: z.boolean().optional(),
+            tags: z.string().optional().describe('Tags as tag:value, comma separated.')
+        }).passthrough())
+    },
+    zabbix_correlate_problems: {
+        ...report,
+        totalProblems: total,
+        incidents: total.describe('Number of incidents.'),
+        timeWindow: z.number().int().optional().describe('Seconds between problem starts that counted as related.'),
+        clusters: z.array(z.object({
+            id: z.number().int(),
+            size: total.describe('Problems in the incident.'),
+            severity: z.string().optional().describe('Highest severity in the incident.'),
+            root: correlatedProblem.describe('Probable root problem.'),
+            rootReason: z.string(),
+            hosts: z.array(z.string()),
+            firstSeen: z.string(),
+            lastSeen: z.string(),
+            signals: z.array(z.string()).describe('Why the problems were joined, e.g. trigger dependency or same host.'),
+            problems: z.array(correlatedProblem)
+        }).passthrough()).describe('Incidents, largest first.')
+    },
+    zabbix_get_timeline: {
+        ...report,
+        truncated: z.union([z.array(z.string()), z.boolean()]).optional()
+            .describe('Sources that hit the per-source limit, or true when the output size limit shortened the timeline.'),
+        window: z.object({ from: z.string(), till: z.string() }).describe('ISO 8601 window covered.'),
+        hosts: z.array(z.string()).describe('Hosts covered.'),
+        counts: z.record(total).describe('Entries by type.'),
+        entries: z.array(z.object({
+            time: z.string().describe('ISO 8601 time.'),
+            type: z.string().describe('problem, recovery, acknowledgement, notification, notification_failed, remote_command, script, maintenance_start, maintenance_end, maintenance or config_change.'),
+            host: z.string().nullable().optional(),
+            summary: z.string(),
+            eventid: z.string().optional(),
+            fields: z.array(z.string()).optional().describe('Fields a configuration change touched.')
+        }).passthrough()).describe('Entries, oldest first.'),
+        unavailable: z.array(z.string()).optional().describe('Sources that could not be read, with the reason.')
+    },
+    zabbix_get_problem_analytics: {
+        ...report,
+        period,
+        totals: z.object({ problems: total, acknowledged: total, resolved: total, open: total }),
+        mtta: durations.optional(),
+        mttr: durations.optional(),
+        bySeverity: z.array(z.object({ severity: z.string(), ...responseStats }).passthrough()).optional(),
+        byHostGroup: z.array(z.object({ groupid: z.string(), name: z.string().optional(), ...responseStats }).passthrough()).optional(),
+        byTrigger: z.array(triggerSummary.extend({ reopened: total, ...responseStats })).optional(),
+        noise: z.object({
+            mostFlapping: z.array(triggerSummary.extend({ reopened: total })),
+            shortestLived: z.array(triggerSummary.extend({ medianDuration: z.number(), readable: z.string() })),
+            neverAcknowledged: z.array(triggerSummary)
+        }).optional(),
+        flapWindow: z.number().int().optional().describe('Seconds after a recovery within which a new problem counts as reopened.')
+    },
+    zabbix_detect_flapping_triggers: {
+        ...report,
+        period,
+        triggersWithEvents: total.describe('Triggers that changed state in the period.'),
+        flapping: z.array(z.object({
+            triggerid: z.string(),
+            description: z.string().optional(),
+            hosts: z.array(z.string()).optional(),
+            severity: z.string().optional(),
+            expression: z.string().optional(),
+            recoveryExpression: z.string().optional(),
+            transitions: total,
+            problems: total,
+            perHour: z.number(),
+            peakPerHour: total.describe('Transitions in the busiest hour.'),
+            medianProblemDuration: z.string().optional(),
+            item: z.object({}).passthrough().optional().describe('The numeric item the trigger compares.'),
+            values: z.object({}).passthrough().optional().describe('Percentiles of the item\'s values in the period.'),
+            proposals: z.array(z.object({
+                kind: z.string().describe('sustained, average, hysteresis or threshold.'),
+                rationale: z.string(),
+                update: z.object({ triggerid: z.string() }).passthrough().describe('trigger.update parameters.'),
+                plan: z.object({}).passthrough().describe('Dry-run plan of the update, with before and after values.')
+            })).optional(),
+            notes: z.array(z.string()).optional(),
+            note: z.string().optional()
+        }).passthrough()).describe('Flapping triggers, busiest first.')
+    },
+    zabbix_get_system_overview: {
+        ...report,
+        hosts: z.number().int().describe('Monitored hosts.'),
+        problems: z.number().int().describe('Open problems.'),
+        activeTriggers: z.number().int().describe('Enabled triggers in problem state.'),
+        maintenance: z.object({
+            total,
+            active: total,
+            windows: z.array(z.object({
+                name: z.string().optional(),
+                since: z.string().optional(),
+                till: z.string().optional().describe('ISO 8601 end, or Indefinite.'),
+                hosts: z.string().optional()
+            }).passthrough())
+        })
+    },
+    zabbix_get_last_24_hours_summary: {
+        ...report,
+        total,
+        problems: z.array(reportHost.extend({ time: z.string().optional() })).describe('The 10 most recent problems.')
+    },
+    zabbix_get_actionable_items: {
+        ...report,
+        total,
+        highPriority: total,
+        items: z.array(z.object({
+            type: z.string().describe('Unacknowledged Problem or Unavailable Host.'),
+            priority: z.string().describe('High or Medium.'),
+            title: z.string().optional(),
+            host: z.string().optional(),
+            action: z.string().optional().describe('Suggested next step.'),
+            duration: z.string().optional(),
+            group: z.string().optional()
+        }).passthrough())
+    },
+    zabbix_get_performance_alerts: {
+        ...report,
+        total,
+        categories: z.object({ cpu: total, memory: total, disk: total, network: total }),
+        alerts: z.array(z.object({
+            host: z.string().optional(),
+            alert: z.string().optional().describe('Trigger description.'),
+            severity: z.string().optional(),
+            metric: z.string().optional().describe('Item name.'),
+            key: z.string().optional().describe('Item key.'),
+            duration: z.string().optional()
+        }).passthrough())
+    },
+    zabbix_query_audit_trail: listOf('records', z.object({
+        timestamp: z.string().optional(),
+        type: z.string().optional(),
+        tool: z.string().optional(),
+        status: z.string().optional()
+    }).passthrough().describe('Audit record'))
+};
+
+const schemasByTool = new Map(Object.entries(outputSchemas));
+
+/**
+ * Output schema of a report tool that also runs with instance: "all" (tools/registry.js
+ * fanOut). Such a call returns each instance's report, or the error it failed with, under
+ * instances; the report's own fields are then absent, so they become optional.
+ * @param {Object} shape - Raw zod shape of one report
+ * @returns {Object} Raw zod shape accepting a report or a fan-out result
+ */
+function withFanOut(shape) {
+    const failure = z.object({
+        error: z.object({ code: z.string(), message: z.string() }).passthrough()
+    }).describe('Error the instance failed with.');
+    return {
+        ...Object.fromEntries(Object.entries(shape).map(([key, field]) => [key, field.optional()])),
+        instances: z.record(z.union([z.object(shape).passthrough(), failure])).optional()
+            .describe('Result of each instance by name, set when called with instance "all".')
+    };
+}
+
+/**
+ * Output schema of a tool
+ * @param {string} toolName - Tool name
+ * @returns {Object|undefined} Raw zod shape, undefined for tools that return text only
+ */
+function getOutputSchema(toolName) {
+    return schemasByTool.get(toolName);
+}
+
+module.exports = {
+    outputSchemas,
+    getOutputSchema,
+    withFanOut
+};
@@ -1,6 +1,7 @@
 const { logger } = require('../utils/logger');
 const api = require('../api');
 const { z } = require('zod');
+const { createListResponse } = require('./utils');
 
 function registerTools(server) {
     // Get scripts
@@ -43,12 +44,7 @@ function registerTools(server) {
                 const scripts = await api.getScripts(apiParams);
                 
                 logger.info(`Retrieved ${scripts.length} scripts`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${scripts.length} scripts:\n\n${JSON.stringify(scripts, null, 2)}`
-                    }]
-                };
+                return createListResponse('scripts', 'scripts', scripts);
             } catch (error) {
                 logger.error('Error getting scripts:', error.message);
                 throw error;
@@ -245,12 +241,7 @@ function registerTools(server) {
                 }));
                 
                 logger.info(`Retrieved ${events.length} script execution events`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${events.length} script execution events:\n\n${JSON.stringify(formattedEvents, null, 2)}`
-                    }]
-                };
+                return createListResponse('events', 'script execution events', formattedEvents);
             } catch (error) {
                 logger.error('Error getting script execution history:', error.message);
                 throw error;
@@ -1,6 +1,7 @@
 const { logger } = require('../utils/logger');
 const api = require('../api');
 const { z } = require('zod');
+const { createListResponse } = require('./utils');
 
 function registerTools(server) {
     // Get services
@@ -51,12 +52,7 @@ function registerTools(server) {
                 const services = await api.getServices(apiParams);
                 
                 logger.info(`Retrieved ${services.length} services`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${services.length} services:\n\n${JSON.stringify(services, null, 2)}`
-                    }]
-                };
+                return createListResponse('services', 'services', services);
             } catch (error) {
                 logger.error('Error getting services:', error.message);
                 throw error;
@@ -228,12 +224,7 @@ function registerTools(server) {
                 const slaData = await api.getServiceSLA(serviceids, intervals);
                 
                 logger.info(`Retrieved SLA data for ${serviceids.length} services`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `SLA data for services:\n\n${JSON.stringify(slaData, null, 2)}`
-                    }]
-                };
+                return createListResponse('sla', 'SLA results', slaData);
             } catch (error) {
                 logger.error('Error getting service SLA:', error.message);
                 throw error;
@@ -1,6 +1,7 @@
 const { logger } = require('../utils/logger');
 const api = require('../api');
 const { z } = require('zod');
+const { createListResponse } = require('./utils');
 
 function registerTools(server) {
     // Get templates
@@ -43,12 +44,7 @@ function registerTools(server) {
                 const templates = await api.getTemplates(apiParams);
                 
                 logger.info(`Retrieved ${templates.length} templates`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${templates.length} templates:\n\n${JSON.stringify(templates, null, 2)}`
-                    }]
-                };
+                return createListResponse('templates', 'templates', templates);
             } catch (error) {
                 logger.error('Error getting templates:', error.message);
                 throw error;
@@ -1,6 +1,7 @@
 const { logger } = require('../utils/logger');
 const api = require('../api');
 const { z } = require('zod');
+const { createListResponse } = require('./utils');
 
 function registerTools(server) {
     // Get triggers
@@ -53,12 +54,7 @@ function registerTools(server) {
                 const triggers = await api.getTriggers(apiParams);
                 
                 logger.info(`Retrieved ${triggers.length} triggers`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${triggers.length} triggers:\n\n${JSON.stringify(triggers, null, 2)}`
-                    }]
-                };
+                return createListResponse('triggers', 'triggers', triggers);
             } catch (error) {
                 logger.error('Error getting triggers:', error.message);
                 throw error;
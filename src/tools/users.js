@@ -1,6 +1,7 @@
 const { logger } = require('../utils/logger');
 const api = require('../api');
 const { z } = require('zod');
+const { createListResponse } = require('./utils');
 
 function registerTools(server) {
     // Get users
@@ -43,12 +44,7 @@ function registerTools(server) {
                 const users = await api.getUsers(apiParams);
                 
                 logger.info(`Retrieved ${users.length} users`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${users.length} users:\n\n${JSON.stringify(users, null, 2)}`
-                    }]
-                };
+                return createListResponse('users', 'users', users);
             } catch (error) {
                 logger.error('Error getting users:', error.message);
                 throw error;
@@ -207,12 +203,7 @@ function registerTools(server) {
                 const userGroups = await api.getUserGroups(apiParams);
                 
                 logger.info(`Retrieved ${userGroups.length} user groups`);
-                return {
-                    content: [{
-                        type: 'text',
-                        text: `Found ${userGroups.length} user groups:\n\n${JSON.stringify(userGroups, null, 2)}`
-                    }]
-                };
+                return createListResponse('userGroups', 'user groups', userGroups);
             } catch (error) {
                 logger.error('Error getting user groups:', error.message);
                 throw error;
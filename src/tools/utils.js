@@ -57,6 +57,40 @@ function createToolResponse(result, options = {}) {
     };
 }
 
+/**
+ * Creates a response carrying typed data for tools that declare an outputSchema.
+ * The summary is what a human reads; the data follows as plain JSON in a second
+ * block for clients that do not read structuredContent.
+ * @param {string} summary - One-line summary, e.g. 'Found 3 hosts.'
+ * @param {Object} data - Structured content matching the tool's outputSchema
+ * @returns {Object} Tool result with content and structuredContent
+ */
+function createStructuredResponse(summary, data) {
+    return {
+        content: [
+            { type: 'text', text: summary },
+            { type: 'text', text: JSON.stringify(data, null, 2) }
+        ],
+        structuredContent: data
+    };
+}
+
+/**
+ * Creates a structured response for a list of Zabbix objects
+ * @param {string} key - Property holding the list, e.g. 'hosts'
+ * @param {string} noun - Plural noun for the summary, e.g. 'hosts'
+ * @param {Array|string|number} result - API result; a count when countOutput was requested
+ * @param {Object} [extra] - Additional structured properties
+ * @returns {Object} Tool result with { count, [key]: objects }
+ */
+function createListResponse(key, noun, result, extra = {}) {
+    if (!Array.isArray(result)) {
+        const count = parseInt(result, 10) || 0;
+        return createStructuredResponse(`Counted ${count} ${noun}.`, { count, [key]: [], ...extra });
+    }
+    return createStructuredResponse(`Found ${result.length} ${noun}.`, { count: result.length, [key]: result, ...extra });
+}
+
 /**
  * Creates a formatted error response
  * @param {Error} error - The error object
@@ -142,6 +176,8 @@ function formatAsTable(data) {
 
 module.exports = {
     createToolResponse,
+    createStructuredResponse,
+    createListResponse,
     createErrorResponse,
     formatBytes,
     formatAsTable
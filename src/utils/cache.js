@@ -1,5 +1,24 @@
 const { logger } = require('./logger');
 
+/**
+ * Copy a value with object keys sorted recursively so equal params serialize identically
+ * Array order is kept: it is significant for fields like sortfield.
+ */
+function normalizeParams(value) {
+    if (Array.isArray(value)) {
+        return value.map(normalizeParams);
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value)
+            .sort()
+            .reduce((result, key) => {
+                result[key] = normalizeParams(value[key]);
+                return result;
+            }, {});
+    }
+    return value;
+}
+
 /**
  * Enhanced in-memory cache with TTL, LRU eviction, and statistics
  */
@@ -98,6 +117,17 @@ class EnhancedCache {
         return true;
     }
 
+    /**
+     * Delete every entry whose key starts with one of the given prefixes
+     * @param {...string} prefixes - Key prefixes
+     * @returns {number} Number of entries removed
+     */
+    deleteByPrefix(...prefixes) {
+        const keys = [...this.cache.keys()].filter(key => prefixes.some(prefix => key.startsWith(prefix)));
+        keys.forEach(key => this.delete(key));
+        return keys.length;
+    }
+
     clear() {
         const size = this.cache.size;
         this.cache.clear();
@@ -177,15 +207,8 @@ class APICache extends EnhancedCache {
     }
 
     generateKey(endpoint, params = {}) {
-        // Create a deterministic key from endpoint and parameters
-        const sortedParams = Object.keys(params)
-            .sort()
-            .reduce((result, key) => {
-                result[key] = params[key];
-                return result;
-            }, {});
-        
-        return `${endpoint}:${JSON.stringify(sortedParams)}`;
+        // Create a deterministic key from endpoint and parameters, sorting keys at every level
+        return `${endpoint}:${JSON.stringify(normalizeParams(params || {}))}`;
     }
 
     cacheApiCall(endpoint, params, fn, ttl = null) {
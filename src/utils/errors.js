@@ -1,97 +1,267 @@
-class UpGuardError extends Error {
-    constructor(message, code, details = {}) {
-        super(message);
+/**
+ * Zabbix Error Taxonomy
+ *
+ * Every failure a tool can hit is classified into one of a few error classes, each
+ * with a stable machine-readable code, a hint for the caller and a retryable flag.
+ * classifyError() builds them from Zabbix JSON-RPC errors (code, message, data),
+ * transport failures and the server's own errors; toToolErrorResult() turns them
+ * into the isError result a tool returns.
+ */
+
+// Zabbix JSON-RPC error codes
+const JSON_RPC = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    APPLICATION_ERROR: -32500,
+    TRANSPORT_ERROR: -32300
+};
+
+class ZabbixMcpError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {Object} [options] - Error details
+     * @param {string} [options.code] - Machine-readable code
+     * @param {string} [options.hint] - What the caller can do about it
+     * @param {boolean} [options.retryable] - Whether repeating the call may succeed
+     * @param {number} [options.retryAfter] - Seconds to wait before retrying
+     * @param {number} [options.zabbixCode] - Zabbix JSON-RPC error code
+     * @param {Error} [options.cause] - Original error
+     */
+    constructor(message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
         this.name = this.constructor.name;
-        this.code = code;
-        this.details = details;
-        Error.captureStackTrace(this, this.constructor);
+        this.code = options.code || 'INTERNAL_ERROR';
+        this.hint = options.hint || 'Check the server log for details.';
+        this.retryable = options.retryable || false;
+        this.retryAfter = options.retryAfter;
+        this.zabbixCode = options.zabbixCode;
     }
-}
 
-class ValidationError extends UpGuardError {
-    constructor(message, details = {}) {
-        super(message, 'VALIDATION_ERROR', details);
+    /**
+     * Machine-readable form for tool results
+     * @returns {Object} { code, message, hint, retryable, retryAfter?, zabbixCode? }
+     */
+    toJSON() {
+        return {
+            code: this.code,
+            message: this.message,
+            hint: this.hint,
+            retryable: this.retryable,
+            ...(this.retryAfter !== undefined && { retryAfter: this.retryAfter }),
+            ...(this.zabbixCode !== undefined && { zabbixCode: this.zabbixCode })
+        };
     }
 }
 
-class RateLimitError extends UpGuardError {
-    constructor(message, details = {}) {
-        super(message, 'RATE_LIMIT_ERROR', details);
+class ZabbixAuthError extends ZabbixMcpError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'AUTH_EXPIRED',
+            hint: 'The Zabbix session or API token is no longer valid. Log in again (zabbix_session_login) or replace the token.',
+            ...options
+        });
     }
 }
 
-class ApiError extends UpGuardError {
-    constructor(message, statusCode, details = {}) {
-        super(message, 'API_ERROR', { ...details, statusCode });
+class ZabbixPermissionError extends ZabbixMcpError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'PERMISSION_DENIED',
+            hint: 'The Zabbix user lacks the role or host group permissions for this call. Ask an administrator or use another account.',
+            ...options
+        });
     }
 }
 
-class ConfigurationError extends UpGuardError {
-    constructor(message, details = {}) {
-        super(message, 'CONFIGURATION_ERROR', details);
+class ZabbixNotFoundError extends ZabbixMcpError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'NOT_FOUND',
+            hint: 'The object does not exist, or the Zabbix user cannot see it. Look the ID up again before retrying.',
+            ...options
+        });
     }
 }
 
-class AuthenticationError extends UpGuardError {
-    constructor(message, details = {}) {
-        super(message, 'AUTHENTICATION_ERROR', details);
+class ZabbixValidationError extends ZabbixMcpError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'VALIDATION_ERROR',
+            hint: 'Zabbix rejected the parameters. Fix the arguments named in the message; repeating the same call will fail again.',
+            ...options
+        });
     }
 }
 
-// Error handler function
-function handleError(error) {
-    if (error instanceof UpGuardError) {
-        return {
-            code: error.code,
-            message: error.message,
-            details: error.details
-        };
+class ZabbixRateLimitError extends ZabbixMcpError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'RATE_LIMITED',
+            hint: 'Too many requests. Wait before retrying.',
+            retryable: true,
+            ...options
+        });
     }
+}
 
-    // Handle unknown errors
-    return {
-        code: 'UNKNOWN_ERROR',
-        message: 'An unexpected error occurred',
-        details: {
-            originalError: error.message
-        }
-    };
+class ZabbixUnavailableError extends ZabbixMcpError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'ZABBIX_UNAVAILABLE',
+            hint: 'The Zabbix API cannot be reached right now. Retry later.',
+            retryable: true,
+            ...options
+        });
+    }
 }
 
-// Validation helper
-function validateConfig(config, requiredFields) {
-    const missing = requiredFields.filter(field => !(field in config));
-    if (missing.length > 0) {
-        throw new ConfigurationError('Missing required configuration fields', {
-            missingFields: missing
+class ZabbixTimeoutError extends ZabbixMcpError {
+    constructor(message, options = {}) {
+        super(message, {
+            code: 'TIMEOUT',
+            hint: 'Zabbix did not answer in time. Retry, or narrow the request (filters, limit, shorter time range).',
+            retryable: true,
+            ...options
         });
     }
 }
 
-// API error helper
-function handleApiResponse(response) {
-    if (response.status >= 400) {
-        throw new ApiError(
-            response.data?.message || 'API request failed',
-            response.status,
-            {
-                endpoint: response.config?.url,
-                method: response.config?.method,
-                response: response.data
-            }
-        );
-    }
-    return response;
+// Message fragments, checked in order; Zabbix reports most conditions only in message/data text
+const MESSAGE_RULES = [
+    [/session terminated|re-login|not authori[sz]ed|api token expired|token (?:has )?expired|incorrect user name or password|login name or password is incorrect/i, ZabbixAuthError],
+    [/no permissions to referred object or it does not exist|does not exist|not found|no such/i, ZabbixNotFoundError],
+    [/no permissions?|permission denied|you do not have permission|not allowed/i, ZabbixPermissionError],
+    [/rate limit|too many requests/i, ZabbixRateLimitError],
+    [/timed? ?out|timeout|etimedout|econnaborted/i, ZabbixTimeoutError],
+    [/zabbix unavailable|econnrefused|enotfound|econnreset|eai_again|socket hang up|fetch failed|bad gateway|service unavailable|gateway timeout|network/i, ZabbixUnavailableError],
+    [/invalid param|incorrect (?:value|arguments?)|value .* expected|is missing|cannot be empty|unexpected parameter|must be|already exists|invalid/i, ZabbixValidationError]
+];
+
+// Wrapped errors whose causes are followed when classifying
+const MAX_CAUSE_DEPTH = 5;
+
+const PROTOCOL_ERRORS = [JSON_RPC.PARSE_ERROR, JSON_RPC.INVALID_REQUEST, JSON_RPC.METHOD_NOT_FOUND];
+
+const TRANSPORT_CODES = {
+    ECONNREFUSED: ZabbixUnavailableError,
+    ENOTFOUND: ZabbixUnavailableError,
+    ECONNRESET: ZabbixUnavailableError,
+    EAI_AGAIN: ZabbixUnavailableError,
+    CIRCUIT_OPEN: ZabbixUnavailableError,
+    ETIMEDOUT: ZabbixTimeoutError,
+    ECONNABORTED: ZabbixTimeoutError
+};
+
+/**
+ * Text Zabbix put in an error: "message data" for JSON-RPC errors, else the message
+ * @param {Error} error - Raw error
+ * @returns {string} Error text
+ */
+function errorText(error) {
+    const message = String(error?.message || error || '');
+    const data = typeof error?.data === 'string' ? error.data : '';
+    return data && !message.includes(data) ? `${message} ${data}` : message;
+}
+
+/**
+ * Classify any error into the taxonomy
+ * @param {*} error - Error thrown by a handler, the API layer or zabbix-utils
+ * @returns {ZabbixMcpError} Classified error; already-classified errors are returned as they are
+ */
+function classifyError(error) {
+    return classify(error, 0);
+}
+
+function classify(error, depth) {
+    if (error instanceof ZabbixMcpError) {
+        return error;
+    }
+    // API modules wrap errors as "Failed to ...: <original>" with the original as cause;
+    // keep the classification of the original and the context of the wrapper message
+    if (error?.cause && depth < MAX_CAUSE_DEPTH) {
+        const inner = classify(error.cause, depth + 1);
+        if (inner.code !== 'INTERNAL_ERROR') {
+            // The wrapper repeats only the cause's message; put the Zabbix data back in
+            const causeMessage = error.cause.message;
+            const message = causeMessage && error.message.endsWith(causeMessage)
+                ? error.message.slice(0, -causeMessage.length) + inner.message
+                : error.message;
+            const wrapped = Object.create(Object.getPrototypeOf(inner));
+            return Object.assign(wrapped, inner, { message, stack: error.stack, cause: error });
+        }
+    }
+
+    const text = errorText(error);
+    const options = { cause: error instanceof Error ? error : undefined };
+    const zabbixCode = typeof error?.code === 'number' ? error.code : undefined;
+    if (zabbixCode !== undefined) {
+        options.zabbixCode = zabbixCode;
+    }
+
+    if (typeof error?.code === 'string' && Object.prototype.hasOwnProperty.call(TRANSPORT_CODES, error.code)) {
+        const ErrorClass = TRANSPORT_CODES[error.code];
+        return new ErrorClass(text, { ...options, retryAfter: error.retryAfter });
+    }
+
+    const status = error?.response?.status || error?.status;
+    if (status === 429) {
+        return new ZabbixRateLimitError(text, options);
+    }
+    if (status === 502 || status === 503 || status === 504) {
+        return new ZabbixUnavailableError(text, options);
+    }
+
+    // Malformed requests; Zabbix reports everything else as -32602/-32500 with the reason in data
+    if (PROTOCOL_ERRORS.includes(zabbixCode)) {
+        return new ZabbixValidationError(text, options);
+    }
+
+    const rule = MESSAGE_RULES.find(([pattern]) => pattern.test(text));
+    if (rule) {
+        const [, ErrorClass] = rule;
+        return new ErrorClass(text, options);
+    }
+
+    switch (zabbixCode) {
+    case JSON_RPC.INVALID_PARAMS:
+        return new ZabbixValidationError(text, options);
+    case JSON_RPC.TRANSPORT_ERROR:
+        return new ZabbixUnavailableError(text, options);
+    default:
+        return new ZabbixMcpError(text || 'Unknown error', options);
+    }
+}
+
+/**
+ * Build the isError result a tool returns for a failure
+ * @param {*} error - Any error
+ * @returns {Object} CallToolResult with the error as JSON text and structuredContent
+ */
+function toToolErrorResult(error) {
+    const payload = { error: classifyError(error).toJSON() };
+    return {
+        content: [{
+            type: 'text',
+            text: JSON.stringify(payload, null, 2)
+        }],
+        structuredContent: payload,
+        isError: true
+    };
 }
 
 module.exports = {
-    UpGuardError,
-    ValidationError,
-    RateLimitError,
-    ApiError,
-    ConfigurationError,
-    AuthenticationError,
-    handleError,
-    validateConfig,
-    handleApiResponse
-}; 
+    JSON_RPC,
+    ZabbixMcpError,
+    ZabbixAuthError,
+    ZabbixPermissionError,
+    ZabbixNotFoundError,
+    ZabbixValidationError,
+    ZabbixRateLimitError,
+    ZabbixUnavailableError,
+    ZabbixTimeoutError,
+    classifyError,
+    toToolErrorResult
+};
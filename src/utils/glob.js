@@ -0,0 +1,71 @@
+/**
+ * Minimal glob matching for configuration patterns
+ *
+ * Supports '*' (any run of characters) and '?' (any single character).
+ * Implemented without dynamic RegExp construction so patterns from the
+ * environment can never produce pathological expressions.
+ */
+
+/**
+ * Test a value against a glob pattern
+ * @param {string} pattern - Glob pattern (e.g. 'zabbix_delete_*')
+ * @param {string} value - Value to test
+ * @returns {boolean} True if the whole value matches the pattern
+ */
+function matchesGlob(pattern, value) {
+    const p = String(pattern);
+    const v = String(value);
+    let pi = 0;
+    let vi = 0;
+    let starPi = -1;
+    let starVi = 0;
+
+    while (vi < v.length) {
+        if (pi < p.length && (p.charAt(pi) === '?' || p.charAt(pi) === v.charAt(vi))) {
+            pi++;
+            vi++;
+        } else if (pi < p.length && p.charAt(pi) === '*') {
+            starPi = pi++;
+            starVi = vi;
+        } else if (starPi !== -1) {
+            pi = starPi + 1;
+            vi = ++starVi;
+        } else {
+            return false;
+        }
+    }
+
+    while (pi < p.length && p.charAt(pi) === '*') {
+        pi++;
+    }
+
+    return pi === p.length;
+}
+
+/**
+ * Test whether any of the given values matches any of the patterns
+ * @param {Array<string>} patterns - Glob patterns
+ * @param {...string} values - Values to test
+ * @returns {boolean} True on the first match
+ */
+function matchesAny(patterns, ...values) {
+    return patterns.some(pattern => values.some(value => value !== undefined && matchesGlob(pattern, value)));
+}
+
+/**
+ * Parse a comma separated environment value into a trimmed list
+ * @param {string} value - Raw value (e.g. 'hosts, problems,zabbix_get_*')
+ * @returns {Array<string>} List of non-empty entries
+ */
+function parseList(value) {
+    if (!value) {
+        return [];
+    }
+    return String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+module.exports = {
+    matchesGlob,
+    matchesAny,
+    parseList
+};
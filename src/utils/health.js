@@ -1,9 +1,15 @@
 /* eslint-disable security/detect-object-injection */
 const os = require('os');
+const config = require('../config');
 
 class HealthMonitor {
-    constructor() {
+    /**
+     * @param {Object} [options] - Monitor options
+     * @param {number} [options.checkTimeout] - Milliseconds before a check counts as failed (default 5000)
+     */
+    constructor(options = {}) {
         this.startTime = Date.now();
+        this.checkTimeout = options.checkTimeout || 5000;
         this.healthChecks = new Map();
         this.metrics = {
             requests: 0,
@@ -23,6 +29,32 @@ class HealthMonitor {
         }
     }
 
+    /**
+     * Liveness: the process is up and its event loop responds. Never touches Zabbix.
+     * @returns {Object} { status, uptime, timestamp }
+     */
+    getLiveness() {
+        return {
+            status: 'ok',
+            uptime: Math.floor((Date.now() - this.startTime) / 1000),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Run a check, failing it when it takes longer than checkTimeout
+     * @param {string} name - Check name
+     * @param {Function} checkFn - Check function
+     * @returns {Promise<Object>} Check result
+     */
+    runCheck(name, checkFn) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Health check ${name} timed out after ${this.checkTimeout} ms`)), this.checkTimeout);
+        });
+        return Promise.race([Promise.resolve().then(checkFn), timeout]).finally(() => clearTimeout(timer));
+    }
+
     async getHealth() {
         const health = {
             status: 'ok',
@@ -41,11 +73,14 @@ class HealthMonitor {
             metrics: this.metrics
         };
 
-        // Run all registered health checks
+        // Run all registered health checks in parallel
         const checks = {};
-        for (const [name, checkFn] of this.healthChecks) {
+        await Promise.all(Array.from(this.healthChecks, async ([name, checkFn]) => {
             try {
-                checks[name] = await checkFn();
+                checks[name] = await this.runCheck(name, checkFn);
+                if (checks[name]?.status && checks[name].status !== 'ok') {
+                    health.status = 'degraded';
+                }
             } catch (error) {
                 checks[name] = {
                     status: 'error',
@@ -53,7 +88,7 @@ class HealthMonitor {
                 };
                 health.status = 'degraded';
             }
-        }
+        }));
 
         health.checks = checks;
         return health;
@@ -74,7 +109,7 @@ class HealthMonitor {
     }
 }
 
-const healthMonitor = new HealthMonitor();
+const healthMonitor = new HealthMonitor({ checkTimeout: config.health.checkTimeout });
 
 // Register some basic health checks
 healthMonitor.registerHealthCheck('memory', () => {
@@ -11,6 +11,7 @@ class RetryPolicy {
         this.backoffFactor = options.backoffFactor || 2;
         this.retryableErrors = options.retryableErrors || ['ECONNRESET', 'ENOTFOUND', 'ECONNREFUSED', 'ETIMEDOUT'];
         this.retryableStatusCodes = options.retryableStatusCodes || [429, 500, 502, 503, 504];
+        this.retryableMessages = options.retryableMessages || ['socket hang up', 'bad gateway', 'service unavailable', 'gateway timeout', 'timed out', 'fetch failed'];
     }
 
     async execute(fn, context = '') {
@@ -53,13 +54,36 @@ class RetryPolicy {
             return false;
         }
 
+        return this.isRetryable(error);
+    }
+
+    /**
+     * Whether an error is transient (network failure, gateway error, rate limit)
+     * rather than a rejection of the request itself
+     * @param {Error} error - Error thrown by the operation
+     * @param {number} [depth] - Causes already followed
+     * @returns {boolean} True if the operation may succeed when repeated
+     */
+    isRetryable(error, depth = 0) {
+        // Wrapped errors ("Zabbix API initialization failed: ...") keep the transport error as cause
+        if (error.cause instanceof Error && depth < 3 && this.isRetryable(error.cause, depth + 1)) {
+            return true;
+        }
+
         // Check for retryable error codes
         if (error.code && this.retryableErrors.includes(error.code)) {
             return true;
         }
 
         // Check for retryable HTTP status codes
-        if (error.response?.status && this.retryableStatusCodes.includes(error.response.status)) {
+        const status = error.response?.status || error.status;
+        if (status && this.retryableStatusCodes.includes(status)) {
+            return true;
+        }
+
+        // Check for gateway and socket errors that only surface in the message
+        const message = String(error.message || '').toLowerCase();
+        if (this.retryableMessages.some(fragment => message.includes(fragment))) {
             return true;
         }
 
@@ -89,6 +113,8 @@ class CircuitBreaker {
         this.failureThreshold = options.failureThreshold || 5;
         this.recoveryTimeout = options.recoveryTimeout || 60000;
         this.monitoringPeriod = options.monitoringPeriod || 10000;
+        // Decides which errors count against the breaker; by default every error does
+        this.isFailure = options.isFailure || (() => true);
         
         this.state = 'CLOSED'; // CLOSED, OPEN, HALF_OPEN
         this.failureCount = 0;
@@ -103,7 +129,10 @@ class CircuitBreaker {
                 this.successCount = 0;
                 logger.info(`Circuit breaker ${context} entering HALF_OPEN state`);
             } else {
-                throw new Error(`Circuit breaker ${context} is OPEN. Service unavailable.`);
+                const error = new Error(`Circuit breaker ${context} is OPEN. Service unavailable.`);
+                error.code = 'CIRCUIT_OPEN';
+                error.retryAfter = this.getRetryAfter();
+                throw error;
             }
         }
 
@@ -112,7 +141,12 @@ class CircuitBreaker {
             this.onSuccess(context);
             return result;
         } catch (error) {
-            this.onFailure(context);
+            if (this.isFailure(error)) {
+                this.onFailure(context);
+            } else {
+                // The service answered, it just rejected this call
+                this.onSuccess(context);
+            }
             throw error;
         }
     }
@@ -142,11 +176,23 @@ class CircuitBreaker {
         }
     }
 
+    /**
+     * Seconds until an open breaker lets the next call through
+     * @returns {number} Seconds, 0 when the breaker is not open
+     */
+    getRetryAfter() {
+        if (this.state !== 'OPEN') {
+            return 0;
+        }
+        return Math.max(0, Math.ceil((this.lastFailureTime + this.recoveryTimeout - Date.now()) / 1000));
+    }
+
     getState() {
         return {
             state: this.state,
             failureCount: this.failureCount,
-            lastFailureTime: this.lastFailureTime
+            lastFailureTime: this.lastFailureTime,
+            retryAfter: this.getRetryAfter()
         };
     }
 }
@@ -0,0 +1,240 @@
+/**
+ * HTTP Session Lifecycle
+ *
+ * SessionRegistry keeps every live HTTP session (Streamable HTTP and legacy SSE) with
+ * its owner and activity, enforces the concurrent session cap and closes sessions that
+ * stay idle longer than the configured timeout. A session with an open request or
+ * stream is never idle.
+ *
+ * MemoryEventStore is the per-session event store behind Last-Event-ID resumability:
+ * it keeps the last N messages sent on each stream so a reconnecting client gets the
+ * ones it missed.
+ */
+
+const config = require('../config');
+const { logger } = require('./logger');
+
+class MemoryEventStore {
+    /**
+     * @param {Object} [options] - Store options
+     * @param {number} [options.maxEvents] - Events kept across all streams (defaults to config.transport.http.eventStoreSize)
+     */
+    constructor(options = {}) {
+        this.maxEvents = options.maxEvents || config.transport.http.eventStoreSize;
+        // Oldest first: { eventId, streamId, message }
+        this.events = [];
+        this.eventIndex = new Map();
+        this.sequence = 0;
+    }
+
+    get size() {
+        return this.events.length;
+    }
+
+    storeEvent(streamId, message) {
+        this.sequence++;
+        const eventId = String(this.sequence);
+        const event = { eventId, streamId, message };
+        this.events.push(event);
+        this.eventIndex.set(eventId, event);
+        while (this.events.length > this.maxEvents) {
+            this.eventIndex.delete(this.events.shift().eventId);
+        }
+        return Promise.resolve(eventId);
+    }
+
+    getStreamIdForEventId(eventId) {
+        return Promise.resolve(this.eventIndex.get(eventId)?.streamId);
+    }
+
+    /**
+     * Send the events of a stream that follow an event
+     * @param {string} lastEventId - Last event the client received
+     * @param {Object} handlers - { send(eventId, message) }
+     * @returns {Promise<string>} Stream ID being resumed
+     */
+    async replayEventsAfter(lastEventId, { send }) {
+        const last = this.eventIndex.get(lastEventId);
+        if (!last) {
+            throw new Error(`Event ${lastEventId} is no longer available`);
+        }
+        const start = this.events.indexOf(last) + 1;
+        for (const event of this.events.slice(start)) {
+            if (event.streamId === last.streamId) {
+                await send(event.eventId, event.message);
+            }
+        }
+        return last.streamId;
+    }
+}
+
+class SessionRegistry {
+    /**
+     * @param {Object} [options] - Registry options
+     * @param {number} [options.idleTimeout] - Milliseconds before an idle session is closed; 0 disables
+     * @param {number} [options.maxSessions] - Concurrent session cap; 0 means unlimited
+     */
+    constructor(options = {}) {
+        const http = config.transport.http;
+        this.idleTimeout = options.idleTimeout ?? http.sessionIdleTimeout * 1000;
+        this.maxSessions = options.maxSessions ?? http.maxSessions;
+        this.sessions = new Map();
+        this.sweepTimer = null;
+    }
+
+    get size() {
+        return this.sessions.size;
+    }
+
+    /**
+     * Check whether another session may be opened
+     * @returns {boolean} True when the cap is reached
+     */
+    isFull() {
+        return this.maxSessions > 0 && this.sessions.size >= this.maxSessions;
+    }
+
+    /**
+     * Register a new session
+     * @param {string} sessionId - Session ID
+     * @param {Object} session - { transport, type, owner, userToken, eventStore }
+     * @returns {Object} Session record
+     */
+    add(sessionId, session) {
+        const now = Date.now();
+        const record = {
+            id: sessionId,
+            type: 'streamable-http',
+            owner: undefined,
+            userToken: false,
+            eventStore: null,
+            ...session,
+            createdAt: now,
+            lastActivity: now,
+            requests: 0,
+            openRequests: 0,
+            closing: false
+        };
+        this.sessions.set(sessionId, record);
+        return record;
+    }
+
+    get(sessionId) {
+        return this.sessions.get(sessionId);
+    }
+
+    has(sessionId) {
+        return this.sessions.has(sessionId);
+    }
+
+    delete(sessionId) {
+        return this.sessions.delete(sessionId);
+    }
+
+    /**
+     * Count a request of a session as activity until its response closes
+     * @param {string} sessionId - Session ID
+     * @param {Object} res - HTTP response; a long-lived stream keeps the session active
+     */
+    track(sessionId, res) {
+        const record = this.sessions.get(sessionId);
+        if (!record) {
+            return;
+        }
+        record.requests++;
+        record.openRequests++;
+        record.lastActivity = Date.now();
+        res.once('close', () => {
+            record.openRequests--;
+            record.lastActivity = Date.now();
+        });
+    }
+
+    /**
+     * Sessions without open requests whose last activity is older than the idle timeout
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {Array<Object>} Session records
+     */
+    findIdle(now = Date.now()) {
+        if (this.idleTimeout <= 0) {
+            return [];
+        }
+        return [...this.sessions.values()].filter(record =>
+            !record.closing && record.openRequests === 0 && now - record.lastActivity >= this.idleTimeout);
+    }
+
+    /**
+     * Close idle sessions; their transports' onclose handlers release them
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {Array<string>} Closed session IDs
+     */
+    sweep(now = Date.now()) {
+        const idle = this.findIdle(now);
+        for (const record of idle) {
+            record.closing = true;
+            logger.info(`Closing HTTP session ${record.id} after ${Math.round((now - record.lastActivity) / 1000)} s idle`);
+            Promise.resolve(record.transport.close()).catch(error => {
+                logger.warn(`Failed to close idle session ${record.id}:`, error.message);
+            });
+        }
+        return idle.map(record => record.id);
+    }
+
+    startSweeper() {
+        if (this.sweepTimer || this.idleTimeout <= 0) {
+            return;
+        }
+        // Check often enough that a session outlives its timeout by at most a minute
+        const interval = Math.max(1000, Math.min(60000, this.idleTimeout / 2));
+        this.sweepTimer = setInterval(() => this.sweep(), interval);
+    }
+
+    stop() {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+    }
+
+    /**
+     * Close every session's transport, e.g. at shutdown
+     * @returns {Promise<number>} Number of sessions closed
+     */
+    async closeAll() {
+        this.stop();
+        const records = [...this.sessions.values()];
+        await Promise.all(records.map(record => {
+            record.closing = true;
+            return Promise.resolve(record.transport.close()).catch(error => {
+                logger.warn(`Failed to close session ${record.id}:`, error.message);
+            });
+        }));
+        return records.length;
+    }
+
+    /**
+     * Summary of live sessions for the admin view. Session IDs are shortened so the
+     * view cannot be used to take over a session.
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {Array<Object>} Session summaries, oldest first
+     */
+    list(now = Date.now()) {
+        return [...this.sessions.values()].map(record => ({
+            session: `${record.id.slice(0, 8)}…`,
+            type: record.type,
+            owner: record.owner || null,
+            userToken: record.userToken,
+            createdAt: new Date(record.createdAt).toISOString(),
+            lastActivity: new Date(record.lastActivity).toISOString(),
+            idleSeconds: record.openRequests > 0 ? 0 : Math.floor((now - record.lastActivity) / 1000),
+            requests: record.requests,
+            openRequests: record.openRequests,
+            bufferedEvents: record.eventStore ? record.eventStore.size : null
+        }));
+    }
+}
+
+module.exports = {
+    SessionRegistry,
+    MemoryEventStore
+};
@@ -0,0 +1,150 @@
+/**
+ * Graceful Shutdown
+ *
+ * InFlightTracker counts running tool calls and resource reads. Once draining starts,
+ * new calls are refused with a retryable ShuttingDownError while running ones finish.
+ * drainAndClose waits for them up to a deadline, then runs the cleanup steps (close
+ * transports, log out of Zabbix, flush audit and telemetry) within what remains of it,
+ * giving each step at least a second so a slow drain does not skip the Zabbix logout.
+ */
+
+const config = require('../config');
+const { logger } = require('./logger');
+const { ZabbixMcpError } = require('./errors');
+
+// Milliseconds each cleanup step gets even when draining used up the deadline
+const MIN_STEP_TIME = 1000;
+
+class ShuttingDownError extends ZabbixMcpError {
+    /**
+     * @param {number} [retryAfter] - Seconds after which the client may retry (on another replica)
+     */
+    constructor(retryAfter = 1) {
+        super(`Server is shutting down; retry the request in ${retryAfter} s`, {
+            code: 'SERVER_SHUTTING_DOWN',
+            hint: 'The MCP server is stopping. Retry shortly; the call did not run.',
+            retryable: true,
+            retryAfter
+        });
+    }
+}
+
+class InFlightTracker {
+    constructor() {
+        this.count = 0;
+        this.draining = false;
+        this.idleWaiters = [];
+    }
+
+    get isDraining() {
+        return this.draining;
+    }
+
+    /**
+     * Run a call counted as in flight
+     * @param {Function} fn - Call to run
+     * @returns {Promise<*>} Call result
+     * @throws {ShuttingDownError} When draining has started
+     */
+    async run(fn) {
+        if (this.draining) {
+            throw new ShuttingDownError();
+        }
+        this.count++;
+        try {
+            return await fn();
+        } finally {
+            this.count--;
+            if (this.count === 0) {
+                this.idleWaiters.splice(0).forEach(resolve => resolve(true));
+            }
+        }
+    }
+
+    startDrain() {
+        this.draining = true;
+    }
+
+    /**
+     * Wait until no call is in flight
+     * @param {number} timeout - Milliseconds to wait at most
+     * @returns {Promise<boolean>} True if drained, false if calls were still running at the deadline
+     */
+    waitForIdle(timeout) {
+        if (this.count === 0) {
+            return Promise.resolve(true);
+        }
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.idleWaiters = this.idleWaiters.filter(waiter => waiter !== done);
+                resolve(false);
+            }, Math.max(0, timeout));
+            const done = (drained) => {
+                clearTimeout(timer);
+                resolve(drained);
+            };
+            this.idleWaiters.push(done);
+        });
+    }
+}
+
+/**
+ * Settle a promise or give up after a timeout
+ * @param {Promise} promise - Work to wait for
+ * @param {number} timeout - Milliseconds
+ * @param {string} name - Step name for the timeout error
+ * @returns {Promise<*>} Result of the work
+ */
+function withDeadline(promise, timeout, name) {
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${name} did not finish before the shutdown deadline`)), Math.max(0, timeout));
+    });
+    return Promise.race([Promise.resolve(promise), expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Drain in-flight calls, then run the cleanup steps in order, all within one deadline
+ * @param {Object} options - Shutdown options
+ * @param {InFlightTracker} [options.tracker] - Tracker to drain (defaults to the shared one)
+ * @param {number} [options.timeout] - Milliseconds for the whole shutdown (defaults to config.shutdown.timeout)
+ * @param {Array<Object>} [options.steps] - { name, run } cleanup steps; a failing step does not stop the others
+ * @returns {Promise<Object>} { drained, abandoned, failed }
+ */
+async function drainAndClose(options = {}) {
+    const { tracker = inFlight, timeout = config.shutdown.timeout * 1000, steps = [] } = options;
+    const deadline = Date.now() + timeout;
+
+    tracker.startDrain();
+    if (tracker.count > 0) {
+        logger.info(`Waiting up to ${Math.round(timeout / 1000)} s for ${tracker.count} in-flight calls`);
+    }
+    const drained = await tracker.waitForIdle(timeout);
+    const abandoned = drained ? 0 : tracker.count;
+    if (!drained) {
+        logger.warn(`Shutdown deadline reached with ${abandoned} calls still running`);
+    }
+
+    const failed = [];
+    for (const step of steps) {
+        try {
+            await withDeadline(step.run(), Math.max(MIN_STEP_TIME, deadline - Date.now()), step.name);
+            logger.debug(`Shutdown step done: ${step.name}`);
+        } catch (error) {
+            failed.push(step.name);
+            logger.warn(`Shutdown step ${step.name} failed:`, error.message);
+        }
+    }
+
+    return { drained, abandoned, failed };
+}
+
+// Shared by every session: tool calls and resource reads of the whole process
+const inFlight = new InFlightTracker();
+
+module.exports = {
+    InFlightTracker,
+    ShuttingDownError,
+    inFlight,
+    drainAndClose
+};
@@ -1,6 +1,44 @@
 const { logger } = require('./logger');
 const EventEmitter = require('events');
 
+/**
+ * Stable key for a label set, independent of key order
+ * @param {Object} labels - Label names and values
+ * @returns {string} Series key
+ */
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Format labels for the Prometheus text format
+ * @param {Object} labels - Label names and values
+ * @returns {string} '{name="value",...}' or '' without labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  const escape = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+/**
+ * Short class of an error for metric labels, e.g. ECONNREFUSED, CIRCUIT_OPEN or TypeError
+ * @param {Error} error - Error to classify
+ * @returns {string} Error class
+ */
+function errorClass(error) {
+  if (!error) {
+    return 'unknown';
+  }
+  if (typeof error.code === 'string') {
+    return error.code;
+  }
+  return error.name || error.constructor?.name || 'Error';
+}
+
 class TelemetryCollector extends EventEmitter {
   constructor() {
     super();
@@ -42,6 +80,9 @@ class TelemetryCollector extends EventEmitter {
     this.createGauge('cpu_usage_percent', 'CPU usage percentage');
     this.createGauge('event_loop_lag_ms', 'Event loop lag in milliseconds');
     
+    // Transport Metrics
+    this.createGauge('http_sessions_active', 'Currently open MCP HTTP sessions');
+    
     // Circuit Breaker Metrics
     this.createCounter('circuit_breaker_opened', 'Circuit breaker opened count');
     this.createCounter('circuit_breaker_closed', 'Circuit breaker closed count');
@@ -49,12 +90,12 @@ class TelemetryCollector extends EventEmitter {
   }
 
   createCounter(name, description) {
-    this.counters.set(name, { value: 0, description, type: 'counter' });
+    this.counters.set(name, { value: 0, description, type: 'counter', series: new Map() });
     return this;
   }
 
   createGauge(name, description) {
-    this.gauges.set(name, { value: 0, description, type: 'gauge' });
+    this.gauges.set(name, { value: 0, description, type: 'gauge', series: new Map() });
     return this;
   }
 
@@ -65,18 +106,34 @@ class TelemetryCollector extends EventEmitter {
       type: 'histogram',
       buckets: [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000],
       sum: 0,
-      count: 0
+      count: 0,
+      series: new Map()
     });
     return this;
   }
 
+  /**
+   * Get (or create) the series of a metric for a label set
+   * @param {Object} metric - Counter, gauge or histogram
+   * @param {Object} labels - Label names and values
+   * @param {Function} create - Builds the initial series fields
+   * @returns {Object} Series with its labels
+   */
+  getSeries(metric, labels, create) {
+    const key = seriesKey(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels: { ...labels }, ...create() });
+    }
+    return metric.series.get(key);
+  }
+
   // Counter operations
   incrementCounter(name, value = 1, labels = {}) {
     const counter = this.counters.get(name);
     if (counter) {
       counter.value += value;
       counter.lastUpdated = Date.now();
-      counter.labels = { ...counter.labels, ...labels };
+      this.getSeries(counter, labels, () => ({ value: 0 })).value += value;
       this.emit('metric_updated', { name, type: 'counter', value: counter.value, labels });
     }
   }
@@ -87,7 +144,7 @@ class TelemetryCollector extends EventEmitter {
     if (gauge) {
       gauge.value = value;
       gauge.lastUpdated = Date.now();
-      gauge.labels = { ...gauge.labels, ...labels };
+      this.getSeries(gauge, labels, () => ({ value: 0 })).value = value;
       this.emit('metric_updated', { name, type: 'gauge', value, labels });
     }
   }
@@ -95,9 +152,10 @@ class TelemetryCollector extends EventEmitter {
   incrementGauge(name, value = 1, labels = {}) {
     const gauge = this.gauges.get(name);
     if (gauge) {
-      gauge.value += value;
+      const series = this.getSeries(gauge, labels, () => ({ value: 0 }));
+      series.value += value;
+      gauge.value = series.value;
       gauge.lastUpdated = Date.now();
-      gauge.labels = { ...gauge.labels, ...labels };
       this.emit('metric_updated', { name, type: 'gauge', value: gauge.value, labels });
     }
   }
@@ -114,7 +172,20 @@ class TelemetryCollector extends EventEmitter {
       histogram.sum += value;
       histogram.count += 1;
       histogram.lastUpdated = Date.now();
-      histogram.labels = { ...histogram.labels, ...labels };
+
+      // Cumulative bucket counts per label set, so the export covers every observation
+      const series = this.getSeries(histogram, labels, () => ({
+        buckets: histogram.buckets.map(le => ({ le, count: 0 })),
+        sum: 0,
+        count: 0
+      }));
+      for (const bucket of series.buckets) {
+        if (value <= bucket.le) {
+          bucket.count += 1;
+        }
+      }
+      series.sum += value;
+      series.count += 1;
       
       // Keep only last 1000 values for memory efficiency
       if (histogram.values.length > 1000) {
@@ -144,18 +215,24 @@ class TelemetryCollector extends EventEmitter {
   }
 
   // Performance tracking
-  trackApiRequest(endpoint, method = 'GET') {
+  /**
+   * Track one Zabbix API request
+   * @param {string} method - Zabbix API method (e.g. host.get)
+   * @param {Object} [labels] - Extra labels, e.g. { zabbix_instance: 'prod' }
+   * @returns {Object} { finish(success, error) } returning the duration in ms
+   */
+  trackApiRequest(method, labels = {}) {
     const timerId = this.startTimer('api_request');
-    this.incrementCounter('api_requests_total', 1, { endpoint, method });
+    this.incrementCounter('api_requests_total', 1, { method, ...labels });
     this.incrementGauge('api_requests_active');
     
     return {
-      finish: (success = true, statusCode = 200) => {
-        const duration = this.endTimer(timerId, 'api_request_duration', { endpoint, method, success: success.toString() });
+      finish: (success = true, error = null) => {
+        const duration = this.endTimer(timerId, 'api_request_duration', { method, ...labels, success: success.toString() });
         this.decrementGauge('api_requests_active');
         
         if (!success) {
-          this.incrementCounter('api_requests_errors', 1, { endpoint, method, statusCode: statusCode.toString() });
+          this.incrementCounter('api_requests_errors', 1, { method, ...labels, error: errorClass(error) });
         }
         
         return duration;
@@ -163,6 +240,11 @@ class TelemetryCollector extends EventEmitter {
     };
   }
 
+  /**
+   * Track one MCP tool call
+   * @param {string} toolName - Tool name
+   * @returns {Object} { finish(success, error) } returning the duration in ms
+   */
   trackToolExecution(toolName) {
     const timerId = this.startTimer('tool_execution');
     this.incrementCounter('tools_executed_total', 1, { tool: toolName });
@@ -172,7 +254,7 @@ class TelemetryCollector extends EventEmitter {
         const duration = this.endTimer(timerId, 'tool_execution_duration', { tool: toolName, success: success.toString() });
         
         if (!success) {
-          this.incrementCounter('tools_failed_total', 1, { tool: toolName, error: error?.name || 'unknown' });
+          this.incrementCounter('tools_failed_total', 1, { tool: toolName, error: error ? errorClass(error) : 'tool_error' });
         }
         
         return duration;
@@ -278,22 +360,23 @@ class TelemetryCollector extends EventEmitter {
     };
   }
 
-  // Prometheus-style metrics export
+  // Prometheus-style metrics export, one line per label set
   exportPrometheusMetrics() {
     let output = '';
     
-    // Export counters
-    for (const [name, counter] of this.counters) {
-      output += `# HELP ${name} ${counter.description}\n`;
-      output += `# TYPE ${name} counter\n`;
-      output += `${name} ${counter.value}\n\n`;
-    }
-    
-    // Export gauges
-    for (const [name, gauge] of this.gauges) {
-      output += `# HELP ${name} ${gauge.description}\n`;
-      output += `# TYPE ${name} gauge\n`;
-      output += `${name} ${gauge.value}\n\n`;
+    // Export counters and gauges
+    for (const [type, metrics] of [['counter', this.counters], ['gauge', this.gauges]]) {
+      for (const [name, metric] of metrics) {
+        output += `# HELP ${name} ${metric.description}\n`;
+        output += `# TYPE ${name} ${type}\n`;
+        if (metric.series.size === 0) {
+          output += `${name} ${metric.value}\n`;
+        }
+        for (const series of metric.series.values()) {
+          output += `${name}${formatLabels(series.labels)} ${series.value}\n`;
+        }
+        output += '\n';
+      }
     }
     
     // Export histograms
@@ -301,13 +384,15 @@ class TelemetryCollector extends EventEmitter {
       output += `# HELP ${name} ${histogram.description}\n`;
       output += `# TYPE ${name} histogram\n`;
       
-      for (const bucket of histogram.buckets) {
-        const count = histogram.values.filter(v => v <= bucket).length;
-        output += `${name}_bucket{le="${bucket}"} ${count}\n`;
+      for (const series of histogram.series.values()) {
+        for (const bucket of series.buckets) {
+          output += `${name}_bucket${formatLabels({ ...series.labels, le: bucket.le })} ${bucket.count}\n`;
+        }
+        output += `${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}\n`;
+        output += `${name}_count${formatLabels(series.labels)} ${series.count}\n`;
+        output += `${name}_sum${formatLabels(series.labels)} ${series.sum}\n`;
       }
-      output += `${name}_bucket{le="+Inf"} ${histogram.count}\n`;
-      output += `${name}_count ${histogram.count}\n`;
-      output += `${name}_sum ${histogram.sum}\n\n`;
+      output += '\n';
     }
     
     return output;
@@ -329,6 +414,14 @@ class TelemetryCollector extends EventEmitter {
     this.collectSystemMetrics();
   }
 
+  // Final collection for shutdown: 'flush' listeners get the last snapshot
+  flush() {
+    this.collectSystemMetrics();
+    const snapshot = this.getMetricsSnapshot();
+    this.emit('flush', snapshot);
+    return snapshot;
+  }
+
   // Cleanup
   destroy() {
     if (this.systemMetricsInterval) {
@@ -370,5 +463,6 @@ telemetry.defineAlert('high_memory_usage',
 
 module.exports = {
   TelemetryCollector,
-  telemetry
+  telemetry,
+  errorClass
 }; 